@@ -32,6 +32,18 @@ module.exports = {
       {
         files: ['*.js'],
         excludedFiles: 'babel.config.js',
-      }
+      },
+      {
+        files: ['test/**/*.js'],
+        env: {
+          jest: false,
+          mocha: true,
+        },
+        rules: {
+          'jest/no-hooks': 'off',
+          'jest/prefer-expect-assertions': 'off',
+          'jest/prefer-importing-jest-globals': 'off',
+        },
+      },
     ]
 };
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Stands in for the `codemirror` package in the collaboration bundle.
+ * The editor is the CodeMirror instance of SimpleMDE, which is loaded on its own, and the
+ * binding only needs CodeMirror positions from the package, so a second copy of CodeMirror
+ * is not bundled.
+ * @module collab/codemirror
+ */
+
+/**
+ * A position in a CodeMirror document, like `CodeMirror.Pos`.
+ */
+class Pos {
+  /**
+   * @param {number} line - The line number, starting at 0.
+   * @param {number} ch - The character offset in the line.
+   */
+  constructor(line, ch) {
+    this.line = line;
+    this.ch = ch;
+  }
+}
+
+export default { Pos };
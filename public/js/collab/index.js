@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Collaborative editing of the open note in the browser.
+ * The editor is bound to a Yjs document kept in sync with the other tabs and people editing
+ * the note through the Socket.IO server, which merges the changes and saves them to the note.
+ * Cursors, selections and names are shared through awareness.
+ * This module is bundled into `public/js/collab.bundle.js` by `npm run build-collab`,
+ * which exposes it to `main.js` as the `AnchorCollab` global.
+ * @module collab
+ */
+
+import * as Y from 'yjs';
+import { CodemirrorBinding } from 'y-codemirror';
+import {
+  Awareness, applyAwarenessUpdate, encodeAwarenessUpdate,
+} from 'y-protocols/awareness';
+
+/**
+ * The origin of the changes received from the server, which are not sent back.
+ * @type {string}
+ */
+const REMOTE_ORIGIN = 'remote';
+
+/**
+ * The colors of the cursors and names of the people editing a note.
+ * @type {string[]}
+ */
+const USER_COLORS = ['#0d6efd', '#6f42c1', '#d63384', '#dc3545', '#fd7e14', '#198754', '#20c997', '#0dcaf0'];
+
+/**
+ * Picks the color of a user, the same on every device.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {string} The color.
+ */
+export function getUserColor(userId) {
+  const hash = Array.from(String(userId))
+    .reduce((sum, character) => (sum * 31 + character.charCodeAt(0)) % 2147483647, 0);
+  return USER_COLORS[hash % USER_COLORS.length];
+}
+
+/**
+ * Converts binary data received over Socket.IO to a Yjs update.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - The binary data.
+ * @returns {Uint8Array} The update.
+ */
+function toUpdate(data) {
+  return new Uint8Array(data);
+}
+
+/**
+ * Finds the single change turning a text into another: what was removed and inserted where.
+ *
+ * @param {string} from - The original text.
+ * @param {string} to - The changed text.
+ * @returns {Object} The `index` of the change, the number of characters to `remove`
+ * and the text to `insert`.
+ */
+function diffText(from, to) {
+  let start = 0;
+  while (start < from.length && start < to.length && from[start] === to[start]) {
+    start += 1;
+  }
+  let end = 0;
+  while (end < from.length - start && end < to.length - start
+    && from[from.length - end - 1] === to[to.length - end - 1]) {
+    end += 1;
+  }
+  return {
+    index: start,
+    remove: from.length - start - end,
+    insert: to.slice(start, to.length - end),
+  };
+}
+
+/**
+ * Lists the other people editing the note, from the awareness states.
+ *
+ * @param {Awareness} awareness - The awareness of the document.
+ * @returns {Object[]} The `name` and `color` of every other person.
+ */
+function listPresence(awareness) {
+  const users = [];
+  awareness.getStates().forEach((state, clientId) => {
+    if (clientId !== awareness.clientID && state.user) {
+      users.push(state.user);
+    }
+  });
+  return users;
+}
+
+/**
+ * Starts editing a note collaboratively in a CodeMirror editor.
+ * Until the server answers, the editor keeps working on its own; edits made meanwhile are kept
+ * if nobody else changed the note. If the note cannot be joined, `onClose` is called with
+ * the reason and the editor is left as it was.
+ *
+ * @param {Object} options - The session options.
+ * @param {Object} options.socket - The connected Socket.IO client.
+ * @param {string} options.noteId - The ID of the note.
+ * @param {Object} options.codemirror - The CodeMirror editor showing the note content.
+ * @param {Object} options.user - The `name` and `color` shown to the others.
+ * @param {Function} [options.onPresence] - Called with the other people editing the note.
+ * @param {Function} [options.onClose] - Called with an error message if the note cannot be joined.
+ * @returns {Object} The session, with its `noteId` and a `destroy` function to stop editing.
+ */
+export function createCollabSession({
+  socket, noteId, codemirror, user, onPresence = () => {}, onClose = () => {},
+}) {
+  const doc = new Y.Doc();
+  const text = doc.getText('content');
+  const awareness = new Awareness(doc);
+  const initialValue = codemirror.getValue();
+  let binding = null;
+  let closed = false;
+
+  const handleUpdate = (message) => {
+    if (message.noteId === noteId) {
+      Y.applyUpdate(doc, toUpdate(message.update), REMOTE_ORIGIN);
+    }
+  };
+  const handleAwareness = (message) => {
+    if (message.noteId === noteId) {
+      applyAwarenessUpdate(awareness, toUpdate(message.update), REMOTE_ORIGIN);
+    }
+  };
+
+  doc.on('update', (update, origin) => {
+    if (origin !== REMOTE_ORIGIN) {
+      socket.emit('collab:update', { noteId, update });
+    }
+  });
+  awareness.on('update', ({ added, updated, removed }, origin) => {
+    if (origin !== REMOTE_ORIGIN && binding) {
+      const update = encodeAwarenessUpdate(awareness, [...added, ...updated, ...removed]);
+      socket.emit('collab:awareness', { noteId, update });
+    }
+  });
+  awareness.on('change', () => onPresence(listPresence(awareness)));
+
+  /**
+   * Stops editing the note, removing the cursors of the others from the editor.
+   */
+  function destroy() {
+    if (closed) return;
+    closed = true;
+    socket.off('collab:update', handleUpdate);
+    socket.off('collab:awareness', handleAwareness);
+    if (binding) {
+      binding.destroy();
+      codemirror.getAllMarks().forEach((mark) => mark.clear());
+    }
+    awareness.destroy();
+    if (socket.connected) {
+      socket.emit('collab:leave', noteId);
+    }
+    doc.destroy();
+    onPresence([]);
+  }
+
+  socket.on('collab:update', handleUpdate);
+  socket.on('collab:awareness', handleAwareness);
+  socket.emit('collab:join', noteId, (response) => {
+    if (closed) return;
+    if (response.error) {
+      destroy();
+      onClose(response.error);
+      return;
+    }
+    Y.applyUpdate(doc, toUpdate(response.state), REMOTE_ORIGIN);
+    applyAwarenessUpdate(awareness, toUpdate(response.awareness), REMOTE_ORIGIN);
+    const localValue = codemirror.getValue();
+    const cursor = codemirror.getCursor();
+    binding = new CodemirrorBinding(text, codemirror, awareness);
+    if (localValue !== initialValue && text.toString() === initialValue && response.role !== 'viewer') {
+      const { index, remove, insert } = diffText(initialValue, localValue);
+      doc.transact(() => {
+        text.delete(index, remove);
+        text.insert(index, insert);
+      });
+    }
+    codemirror.setCursor(cursor);
+    awareness.setLocalStateField('user', user);
+  });
+
+  return { noteId, destroy };
+}
@@ -0,0 +1,17 @@
+/* global document, window, SwaggerUIBundle */
+
+/**
+ * Shows the OpenAPI document of Anchor on the documentation page.
+ */
+function initializeDocs() {
+  const container = document.getElementById('swagger-ui');
+  SwaggerUIBundle({
+    url: container.dataset.specUrl,
+    domNode: container,
+    deepLinking: true,
+  });
+}
+
+if (typeof window !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', initializeDocs);
+}
@@ -1,4 +1,4 @@
-/* global document, window, io, SimpleMDE, timeago, bootstrap */
+/* global document, window, io, SimpleMDE, timeago, bootstrap, AnchorCollab */
 
 /**
  * This file contains the main JavaScript code for the Anchor application.
@@ -10,15 +10,45 @@
 // Constants
 const NOTES_PER_PAGE = 10;
 const AUTOSAVE_DELAY = 1000;
+const SEARCH_DELAY = 300;
+const EXPORT_POLL_INTERVAL = 2000;
+const OFFLINE_DB_VERSION = 1;
+const LOCAL_NOTE_PREFIX = 'local-';
+const LINK_SUGGESTIONS_LIMIT = 10;
+const WIKI_LINK_QUERY_PATTERN = /\[\[([^[\]|\n]*)$/;
+const UNLINKABLE_TITLE_PATTERN = /[[\]|\n]/;
 
 // State variables
 let elements;
 let currentNoteId;
+let currentNoteVersion;
+let currentNoteRole;
+let currentUserId;
+let currentUserName;
+let csrfToken;
 let page;
 let autosaveTimer;
+let searchTimer;
+let exportPollTimer;
 let hasUnsavedChanges;
+let isSaving;
+let conflictingNote;
+let selectedRevisionId;
+let selectedTags;
+let notebooks;
+let selectedNotebookId;
+let expandedNotebookIds;
 let socket;
 let simpleMDE;
+let collabSession;
+let offlineDb;
+let isOnline;
+let isSyncing;
+let syncCursor;
+let pageLoadedAt;
+let backlinksKey;
+let linkSuggestions;
+let linkSuggestionTimer;
 
 /**
  * Updates the time of a note element to a human-readable format.
@@ -47,12 +77,15 @@ function sortNotesList() {
 }
 
 /**
- * Returns a preview of the content.
+ * Returns the preview of a note: the plain text the server rendered from its markdown,
+ * or the start of its content for edits the server has not seen yet.
  *
- * @param {string} content - The content to generate a preview for.
- * @returns {string} The preview of the content.
+ * @param {Object} note - The note to generate a preview for.
+ * @returns {string} The preview of the note.
  */
-function getContentPreview(content) {
+function getContentPreview(note) {
+  if (typeof note.preview === 'string' && !note.pending) return note.preview;
+  const { content } = note;
   if (!content) return '';
   return content.length > 50 ? `${content.substring(0, 50)}...` : content;
 }
@@ -74,7 +107,7 @@ function updateNoteElement(element, note) {
     dateElement.setAttribute('datetime', note.updatedAt);
     updateNoteTime(dateElement);
   }
-  if (previewElement) previewElement.textContent = getContentPreview(note.content);
+  if (previewElement) previewElement.textContent = getContentPreview(note);
 
   updatedElement.dataset.updatedAt = note.updatedAt;
 }
@@ -110,7 +143,7 @@ function createNoteElement(note) {
               </a>
               <small class="text-nowrap note-date" datetime="${note.updatedAt}"></small>
             </div>
-            <div class="note-preview small mt-1">${getContentPreview(note.content)}</div>
+            <div class="note-preview small mt-1"></div>
           </div>
           <div class="d-flex align-items-center gap-3">
             <button class="btn btn-sm btn-danger delete-note position-relative z-1" data-note-id="${note._id}">
@@ -119,6 +152,7 @@ function createNoteElement(note) {
           </div>
         </div>
       `;
+  div.querySelector('.note-preview').textContent = getContentPreview(note);
   return div;
 }
 
@@ -148,6 +182,90 @@ function addNoteToList(note, prepend = true, highlight = false) {
   }
 }
 
+/**
+ * Creates a search result element.
+ * The highlighted title and snippet are HTML built and escaped by the server.
+ *
+ * @param {Object} result - The search result.
+ * @returns {HTMLElement} - The created search result element.
+ */
+function createSearchResultElement(result) {
+  const div = document.createElement('div');
+  div.className = 'list-group-item list-group-item-action py-3 lh-sm';
+  div.dataset.noteId = result._id;
+  div.innerHTML = `
+        <div class="d-flex justify-content-between gap-3">
+          <a href="/notes/${result._id}" class="note-link text-decoration-none stretched-link">
+            <strong class="note-title">${result.titleHtml}</strong>
+          </a>
+          <small class="text-nowrap note-date" datetime="${result.updatedAt}"></small>
+        </div>
+        <div class="note-preview small mt-1">${result.snippet}</div>
+      `;
+  updateNoteTime(div.querySelector('.note-date'));
+  return div;
+}
+
+/**
+ * Shows either the search results or the notes list in the sidebar.
+ *
+ * @param {boolean} showResults - Whether to show the search results.
+ */
+function toggleSearchResults(showResults) {
+  elements.searchResults.classList.toggle('d-none', !showResults);
+  elements.notesList.classList.toggle('d-none', showResults);
+  if (elements.loadMoreButton && elements.loadMoreButton.parentNode) {
+    elements.loadMoreButton.parentNode.classList.toggle('d-none', showResults);
+  }
+}
+
+/**
+ * Searches the notes and displays the results in the sidebar.
+ * Results of a query that is no longer in the search box are discarded.
+ *
+ * @param {string} query - The search query.
+ * @returns {Promise<void>} A promise that resolves when the results are displayed.
+ */
+async function searchNotes(query) {
+  try {
+    const response = await fetch(`/notes/search?q=${encodeURIComponent(query)}`, {
+      headers: {
+        Accept: 'application/json',
+      },
+    });
+    if (!response.ok) throw new Error('Failed to search notes');
+    const { results } = await response.json();
+    if (elements.searchInput.value.trim() !== query) return;
+
+    elements.searchResults.textContent = '';
+    if (results.length === 0) {
+      elements.searchResults.innerHTML = '<div class="list-group-item py-3 text-muted">No matching notes</div>';
+    }
+    results.forEach((result) => {
+      elements.searchResults.appendChild(createSearchResultElement(result));
+    });
+    highlightSelectedNoteItem(currentNoteId);
+    toggleSearchResults(true);
+  } catch (error) {
+    console.error('Error searching notes:', error);
+  }
+}
+
+/**
+ * Handles input in the search box, searching once typing pauses.
+ * Clearing the search box shows the notes list again.
+ */
+function handleSearchInput() {
+  clearTimeout(searchTimer);
+  const query = elements.searchInput.value.trim();
+  if (!query) {
+    elements.searchResults.textContent = '';
+    toggleSearchResults(false);
+    return;
+  }
+  searchTimer = setTimeout(() => searchNotes(query), SEARCH_DELAY);
+}
+
 /**
  * Closes the sidebar if it is currently open.
  */
@@ -167,15 +285,592 @@ function updateDocumentTitle(title) {
   document.title = title ? `${title} - Anchor` : 'Anchor';
 }
 
+/**
+ * Gets the role of the current user on a note: `owner`, `editor` or `viewer`.
+ * Notes from the server say so themselves; for notes received over the socket,
+ * the role is read from the owner and collaborators of the note.
+ *
+ * @param {Object} note - The note.
+ * @returns {string|null} - The role, or null if the user has no access to the note.
+ */
+function getNoteRole(note) {
+  if (note.role) return note.role;
+  if (!note.user || String(note.user) === currentUserId) return 'owner';
+  const collaborator = (note.collaborators || [])
+    .find((entry) => String(entry.user) === currentUserId);
+  return collaborator ? collaborator.role : null;
+}
+
+/**
+ * Checks whether a note belongs to another user who shared it with the current user.
+ *
+ * @param {Object} note - The note.
+ * @returns {boolean} - True if the note is shared with the current user.
+ */
+function isSharedNote(note) {
+  return Boolean(note.user) && String(note.user) !== currentUserId;
+}
+
+/**
+ * Adapts the editor to the role of the current user on the open note:
+ * viewers get a read-only editor, and only owners can file and share the note.
+ *
+ * @param {string} role - The role of the user on the note.
+ */
+function applyNoteRole(role) {
+  currentNoteRole = role;
+  const readOnly = role === 'viewer';
+  elements.noteTitle.readOnly = readOnly;
+  elements.noteTags.readOnly = readOnly;
+  elements.saveNoteButton.classList.toggle('d-none', readOnly);
+  simpleMDE.codemirror.setOption('readOnly', readOnly);
+  elements.noteNotebook.disabled = role !== 'owner';
+  elements.shareNoteButton.disabled = role !== 'owner';
+}
+
+/**
+ * Shows the other people editing the open note, in the color of their cursor.
+ *
+ * @param {Object[]} users - The `name` and `color` of every other person.
+ */
+function renderCollabPresence(users) {
+  const container = elements.collabPresence;
+  if (!container) return;
+  container.textContent = '';
+  container.classList.toggle('d-none', users.length === 0);
+  if (users.length === 0) return;
+
+  const label = document.createElement('span');
+  label.className = 'text-muted';
+  label.textContent = 'Also editing:';
+  container.appendChild(label);
+  users.forEach((user) => {
+    const badge = document.createElement('span');
+    badge.className = 'badge collab-user';
+    badge.style.backgroundColor = user.color;
+    badge.textContent = user.name;
+    container.appendChild(badge);
+  });
+}
+
+/**
+ * Checks whether a note was created offline and is not on the server yet.
+ *
+ * @param {string|null} noteId - The ID of the note.
+ * @returns {boolean} - True for the temporary ID of a note created offline.
+ */
+function isLocalNoteId(noteId) {
+  return typeof noteId === 'string' && noteId.startsWith(LOCAL_NOTE_PREFIX);
+}
+
+/**
+ * Creates the temporary ID of a note created offline, replaced by its server ID once synced.
+ *
+ * @returns {string} - The temporary ID.
+ */
+function createLocalNoteId() {
+  const random = Math.random().toString(36).slice(2, 10);
+  return `${LOCAL_NOTE_PREFIX}${Date.now().toString(36)}-${random}`;
+}
+
+/**
+ * Opens the IndexedDB database keeping the notes of the current user for offline use.
+ * It has a `notes` store with the last known copy of every note, a `mutations` store with the
+ * changes made offline, in the order they are sent, and a `meta` store for the notebooks and
+ * tags. Every user has their own database.
+ *
+ * @returns {Promise<IDBDatabase|null>} - The database, or null if IndexedDB is unavailable.
+ */
+function openOfflineDb() {
+  if (!offlineDb) {
+    offlineDb = new Promise((resolve) => {
+      if (!window.indexedDB || !currentUserId) {
+        resolve(null);
+        return;
+      }
+      const request = window.indexedDB.open(`anchor-offline-${currentUserId}`, OFFLINE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('notes', { keyPath: '_id' });
+        db.createObjectStore('mutations', { keyPath: 'id', autoIncrement: true })
+          .createIndex('noteId', 'noteId');
+        db.createObjectStore('meta', { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Error opening the offline database:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return offlineDb;
+}
+
+/**
+ * Runs a transaction on the offline database.
+ *
+ * @param {string[]} storeNames - The names of the stores used.
+ * @param {string} mode - Either 'readonly' or 'readwrite'.
+ * @param {Function} callback - Makes the requests, given the stores by name and a function
+ * setting the result of the transaction.
+ * @returns {Promise<*>} - The result once the transaction completes, or null without a database.
+ */
+async function runOfflineTransaction(storeNames, mode, callback) {
+  const db = await openOfflineDb();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const stores = {};
+    let result = null;
+    storeNames.forEach((name) => {
+      stores[name] = transaction.objectStore(name);
+    });
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+    callback(stores, (value) => {
+      result = value;
+    });
+  });
+}
+
+/**
+ * Calls a function with the result of an IndexedDB request once it succeeds.
+ *
+ * @param {IDBRequest} request - The request.
+ * @param {Function} callback - The function.
+ */
+function onRequestSuccess(request, callback) {
+  request.addEventListener('success', () => callback(request.result));
+}
+
+/**
+ * Keeps the copies of notes received from the server for offline use.
+ * Notes changed offline keep their local copy until the changes are synced.
+ *
+ * @param {Object[]} notes - The notes.
+ * @returns {Promise<void>} A promise that resolves when the notes are stored.
+ */
+async function cacheNotes(notes) {
+  try {
+    await runOfflineTransaction(['notes'], 'readwrite', (stores) => {
+      notes.forEach((note) => {
+        onRequestSuccess(stores.notes.get(note._id), (cached) => {
+          if (!cached || !cached.pending) {
+            stores.notes.put({ ...cached, ...note, pending: false });
+          }
+        });
+      });
+    });
+  } catch (error) {
+    console.error('Error caching notes:', error);
+  }
+}
+
+/**
+ * Gets the offline copy of a note.
+ *
+ * @param {string} noteId - The ID of the note.
+ * @returns {Promise<Object|null>} - The note, or null if there is no copy.
+ */
+async function getCachedNote(noteId) {
+  const note = await runOfflineTransaction(['notes'], 'readonly', (stores, setResult) => {
+    onRequestSuccess(stores.notes.get(noteId), setResult);
+  });
+  return note || null;
+}
+
+/**
+ * Gets the offline copies of all notes, most recently updated first.
+ *
+ * @returns {Promise<Object[]>} - The notes.
+ */
+async function getCachedNotes() {
+  const notes = await runOfflineTransaction(['notes'], 'readonly', (stores, setResult) => {
+    onRequestSuccess(stores.notes.getAll(), setResult);
+  });
+  return (notes || []).sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+/**
+ * Forgets the offline copy of a note and the changes queued for it.
+ *
+ * @param {string} noteId - The ID of the note.
+ * @returns {Promise<void>} A promise that resolves when the note is forgotten.
+ */
+async function removeCachedNote(noteId) {
+  try {
+    await runOfflineTransaction(['notes', 'mutations'], 'readwrite', (stores) => {
+      stores.notes.delete(noteId);
+      onRequestSuccess(stores.mutations.index('noteId').getAllKeys(noteId), (keys) => {
+        keys.forEach((key) => stores.mutations.delete(key));
+      });
+    });
+  } catch (error) {
+    console.error('Error removing offline note:', error);
+  }
+}
+
+/**
+ * Queues a change made offline to a note, and applies it to the offline copy of the note.
+ * Successive edits of a note are merged into one queued change, which keeps the `updatedAt`
+ * of the server copy it is based on. Deleting a note created offline drops it altogether.
+ *
+ * @param {string} type - Either 'save' or 'delete'.
+ * @param {string} noteId - The ID of the note.
+ * @param {Object} [fields={}] - The title, content, tags and notebook saved.
+ * @returns {Promise<Object|null>} - The offline copy of a saved note.
+ * @throws {Error} - If IndexedDB is unavailable.
+ */
+async function queueNoteChange(type, noteId, fields = {}) {
+  if (!await openOfflineDb()) throw new Error('Offline storage is unavailable');
+  const editedAt = new Date().toISOString();
+  return runOfflineTransaction(['notes', 'mutations'], 'readwrite', (stores, setResult) => {
+    onRequestSuccess(stores.notes.get(noteId), (cached) => {
+      onRequestSuccess(stores.mutations.index('noteId').getAll(noteId), ([queued]) => {
+        const mutation = queued || {
+          type: isLocalNoteId(noteId) ? 'create' : 'update',
+          noteId,
+          note: {},
+          baseUpdatedAt: cached ? cached.updatedAt : null,
+        };
+        if (type === 'delete') {
+          stores.notes.delete(noteId);
+          if (mutation.type === 'create') {
+            if (queued) stores.mutations.delete(queued.id);
+          } else {
+            stores.mutations.put({ ...mutation, type: 'delete', editedAt });
+          }
+          return;
+        }
+        const note = {
+          ...cached, ...fields, _id: noteId, updatedAt: editedAt, pending: true,
+        };
+        stores.notes.put(note);
+        stores.mutations.put({ ...mutation, note: { ...mutation.note, ...fields }, editedAt });
+        setResult(note);
+      });
+    });
+  });
+}
+
+/**
+ * Gets the changes made offline, in the order they were first made.
+ *
+ * @returns {Promise<Object[]>} - The queued changes.
+ */
+async function getQueuedChanges() {
+  const mutations = await runOfflineTransaction(['mutations'], 'readonly', (stores, setResult) => {
+    onRequestSuccess(stores.mutations.getAll(), setResult);
+  });
+  return mutations || [];
+}
+
+/**
+ * Counts the changes made offline, for one note or for all of them.
+ *
+ * @param {string} [noteId] - The ID of the note.
+ * @returns {Promise<number>} - The number of queued changes.
+ */
+async function countQueuedChanges(noteId) {
+  try {
+    const count = await runOfflineTransaction(['mutations'], 'readonly', (stores, setResult) => {
+      const request = noteId
+        ? stores.mutations.index('noteId').count(noteId)
+        : stores.mutations.count();
+      onRequestSuccess(request, setResult);
+    });
+    return count || 0;
+  } catch (error) {
+    console.error('Error counting offline changes:', error);
+    return 0;
+  }
+}
+
+/**
+ * Records that a queued change was sent, storing the resulting server copy of the note.
+ * If the note was edited again while the change was being sent, the new edit stays queued,
+ * based on that server copy.
+ *
+ * @param {Object} mutation - The change that was sent.
+ * @param {Object|null} note - The server copy of the note, or null if it is gone.
+ * @returns {Promise<void>} A promise that resolves when the change is recorded.
+ */
+function finishQueuedChange(mutation, note) {
+  return runOfflineTransaction(['notes', 'mutations'], 'readwrite', (stores) => {
+    onRequestSuccess(stores.mutations.get(mutation.id), (queued) => {
+      if (queued && queued.editedAt !== mutation.editedAt && note) {
+        stores.mutations.put({
+          ...queued,
+          type: queued.type === 'delete' ? 'delete' : 'update',
+          noteId: note._id,
+          baseUpdatedAt: note.updatedAt,
+        });
+        onRequestSuccess(stores.notes.get(mutation.noteId), (cached) => {
+          stores.notes.delete(mutation.noteId);
+          if (cached) stores.notes.put({ ...cached, _id: note._id });
+        });
+        return;
+      }
+      stores.mutations.delete(mutation.id);
+      stores.notes.delete(mutation.noteId);
+      if (note) stores.notes.put({ ...note, pending: false });
+    });
+  });
+}
+
+/**
+ * Gets a value kept for offline use, such as the notebooks or the tags.
+ *
+ * @param {string} key - The key of the value.
+ * @returns {Promise<*>} - The value, or null if there is none.
+ */
+async function getOfflineValue(key) {
+  try {
+    const record = await runOfflineTransaction(['meta'], 'readonly', (stores, setResult) => {
+      onRequestSuccess(stores.meta.get(key), setResult);
+    });
+    return record ? record.value : null;
+  } catch (error) {
+    console.error('Error reading offline data:', error);
+    return null;
+  }
+}
+
+/**
+ * Keeps a value for offline use, such as the notebooks or the tags.
+ *
+ * @param {string} key - The key of the value.
+ * @param {*} value - The value.
+ * @returns {Promise<void>} A promise that resolves when the value is stored.
+ */
+async function setOfflineValue(key, value) {
+  try {
+    await runOfflineTransaction(['meta'], 'readwrite', (stores) => {
+      stores.meta.put({ key, value });
+    });
+  } catch (error) {
+    console.error('Error storing offline data:', error);
+  }
+}
+
+/**
+ * Deletes the offline database of the current user, e.g. when they log out.
+ *
+ * @returns {Promise<void>} A promise that resolves when the database is deleted.
+ */
+async function clearOfflineData() {
+  const db = await openOfflineDb();
+  if (!db) return;
+  db.close();
+  offlineDb = null;
+  await new Promise((resolve) => {
+    const request = window.indexedDB.deleteDatabase(db.name);
+    request.onsuccess = resolve;
+    request.onerror = resolve;
+    request.onblocked = resolve;
+  });
+}
+
+/**
+ * Shows whether the app is online, offline or syncing, along with the number of changes
+ * waiting to be synced.
+ *
+ * @returns {Promise<void>} A promise that resolves when the status is shown.
+ */
+async function renderSyncStatus() {
+  if (!elements.syncStatus) return;
+  const pending = await countQueuedChanges();
+  const unsynced = pending === 1 ? '1 unsynced change' : `${pending} unsynced changes`;
+  let status = { label: 'Online', className: 'text-bg-success', icon: 'fa-cloud' };
+  if (!isOnline) {
+    status = {
+      label: pending ? `Offline · ${unsynced}` : 'Offline',
+      className: 'text-bg-secondary',
+      icon: 'fa-plug-circle-xmark',
+    };
+  } else if (isSyncing) {
+    status = { label: 'Syncing…', className: 'text-bg-info', icon: 'fa-rotate fa-spin' };
+  } else if (pending) {
+    status = { label: unsynced, className: 'text-bg-warning', icon: 'fa-cloud-arrow-up' };
+  }
+  elements.syncStatus.className = `badge ${status.className}`;
+  elements.syncStatus.innerHTML = `<i class="fa-solid ${status.icon} fa-fw"></i> `;
+  elements.syncStatus.append(status.label);
+}
+
+/**
+ * Records whether the server can be reached, and shows it.
+ *
+ * @param {boolean} online - Whether the server can be reached.
+ */
+function setOnlineStatus(online) {
+  if (isOnline === online) return;
+  isOnline = online;
+  renderSyncStatus();
+}
+
+/**
+ * Sends a request to the server, noting whether it could be reached.
+ *
+ * @param {string} url - The URL of the request.
+ * @param {Object} options - The options of `fetch`.
+ * @returns {Promise<Response>} - The response.
+ * @throws {Error} - With `offline` set, if the server could not be reached.
+ */
+async function requestServer(url, options) {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    setOnlineStatus(false);
+    const offlineError = new Error('The server cannot be reached');
+    offlineError.offline = true;
+    throw offlineError;
+  }
+  setOnlineStatus(true);
+  return response;
+}
+
+/**
+ * Checks whether the open note is edited collaboratively, in which case
+ * its content is saved by the server rather than by the autosave.
+ *
+ * @returns {boolean} - True if the open note is edited collaboratively.
+ */
+function isCollaborating() {
+  return Boolean(collabSession) && collabSession.noteId === currentNoteId;
+}
+
+/**
+ * Stops editing the open note collaboratively, if it was.
+ */
+function leaveCollabSession() {
+  if (!collabSession) return;
+  collabSession.destroy();
+  collabSession = null;
+}
+
+/**
+ * Starts editing a saved note collaboratively with the other tabs and people who have it open,
+ * unless it already is. Without a socket connection, the note is only saved through the API,
+ * and a note created offline only once it is synced.
+ *
+ * @param {string} noteId - The ID of the note.
+ */
+function joinCollabSession(noteId) {
+  if (collabSession && collabSession.noteId === noteId) return;
+  leaveCollabSession();
+  if (!socket || !socket.connected || typeof AnchorCollab === 'undefined') return;
+  if (isLocalNoteId(noteId)) return;
+
+  const session = AnchorCollab.createCollabSession({
+    socket,
+    noteId,
+    codemirror: simpleMDE.codemirror,
+    user: { name: currentUserName, color: AnchorCollab.getUserColor(currentUserId) },
+    onPresence: renderCollabPresence,
+    onClose: (error) => {
+      console.error('Error joining collaborative note:', error);
+      if (collabSession === session) collabSession = null;
+    },
+  });
+  collabSession = session;
+}
+
+/**
+ * Normalizes a title the way wiki links match titles: ignoring case and extra spaces.
+ *
+ * @param {string} title - The title.
+ * @returns {string} - The normalized title.
+ */
+function normalizeWikiTitle(title) {
+  return (title || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Creates a list item for a note linking to the open note.
+ *
+ * @param {Object} note - The linking note, with its `_id`, `title` and `updatedAt`.
+ * @returns {HTMLElement} - The created list item.
+ */
+function createBacklinkElement(note) {
+  const link = document.createElement('a');
+  link.href = `/notes/${note._id}`;
+  link.className = 'list-group-item list-group-item-action px-0 py-2 lh-sm backlink';
+  link.dataset.noteId = note._id;
+  link.innerHTML = `
+        <div class="d-flex justify-content-between align-items-center gap-2">
+          <strong class="note-title text-truncate"></strong>
+          <small class="text-nowrap text-muted note-date" datetime="${note.updatedAt}"></small>
+        </div>
+      `;
+  link.querySelector('.note-title').textContent = note.title || 'Untitled';
+  updateNoteTime(link.querySelector('.note-date'));
+  return link;
+}
+
+/**
+ * Hides the backlinks of the previously open note.
+ */
+function clearBacklinks() {
+  backlinksKey = null;
+  if (!elements.backlinksPanel) return;
+  elements.backlinksList.textContent = '';
+  elements.backlinksPanel.classList.add('d-none');
+}
+
+/**
+ * Fetches the notes linking to a note with wiki links and lists them under the editor.
+ * The list is hidden when no note links to it, and for notes not saved on the server yet.
+ * The backlinks are fetched again when another note is opened or the open note is renamed,
+ * rather than on every update of the note.
+ *
+ * @param {Object} note - The open note.
+ * @returns {Promise<void>} A promise that resolves when the backlinks are displayed.
+ */
+async function loadBacklinks(note) {
+  if (!elements.backlinksPanel) return;
+  const key = `${note._id} ${normalizeWikiTitle(note.title)}`;
+  if (key === backlinksKey) return;
+  clearBacklinks();
+  if (note.pending || isLocalNoteId(note._id)) return;
+
+  backlinksKey = key;
+  try {
+    const response = await requestServer(`/notes/${note._id}/backlinks`, {
+      headers: {
+        Accept: 'application/json',
+      },
+    });
+    if (!response.ok) throw new Error('Failed to load backlinks');
+    const { backlinks } = await response.json();
+    if (backlinksKey !== key) return;
+    backlinks.forEach((backlink) => {
+      elements.backlinksList.appendChild(createBacklinkElement(backlink));
+    });
+    elements.backlinksPanel.classList.toggle('d-none', backlinks.length === 0);
+  } catch (error) {
+    if (backlinksKey === key) backlinksKey = null;
+    if (!error.offline) console.error('Error loading backlinks:', error);
+  }
+}
+
 /**
  * Resets the note editor by clearing the current note, title, content, and other related properties.
  */
 function resetNoteEditor() {
+  leaveCollabSession();
   currentNoteId = null;
+  currentNoteVersion = null;
   elements.noteTitle.value = '';
+  elements.noteTags.value = '';
+  elements.noteNotebook.value = selectedNotebookId === 'none' ? '' : selectedNotebookId;
   simpleMDE.value('');
   highlightSelectedNoteItem(null);
   updateDocumentTitle('');
+  applyNoteRole('owner');
+  clearBacklinks();
   hasUnsavedChanges = false;
 }
 
@@ -229,6 +924,63 @@ function showAlert(message) {
   window.alert(message);
 }
 
+/**
+ * Parses the comma-separated value of the tags input.
+ *
+ * @param {string} value - The value of the tags input.
+ * @returns {string[]} The tags.
+ */
+function parseTags(value) {
+  return value.split(',').map((tag) => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Renders the tags of the user in the sidebar tag browser.
+ * Selected tags are highlighted.
+ *
+ * @param {Object[]} tags - The tags, each with a name and a count.
+ */
+function renderTagBrowser(tags) {
+  elements.tagList.textContent = '';
+  tags.forEach((tag) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `btn btn-sm ${selectedTags.includes(tag.name) ? 'btn-secondary' : 'btn-outline-secondary'}`;
+    button.dataset.tag = tag.name;
+    button.textContent = `#${tag.name} `;
+    const count = document.createElement('span');
+    count.className = 'badge text-bg-light';
+    count.textContent = tag.count;
+    button.appendChild(count);
+    elements.tagList.appendChild(button);
+  });
+  elements.tagBrowser.classList.toggle('d-none', tags.length === 0);
+}
+
+/**
+ * Fetches the tags of the user and displays them in the sidebar tag browser.
+ * Offline, the tags last fetched are displayed.
+ * @returns {Promise<void>} A promise that resolves when the tags are displayed.
+ */
+async function loadTags() {
+  if (!elements.tagBrowser) return;
+  try {
+    const response = await fetch('/tags', {
+      headers: {
+        Accept: 'application/json',
+      },
+    });
+    if (!response.ok) throw new Error('Failed to load tags');
+    const { tags } = await response.json();
+    renderTagBrowser(tags);
+    setOfflineValue('tags', tags);
+  } catch (error) {
+    console.error('Error loading tags:', error);
+    const tags = await getOfflineValue('tags');
+    if (tags) renderTagBrowser(tags);
+  }
+}
+
 /**
  * Removes a note element from the list based on the provided note ID.
  *
@@ -241,31 +993,52 @@ function removeNoteFromList(noteId) {
 }
 
 /**
- * Deletes a note by its ID.
+ * Deletes a note on the server, moving it to the trash. Offline, or while the note has changes
+ * waiting to be synced, the deletion is queued to be sent after them.
  *
  * @param {string} id - The ID of the note to delete.
- * @returns {Promise<void>} - A promise that resolves when the note is deleted.
+ * @returns {Promise<void>} - A promise that resolves once the note is deleted or queued.
+ * @throws {Error} - If the server refuses the deletion.
  */
-async function deleteNoteById(id) {
-  if (!showConfirm('Are you sure you want to delete this note?')) return;
+async function sendNoteDeletion(id) {
+  if (isOnline && !isLocalNoteId(id) && !(await countQueuedChanges(id))) {
+    try {
+      const response = await requestServer(`/notes/${id}`, {
+        method: 'DELETE',
+        headers: {
+          Accept: 'application/json',
+          'X-CSRF-Token': csrfToken,
+          'X-Socket-Id': socket.id || '',
+        },
+      });
+      if (!response.ok) throw new Error('Failed to delete note');
+      await removeCachedNote(id);
+      return;
+    } catch (error) {
+      if (!error.offline) throw error;
+    }
+  }
+  await queueNoteChange('delete', id);
+  renderSyncStatus();
+}
 
+/**
+ * Deletes a note by its ID, moving it to the trash.
+ *
+ * @param {string} id - The ID of the note to delete.
+ * @returns {Promise<void>} - A promise that resolves when the note is deleted.
+ */
+async function deleteNoteById(id) {
   const deleteButton = document.querySelector(`[data-note-id="${id}"] .delete-note`);
   toggleButtonState(deleteButton, true);
 
   try {
-    const response = await fetch(`/notes/${id}`, {
-      method: 'DELETE',
-      headers: {
-        Accept: 'application/json',
-      },
-    });
-    if (!response.ok) throw new Error('Failed to delete note');
+    await sendNoteDeletion(id);
 
     const wasCurrentNote = currentNoteId === id;
 
     removeNoteFromList(id);
-
-    socket.emit('note-deleted', id);
+    loadTags();
 
     if (wasCurrentNote) {
       resetNoteEditor();
@@ -280,26 +1053,58 @@ async function deleteNoteById(id) {
 }
 
 /**
- * Displays the details of a note.
+ * Displays the details of a note and starts editing it collaboratively.
+ * While the note is already edited collaboratively, its content is left to the shared document.
+ * An offline copy with changes waiting to be synced is edited alone until they are.
  *
  * @param {Object} note - The note object containing the details.
  */
 function displayNoteDetails(note) {
+  if (!collabSession || collabSession.noteId !== note._id) {
+    leaveCollabSession();
+    simpleMDE.value(note.content || '');
+  }
   currentNoteId = note._id;
+  currentNoteVersion = note.version;
   elements.noteTitle.value = note.title || '';
-  simpleMDE.value(note.content || '');
+  elements.noteTags.value = (note.tags || []).join(', ');
+  elements.noteNotebook.value = note.notebook || '';
+  applyNoteRole(getNoteRole(note));
   highlightSelectedNoteItem(note._id);
   updateDocumentTitle(note.title);
   hasUnsavedChanges = false;
+  if (!note.pending) joinCollabSession(note._id);
+  loadBacklinks(note);
+}
+
+/**
+ * Lists the offline copies of the notes, filtered by the selected tags and notebook
+ * like the server does.
+ * @returns {Promise<void>} A promise that resolves when the notes are added.
+ */
+async function showCachedNotes() {
+  const notes = await getCachedNotes();
+  notes.filter((note) => {
+    const noteTags = note.tags || [];
+    if (!selectedTags.every((tag) => noteTags.includes(tag))) return false;
+    if (selectedNotebookId === 'none') return !note.notebook;
+    return !selectedNotebookId || note.notebook === selectedNotebookId;
+  }).forEach((note) => addNoteToList(note, false, false));
+  if (elements.loadMoreButton && elements.loadMoreButton.parentNode) {
+    elements.loadMoreButton.parentNode.style.display = 'none';
+  }
 }
 
 /**
- * Fetches notes from the server and adds them to the list.
+ * Fetches notes from the server and adds them to the list, keeping them for offline use.
+ * Offline, the notes kept are listed instead.
  * @returns {Promise<void>} A promise that resolves when the notes are fetched and added successfully.
  */
 async function fetchNotes() {
   try {
-    const response = await fetch(`/notes?page=${page}&limit=${NOTES_PER_PAGE}`, {
+    const tags = encodeURIComponent(selectedTags.join(','));
+    const query = `page=${page}&limit=${NOTES_PER_PAGE}&tags=${tags}&notebook=${selectedNotebookId}`;
+    const response = await requestServer(`/notes?${query}`, {
       headers: {
         Accept: 'application/json',
       },
@@ -307,10 +1112,15 @@ async function fetchNotes() {
     if (!response.ok) throw new Error('Failed to load notes');
     const data = await response.json();
     data.notes.forEach((note) => addNoteToList(note, false, false));
+    cacheNotes(data.notes);
     if (elements.loadMoreButton && elements.loadMoreButton.parentNode) {
       elements.loadMoreButton.parentNode.style.display = data.hasMore ? 'block' : 'none';
     }
   } catch (error) {
+    if (error.offline) {
+      await showCachedNotes();
+      return;
+    }
     console.error('Error loading notes:', error);
     showAlert('Failed to load notes. Please try again.');
   }
@@ -326,6 +1136,68 @@ function getNoteIdFromUrl() {
   return noteIdMatch ? noteIdMatch[1] : null;
 }
 
+/**
+ * Creates the list item of a note shared with the current user, showing its owner and role.
+ *
+ * @param {Object} note - The shared note, with its `owner` username and the `role` of the user.
+ * @returns {HTMLElement} - The created list item.
+ */
+function createSharedNoteElement(note) {
+  const div = document.createElement('div');
+  div.className = 'list-group-item list-group-item-action px-0 py-2 lh-sm';
+  div.dataset.sharedNoteId = note._id;
+  div.innerHTML = `
+        <div class="d-flex justify-content-between align-items-center gap-2">
+          <a href="/notes/${note._id}" class="shared-note-link text-decoration-none stretched-link text-truncate">
+            <strong class="note-title"></strong>
+            <div class="small text-muted shared-note-details"></div>
+          </a>
+          <button type="button" class="btn btn-sm btn-link text-danger leave-shared-note position-relative z-1"
+            title="Leave">
+            <i class="fas fa-right-from-bracket fa-fw"></i>
+          </button>
+        </div>
+      `;
+  div.querySelector('.note-title').textContent = note.title || 'Untitled';
+  div.querySelector('.shared-note-details').textContent = `${note.owner} · ${note.role}`;
+  return div;
+}
+
+/**
+ * Fetches the notes shared with the current user and displays them in the sidebar.
+ * The section is hidden when nothing is shared.
+ * @returns {Promise<void>} A promise that resolves when the shared notes are displayed.
+ */
+async function loadSharedNotes() {
+  if (!elements.sharedNotesList) return;
+  try {
+    const response = await fetch('/notes/shared', {
+      headers: {
+        Accept: 'application/json',
+      },
+    });
+    if (!response.ok) throw new Error('Failed to load shared notes');
+    const { notes } = await response.json();
+    elements.sharedNotesList.textContent = '';
+    notes.forEach((note) => elements.sharedNotesList.appendChild(createSharedNoteElement(note)));
+    elements.sharedNotesBrowser.classList.toggle('d-none', notes.length === 0);
+  } catch (error) {
+    console.error('Error loading shared notes:', error);
+  }
+}
+
+/**
+ * Removes a note from the list of notes shared with the current user.
+ *
+ * @param {string} noteId - The ID of the note.
+ */
+function removeSharedNoteFromList(noteId) {
+  if (!elements.sharedNotesList) return;
+  const item = elements.sharedNotesList.querySelector(`[data-shared-note-id="${noteId}"]`);
+  if (item) item.remove();
+  elements.sharedNotesBrowser.classList.toggle('d-none', !elements.sharedNotesList.hasChildNodes());
+}
+
 /**
  * Handles the deletion of a note.
  *
@@ -333,6 +1205,8 @@ function getNoteIdFromUrl() {
  */
 function handleNoteDeletion(noteId) {
   removeNoteFromList(noteId);
+  removeCachedNote(noteId);
+  removeSharedNoteFromList(noteId);
   if (noteId === currentNoteId) {
     resetNoteEditor();
     window.history.pushState({ noteId: null }, '', '/notes');
@@ -357,10 +1231,327 @@ function updateNoteInList(note) {
   sortNotesList();
 }
 
+/**
+ * Shows the conflict dialog comparing the local edit with the note saved on the server.
+ * The merged result starts out as the local edit.
+ *
+ * @param {Object} localNote - The local title and content that failed to save.
+ * @param {Object} serverNote - The current server copy of the note.
+ */
+function showConflictDialog(localNote, serverNote) {
+  conflictingNote = serverNote;
+  elements.conflictLocalTitle.value = localNote.title;
+  elements.conflictLocalContent.value = localNote.content;
+  elements.conflictServerTitle.value = serverNote.title || '';
+  elements.conflictServerContent.value = serverNote.content || '';
+  elements.conflictMergedTitle.value = localNote.title;
+  elements.conflictMergedContent.value = localNote.content;
+  bootstrap.Modal.getOrCreateInstance(elements.conflictModal).show();
+}
+
+/**
+ * Copies one side of the conflict dialog into the merged result.
+ *
+ * @param {string} side - Either 'local' or 'server'.
+ */
+function useConflictVersion(side) {
+  const titleElement = side === 'local' ? elements.conflictLocalTitle : elements.conflictServerTitle;
+  const contentElement = side === 'local' ? elements.conflictLocalContent : elements.conflictServerContent;
+  elements.conflictMergedTitle.value = titleElement.value;
+  elements.conflictMergedContent.value = contentElement.value;
+}
+
+/**
+ * Saves the current note offline, queuing the change to be synced once the server can be
+ * reached. A new note gets a temporary ID until then.
+ *
+ * @param {string} title - The title of the note.
+ * @param {string} content - The content of the note.
+ * @param {string} tags - The tags of the note, as typed.
+ * @returns {Promise<void>} A promise that resolves when the change is queued.
+ */
+async function saveNoteOffline(title, content, tags) {
+  try {
+    const note = await queueNoteChange('save', currentNoteId || createLocalNoteId(), {
+      title,
+      content,
+      tags: parseTags(tags),
+      notebook: elements.noteNotebook.value || null,
+    });
+    updateNoteInList(note);
+    currentNoteId = note._id;
+    highlightSelectedNoteItem(note._id);
+    updateDocumentTitle(note.title);
+    hasUnsavedChanges = elements.noteTitle.value.trim() !== title
+      || simpleMDE.value().trim() !== content
+      || elements.noteTags.value !== tags;
+  } catch (error) {
+    console.error('Error saving note offline:', error);
+    showAlert('Failed to save note offline. Please try again once you are online.');
+  }
+  renderSyncStatus();
+}
+
+/**
+ * Sends a queued change of a note to the server.
+ *
+ * @param {string} url - The URL of the note.
+ * @param {string} method - The HTTP method.
+ * @param {Object} [note] - The title, content, tags and notebook of the note.
+ * @param {number} [version] - The version of the server copy the change is based on.
+ * @returns {Promise<Response>} - The response.
+ * @throws {Error} - With `offline` set, if the server could not be reached.
+ */
+function sendNoteChange(url, method, note, version) {
+  const headers = {
+    'Content-Type': 'application/json',
+    Accept: 'application/json',
+    'X-Socket-Id': socket.id || '',
+    'X-CSRF-Token': csrfToken,
+  };
+  if (version !== null && version !== undefined) {
+    headers['If-Match'] = `"${version}"`;
+  }
+  return requestServer(url, {
+    method,
+    headers,
+    body: note ? JSON.stringify(note) : undefined,
+  });
+}
+
+/**
+ * Shows a synced note in the list, in place of its offline copy. If it is the open note,
+ * the editor carries on from the server copy, under its server ID.
+ *
+ * @param {Object} note - The server copy of the note.
+ * @param {string} localId - The ID of the offline copy.
+ */
+function applySyncedNote(note, localId) {
+  if (localId !== note._id) removeNoteFromList(localId);
+  updateNoteInList(note);
+  if (currentNoteId !== localId) return;
+  currentNoteId = note._id;
+  currentNoteVersion = note.version;
+  highlightSelectedNoteItem(note._id);
+  if (localId !== note._id) {
+    window.history.replaceState({ noteId: note._id }, '', `/notes/${note._id}`);
+  }
+}
+
+/**
+ * Drops a queued change the server refused, e.g. because the note is no longer editable,
+ * and tells the user. Server errors leave the change queued to be tried again.
+ *
+ * @param {Object} mutation - The queued change.
+ * @param {Response} response - The response refusing it.
+ * @param {Object|null} [serverNote=null] - The server copy of the note, if it still exists.
+ * @returns {Promise<void>} A promise that resolves when the change is dropped.
+ * @throws {Error} - If the server failed to handle the change.
+ */
+async function dropRejectedChange(mutation, response, serverNote = null) {
+  if (response.status >= 500) throw new Error('Failed to sync offline changes');
+  const { error } = await response.json().catch(() => ({}));
+  const title = (mutation.note && mutation.note.title) || 'Untitled';
+  showAlert(`Your offline changes to "${title}" could not be synced: ${error || response.statusText}`);
+  await finishQueuedChange(mutation, serverNote);
+  if (serverNote) {
+    applySyncedNote(serverNote, mutation.noteId);
+  } else {
+    removeNoteFromList(mutation.noteId);
+  }
+}
+
+/**
+ * Creates a note on the server from a queued change.
+ *
+ * @param {Object} mutation - The queued change.
+ * @param {Object} note - The title, content, tags and notebook of the note.
+ * @returns {Promise<void>} A promise that resolves when the note is created.
+ */
+async function createSyncedNote(mutation, note) {
+  const response = await sendNoteChange('/notes', 'POST', note);
+  if (!response.ok) {
+    await dropRejectedChange(mutation, response);
+    return;
+  }
+  const created = await response.json();
+  await finishQueuedChange(mutation, created);
+  applySyncedNote(created, mutation.noteId);
+}
+
+/**
+ * Reconciles an offline edit with a server copy of the note that changed in the meantime.
+ * Identical edits need nothing more. If the note is open, the conflict dialog lets the user
+ * merge both. Otherwise the most recent edit wins: an offline edit made after the server copy
+ * was updated is saved over it, and an older one is kept as a copy of the note.
+ *
+ * @param {Object} mutation - The queued change.
+ * @param {Object} serverNote - The server copy of the note.
+ * @returns {Promise<void>} A promise that resolves when the edit is reconciled.
+ * @throws {Error} - If the note changed again while reconciling.
+ */
+async function reconcileOfflineEdit(mutation, serverNote) {
+  const local = mutation.note;
+  if ((local.title || '') === (serverNote.title || '')
+    && (local.content || '') === (serverNote.content || '')) {
+    await finishQueuedChange(mutation, serverNote);
+    applySyncedNote(serverNote, mutation.noteId);
+    return;
+  }
+  if (mutation.noteId === currentNoteId) {
+    await finishQueuedChange(mutation, serverNote);
+    applySyncedNote(serverNote, mutation.noteId);
+    hasUnsavedChanges = true;
+    showConflictDialog({ title: local.title || '', content: local.content || '' }, serverNote);
+    return;
+  }
+  if (new Date(mutation.editedAt) > new Date(serverNote.updatedAt)) {
+    const url = `/notes/${serverNote._id}`;
+    const response = await sendNoteChange(url, 'PUT', local, serverNote.version);
+    if (response.status === 409) throw new Error('The note changed while syncing');
+    if (!response.ok) {
+      await dropRejectedChange(mutation, response, serverNote);
+      return;
+    }
+    const updated = await response.json();
+    await finishQueuedChange(mutation, updated);
+    applySyncedNote(updated, mutation.noteId);
+    return;
+  }
+  const title = `${(local.title || 'Untitled').slice(0, 185)} (offline copy)`;
+  const response = await sendNoteChange('/notes', 'POST', { ...local, title });
+  if (!response.ok) {
+    await dropRejectedChange(mutation, response, serverNote);
+    return;
+  }
+  const copy = await response.json();
+  await finishQueuedChange(mutation, serverNote);
+  applySyncedNote(serverNote, mutation.noteId);
+  addNoteToList(copy);
+  cacheNotes([copy]);
+}
+
+/**
+ * Sends a queued change to the server. A deletion is done once the note is gone, and a note
+ * created offline is created on the server. An edit is saved if the server copy it is based on
+ * is still current, reconciled with it if not, and recreated if the note was deleted.
+ *
+ * @param {Object} mutation - The queued change.
+ * @returns {Promise<void>} A promise that resolves when the change is synced or dropped.
+ * @throws {Error} - If the server could not be reached or failed, leaving the change queued.
+ */
+async function replayMutation(mutation) {
+  const { type, noteId, note } = mutation;
+  if (type === 'delete') {
+    const response = await sendNoteChange(`/notes/${noteId}`, 'DELETE');
+    if (!response.ok && response.status !== 404) {
+      await dropRejectedChange(mutation, response);
+      return;
+    }
+    await finishQueuedChange(mutation, null);
+    return;
+  }
+  if (type === 'create') {
+    await createSyncedNote(mutation, note);
+    return;
+  }
+
+  const current = await requestServer(`/notes/${noteId}`, {
+    headers: {
+      Accept: 'application/json',
+    },
+  });
+  if (current.status === 404) {
+    await createSyncedNote(mutation, note);
+    return;
+  }
+  if (!current.ok) {
+    await dropRejectedChange(mutation, current);
+    return;
+  }
+  const serverNote = await current.json();
+  if (mutation.baseUpdatedAt && new Date(serverNote.updatedAt) > new Date(mutation.baseUpdatedAt)) {
+    await reconcileOfflineEdit(mutation, serverNote);
+    return;
+  }
+  const response = await sendNoteChange(`/notes/${noteId}`, 'PUT', note, serverNote.version);
+  if (response.status === 409) {
+    await reconcileOfflineEdit(mutation, (await response.json()).note);
+    return;
+  }
+  if (!response.ok) {
+    await dropRejectedChange(mutation, response, serverNote);
+    return;
+  }
+  const updated = await response.json();
+  await finishQueuedChange(mutation, updated);
+  applySyncedNote(updated, noteId);
+}
+
+/**
+ * Runs a function while holding the sync lock, so that only one tab syncs at a time.
+ * Browsers without the Web Locks API run it straight away.
+ *
+ * @param {Function} callback - The function.
+ * @returns {Promise<*>} - The result of the function.
+ */
+function withSyncLock(callback) {
+  if (window.navigator.locks) {
+    return window.navigator.locks.request(`anchor-sync-${currentUserId}`, callback);
+  }
+  return callback();
+}
+
+/**
+ * Sends the changes made offline to the server, in the order they were made, and shows the
+ * progress. Syncing stops at the first change that cannot be sent, to be resumed later.
+ * Once the open note has no changes left to sync, it is edited collaboratively again.
+ *
+ * @returns {Promise<void>} A promise that resolves when the changes are synced.
+ */
+async function syncOfflineChanges() {
+  if (isSyncing || !isOnline) return;
+  isSyncing = true;
+  renderSyncStatus();
+  let synced = false;
+  try {
+    await withSyncLock(async () => {
+      const mutations = await getQueuedChanges();
+      await mutations.reduce(
+        (previous, mutation) => previous.then(() => replayMutation(mutation)),
+        Promise.resolve(),
+      );
+      synced = mutations.length > 0;
+    });
+  } catch (error) {
+    if (!error.offline) console.error('Error syncing offline changes:', error);
+  } finally {
+    isSyncing = false;
+  }
+  renderSyncStatus();
+  if (synced) {
+    loadTags();
+    if (await countQueuedChanges()) {
+      await syncOfflineChanges();
+      return;
+    }
+  }
+  if (currentNoteId && !hasUnsavedChanges && !conflictingNote
+    && !(await countQueuedChanges(currentNoteId))) {
+    joinCollabSession(currentNoteId);
+  }
+}
+
 /**
  * Saves the current note by sending a request to the server.
- * If the note already exists, it sends a PUT request to update the note.
+ * If the note already exists, it sends a PUT request to update the note,
+ * based on the version that was loaded. A 409 response opens the conflict dialog.
+ * While the note is edited collaboratively, the content is left out and no version is sent,
+ * since the server merges and saves the content itself.
  * If the note is new, it sends a POST request to create a new note.
+ * Offline, or while the note has changes waiting to be synced, the note is saved offline
+ * and synced later.
+ * Only one save runs at a time; edits made while saving are saved afterwards.
  * 
  * @async
  * @function saveCurrentNote
@@ -368,162 +1559,1762 @@ function updateNoteInList(note) {
  * @throws {Error} If the request to save the note fails.
  */
 async function saveCurrentNote() {
+  if (isSaving || conflictingNote || currentNoteRole === 'viewer') return;
+
   const title = elements.noteTitle.value.trim();
   const content = simpleMDE.value().trim();
+  const tags = elements.noteTags.value;
+  const collaborating = isCollaborating();
 
+  isSaving = true;
   toggleButtonState(elements.saveNoteButton, true);
+  if (!isOnline || isLocalNoteId(currentNoteId)
+    || (currentNoteId && await countQueuedChanges(currentNoteId))) {
+    await saveNoteOffline(title, content, tags);
+    isSaving = false;
+    toggleButtonState(elements.saveNoteButton, false);
+    syncOfflineChanges();
+    return;
+  }
   const method = currentNoteId ? 'PUT' : 'POST';
   const url = currentNoteId ? `/notes/${currentNoteId}` : '/notes';
+  const headers = {
+    'Content-Type': 'application/json',
+    Accept: 'application/json',
+    'X-Socket-Id': socket.id || '',
+    'X-CSRF-Token': csrfToken,
+  };
+  if (currentNoteId && !collaborating
+    && currentNoteVersion !== null && currentNoteVersion !== undefined) {
+    headers['If-Match'] = `"${currentNoteVersion}"`;
+  }
 
   try {
-    const response = await fetch(url, {
+    const response = await requestServer(url, {
       method,
-      headers: {
-        'Content-Type': 'application/json',
-        Accept: 'application/json',
-      },
-      body: JSON.stringify({ title, content }),
+      headers,
+      body: JSON.stringify({
+        title,
+        content: collaborating ? undefined : content,
+        tags: parseTags(tags),
+        notebook: elements.noteNotebook.value || null,
+      }),
     });
+    if (response.status === 409) {
+      const { note } = await response.json();
+      showConflictDialog({ title, content }, note);
+      return;
+    }
+    if (response.status === 400) {
+      const { error } = await response.json();
+      showAlert(`The note could not be saved: ${error}`);
+      return;
+    }
     if (!response.ok) throw new Error('Failed to save note');
     const note = await response.json();
     updateNoteInList(note);
-    socket.emit(currentNoteId ? 'note-updated' : 'note-created', note);
     currentNoteId = note._id;
+    currentNoteVersion = note.version;
     window.history.pushState({ noteId: note._id }, '', `/notes/${note._id}`);
     updateDocumentTitle(note.title);
-    hasUnsavedChanges = false;
+    hasUnsavedChanges = elements.noteTitle.value.trim() !== title
+      || (!collaborating && simpleMDE.value().trim() !== content)
+      || elements.noteTags.value !== tags;
+    if (!hasUnsavedChanges) {
+      elements.noteTags.value = note.tags.join(', ');
+      joinCollabSession(note._id);
+    }
     highlightSelectedNoteItem(note._id);
+    cacheNotes([note]);
+    loadTags();
+    loadBacklinks(note);
+  } catch (error) {
+    if (error.offline) {
+      await saveNoteOffline(title, content, tags);
+      return;
+    }
+    console.error('Error saving note:', error);
+    showAlert('Failed to save note. Please try again.');
+  } finally {
+    isSaving = false;
+    toggleButtonState(elements.saveNoteButton, false);
+  }
+}
+
+/**
+ * Saves the merged result of the conflict dialog on top of the current server copy.
+ * If the merged result is the server copy itself, it is displayed without saving.
+ *
+ * @returns {Promise<void>} A promise that resolves when the merged note is saved.
+ */
+async function saveMergedNote() {
+  const serverNote = conflictingNote;
+  const title = elements.conflictMergedTitle.value.trim();
+  const content = elements.conflictMergedContent.value.trim();
+  conflictingNote = null;
+  bootstrap.Modal.getOrCreateInstance(elements.conflictModal).hide();
+
+  if (title === (serverNote.title || '') && content === (serverNote.content || '')) {
+    updateNoteInList(serverNote);
+    displayNoteDetails(serverNote);
+    return;
+  }
+  elements.noteTitle.value = title;
+  simpleMDE.value(content);
+  currentNoteVersion = serverNote.version;
+  hasUnsavedChanges = true;
+  await saveCurrentNote();
+}
+
+/**
+ * Schedules an autosave timer to save the current note.
+ * If there are unsaved changes, it will call the saveCurrentNote function after a delay,
+ * and schedule another autosave if changes remain afterwards (e.g. a save was already running).
+ */
+function scheduleAutosave() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(() => {
+    if (hasUnsavedChanges) {
+      saveCurrentNote().then(() => {
+        if (hasUnsavedChanges && !conflictingNote) scheduleAutosave();
+      });
+    }
+  }, AUTOSAVE_DELAY);
+}
+
+/**
+ * Handles the note input and sets the `hasUnsavedChanges` flag to true.
+ * Also schedules an autosave.
+ */
+function handleNoteInput() {
+  hasUnsavedChanges = true;
+  scheduleAutosave();
+}
+
+/**
+ * Handles a change of the note content in the editor.
+ * While the note is edited collaboratively, the server saves the content,
+ * so only the title and tags are left to the autosave.
+ */
+function handleContentInput() {
+  if (isCollaborating()) return;
+  handleNoteInput();
+}
+
+/**
+ * Handles a note created by another tab or device, or newly shared with the current user.
+ *
+ * @param {Object} note - The created note object.
+ */
+function handleNoteCreated(note) {
+  if (isSharedNote(note)) {
+    loadSharedNotes();
+  } else {
+    addNoteToList(note);
+  }
+  cacheNotes([note]);
+}
+
+/**
+ * Handles the update of a note.
+ * The editor is only refreshed if it has no unsaved changes;
+ * otherwise the next save detects the conflict.
+ * The content of a note edited collaboratively is not refreshed, since it is already merged.
+ * Notes shared with the current user are refreshed in the shared notes list instead.
+ *
+ * @param {Object} note - The updated note object.
+ */
+function handleNoteUpdate(note) {
+  if (isSharedNote(note)) {
+    loadSharedNotes();
+  } else {
+    updateNoteInList(note);
+  }
+  cacheNotes([note]);
+  if (note._id === currentNoteId && !hasUnsavedChanges) {
+    displayNoteDetails(note);
+  }
+}
+
+/**
+ * Fetches a note from the server, keeping a copy of it for offline use.
+ * A note with changes waiting to be synced is read from its offline copy instead,
+ * as is any note while offline.
+ * @param {string} noteId - The ID of the note.
+ * @returns {Promise<Object>} - The note.
+ * @throws {Error} - If the note cannot be found.
+ */
+async function fetchNote(noteId) {
+  const cached = await getCachedNote(noteId);
+  if ((cached && cached.pending) || isLocalNoteId(noteId)) {
+    if (!cached) throw new Error('Note not found');
+    return cached;
+  }
+  try {
+    const response = await requestServer(`/notes/${noteId}`, {
+      headers: {
+        Accept: 'application/json',
+      },
+    });
+    if (!response.ok) throw new Error('Note not found');
+    const note = await response.json();
+    cacheNotes([note]);
+    return note;
+  } catch (error) {
+    if (!error.offline || !cached) throw error;
+    return cached;
+  }
+}
+
+/**
+ * Applies the changes listed by an incremental sync, like the socket events they may have missed.
+ * The shared notes list is reloaded once for all the shared notes.
+ *
+ * @param {Object} changes - The `created` and `updated` notes and the IDs of the `deleted` ones.
+ */
+function applyNoteChanges({ created, updated, deleted }) {
+  const sharedNotes = [...created, ...updated].filter(isSharedNote);
+  created.filter((note) => !isSharedNote(note)).forEach(handleNoteCreated);
+  updated.filter((note) => !isSharedNote(note)).forEach(handleNoteUpdate);
+  sharedNotes.forEach((note) => {
+    if (note._id === currentNoteId && !hasUnsavedChanges) displayNoteDetails(note);
+  });
+  cacheNotes(sharedNotes);
+  deleted.forEach(handleNoteDeletion);
+  if (sharedNotes.length > 0) loadSharedNotes();
+}
+
+/**
+ * Fetches and applies the note changes after a sync cursor, page by page, keeping the cursor
+ * for the next time. Without a cursor, or when it is too old, the changes since the page
+ * was loaded are fetched.
+ *
+ * @param {string|null} cursor - The cursor of the previous sync.
+ * @returns {Promise<void>} A promise that resolves when every change is applied.
+ * @throws {Error} - If the changes could not be fetched.
+ */
+async function fetchNoteChanges(cursor) {
+  const query = cursor
+    ? `cursor=${encodeURIComponent(cursor)}`
+    : `since=${encodeURIComponent(pageLoadedAt)}`;
+  const response = await requestServer(`/notes/sync?${query}`, {
+    headers: {
+      Accept: 'application/json',
+    },
+  });
+  if (response.status === 410 && cursor) return fetchNoteChanges(null);
+  if (!response.ok) throw new Error('Failed to fetch note changes');
+  const changes = await response.json();
+  applyNoteChanges(changes);
+  syncCursor = changes.cursor;
+  await setOfflineValue('syncCursor', syncCursor);
+  return changes.hasMore ? fetchNoteChanges(syncCursor) : undefined;
+}
+
+/**
+ * Catches up on the note changes made while the socket was disconnected,
+ * or since this device last synced.
+ *
+ * @returns {Promise<void>} A promise that resolves when the changes are applied.
+ */
+async function catchUpOnChanges() {
+  try {
+    await fetchNoteChanges(syncCursor || await getOfflineValue('syncCursor'));
+  } catch (error) {
+    if (!error.offline) console.error('Error catching up on note changes:', error);
+  }
+}
+
+/**
+ * Handles the server becoming reachable again, or the socket reconnecting: syncs the changes
+ * made offline, then catches up on the changes made elsewhere in the meantime.
+ *
+ * @returns {Promise<void>} A promise that resolves when the notes are up to date.
+ */
+async function handleConnectionRestored() {
+  setOnlineStatus(true);
+  await syncOfflineChanges();
+  await catchUpOnChanges();
+}
+
+/**
+ * Loads a note by its ID and displays its details.
+ * @param {string} noteId - The ID of the note to load.
+ * @param {boolean} [pushState=false] - Whether to push the note ID to the browser history.
+ * @returns {Promise<void>} - A promise that resolves when the note is loaded and displayed.
+ */
+async function loadNoteById(noteId, pushState = false) {
+  toggleButtonState(elements.saveNoteButton, true);
+  try {
+    const note = await fetchNote(noteId);
+    displayNoteDetails(note);
+    if (pushState) {
+      window.history.pushState({ noteId }, '', isLocalNoteId(noteId) ? '/notes' : `/notes/${noteId}`);
+    }
+    updateDocumentTitle(note.title);
+  } catch (error) {
+    console.error('Error fetching note:', error);
+    showAlert('Failed to fetch note. Please try again.');
+    resetNoteEditor();
+  } finally {
+    toggleButtonState(elements.saveNoteButton, false);
+  }
+}
+
+/**
+ * Renders a list of diff parts into an element, marking added and removed parts.
+ *
+ * @param {HTMLElement} container - The element to render into.
+ * @param {Object[]} parts - The diff parts, each with value, added and removed properties.
+ */
+function renderDiffParts(container, parts) {
+  parts.forEach((part) => {
+    const span = document.createElement('span');
+    if (part.added) span.className = 'diff-added';
+    if (part.removed) span.className = 'diff-removed';
+    span.textContent = part.value;
+    container.appendChild(span);
+  });
+}
+
+/**
+ * Shows the diff between the selected revision and the one chosen in the compare select.
+ * @returns {Promise<void>} A promise that resolves when the diff is displayed.
+ */
+async function showRevisionDiff() {
+  elements.revisionDiff.textContent = '';
+  if (!selectedRevisionId) return;
+
+  const to = elements.revisionCompareSelect.value || 'current';
+  try {
+    const response = await fetch(`/notes/${currentNoteId}/revisions/diff?from=${selectedRevisionId}&to=${to}`, {
+      headers: {
+        Accept: 'application/json',
+      },
+    });
+    if (!response.ok) throw new Error('Failed to compare revisions');
+    const { changes } = await response.json();
+    const title = document.createElement('div');
+    title.className = 'fw-bold mb-2';
+    renderDiffParts(title, changes.title);
+    elements.revisionDiff.appendChild(title);
+    renderDiffParts(elements.revisionDiff, changes.content);
+  } catch (error) {
+    console.error('Error comparing revisions:', error);
+    elements.revisionDiff.textContent = 'Failed to compare revisions.';
+  }
+}
+
+/**
+ * Selects a revision in the history panel and shows its diff.
+ *
+ * @param {string} revisionId - The ID of the revision to select.
+ */
+function selectRevision(revisionId) {
+  selectedRevisionId = revisionId;
+  elements.revisionsList.querySelectorAll('[data-revision-id]').forEach((item) => {
+    item.classList.toggle('active', item.dataset.revisionId === revisionId);
+  });
+  elements.restoreRevisionButton.disabled = !revisionId;
+  showRevisionDiff();
+}
+
+/**
+ * Creates the history panel list item for a revision.
+ *
+ * @param {Object} revision - The revision, without its content.
+ * @returns {HTMLElement} The created list item.
+ */
+function createRevisionElement(revision) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'list-group-item list-group-item-action d-flex justify-content-between gap-3';
+  button.dataset.revisionId = revision._id;
+
+  const title = document.createElement('span');
+  title.className = 'text-truncate';
+  title.textContent = revision.title || 'Untitled';
+  const date = document.createElement('small');
+  date.className = 'text-nowrap';
+  date.title = new Date(revision.updatedAt).toLocaleString();
+  date.textContent = timeago.format(revision.updatedAt);
+
+  button.append(title, date);
+  return button;
+}
+
+/**
+ * Loads the revisions of the current note into the history panel.
+ * @returns {Promise<void>} A promise that resolves when the revisions are displayed.
+ */
+async function loadRevisions() {
+  elements.revisionsList.textContent = '';
+  elements.revisionCompareSelect.innerHTML = '<option value="current">Current note</option>';
+  selectRevision(null);
+  if (!currentNoteId) {
+    elements.revisionsList.innerHTML = '<div class="p-3 text-muted">Save the note to start its history.</div>';
+    return;
+  }
+
+  try {
+    const response = await fetch(`/notes/${currentNoteId}/revisions`, {
+      headers: {
+        Accept: 'application/json',
+      },
+    });
+    if (!response.ok) throw new Error('Failed to load revisions');
+    const { revisions } = await response.json();
+    revisions.forEach((revision) => {
+      elements.revisionsList.appendChild(createRevisionElement(revision));
+      const option = document.createElement('option');
+      option.value = revision._id;
+      option.textContent = `${new Date(revision.updatedAt).toLocaleString()} (v${revision.version})`;
+      elements.revisionCompareSelect.appendChild(option);
+    });
+  } catch (error) {
+    console.error('Error loading revisions:', error);
+    showAlert('Failed to load the history. Please try again.');
+  }
+}
+
+/**
+ * Restores the current note to the selected revision.
+ * @returns {Promise<void>} A promise that resolves when the note is restored.
+ */
+async function restoreSelectedRevision() {
+  if (!selectedRevisionId) return;
+  if (hasUnsavedChanges && !showConfirm('You have unsaved changes. Are you sure you want to restore this revision?')) {
+    return;
+  }
+
+  toggleButtonState(elements.restoreRevisionButton, true);
+  try {
+    const response = await fetch(`/notes/${currentNoteId}/revisions/${selectedRevisionId}/restore`, {
+      method: 'POST',
+      headers: {
+        Accept: 'application/json',
+        'X-CSRF-Token': csrfToken,
+        'X-Socket-Id': socket.id || '',
+      },
+    });
+    if (!response.ok) throw new Error('Failed to restore revision');
+    const note = await response.json();
+    clearTimeout(autosaveTimer);
+    updateNoteInList(note);
+    displayNoteDetails(note);
+    await loadRevisions();
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    showAlert('Failed to restore the revision. Please try again.');
+  } finally {
+    toggleButtonState(elements.restoreRevisionButton, false);
+  }
+}
+
+/**
+ * Handles the click event on the revisions list.
+ * @param {Event} event - The click event.
+ */
+function handleRevisionsListClick(event) {
+  const revisionItem = event.target.closest('[data-revision-id]');
+  if (revisionItem) {
+    selectRevision(revisionItem.dataset.revisionId);
+  }
+}
+
+/**
+ * Handles the click event on the notes list.
+ * @param {Event} event - The click event.
+ */
+function handleNotesListClick(event) {
+  const noteLink = event.target.closest('.note-link');
+  const deleteButton = event.target.closest('.delete-note');
+  if (noteLink) {
+    event.preventDefault();
+    if (hasUnsavedChanges && !showConfirm('You have unsaved changes. Are you sure you want to navigate away?')) {
+      return;
+    }
+    const { noteId } = noteLink.closest('[data-note-id]').dataset;
+    loadNoteById(noteId, true).then(() => {
+      closeSidebar();
+    });
+  }
+  if (deleteButton) {
+    event.preventDefault();
+    event.stopPropagation();
+    deleteNoteById(deleteButton.dataset.noteId);
+  }
+}
+
+/**
+ * Lets the tasks in the preview of the editor be checked off, unless the user can only view
+ * the open note.
+ *
+ * @param {HTMLElement} preview - The preview element.
+ */
+function enableTaskCheckboxes(preview) {
+  if (currentNoteRole === 'viewer') return;
+  preview.querySelectorAll('.task-list-item-checkbox').forEach((checkbox) => {
+    const enabled = checkbox;
+    enabled.disabled = false;
+  });
+}
+
+/**
+ * Renders the preview of the editor on the server, so that it shows the content the way
+ * shared notes do, with tables, task lists, footnotes, highlighted code and math.
+ * The server HTML replaces the current preview once it arrives; while offline, the
+ * preview falls back to the markdown renderer of SimpleMDE.
+ *
+ * @param {string} plainText - The markdown content.
+ * @param {HTMLElement} preview - The preview element.
+ * @returns {string} - The HTML to show until the server responds.
+ */
+function renderEditorPreview(plainText, preview) {
+  const target = preview;
+  requestServer('/notes/preview', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      'X-CSRF-Token': csrfToken,
+    },
+    body: JSON.stringify({ content: plainText }),
+  })
+    .then((response) => (response.ok ? response.json() : Promise.reject(new Error('Preview failed'))))
+    .then((data) => {
+      target.innerHTML = data.html;
+      enableTaskCheckboxes(target);
+    })
+    .catch(() => { target.innerHTML = simpleMDE.markdown(plainText); });
+  return target.innerHTML || 'Loading preview...';
+}
+
+/**
+ * Handles a click on a link to another note, either a wiki link in the preview of the editor
+ * or a backlink, by opening the note in the editor. The preview is rendered again for it.
+ * @param {Event} event - The click event.
+ */
+function handleNoteLinkClick(event) {
+  const link = event.target.closest('a.wiki-link[data-note-id], a.backlink');
+  if (!link) return;
+  event.preventDefault();
+  if (hasUnsavedChanges && !showConfirm('You have unsaved changes. Are you sure you want to navigate away?')) {
+    return;
+  }
+  const preview = link.closest('.editor-preview');
+  loadNoteById(link.dataset.noteId, true).then(() => {
+    if (preview) renderEditorPreview(simpleMDE.value(), preview);
+  });
+}
+
+/**
+ * Handles the window beforeunload event.
+ * @param {Event} event - The beforeunload event object.
+ */
+function handleWindowBeforeUnload(event) {
+  if (hasUnsavedChanges) {
+    const e = event;
+    e.preventDefault();
+    e.returnValue = '';
+  }
+}
+
+/**
+ * Handles the window popstate event.
+ *
+ * @param {Event} event - The popstate event object.
+ */
+function handleWindowPopState(event) {
+  const noteId = event.state ? event.state.noteId : null;
+  if (noteId) {
+    loadNoteById(noteId);
+  } else {
+    resetNoteEditor();
+  }
+}
+
+/**
+ * Loads more notes asynchronously.
+ * @returns {Promise<void>} A promise that resolves when the notes are loaded.
+ */
+async function loadMoreNotes() {
+  toggleButtonState(elements.loadMoreButton, true);
+  page += 1;
+  await fetchNotes();
+  toggleButtonState(elements.loadMoreButton, false);
+}
+
+/**
+ * Clears the notes list and fetches its first page again, e.g. after the tag filter changed.
+ * @returns {Promise<void>} A promise that resolves when the notes are loaded.
+ */
+async function reloadNotesList() {
+  page = 1;
+  elements.notesList.textContent = '';
+  await fetchNotes();
+  highlightSelectedNoteItem(currentNoteId);
+}
+
+/**
+ * Handles the click event on the tag browser, toggling the clicked tag in the filter.
+ * @param {Event} event - The click event.
+ */
+function handleTagListClick(event) {
+  const tagButton = event.target.closest('[data-tag]');
+  if (!tagButton) return;
+  const { tag } = tagButton.dataset;
+  selectedTags = selectedTags.includes(tag)
+    ? selectedTags.filter((selectedTag) => selectedTag !== tag)
+    : [...selectedTags, tag];
+  tagButton.classList.toggle('btn-secondary', selectedTags.includes(tag));
+  tagButton.classList.toggle('btn-outline-secondary', !selectedTags.includes(tag));
+  reloadNotesList();
+}
+
+/**
+ * Displays a prompt dialog with the specified message.
+ *
+ * @param {string} message - The message to display in the prompt dialog.
+ * @param {string} [defaultValue=''] - The initial value of the input.
+ * @returns {Promise<string|null>} - The entered value, or null if the dialog was dismissed.
+ */
+function showPrompt(message, defaultValue = '') {
+  return new Promise((resolve) => {
+    const modal = bootstrap.Modal.getOrCreateInstance(elements.promptModal);
+    let value = null;
+    const handleSubmit = (event) => {
+      event.preventDefault();
+      value = elements.promptInput.value;
+      modal.hide();
+    };
+    elements.promptLabel.textContent = message;
+    elements.promptInput.value = defaultValue;
+    elements.promptForm.addEventListener('submit', handleSubmit);
+    elements.promptModal.addEventListener('shown.bs.modal', () => elements.promptInput.select(), { once: true });
+    elements.promptModal.addEventListener('hidden.bs.modal', () => {
+      elements.promptForm.removeEventListener('submit', handleSubmit);
+      resolve(value);
+    }, { once: true });
+    modal.show();
+  });
+}
+
+/**
+ * Creates the tree item of a notebook, with the items of its child notebooks nested in it.
+ *
+ * @param {Object} notebook - The notebook.
+ * @returns {HTMLElement} - The created tree item.
+ */
+function createNotebookTreeItem(notebook) {
+  const children = notebooks.filter((child) => child.parent === notebook._id);
+  const expanded = expandedNotebookIds.has(notebook._id);
+  const li = document.createElement('li');
+  li.dataset.notebookId = notebook._id;
+  li.innerHTML = `
+        <div class="notebook-node d-flex align-items-center gap-1">
+          <button type="button" class="btn btn-sm btn-link p-0 notebook-toggle ${children.length ? '' : 'invisible'}"
+            aria-label="Expand" aria-expanded="${expanded}">
+            <i class="fas fa-caret-${expanded ? 'down' : 'right'} fa-fw"></i>
+          </button>
+          <a href="#" class="notebook-link text-decoration-none text-truncate flex-grow-1"></a>
+          <span class="badge text-bg-light">${notebook.noteCount}</span>
+          <span class="notebook-actions text-nowrap">
+            <button type="button" class="btn btn-sm btn-link p-0 rename-notebook" title="Rename">
+              <i class="fas fa-pen fa-fw"></i>
+            </button>
+            <button type="button" class="btn btn-sm btn-link p-0 text-danger delete-notebook" title="Delete">
+              <i class="fas fa-trash-alt fa-fw"></i>
+            </button>
+          </span>
+        </div>
+      `;
+  li.querySelector('.notebook-link').textContent = notebook.name;
+  li.querySelector('.notebook-node').classList.toggle('active', notebook._id === selectedNotebookId);
+
+  const list = document.createElement('ul');
+  list.className = `list-unstyled ps-3 mb-0 ${expanded ? '' : 'd-none'}`;
+  children.forEach((child) => list.appendChild(createNotebookTreeItem(child)));
+  li.appendChild(list);
+  return li;
+}
+
+/**
+ * Renders the notebook tree of the sidebar, below the "All notes" and "Unfiled" entries.
+ */
+function renderNotebookTree() {
+  elements.notebookTree.textContent = '';
+  [{ _id: '', name: 'All notes' }, { _id: 'none', name: 'Unfiled' }].forEach((entry) => {
+    const li = document.createElement('li');
+    li.dataset.notebookId = entry._id;
+    li.innerHTML = `
+        <div class="notebook-node d-flex align-items-center gap-1">
+          <span class="btn btn-sm p-0 invisible"><i class="fas fa-caret-right fa-fw"></i></span>
+          <a href="#" class="notebook-link text-decoration-none flex-grow-1"></a>
+        </div>
+      `;
+    li.querySelector('.notebook-link').textContent = entry.name;
+    li.querySelector('.notebook-node').classList.toggle('active', entry._id === selectedNotebookId);
+    elements.notebookTree.appendChild(li);
+  });
+  notebooks
+    .filter((notebook) => !notebook.parent)
+    .forEach((notebook) => elements.notebookTree.appendChild(createNotebookTreeItem(notebook)));
+}
+
+/**
+ * Fills the notebook select of the editor, indenting nested notebooks.
+ * The selected value is kept.
+ */
+function populateNotebookSelect() {
+  const { value } = elements.noteNotebook;
+  elements.noteNotebook.innerHTML = '<option value="">No notebook</option>';
+  const addOptions = (parentId, depth) => {
+    notebooks
+      .filter((notebook) => (notebook.parent || null) === parentId)
+      .forEach((notebook) => {
+        const option = document.createElement('option');
+        option.value = notebook._id;
+        option.textContent = `${'\u00a0\u00a0'.repeat(depth)}${notebook.name}`;
+        elements.noteNotebook.appendChild(option);
+        addOptions(notebook._id, depth + 1);
+      });
+  };
+  addOptions(null, 0);
+  elements.noteNotebook.value = value;
+}
+
+/**
+ * Fetches the notebooks of the user and displays them in the sidebar tree and the editor.
+ * Offline, the notebooks last fetched are displayed.
+ * @returns {Promise<void>} A promise that resolves when the notebooks are displayed.
+ */
+async function loadNotebooks() {
+  if (!elements.notebookTree) return;
+  try {
+    const response = await fetch('/notebooks', {
+      headers: {
+        Accept: 'application/json',
+      },
+    });
+    if (!response.ok) throw new Error('Failed to load notebooks');
+    ({ notebooks } = await response.json());
+    setOfflineValue('notebooks', notebooks);
+  } catch (error) {
+    console.error('Error loading notebooks:', error);
+    notebooks = (await getOfflineValue('notebooks')) || [];
+  }
+  renderNotebookTree();
+  populateNotebookSelect();
+}
+
+/**
+ * Sends a JSON request changing a notebook or a note, and reloads the notebooks on success.
+ *
+ * @param {string} url - The URL of the request.
+ * @param {string} method - The HTTP method.
+ * @param {Object} [body] - The JSON body.
+ * @returns {Promise<Object>} - The parsed JSON response.
+ * @throws {Error} - If the request fails.
+ */
+async function sendNotebookRequest(url, method, body) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      'X-CSRF-Token': csrfToken,
+      'X-Socket-Id': socket.id || '',
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Request failed');
+  await loadNotebooks();
+  return data;
+}
+
+/**
+ * Creates a notebook, nested in the selected notebook if there is one.
+ * @returns {Promise<void>} A promise that resolves when the notebook is created.
+ */
+async function createNotebook() {
+  const name = await showPrompt('Name of the new notebook:');
+  if (!name || !name.trim()) return;
+  const parent = selectedNotebookId && selectedNotebookId !== 'none' ? selectedNotebookId : null;
+  try {
+    await sendNotebookRequest('/notebooks', 'POST', { name: name.trim(), parent });
+    if (parent) {
+      expandedNotebookIds.add(parent);
+      renderNotebookTree();
+    }
+  } catch (error) {
+    console.error('Error creating notebook:', error);
+    showAlert(`Failed to create the notebook: ${error.message}`);
+  }
+}
+
+/**
+ * Renames a notebook.
+ *
+ * @param {string} notebookId - The ID of the notebook.
+ * @returns {Promise<void>} A promise that resolves when the notebook is renamed.
+ */
+async function renameNotebook(notebookId) {
+  const notebook = notebooks.find((item) => item._id === notebookId);
+  const name = await showPrompt('New name of the notebook:', notebook.name);
+  if (!name || !name.trim()) return;
+  try {
+    await sendNotebookRequest(`/notebooks/${notebookId}`, 'PUT', { name: name.trim() });
+  } catch (error) {
+    console.error('Error renaming notebook:', error);
+    showAlert(`Failed to rename the notebook: ${error.message}`);
+  }
+}
+
+/**
+ * Deletes a notebook, either with all its notes or moving them to the parent notebook.
+ *
+ * @param {string} notebookId - The ID of the notebook.
+ * @returns {Promise<void>} A promise that resolves when the notebook is deleted.
+ */
+async function deleteNotebookById(notebookId) {
+  const notebook = notebooks.find((item) => item._id === notebookId);
+  if (!showConfirm(`Are you sure you want to delete the notebook "${notebook.name}"?`)) return;
+  const cascade = showConfirm('Delete its notes and nested notebooks too?\n'
+    + 'Click "Cancel" to move them to the parent notebook instead.');
+  const query = cascade ? 'mode=cascade' : `mode=reassign&target=${notebook.parent || ''}`;
+  try {
+    const { deletedNoteIds } = await sendNotebookRequest(`/notebooks/${notebookId}?${query}`, 'DELETE');
+    deletedNoteIds.forEach(handleNoteDeletion);
+    if (selectedNotebookId === notebookId) {
+      selectedNotebookId = '';
+      renderNotebookTree();
+    }
+    await reloadNotesList();
+  } catch (error) {
+    console.error('Error deleting notebook:', error);
+    showAlert(`Failed to delete the notebook: ${error.message}`);
+  }
+}
+
+/**
+ * Handles the click event on the notebook tree: expanding, selecting, renaming and deleting.
+ * @param {Event} event - The click event.
+ */
+function handleNotebookTreeClick(event) {
+  const item = event.target.closest('[data-notebook-id]');
+  if (!item) return;
+  event.preventDefault();
+  const { notebookId } = item.dataset;
+
+  if (event.target.closest('.notebook-toggle')) {
+    if (expandedNotebookIds.has(notebookId)) {
+      expandedNotebookIds.delete(notebookId);
+    } else {
+      expandedNotebookIds.add(notebookId);
+    }
+    renderNotebookTree();
+  } else if (event.target.closest('.rename-notebook')) {
+    renameNotebook(notebookId);
+  } else if (event.target.closest('.delete-notebook')) {
+    deleteNotebookById(notebookId);
+  } else if (event.target.closest('.notebook-link')) {
+    selectedNotebookId = notebookId;
+    renderNotebookTree();
+    reloadNotesList();
+  }
+}
+
+/**
+ * Moves the current note to the notebook chosen in the editor.
+ * New notes are filed in the chosen notebook when they are first saved.
+ * @returns {Promise<void>} A promise that resolves when the note is moved.
+ */
+async function moveCurrentNote() {
+  if (!currentNoteId) return;
+  try {
+    const note = await sendNotebookRequest(`/notes/${currentNoteId}/move`, 'POST', {
+      notebook: elements.noteNotebook.value || null,
+    });
+    currentNoteVersion = note.version;
+    updateNoteInList(note);
+  } catch (error) {
+    console.error('Error moving note:', error);
+    showAlert(`Failed to move the note: ${error.message}`);
+  }
+}
+
+/**
+ * Makes a copy of the current note in its notebook and opens the copy.
+ * @returns {Promise<void>} A promise that resolves when the copy is opened.
+ */
+async function copyCurrentNote() {
+  if (!currentNoteId) return;
+  if (hasUnsavedChanges && !showConfirm('You have unsaved changes that will not be copied. Continue?')) {
+    return;
+  }
+  try {
+    const note = await sendNotebookRequest(`/notes/${currentNoteId}/copy`, 'POST', {});
+    addNoteToList(note, true, true);
+    displayNoteDetails(note);
+    window.history.pushState({ noteId: note._id }, '', `/notes/${note._id}`);
+  } catch (error) {
+    console.error('Error copying note:', error);
+    showAlert(`Failed to copy the note: ${error.message}`);
+  }
+}
+
+/**
+ * Creates the trash list item of a trashed note, with its restore and delete buttons.
+ *
+ * @param {Object} note - The trashed note.
+ * @returns {HTMLElement} - The created list item.
+ */
+function createTrashItemElement(note) {
+  const div = document.createElement('div');
+  div.className = 'list-group-item d-flex justify-content-between align-items-center gap-3';
+  div.dataset.trashNoteId = note._id;
+  div.innerHTML = `
+        <div class="flex-grow-1 text-truncate">
+          <strong class="note-title"></strong>
+          <div class="small text-muted">
+            Deleted <span class="trash-deleted-at"></span>, removed for good <span class="trash-purge-at"></span>
+          </div>
+        </div>
+        <div class="d-flex gap-2">
+          <button type="button" class="btn btn-sm btn-outline-primary restore-note" title="Restore">
+            <i class="fas fa-rotate-left fa-fw"></i>
+          </button>
+          <button type="button" class="btn btn-sm btn-outline-danger purge-note" title="Delete forever">
+            <i class="fas fa-xmark fa-fw"></i>
+          </button>
+        </div>
+      `;
+  div.querySelector('.note-title').textContent = note.title || 'Untitled';
+  div.querySelector('.trash-deleted-at').textContent = timeago.format(note.deletedAt);
+  div.querySelector('.trash-purge-at').textContent = timeago.format(note.purgeAt);
+  return div;
+}
+
+/**
+ * Fetches the notes in the trash and displays them in the trash dialog.
+ * @returns {Promise<void>} A promise that resolves when the trash is displayed.
+ */
+async function loadTrash() {
+  elements.trashList.textContent = '';
+  try {
+    const response = await fetch('/trash', {
+      headers: {
+        Accept: 'application/json',
+      },
+    });
+    if (!response.ok) throw new Error('Failed to load the trash');
+    const { notes } = await response.json();
+    if (notes.length === 0) {
+      elements.trashList.innerHTML = '<div class="list-group-item py-3 text-muted">The trash is empty</div>';
+    }
+    notes.forEach((note) => elements.trashList.appendChild(createTrashItemElement(note)));
+    elements.emptyTrashButton.disabled = notes.length === 0;
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    showAlert('Failed to load the trash. Please try again.');
+  }
+}
+
+/**
+ * Restores a note from the trash and adds it back to the notes list.
+ *
+ * @param {string} noteId - The ID of the note to restore.
+ * @returns {Promise<void>} A promise that resolves when the note is restored.
+ */
+async function restoreTrashedNote(noteId) {
+  try {
+    const response = await fetch(`/trash/${noteId}/restore`, {
+      method: 'POST',
+      headers: {
+        Accept: 'application/json',
+        'X-CSRF-Token': csrfToken,
+        'X-Socket-Id': socket.id || '',
+      },
+    });
+    if (!response.ok) throw new Error('Failed to restore note');
+    const note = await response.json();
+    addNoteToList(note);
+    loadTags();
+    await Promise.all([loadTrash(), loadNotebooks()]);
+  } catch (error) {
+    console.error('Error restoring note:', error);
+    showAlert('Failed to restore the note. Please try again.');
+  }
+}
+
+/**
+ * Permanently deletes one note from the trash, or all of them when no ID is given.
+ *
+ * @param {string} [noteId] - The ID of the note to delete.
+ * @returns {Promise<void>} A promise that resolves when the trash is updated.
+ */
+async function purgeTrashedNotes(noteId) {
+  const message = noteId
+    ? 'Delete this note forever? This cannot be undone.'
+    : 'Delete all notes in the trash forever? This cannot be undone.';
+  if (!showConfirm(message)) return;
+  try {
+    const response = await fetch(noteId ? `/trash/${noteId}` : '/trash', {
+      method: 'DELETE',
+      headers: {
+        Accept: 'application/json',
+        'X-CSRF-Token': csrfToken,
+      },
+    });
+    if (!response.ok) throw new Error('Failed to delete from the trash');
+    await loadTrash();
+  } catch (error) {
+    console.error('Error deleting from the trash:', error);
+    showAlert('Failed to delete from the trash. Please try again.');
+  }
+}
+
+/**
+ * Handles the click event on the trash list.
+ * @param {Event} event - The click event.
+ */
+function handleTrashListClick(event) {
+  const item = event.target.closest('[data-trash-note-id]');
+  if (!item) return;
+  if (event.target.closest('.restore-note')) {
+    restoreTrashedNote(item.dataset.trashNoteId);
+  } else if (event.target.closest('.purge-note')) {
+    purgeTrashedNotes(item.dataset.trashNoteId);
+  }
+}
+
+/**
+ * Creates the list item of a collaborator of the current note, with a role select
+ * and a remove button.
+ *
+ * @param {Object} collaborator - The collaborator, with `_id`, `username`, `email` and `role`.
+ * @returns {HTMLElement} - The created list item.
+ */
+function createCollaboratorElement(collaborator) {
+  const div = document.createElement('div');
+  div.className = 'list-group-item d-flex justify-content-between align-items-center gap-2';
+  div.dataset.collaboratorId = collaborator._id;
+  div.innerHTML = `
+        <div class="text-truncate">
+          <strong class="collaborator-name"></strong>
+          <div class="small text-muted collaborator-email"></div>
+        </div>
+        <div class="d-flex gap-2">
+          <select class="form-select form-select-sm collaborator-role" aria-label="Role">
+            <option value="viewer">Viewer</option>
+            <option value="editor">Editor</option>
+          </select>
+          <button type="button" class="btn btn-sm btn-outline-danger remove-collaborator" title="Remove">
+            <i class="fas fa-user-minus fa-fw"></i>
+          </button>
+        </div>
+      `;
+  div.querySelector('.collaborator-name').textContent = collaborator.username;
+  div.querySelector('.collaborator-email').textContent = collaborator.email;
+  div.querySelector('.collaborator-role').value = collaborator.role;
+  return div;
+}
+
+/**
+ * Displays the collaborators of the current note in the share dialog.
+ *
+ * @param {Object[]} collaborators - The collaborators.
+ */
+function renderCollaborators(collaborators) {
+  elements.collaboratorsList.textContent = '';
+  collaborators.forEach((collaborator) => {
+    elements.collaboratorsList.appendChild(createCollaboratorElement(collaborator));
+  });
+}
+
+/**
+ * Sends a request changing the collaborators of the current note and displays the result.
+ *
+ * @param {string} path - The path of the request, relative to the collaborators of the note.
+ * @param {string} method - The HTTP method.
+ * @param {Object} [body] - The JSON body of the request.
+ * @returns {Promise<void>} A promise that resolves when the collaborators are displayed.
+ */
+async function sendCollaboratorRequest(path, method, body) {
+  const response = await fetch(`/notes/${currentNoteId}/collaborators${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      'X-CSRF-Token': csrfToken,
+    },
+    body: body && JSON.stringify(body),
+  });
+  const result = await response.json();
+  if (!response.ok) throw new Error(result.error || 'Failed to update the collaborators');
+  renderCollaborators(result.collaborators);
+}
+
+/**
+ * Fetches the collaborators of the current note and displays them in the share dialog.
+ * @returns {Promise<void>} A promise that resolves when the collaborators are displayed.
+ */
+async function loadCollaborators() {
+  elements.collaboratorsList.textContent = '';
+  try {
+    await sendCollaboratorRequest('', 'GET');
+  } catch (error) {
+    console.error('Error loading collaborators:', error);
+    showAlert('Failed to load the collaborators. Please try again.');
+  }
+}
+
+/**
+ * Shares the current note with the user named in the invite form.
+ * @param {Event} event - The submit event of the invite form.
+ * @returns {Promise<void>} A promise that resolves when the user is invited.
+ */
+async function inviteCollaborator(event) {
+  event.preventDefault();
+  try {
+    await sendCollaboratorRequest('', 'POST', {
+      identifier: elements.collaboratorIdentifier.value,
+      role: elements.collaboratorRole.value,
+    });
+    elements.collaboratorForm.reset();
+  } catch (error) {
+    console.error('Error inviting collaborator:', error);
+    showAlert(`Failed to share the note: ${error.message}`);
+  }
+}
+
+/**
+ * Handles the change of the role of a collaborator in the share dialog.
+ * @param {Event} event - The change event.
+ * @returns {Promise<void>} A promise that resolves when the role is changed.
+ */
+async function handleCollaboratorRoleChange(event) {
+  const item = event.target.closest('[data-collaborator-id]');
+  if (!item || !event.target.classList.contains('collaborator-role')) return;
+  try {
+    await sendCollaboratorRequest(`/${item.dataset.collaboratorId}`, 'PUT', {
+      role: event.target.value,
+    });
+  } catch (error) {
+    console.error('Error changing collaborator role:', error);
+    showAlert(`Failed to change the role: ${error.message}`);
+    loadCollaborators();
+  }
+}
+
+/**
+ * Handles the click event on the collaborators list, removing the clicked collaborator.
+ * @param {Event} event - The click event.
+ * @returns {Promise<void>} A promise that resolves when the collaborator is removed.
+ */
+async function handleCollaboratorsClick(event) {
+  const item = event.target.closest('[data-collaborator-id]');
+  if (!item || !event.target.closest('.remove-collaborator')) return;
+  try {
+    await sendCollaboratorRequest(`/${item.dataset.collaboratorId}`, 'DELETE');
+  } catch (error) {
+    console.error('Error removing collaborator:', error);
+    showAlert(`Failed to remove the collaborator: ${error.message}`);
+  }
+}
+
+/**
+ * Stops the sharing of a note with the current user.
+ *
+ * @param {string} noteId - The ID of the shared note.
+ * @returns {Promise<void>} A promise that resolves when the note is left.
+ */
+async function leaveSharedNote(noteId) {
+  if (!showConfirm('Leave this note? You will lose access to it until it is shared with you again.')) {
+    return;
+  }
+  try {
+    const response = await fetch(`/notes/${noteId}/collaborators/${currentUserId}`, {
+      method: 'DELETE',
+      headers: {
+        Accept: 'application/json',
+        'X-CSRF-Token': csrfToken,
+        'X-Socket-Id': socket.id || '',
+      },
+    });
+    if (!response.ok) throw new Error('Failed to leave the note');
+    handleNoteDeletion(noteId);
+  } catch (error) {
+    console.error('Error leaving shared note:', error);
+    showAlert('Failed to leave the note. Please try again.');
+  }
+}
+
+/**
+ * Handles the click event on the shared notes list, opening or leaving the clicked note.
+ * @param {Event} event - The click event.
+ */
+function handleSharedNotesClick(event) {
+  const item = event.target.closest('[data-shared-note-id]');
+  if (!item) return;
+  event.preventDefault();
+  const { sharedNoteId } = item.dataset;
+  if (event.target.closest('.leave-shared-note')) {
+    leaveSharedNote(sharedNoteId);
+    return;
+  }
+  if (hasUnsavedChanges && !showConfirm('You have unsaved changes. Are you sure you want to navigate away?')) {
+    return;
+  }
+  loadNoteById(sharedNoteId, true).then(() => {
+    closeSidebar();
+  });
+}
+
+/**
+ * Creates the list item of a share link, with its URL and copy and revoke buttons.
+ *
+ * @param {Object} shareLink - The share link.
+ * @returns {HTMLElement} - The created list item.
+ */
+function createShareLinkElement(shareLink) {
+  const div = document.createElement('div');
+  div.className = 'list-group-item';
+  div.dataset.shareLinkId = shareLink._id;
+  div.innerHTML = `
+        <div class="input-group input-group-sm">
+          <input type="text" class="form-control share-link-url" readonly aria-label="Share link">
+          <button type="button" class="btn btn-outline-secondary copy-share-link" title="Copy link">
+            <i class="fas fa-copy fa-fw"></i>
+          </button>
+          <button type="button" class="btn btn-outline-danger revoke-share-link" title="Revoke">
+            <i class="fas fa-link-slash fa-fw"></i>
+          </button>
+        </div>
+        <div class="small text-muted mt-1 share-link-details"></div>
+      `;
+  div.querySelector('.share-link-url').value = shareLink.url;
+  const details = [shareLink.expiresAt
+    ? `Expires ${new Date(shareLink.expiresAt).toLocaleString()}`
+    : 'Never expires'];
+  if (shareLink.hasPassword) details.push('password protected');
+  div.querySelector('.share-link-details').textContent = details.join(', ');
+  return div;
+}
+
+/**
+ * Fetches the share links of the current note and displays them in the share dialog.
+ * @returns {Promise<void>} A promise that resolves when the share links are displayed.
+ */
+async function loadShareLinks() {
+  elements.shareLinksList.textContent = '';
+  try {
+    const response = await fetch(`/notes/${currentNoteId}/shares`, {
+      headers: {
+        Accept: 'application/json',
+      },
+    });
+    if (!response.ok) throw new Error('Failed to load share links');
+    const { shareLinks } = await response.json();
+    shareLinks.forEach((shareLink) => {
+      elements.shareLinksList.appendChild(createShareLinkElement(shareLink));
+    });
+  } catch (error) {
+    console.error('Error loading share links:', error);
+    showAlert('Failed to load the share links. Please try again.');
+  }
+}
+
+/**
+ * Opens the share dialog of the current note. A note has to be saved before it can be shared.
+ * @param {Event} event - The show event of the share dialog.
+ */
+function handleShareModalShow(event) {
+  if (!currentNoteId) {
+    event.preventDefault();
+    showAlert('Save the note before sharing it.');
+    return;
+  }
+  elements.shareLinkForm.reset();
+  elements.collaboratorForm.reset();
+  loadCollaborators();
+  loadShareLinks();
+}
+
+/**
+ * Creates a share link for the current note from the share form.
+ * @param {Event} event - The submit event of the share form.
+ * @returns {Promise<void>} A promise that resolves when the link is created.
+ */
+async function createShareLink(event) {
+  event.preventDefault();
+  const expires = elements.shareExpires.value;
+  try {
+    const response = await fetch(`/notes/${currentNoteId}/shares`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        'X-CSRF-Token': csrfToken,
+      },
+      body: JSON.stringify({
+        expiresAt: expires ? new Date(expires).toISOString() : null,
+        password: elements.sharePassword.value || null,
+      }),
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Failed to create share link');
+    elements.shareLinkForm.reset();
+    elements.shareLinksList.prepend(createShareLinkElement(result));
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    showAlert(`Failed to create the share link: ${error.message}`);
+  }
+}
+
+/**
+ * Revokes a share link of the current note.
+ * @param {string} shareLinkId - The ID of the share link.
+ * @returns {Promise<void>} A promise that resolves when the link is revoked.
+ */
+async function revokeShareLink(shareLinkId) {
+  if (!showConfirm('Revoke this link? Anyone using it will lose access to the note.')) return;
+  try {
+    const response = await fetch(`/notes/${currentNoteId}/shares/${shareLinkId}`, {
+      method: 'DELETE',
+      headers: {
+        Accept: 'application/json',
+        'X-CSRF-Token': csrfToken,
+      },
+    });
+    if (!response.ok) throw new Error('Failed to revoke share link');
+    const item = elements.shareLinksList.querySelector(`[data-share-link-id="${shareLinkId}"]`);
+    if (item) item.remove();
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    showAlert('Failed to revoke the share link. Please try again.');
+  }
+}
+
+/**
+ * Handles the click event on the share links list.
+ * @param {Event} event - The click event.
+ */
+function handleShareLinksClick(event) {
+  const item = event.target.closest('[data-share-link-id]');
+  if (!item) return;
+  if (event.target.closest('.copy-share-link')) {
+    const url = item.querySelector('.share-link-url');
+    url.select();
+    if (window.navigator.clipboard) window.navigator.clipboard.writeText(url.value);
+  } else if (event.target.closest('.revoke-share-link')) {
+    revokeShareLink(item.dataset.shareLinkId);
+  }
+}
+
+/**
+ * Creates a list item for an API token on the settings page.
+ *
+ * @param {Object} apiToken - The API token, without its secret.
+ * @returns {HTMLElement} - The list item.
+ */
+function createApiTokenElement(apiToken) {
+  const div = document.createElement('div');
+  div.className = 'list-group-item d-flex justify-content-between align-items-center gap-2';
+  div.dataset.apiTokenId = apiToken._id;
+  div.innerHTML = `
+        <div>
+          <div class="fw-semibold api-token-name"></div>
+          <div class="small text-muted api-token-details"></div>
+        </div>
+        <button type="button" class="btn btn-sm btn-outline-danger revoke-api-token">Revoke</button>
+      `;
+  div.querySelector('.api-token-name').textContent = apiToken.name;
+  const details = [
+    `${apiToken.prefix}…`,
+    `created ${new Date(apiToken.createdAt).toLocaleDateString()}`,
+    apiToken.lastUsedAt
+      ? `last used ${new Date(apiToken.lastUsedAt).toLocaleString()}`
+      : 'never used',
+  ];
+  div.querySelector('.api-token-details').textContent = details.join(', ');
+  return div;
+}
+
+/**
+ * Fetches the API tokens of the user and displays them on the settings page.
+ * @returns {Promise<void>} A promise that resolves when the tokens are displayed.
+ */
+async function loadApiTokens() {
+  try {
+    const response = await fetch('/settings/tokens', {
+      headers: {
+        Accept: 'application/json',
+      },
+    });
+    if (!response.ok) throw new Error('Failed to load API tokens');
+    const { apiTokens } = await response.json();
+    elements.apiTokensList.textContent = '';
+    apiTokens.forEach((apiToken) => {
+      elements.apiTokensList.appendChild(createApiTokenElement(apiToken));
+    });
+  } catch (error) {
+    console.error('Error loading API tokens:', error);
+    showAlert('Failed to load your API tokens. Please try again.');
+  }
+}
+
+/**
+ * Creates an API token from the form on the settings page and shows it once.
+ * @param {Event} event - The submit event of the form.
+ * @returns {Promise<void>} A promise that resolves when the token is created.
+ */
+async function createApiToken(event) {
+  event.preventDefault();
+  try {
+    const response = await fetch('/settings/tokens', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        'X-CSRF-Token': csrfToken,
+      },
+      body: JSON.stringify({ name: elements.apiTokenName.value.trim() }),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to create API token');
+    elements.apiTokensList.prepend(createApiTokenElement(data.apiToken));
+    elements.newApiTokenValue.value = data.token;
+    elements.newApiToken.classList.remove('d-none');
+    elements.apiTokenForm.reset();
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    showAlert(`Failed to create the API token: ${error.message}`);
+  }
+}
+
+/**
+ * Revokes an API token after confirmation.
+ * @param {string} apiTokenId - The ID of the token.
+ * @returns {Promise<void>} A promise that resolves when the token is revoked.
+ */
+async function revokeApiToken(apiTokenId) {
+  if (!showConfirm('Revoke this token? Scripts using it will stop working.')) return;
+  try {
+    const response = await fetch(`/settings/tokens/${apiTokenId}`, {
+      method: 'DELETE',
+      headers: {
+        Accept: 'application/json',
+        'X-CSRF-Token': csrfToken,
+      },
+    });
+    if (!response.ok) throw new Error('Failed to revoke API token');
+    const item = elements.apiTokensList.querySelector(`[data-api-token-id="${apiTokenId}"]`);
+    if (item) item.remove();
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    showAlert('Failed to revoke the API token. Please try again.');
+  }
+}
+
+/**
+ * Handles the click event on the API tokens list.
+ * @param {Event} event - The click event.
+ */
+function handleApiTokensClick(event) {
+  const item = event.target.closest('[data-api-token-id]');
+  if (item && event.target.closest('.revoke-api-token')) {
+    revokeApiToken(item.dataset.apiTokenId);
+  }
+}
+
+/**
+ * Copies the newly created API token to the clipboard.
+ */
+function copyNewApiToken() {
+  const input = elements.newApiTokenValue;
+  input.select();
+  if (window.navigator.clipboard) window.navigator.clipboard.writeText(input.value);
+}
+
+/**
+ * Shows whether two-factor authentication is enabled on the settings page, along with the
+ * form to enable or disable it.
+ *
+ * @param {Object} status - The status, with `enabled` and the number of `recoveryCodesLeft`.
+ */
+function renderTwoFactorStatus({ enabled, recoveryCodesLeft }) {
+  elements.twoFactorStatus.textContent = enabled
+    ? `Two-factor authentication is enabled. You have ${recoveryCodesLeft} recovery codes left.`
+    : 'Two-factor authentication is disabled.';
+  elements.twoFactorSetupButton.classList.toggle('d-none', enabled);
+  elements.twoFactorDisableForm.classList.toggle('d-none', !enabled);
+  elements.twoFactorSetup.classList.add('d-none');
+}
+
+/**
+ * Fetches whether two-factor authentication is enabled and displays it on the settings page.
+ * @returns {Promise<void>} A promise that resolves when the status is displayed.
+ */
+async function loadTwoFactorStatus() {
+  try {
+    const response = await fetch('/settings/two-factor', {
+      headers: {
+        Accept: 'application/json',
+      },
+    });
+    if (!response.ok) throw new Error('Failed to load two-factor authentication status');
+    renderTwoFactorStatus(await response.json());
+  } catch (error) {
+    console.error('Error loading two-factor authentication status:', error);
+    showAlert('Failed to load your two-factor authentication status. Please try again.');
+  }
+}
+
+/**
+ * Generates a secret for an authenticator app and shows its QR code, to enable two-factor
+ * authentication with.
+ * @returns {Promise<void>} A promise that resolves when the QR code is shown.
+ */
+async function startTwoFactorSetup() {
+  try {
+    const response = await fetch('/settings/two-factor/setup', {
+      method: 'POST',
+      headers: {
+        Accept: 'application/json',
+        'X-CSRF-Token': csrfToken,
+      },
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to set up two-factor authentication');
+    elements.twoFactorQrCode.src = data.qrCode;
+    elements.twoFactorSecret.textContent = data.secret;
+    elements.twoFactorSetupButton.classList.add('d-none');
+    elements.twoFactorSetup.classList.remove('d-none');
+    elements.twoFactorEnableCode.focus();
+  } catch (error) {
+    console.error('Error setting up two-factor authentication:', error);
+    showAlert(`Failed to set up two-factor authentication: ${error.message}`);
+  }
+}
+
+/**
+ * Enables two-factor authentication with the code from the form, and shows the recovery codes once.
+ * @param {Event} event - The submit event of the form.
+ * @returns {Promise<void>} A promise that resolves when two-factor authentication is enabled.
+ */
+async function enableTwoFactor(event) {
+  event.preventDefault();
+  try {
+    const response = await fetch('/settings/two-factor/enable', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        'X-CSRF-Token': csrfToken,
+      },
+      body: JSON.stringify({ code: elements.twoFactorEnableCode.value.trim() }),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to enable two-factor authentication');
+    elements.twoFactorEnableForm.reset();
+    elements.twoFactorRecoveryCodesList.textContent = data.recoveryCodes.join('\n');
+    elements.twoFactorRecoveryCodes.classList.remove('d-none');
+    renderTwoFactorStatus({ enabled: true, recoveryCodesLeft: data.recoveryCodes.length });
   } catch (error) {
-    console.error('Error saving note:', error);
-    showAlert('Failed to save note. Please try again.');
-  } finally {
-    toggleButtonState(elements.saveNoteButton, false);
+    console.error('Error enabling two-factor authentication:', error);
+    showAlert(`Failed to enable two-factor authentication: ${error.message}`);
   }
 }
 
 /**
- * Schedules an autosave timer to save the current note.
- * If there are unsaved changes, it will call the saveCurrentNote function after a delay.
+ * Disables two-factor authentication with the password and code from the form.
+ * @param {Event} event - The submit event of the form.
+ * @returns {Promise<void>} A promise that resolves when two-factor authentication is disabled.
  */
-function scheduleAutosave() {
-  clearTimeout(autosaveTimer);
-  autosaveTimer = setTimeout(() => {
-    if (hasUnsavedChanges) {
-      saveCurrentNote();
-    }
-  }, AUTOSAVE_DELAY);
+async function disableTwoFactor(event) {
+  event.preventDefault();
+  try {
+    const response = await fetch('/settings/two-factor/disable', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        'X-CSRF-Token': csrfToken,
+      },
+      body: JSON.stringify({
+        password: elements.twoFactorDisablePassword.value,
+        code: elements.twoFactorDisableCode.value.trim(),
+      }),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to disable two-factor authentication');
+    elements.twoFactorDisableForm.reset();
+    elements.twoFactorRecoveryCodes.classList.add('d-none');
+    renderTwoFactorStatus({ enabled: false, recoveryCodesLeft: 0 });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    showAlert(`Failed to disable two-factor authentication: ${error.message}`);
+  }
 }
 
 /**
- * Handles the note input and sets the `hasUnsavedChanges` flag to true.
- * Also schedules an autosave.
+ * Shows the result of every imported file in the import dialog.
+ *
+ * @param {Object[]} results - The results, each with the file `name`, `status` and `error`.
  */
-function handleNoteInput() {
-  hasUnsavedChanges = true;
-  scheduleAutosave();
+function renderImportResults(results) {
+  elements.importResults.textContent = '';
+  results.forEach((result) => {
+    const li = document.createElement('li');
+    const imported = result.status === 'imported';
+    li.className = 'list-group-item d-flex gap-2 px-0 small';
+    li.innerHTML = `
+        <i class="fas ${imported ? 'fa-check text-success' : 'fa-xmark text-danger'} fa-fw mt-1"></i>
+        <div class="text-break">
+          <div class="import-file-name"></div>
+          <div class="import-error text-danger"></div>
+        </div>
+      `;
+    li.querySelector('.import-file-name').textContent = result.name;
+    li.querySelector('.import-error').textContent = imported ? '' : result.error;
+    elements.importResults.appendChild(li);
+  });
 }
 
 /**
- * Handles the update of a note.
+ * Uploads the selected files to import them as notes, then refreshes the notes list.
  *
- * @param {Object} note - The updated note object.
+ * @param {Event} event - The submit event of the import form.
+ * @returns {Promise<void>} A promise that resolves when the import is done.
  */
-function handleNoteUpdate(note) {
-  updateNoteInList(note);
-  if (note._id === currentNoteId) {
-    displayNoteDetails(note);
+async function importNotes(event) {
+  event.preventDefault();
+  const formData = new FormData();
+  Array.from(elements.importFiles.files).forEach((file) => formData.append('files', file));
+  if (selectedNotebookId && selectedNotebookId !== 'none') {
+    formData.append('notebook', selectedNotebookId);
   }
-}
-
-/**
- * Loads a note by its ID and displays its details.
- * @param {string} noteId - The ID of the note to load.
- * @param {boolean} [pushState=false] - Whether to push the note ID to the browser history.
- * @returns {Promise<void>} - A promise that resolves when the note is loaded and displayed.
- */
-async function loadNoteById(noteId, pushState = false) {
-  toggleButtonState(elements.saveNoteButton, true);
+  elements.importSubmitButton.disabled = true;
   try {
-    const response = await fetch(`/notes/${noteId}`, {
+    const response = await fetch('/notes/import', {
+      method: 'POST',
       headers: {
         Accept: 'application/json',
+        'X-CSRF-Token': csrfToken,
+        'X-Socket-Id': socket.id || '',
       },
+      body: formData,
     });
-    if (!response.ok) throw new Error('Note not found');
-    const note = await response.json();
-    displayNoteDetails(note);
-    if (pushState) {
-      window.history.pushState({ noteId }, '', `/notes/${noteId}`);
-    }
-    updateDocumentTitle(note.title);
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Failed to import notes');
+    renderImportResults(result.results);
+    elements.importForm.reset();
+    loadTags();
+    await Promise.all([loadNotebooks(), reloadNotesList()]);
   } catch (error) {
-    console.error('Error fetching note:', error);
-    showAlert('Failed to fetch note. Please try again.');
-    resetNoteEditor();
+    console.error('Error importing notes:', error);
+    showAlert(`Failed to import notes: ${error.message}`);
   } finally {
-    toggleButtonState(elements.saveNoteButton, false);
+    elements.importSubmitButton.disabled = false;
   }
 }
 
 /**
- * Handles the click event on the notes list.
- * @param {Event} event - The click event.
+ * Shows the progress of an export in the export dialog, with a download link once it is ready.
+ *
+ * @param {string} message - The status message.
+ * @param {string|null} [downloadUrl=null] - The URL of the archive, if it is ready.
  */
-function handleNotesListClick(event) {
-  const noteLink = event.target.closest('.note-link');
-  const deleteButton = event.target.closest('.delete-note');
-  if (noteLink) {
-    event.preventDefault();
-    if (hasUnsavedChanges && !showConfirm('You have unsaved changes. Are you sure you want to navigate away?')) {
-      return;
-    }
-    const { noteId } = noteLink.closest('[data-note-id]').dataset;
-    loadNoteById(noteId, true).then(() => {
-      closeSidebar();
-    });
+function showExportStatus(message, downloadUrl = null) {
+  elements.exportStatus.textContent = message;
+  elements.exportDownloadLink.classList.toggle('d-none', !downloadUrl);
+  elements.exportDownloadLink.href = downloadUrl || '#';
+}
+
+/**
+ * Shows the state of an export.
+ *
+ * @param {Object} noteExport - The export, as returned by the server.
+ * @returns {boolean} - True if the export is still being generated.
+ */
+function handleExportStatus(noteExport) {
+  if (noteExport.status === 'ready') {
+    showExportStatus(`Your export of ${noteExport.noteCount} notes is ready.`, noteExport.downloadUrl);
+    return false;
   }
-  if (deleteButton) {
-    event.preventDefault();
-    event.stopPropagation();
-    deleteNoteById(deleteButton.dataset.noteId);
+  if (noteExport.status === 'failed') {
+    showExportStatus(`The export failed: ${noteExport.error}`);
+    return false;
   }
+  showExportStatus(`Exporting ${noteExport.noteCount} notes. A download link will appear here when it is done.`);
+  return true;
 }
 
 /**
- * Handles the window beforeunload event.
- * @param {Event} event - The beforeunload event object.
+ * Fetches the state of a pending export after a while, and again until it is generated.
+ *
+ * @param {string} exportId - The ID of the export.
  */
-function handleWindowBeforeUnload(event) {
-  if (hasUnsavedChanges) {
-    const e = event;
-    e.preventDefault();
-    e.returnValue = '';
-  }
+function pollExport(exportId) {
+  exportPollTimer = setTimeout(async () => {
+    try {
+      const response = await fetch(`/exports/${exportId}`, {
+        headers: {
+          Accept: 'application/json',
+        },
+      });
+      if (!response.ok) throw new Error('Failed to fetch the export');
+      if (handleExportStatus(await response.json())) pollExport(exportId);
+    } catch (error) {
+      console.error('Error fetching export:', error);
+      showExportStatus('Failed to check the export. Please try again.');
+    }
+  }, EXPORT_POLL_INTERVAL);
 }
 
 /**
- * Handles the window popstate event.
+ * Starts an export of all notes when the export dialog opens.
  *
- * @param {Event} event - The popstate event object.
+ * @returns {Promise<void>} A promise that resolves when the export is started.
  */
-function handleWindowPopState(event) {
-  const noteId = event.state ? event.state.noteId : null;
-  if (noteId) {
-    loadNoteById(noteId);
-  } else {
-    resetNoteEditor();
+async function startExport() {
+  clearTimeout(exportPollTimer);
+  showExportStatus('Preparing your export...');
+  try {
+    const response = await fetch('/exports', {
+      method: 'POST',
+      headers: {
+        Accept: 'application/json',
+        'X-CSRF-Token': csrfToken,
+      },
+    });
+    if (!response.ok) throw new Error('Failed to export notes');
+    const noteExport = await response.json();
+    if (handleExportStatus(noteExport)) pollExport(noteExport._id);
+  } catch (error) {
+    console.error('Error exporting notes:', error);
+    showExportStatus('Failed to export your notes. Please try again.');
   }
 }
 
 /**
- * Loads more notes asynchronously.
- * @returns {Promise<void>} A promise that resolves when the notes are loaded.
+ * Handles a click on the logout link, forgetting the notes kept for offline use before
+ * logging out. Changes that are not synced yet would be lost, so the user confirms first.
+ *
+ * @param {Event} event - The click event.
+ * @returns {Promise<void>} A promise that resolves once the user is logged out.
  */
-async function loadMoreNotes() {
-  toggleButtonState(elements.loadMoreButton, true);
-  page += 1;
-  await fetchNotes();
-  toggleButtonState(elements.loadMoreButton, false);
+async function handleLogoutClick(event) {
+  event.preventDefault();
+  const pending = await countQueuedChanges();
+  if (pending && !showConfirm('Some changes made offline are not synced yet and will be lost. Log out anyway?')) {
+    return;
+  }
+  await clearOfflineData();
+  window.location.href = elements.logoutLink.href;
 }
 
 /**
@@ -533,6 +3324,18 @@ function setupEventListeners() {
   if (elements.noteTitle) {
     elements.noteTitle.addEventListener('input', handleNoteInput);
   }
+  if (elements.noteTags) {
+    elements.noteTags.addEventListener('input', handleNoteInput);
+  }
+  if (elements.tagList) {
+    elements.tagList.addEventListener('click', handleTagListClick);
+  }
+  if (elements.notebookTree) {
+    elements.notebookTree.addEventListener('click', handleNotebookTreeClick);
+    elements.newNotebookButton.addEventListener('click', createNotebook);
+    elements.noteNotebook.addEventListener('change', moveCurrentNote);
+    elements.copyNoteButton.addEventListener('click', copyCurrentNote);
+  }
   if (elements.newNoteButton) {
     elements.newNoteButton.addEventListener('click', createNewNote);
   }
@@ -545,6 +3348,53 @@ function setupEventListeners() {
   if (elements.notesList) {
     elements.notesList.addEventListener('click', handleNotesListClick);
   }
+  if (elements.searchInput) {
+    elements.searchInput.addEventListener('input', handleSearchInput);
+    elements.searchResults.addEventListener('click', handleNotesListClick);
+  }
+  if (elements.historyPanel) {
+    elements.historyPanel.addEventListener('show.bs.offcanvas', loadRevisions);
+    elements.revisionsList.addEventListener('click', handleRevisionsListClick);
+    elements.revisionCompareSelect.addEventListener('change', showRevisionDiff);
+    elements.restoreRevisionButton.addEventListener('click', restoreSelectedRevision);
+  }
+  if (elements.trashModal) {
+    elements.trashModal.addEventListener('show.bs.modal', loadTrash);
+    elements.trashList.addEventListener('click', handleTrashListClick);
+    elements.emptyTrashButton.addEventListener('click', () => purgeTrashedNotes());
+  }
+  if (elements.shareModal) {
+    elements.shareModal.addEventListener('show.bs.modal', handleShareModalShow);
+    elements.shareLinkForm.addEventListener('submit', createShareLink);
+    elements.shareLinksList.addEventListener('click', handleShareLinksClick);
+    elements.collaboratorForm.addEventListener('submit', inviteCollaborator);
+    elements.collaboratorsList.addEventListener('change', handleCollaboratorRoleChange);
+    elements.collaboratorsList.addEventListener('click', handleCollaboratorsClick);
+  }
+  if (elements.sharedNotesList) {
+    elements.sharedNotesList.addEventListener('click', handleSharedNotesClick);
+  }
+  if (elements.backlinksPanel) {
+    elements.backlinksList.addEventListener('click', handleNoteLinkClick);
+  }
+  if (elements.importForm) {
+    elements.importForm.addEventListener('submit', importNotes);
+    elements.importModal.addEventListener('show.bs.modal', () => renderImportResults([]));
+  }
+  if (elements.exportModal) {
+    elements.exportModal.addEventListener('show.bs.modal', startExport);
+    elements.exportModal.addEventListener('hidden.bs.modal', () => clearTimeout(exportPollTimer));
+  }
+  if (elements.conflictModal) {
+    elements.conflictUseLocalButton.addEventListener('click', () => useConflictVersion('local'));
+    elements.conflictUseServerButton.addEventListener('click', () => useConflictVersion('server'));
+    elements.conflictSaveMergedButton.addEventListener('click', saveMergedNote);
+  }
+  if (elements.syncStatus) {
+    elements.logoutLink.addEventListener('click', handleLogoutClick);
+    window.addEventListener('online', handleConnectionRestored);
+    window.addEventListener('offline', () => setOnlineStatus(false));
+  }
   window.addEventListener('beforeunload', handleWindowBeforeUnload);
   window.addEventListener('popstate', handleWindowPopState);
 }
@@ -556,11 +3406,14 @@ function setupEventListeners() {
  * 3. Retrieves the initial note ID from the URL.
  * 4. If an initial note ID is found, loads the note with that ID.
  * 5. If no initial note ID is found, resets the note editor and updates the browser history.
+ * 6. Syncs the changes made offline, if any.
  *
  * @returns {Promise<void>} A promise that resolves when the initial notes are loaded.
  */
 async function loadInitialNotes() {
-  await fetchNotes();
+  loadTags();
+  loadSharedNotes();
+  await Promise.all([loadNotebooks(), fetchNotes()]);
   updateNoteTimes();
   const initialNoteId = getNoteIdFromUrl();
   if (initialNoteId) {
@@ -569,6 +3422,8 @@ async function loadInitialNotes() {
     resetNoteEditor();
     window.history.replaceState({ noteId: null }, '', '/notes');
   }
+  renderSyncStatus();
+  syncOfflineChanges();
 }
 
 /**
@@ -591,15 +3446,365 @@ function initializeApp() {
 function initializeElements() {
   elements = {
     noteTitle: document.getElementById('note-title'),
+    collabPresence: document.getElementById('collab-presence'),
+    linkSuggestions: document.getElementById('link-suggestions'),
+    backlinksPanel: document.getElementById('backlinks-panel'),
+    backlinksList: document.getElementById('backlinks-list'),
+    syncStatus: document.getElementById('sync-status'),
+    logoutLink: document.getElementById('logout-link'),
+    noteTags: document.getElementById('note-tags'),
+    noteNotebook: document.getElementById('note-notebook'),
+    copyNoteButton: document.getElementById('copy-note-btn'),
+    promptModal: document.getElementById('prompt-modal'),
+    promptForm: document.getElementById('prompt-form'),
+    promptLabel: document.getElementById('prompt-label'),
+    promptInput: document.getElementById('prompt-input'),
     noteContent: document.getElementById('note-content'),
     notesList: document.getElementById('notes-list'),
     newNoteButton: document.getElementById('new-note-btn'),
     saveNoteButton: document.getElementById('save-note-btn'),
     loadMoreButton: document.getElementById('load-more-btn'),
+    searchInput: document.getElementById('notes-search'),
+    searchResults: document.getElementById('search-results'),
+    tagBrowser: document.getElementById('tag-browser'),
+    tagList: document.getElementById('tag-list'),
+    notebookTree: document.getElementById('notebook-tree'),
+    newNotebookButton: document.getElementById('new-notebook-btn'),
     sidebar: document.getElementById('sidebar'),
+    historyPanel: document.getElementById('history-panel'),
+    revisionsList: document.getElementById('revisions-list'),
+    revisionCompareSelect: document.getElementById('revision-compare-select'),
+    revisionDiff: document.getElementById('revision-diff'),
+    restoreRevisionButton: document.getElementById('restore-revision-btn'),
+    trashModal: document.getElementById('trash-modal'),
+    trashList: document.getElementById('trash-list'),
+    emptyTrashButton: document.getElementById('empty-trash-btn'),
+    shareNoteButton: document.getElementById('share-note-btn'),
+    sharedNotesBrowser: document.getElementById('shared-notes-browser'),
+    sharedNotesList: document.getElementById('shared-notes-list'),
+    collaboratorsList: document.getElementById('collaborators-list'),
+    tasksList: document.getElementById('tasks-list'),
+    apiTokenForm: document.getElementById('api-token-form'),
+    apiTokenName: document.getElementById('api-token-name'),
+    apiTokensList: document.getElementById('api-tokens-list'),
+    newApiToken: document.getElementById('new-api-token'),
+    newApiTokenValue: document.getElementById('new-api-token-value'),
+    copyApiTokenButton: document.getElementById('copy-api-token-btn'),
+    twoFactorStatus: document.getElementById('two-factor-status'),
+    twoFactorSetupButton: document.getElementById('two-factor-setup-btn'),
+    twoFactorSetup: document.getElementById('two-factor-setup'),
+    twoFactorQrCode: document.getElementById('two-factor-qr-code'),
+    twoFactorSecret: document.getElementById('two-factor-secret'),
+    twoFactorEnableForm: document.getElementById('two-factor-enable-form'),
+    twoFactorEnableCode: document.getElementById('two-factor-enable-code'),
+    twoFactorRecoveryCodes: document.getElementById('two-factor-recovery-codes'),
+    twoFactorRecoveryCodesList: document.getElementById('two-factor-recovery-codes-list'),
+    twoFactorDisableForm: document.getElementById('two-factor-disable-form'),
+    twoFactorDisablePassword: document.getElementById('two-factor-disable-password'),
+    twoFactorDisableCode: document.getElementById('two-factor-disable-code'),
+    collaboratorForm: document.getElementById('collaborator-form'),
+    collaboratorIdentifier: document.getElementById('collaborator-identifier'),
+    collaboratorRole: document.getElementById('collaborator-role'),
+    shareModal: document.getElementById('share-modal'),
+    shareLinksList: document.getElementById('share-links-list'),
+    shareLinkForm: document.getElementById('share-link-form'),
+    shareExpires: document.getElementById('share-expires'),
+    sharePassword: document.getElementById('share-password'),
+    importModal: document.getElementById('import-modal'),
+    importForm: document.getElementById('import-form'),
+    importFiles: document.getElementById('import-files'),
+    importResults: document.getElementById('import-results'),
+    importSubmitButton: document.getElementById('import-submit-btn'),
+    exportModal: document.getElementById('export-modal'),
+    exportStatus: document.getElementById('export-status'),
+    exportDownloadLink: document.getElementById('export-download-link'),
+    conflictModal: document.getElementById('conflict-modal'),
+    conflictLocalTitle: document.getElementById('conflict-local-title'),
+    conflictLocalContent: document.getElementById('conflict-local-content'),
+    conflictServerTitle: document.getElementById('conflict-server-title'),
+    conflictServerContent: document.getElementById('conflict-server-content'),
+    conflictMergedTitle: document.getElementById('conflict-merged-title'),
+    conflictMergedContent: document.getElementById('conflict-merged-content'),
+    conflictUseLocalButton: document.getElementById('conflict-use-local-btn'),
+    conflictUseServerButton: document.getElementById('conflict-use-server-btn'),
+    conflictSaveMergedButton: document.getElementById('conflict-save-merged-btn'),
   };
 }
 
+/**
+ * Checks or unchecks a task of a note on the server, leaving the rest of its content as is.
+ *
+ * @param {string} noteId - The ID of the note.
+ * @param {number|string} index - The index of the task among the tasks of the note.
+ * @param {boolean} done - Whether to check the task.
+ * @param {number|string} [version] - The version of the note the task was shown from.
+ * @returns {Promise<Response>} - The response.
+ * @throws {Error} - With `offline` set, if the server could not be reached.
+ */
+function sendTaskUpdate(noteId, index, done, version) {
+  const headers = {
+    'Content-Type': 'application/json',
+    Accept: 'application/json',
+    'X-CSRF-Token': csrfToken,
+  };
+  if (socket && socket.id) headers['X-Socket-Id'] = socket.id;
+  if (version !== null && version !== undefined) headers['If-Match'] = `"${version}"`;
+  return requestServer(`/notes/${noteId}/tasks/${index}`, {
+    method: 'PUT',
+    headers,
+    body: JSON.stringify({ done }),
+  });
+}
+
+/**
+ * Handles a task checked or unchecked in the preview of the editor, by updating it on the server.
+ * The checkbox is found by its index, which is also the index of its task in the open note.
+ * A note changed elsewhere since it was rendered is shown again instead.
+ *
+ * @param {Event} event - The change event.
+ * @returns {Promise<void>} A promise that resolves when the task is updated.
+ */
+async function handleEditorTaskToggle(event) {
+  const checkbox = event.target.closest('.editor-preview .task-list-item-checkbox');
+  if (!checkbox) return;
+  const preview = checkbox.closest('.editor-preview');
+  const index = [...preview.querySelectorAll('.task-list-item-checkbox')].indexOf(checkbox);
+  if (hasUnsavedChanges || isLocalNoteId(currentNoteId)) {
+    checkbox.checked = !checkbox.checked;
+    showAlert('Tasks can be checked off once the note is saved.');
+    return;
+  }
+
+  checkbox.disabled = true;
+  try {
+    const response = await sendTaskUpdate(
+      currentNoteId,
+      index,
+      checkbox.checked,
+      currentNoteVersion,
+    );
+    if (!response.ok && response.status !== 409) throw new Error('Failed to update the task');
+    const data = await response.json();
+    const note = response.status === 409 ? data.note : data;
+    clearTimeout(autosaveTimer);
+    updateNoteInList(note);
+    cacheNotes([note]);
+    displayNoteDetails(note);
+    renderEditorPreview(note.content, preview);
+    if (response.status === 409) {
+      showAlert('The note was changed elsewhere. Its tasks have been refreshed.');
+    }
+  } catch (error) {
+    console.error('Error updating task:', error);
+    checkbox.checked = !checkbox.checked;
+    showAlert('Failed to update the task. Please try again.');
+  } finally {
+    checkbox.disabled = false;
+  }
+}
+
+/**
+ * Hides the notes suggested for the wiki link being typed in the editor.
+ */
+function closeLinkSuggestions() {
+  clearTimeout(linkSuggestionTimer);
+  linkSuggestions = null;
+  elements.linkSuggestions.classList.remove('show');
+  elements.linkSuggestions.textContent = '';
+}
+
+/**
+ * Marks the active suggestion, which Enter or Tab inserts.
+ */
+function highlightLinkSuggestion() {
+  elements.linkSuggestions.querySelectorAll('.dropdown-item').forEach((item, index) => {
+    const active = index === linkSuggestions.activeIndex;
+    item.classList.toggle('active', active);
+    item.setAttribute('aria-selected', String(active));
+  });
+}
+
+/**
+ * Shows the titles suggested for the wiki link being typed below the cursor.
+ *
+ * @param {string[]} titles - The titles.
+ */
+function showLinkSuggestions(titles) {
+  const menu = elements.linkSuggestions;
+  menu.textContent = '';
+  linkSuggestions.titles = titles;
+  linkSuggestions.activeIndex = 0;
+  if (titles.length === 0) {
+    menu.classList.remove('show');
+    return;
+  }
+  titles.forEach((title, index) => {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'dropdown-item text-truncate';
+    item.setAttribute('role', 'option');
+    item.dataset.index = index;
+    item.textContent = title;
+    menu.appendChild(item);
+  });
+  const coords = simpleMDE.codemirror.cursorCoords(true, 'window');
+  menu.style.left = `${coords.left}px`;
+  menu.style.top = `${coords.bottom}px`;
+  menu.classList.add('show');
+  highlightLinkSuggestion();
+}
+
+/**
+ * Fetches the titles of the notes starting with the title typed in a wiki link.
+ * While offline, they are looked up in the offline copies of the notes instead.
+ *
+ * @param {string} query - The start of the title.
+ * @returns {Promise<string[]>} - The titles, leaving out duplicates and titles that cannot be
+ * linked to.
+ */
+async function fetchLinkTitles(query) {
+  let notes;
+  try {
+    const response = await requestServer(`/notes/titles?q=${encodeURIComponent(query)}`, {
+      headers: {
+        Accept: 'application/json',
+      },
+    });
+    if (!response.ok) throw new Error('Failed to fetch note titles');
+    ({ notes } = await response.json());
+  } catch (error) {
+    if (!error.offline) throw error;
+    const prefix = normalizeWikiTitle(query);
+    notes = (await getCachedNotes())
+      .filter((note) => normalizeWikiTitle(note.title).startsWith(prefix));
+  }
+
+  const titles = new Map();
+  notes.forEach((note) => {
+    const title = (note.title || '').trim();
+    const key = normalizeWikiTitle(title);
+    if (title && !UNLINKABLE_TITLE_PATTERN.test(title) && !titles.has(key)) titles.set(key, title);
+  });
+  return [...titles.values()].slice(0, LINK_SUGGESTIONS_LIMIT);
+}
+
+/**
+ * Suggests the notes whose title starts with the title typed in a wiki link, unless another
+ * title was typed since.
+ *
+ * @param {string} query - The start of the title.
+ * @returns {Promise<void>} A promise that resolves when the suggestions are shown.
+ */
+async function suggestLinkTitles(query) {
+  try {
+    const titles = await fetchLinkTitles(query);
+    if (linkSuggestions && linkSuggestions.query === query) showLinkSuggestions(titles);
+  } catch (error) {
+    console.error('Error suggesting notes to link to:', error);
+  }
+}
+
+/**
+ * Finds the wiki link being typed before the cursor of the editor.
+ *
+ * @param {Object} codemirror - The CodeMirror instance of the editor.
+ * @returns {{from: Object, query: string}|null} - The position where its title starts and the
+ * title typed so far, or null if no wiki link is being typed.
+ */
+function getLinkQuery(codemirror) {
+  const cursor = codemirror.getCursor();
+  const match = WIKI_LINK_QUERY_PATTERN.exec(codemirror.getLine(cursor.line).slice(0, cursor.ch));
+  if (!match) return null;
+  return { from: { line: cursor.line, ch: cursor.ch - match[1].length }, query: match[1] };
+}
+
+/**
+ * Handles text typed or deleted in the editor, by suggesting notes to link to after a pause
+ * in typing while a wiki link is being typed.
+ *
+ * @param {Object} codemirror - The CodeMirror instance of the editor.
+ * @param {Object} change - The change.
+ */
+function handleLinkInput(codemirror, change) {
+  if (change.origin !== '+input' && change.origin !== '+delete') return;
+  const linkQuery = getLinkQuery(codemirror);
+  if (!linkQuery) {
+    if (linkSuggestions) closeLinkSuggestions();
+    return;
+  }
+  clearTimeout(linkSuggestionTimer);
+  linkSuggestions = {
+    titles: [], activeIndex: 0, ...linkSuggestions, ...linkQuery,
+  };
+  linkSuggestionTimer = setTimeout(() => suggestLinkTitles(linkQuery.query), SEARCH_DELAY);
+}
+
+/**
+ * Hides the suggestions once the cursor leaves the wiki link they were shown for.
+ *
+ * @param {Object} codemirror - The CodeMirror instance of the editor.
+ */
+function handleEditorCursorActivity(codemirror) {
+  if (!linkSuggestions) return;
+  const linkQuery = getLinkQuery(codemirror);
+  if (!linkQuery || linkQuery.from.line !== linkSuggestions.from.line
+    || linkQuery.from.ch !== linkSuggestions.from.ch) {
+    closeLinkSuggestions();
+  }
+}
+
+/**
+ * Completes the wiki link being typed with a title, closing it unless it already is,
+ * and moves the cursor after it.
+ *
+ * @param {string} title - The title.
+ */
+function insertLinkSuggestion(title) {
+  const { codemirror } = simpleMDE;
+  const { from } = linkSuggestions;
+  const cursor = codemirror.getCursor();
+  const closed = codemirror.getLine(cursor.line).slice(cursor.ch).startsWith(']]');
+  closeLinkSuggestions();
+  codemirror.replaceRange(`${title}${closed ? '' : ']]'}`, from, cursor, 'complete');
+  codemirror.setCursor({ line: from.line, ch: from.ch + title.length + 2 });
+  codemirror.focus();
+}
+
+/**
+ * Lets the suggestions be browsed with the arrow keys while they are shown, inserted with
+ * Enter or Tab and dismissed with Escape, instead of editing the note.
+ *
+ * @param {Object} codemirror - The CodeMirror instance of the editor.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleLinkSuggestionsKeydown(codemirror, event) {
+  if (!linkSuggestions || linkSuggestions.titles.length === 0) return;
+  const { titles, activeIndex } = linkSuggestions;
+  if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    event.preventDefault();
+    const step = event.key === 'ArrowDown' ? 1 : -1;
+    linkSuggestions.activeIndex = (activeIndex + step + titles.length) % titles.length;
+    highlightLinkSuggestion();
+  } else if (event.key === 'Enter' || event.key === 'Tab') {
+    event.preventDefault();
+    insertLinkSuggestion(titles[activeIndex]);
+  } else if (event.key === 'Escape') {
+    event.preventDefault();
+    closeLinkSuggestions();
+  }
+}
+
+/**
+ * Inserts the suggestion clicked, keeping the focus in the editor.
+ *
+ * @param {MouseEvent} event - The mousedown event.
+ */
+function handleLinkSuggestionsMousedown(event) {
+  event.preventDefault();
+  const item = event.target.closest('[data-index]');
+  if (item) insertLinkSuggestion(linkSuggestions.titles[item.dataset.index]);
+}
+
 /**
  * Initializes the SimpleMDE editor.
  */
@@ -608,19 +3813,37 @@ function initializeSimpleMDE() {
     simpleMDE = new SimpleMDE({
       element: elements.noteContent,
       spellChecker: false,
+      autoDownloadFontAwesome: false,
       status: false,
       toolbar: ['bold', 'italic', 'heading', '|', 'unordered-list', 'ordered-list', '|', 'link', 'quote', 'code', '|', 'preview'],
+      previewRender: renderEditorPreview,
     });
-    simpleMDE.codemirror.on('change', handleNoteInput);
+    simpleMDE.codemirror.on('change', handleContentInput);
+    simpleMDE.codemirror.getWrapperElement().addEventListener('change', handleEditorTaskToggle);
+    simpleMDE.codemirror.getWrapperElement().addEventListener('click', handleNoteLinkClick);
+  }
+  if (elements.linkSuggestions) {
+    simpleMDE.codemirror.on('change', handleLinkInput);
+    simpleMDE.codemirror.on('cursorActivity', handleEditorCursorActivity);
+    simpleMDE.codemirror.on('keydown', handleLinkSuggestionsKeydown);
+    simpleMDE.codemirror.on('blur', closeLinkSuggestions);
+    simpleMDE.codemirror.on('scroll', closeLinkSuggestions);
+    elements.linkSuggestions.addEventListener('mousedown', handleLinkSuggestionsMousedown);
   }
 }
 
 /**
  * Initializes the socket connection and sets up event listeners for note-related events.
+ * The connection is only opened on pages showing the notes list, since the server
+ * refuses sockets without an authenticated session.
  */
 function initializeSocketConnection() {
+  if (!elements.notesList) return;
   socket = io();
-  socket.on('note-created', addNoteToList);
+  socket.on('connect', handleConnectionRestored);
+  socket.on('disconnect', leaveCollabSession);
+  socket.on('connect_error', (error) => console.error('Socket connection error:', error.message));
+  socket.on('note-created', handleNoteCreated);
   socket.on('note-updated', handleNoteUpdate);
   socket.on('note-deleted', handleNoteDeletion);
 }
@@ -630,19 +3853,125 @@ function initializeSocketConnection() {
  */
 function initializeStateVariables() {
   currentNoteId = null;
+  currentNoteVersion = null;
+  currentNoteRole = 'owner';
+  currentUserId = document.body.dataset.userId || '';
+  currentUserName = document.body.dataset.userName || '';
+  csrfToken = document.body.dataset.csrfToken || '';
+  collabSession = null;
+  backlinksKey = null;
+  linkSuggestions = null;
+  offlineDb = null;
+  isOnline = window.navigator.onLine;
+  isSyncing = false;
+  syncCursor = null;
+  pageLoadedAt = new Date().toISOString();
   page = 1;
   hasUnsavedChanges = false;
+  isSaving = false;
+  conflictingNote = null;
+  selectedRevisionId = null;
+  selectedTags = [];
+  notebooks = [];
+  selectedNotebookId = '';
+  expandedNotebookIds = new Set();
+}
+
+/**
+ * Initializes the settings page.
+ */
+function initializeSettings() {
+  loadApiTokens();
+  elements.apiTokenForm.addEventListener('submit', createApiToken);
+  elements.apiTokensList.addEventListener('click', handleApiTokensClick);
+  elements.copyApiTokenButton.addEventListener('click', copyNewApiToken);
+  loadTwoFactorStatus();
+  elements.twoFactorSetupButton.addEventListener('click', startTwoFactorSetup);
+  elements.twoFactorEnableForm.addEventListener('submit', enableTwoFactor);
+  elements.twoFactorDisableForm.addEventListener('submit', disableTwoFactor);
+}
+
+/**
+ * Handles a task checked or unchecked on the tasks page, by updating it in its note.
+ * Checked tasks stay listed, crossed out, so that they can be unchecked again.
+ *
+ * @param {Event} event - The change event.
+ * @returns {Promise<void>} A promise that resolves when the task is updated.
+ */
+async function handleTaskCheckboxChange(event) {
+  const checkbox = event.target.closest('.task-checkbox');
+  if (!checkbox) return;
+  const item = checkbox.closest('[data-task-index]');
+  const { noteId, taskIndex, noteVersion } = item.dataset;
+
+  checkbox.disabled = true;
+  try {
+    const response = await sendTaskUpdate(noteId, taskIndex, checkbox.checked, noteVersion);
+    if (response.status === 409) {
+      checkbox.checked = !checkbox.checked;
+      showAlert('This note was changed since the tasks were loaded. Reload the page to see its tasks.');
+      return;
+    }
+    if (!response.ok) throw new Error('Failed to update the task');
+    const note = await response.json();
+    elements.tasksList.querySelectorAll(`[data-note-id="${noteId}"]`).forEach((element) => {
+      const noteItem = element;
+      noteItem.dataset.noteVersion = note.version;
+    });
+    item.querySelector('.task-text').classList.toggle('text-decoration-line-through', checkbox.checked);
+    item.classList.toggle('text-muted', checkbox.checked);
+  } catch (error) {
+    console.error('Error updating task:', error);
+    checkbox.checked = !checkbox.checked;
+    showAlert('Failed to update the task. Please try again.');
+  } finally {
+    checkbox.disabled = false;
+  }
+}
+
+/**
+ * Initializes the tasks page.
+ */
+function initializeTasks() {
+  elements.tasksList.addEventListener('change', handleTaskCheckboxChange);
+}
+
+/**
+ * Registers the service worker, which lets the notes page load offline, and tells it who is
+ * signed in so that it only keeps the page of that user.
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in window.navigator)) return;
+  const { serviceWorker } = window.navigator;
+  serviceWorker.register('/sw.js')
+    .then(() => serviceWorker.ready)
+    .then((registration) => {
+      registration.active.postMessage({ type: 'user', userId: currentUserId });
+    })
+    .catch((error) => {
+      console.error('Error registering the service worker:', error);
+    });
 }
 
 /**
  * Initializes the main functionality of the application.
+ * The settings and tasks pages only need their own handlers.
  */
 function main() {
   initializeElements();
   initializeStateVariables();
+  if (elements.apiTokenForm) {
+    initializeSettings();
+    return;
+  }
+  if (elements.tasksList) {
+    initializeTasks();
+    return;
+  }
   initializeSocketConnection();
   initializeSimpleMDE();
   initializeApp();
+  if (elements.notesList) registerServiceWorker();
 }
 
 if (typeof window !== 'undefined') {
@@ -0,0 +1,213 @@
+/* global globalThis, caches */
+
+/**
+ * The service worker of Anchor, making the notes page load without a connection.
+ * Scripts, styles and fonts are served from a cache and refreshed in the background.
+ * The notes page is fetched from the network first, falling back to its last cached copy
+ * when offline; the notes themselves are kept in IndexedDB by `main.js`.
+ * The cached page belongs to the signed-in user, whom `main.js` tells the service worker about:
+ * it is forgotten when another user signs in and whenever the session ends.
+ */
+
+const CACHE_VERSION = 'v3';
+const ASSETS_CACHE = `anchor-assets-${CACHE_VERSION}`;
+const PAGES_CACHE = `anchor-pages-${CACHE_VERSION}`;
+
+/**
+ * The files the notes page needs, cached when the service worker is installed.
+ * @type {string[]}
+ */
+const APP_SHELL = [
+  '/css/custom.css',
+  '/css/style.css',
+  '/fontawesome/css/all.min.css',
+  '/simplemde/simplemde.min.css',
+  '/katex/katex.min.css',
+  '/highlight.js/github.min.css',
+  '/socket.io/socket.io.js',
+  '/bootstrap/js/bootstrap.bundle.min.js',
+  '/timeago.js/timeago.min.js',
+  '/simplemde/simplemde.min.js',
+  '/js/collab.bundle.js',
+  '/js/main.js',
+];
+
+/**
+ * The path prefixes of the static files served from the cache.
+ * @type {string[]}
+ */
+const ASSET_PREFIXES = [
+  '/css/',
+  '/js/',
+  '/bootstrap/',
+  '/fontawesome/',
+  '/timeago.js/',
+  '/simplemde/',
+  '/katex/',
+  '/highlight.js/',
+  '/socket.io/socket.io.js',
+];
+
+/**
+ * Matches the paths of the notes page, whose last copy is shown offline.
+ * @type {RegExp}
+ */
+const NOTES_PAGE_PATH = /^\/notes(\/[a-f\d]{24})?\/?$/i;
+
+/**
+ * The key under which the ID of the signed-in user is kept in the pages cache.
+ * @type {string}
+ */
+const CURRENT_USER_KEY = '/sw/current-user';
+
+/**
+ * Returns the key under which the notes page of a user is cached.
+ * @param {string} userId - The ID of the user.
+ * @returns {string} - The cache key.
+ */
+function getPageKey(userId) {
+  return `/notes?user=${encodeURIComponent(userId)}`;
+}
+
+/**
+ * Forgets the cached notes page and the signed-in user.
+ * @returns {Promise<boolean>} - True if there was anything to forget.
+ */
+function forgetPages() {
+  return caches.delete(PAGES_CACHE);
+}
+
+/**
+ * Reads the ID of the signed-in user.
+ * @param {Cache} cache - The pages cache.
+ * @returns {Promise<string>} - The ID of the user, or an empty string if unknown.
+ */
+async function getCurrentUser(cache) {
+  const record = await cache.match(CURRENT_USER_KEY);
+  return record ? record.text() : '';
+}
+
+/**
+ * Records the signed-in user. When it changed, the page of the previous user is forgotten
+ * and the notes page of the new one is cached right away.
+ * @param {string} userId - The ID of the user, or an empty string when signed out.
+ * @returns {Promise<void>}
+ */
+async function setCurrentUser(userId) {
+  if (await getCurrentUser(await caches.open(PAGES_CACHE)) === userId) return;
+  await forgetPages();
+  if (!userId) return;
+  const cache = await caches.open(PAGES_CACHE);
+  await cache.put(CURRENT_USER_KEY, new Response(userId));
+  const response = await fetch('/notes');
+  if (response.ok && !response.redirected) {
+    await cache.put(getPageKey(userId), response);
+  }
+}
+
+/**
+ * Caches the app shell, and activates the new service worker without waiting for old tabs.
+ * @param {ExtendableEvent} event - The install event.
+ */
+function handleInstall(event) {
+  event.waitUntil(caches.open(ASSETS_CACHE)
+    .then((cache) => cache.addAll(APP_SHELL))
+    .then(() => globalThis.skipWaiting()));
+}
+
+/**
+ * Deletes the caches of previous versions, and takes control of the open tabs.
+ * @param {ExtendableEvent} event - The activate event.
+ */
+function handleActivate(event) {
+  event.waitUntil(caches.keys()
+    .then((keys) => Promise.all(keys
+      .filter((key) => key.startsWith('anchor-') && key !== ASSETS_CACHE && key !== PAGES_CACHE)
+      .map((key) => caches.delete(key))))
+    .then(() => globalThis.clients.claim()));
+}
+
+/**
+ * Serves a static file from the cache if it is there, refreshing the cached copy
+ * from the network in the background.
+ * @param {Request} request - The request.
+ * @returns {Promise<Response>} - The response.
+ */
+async function serveAsset(request) {
+  const cache = await caches.open(ASSETS_CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request).then((response) => {
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  });
+  if (cached) {
+    network.catch(() => {});
+    return cached;
+  }
+  return network;
+}
+
+/**
+ * Serves the notes page from the network, keeping a copy of it for the signed-in user.
+ * Offline, their last copy is served for every note, and the script shows the right note.
+ * A page refused or redirected to the login form means the session ended, so the copy is
+ * forgotten.
+ * @param {Request} request - The request.
+ * @returns {Promise<Response>} - The response.
+ */
+async function serveNotesPage(request) {
+  const cache = await caches.open(PAGES_CACHE);
+  const userId = await getCurrentUser(cache);
+  try {
+    const response = await fetch(request);
+    if (response.status === 401 || response.redirected) {
+      await forgetPages();
+    } else if (response.ok && userId) {
+      await cache.put(getPageKey(userId), response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = userId && await cache.match(getPageKey(userId));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Routes the requests of the app: static files and the notes page go through the cache,
+ * everything else straight to the network. Going to the login, registration or logout pages
+ * starts or ends a session, so it forgets the cached page.
+ * @param {FetchEvent} event - The fetch event.
+ */
+function handleFetch(event) {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== globalThis.location.origin) return;
+
+  if (url.pathname.startsWith('/auth/')) {
+    event.waitUntil(forgetPages());
+  } else if (request.mode === 'navigate' && NOTES_PAGE_PATH.test(url.pathname)) {
+    event.respondWith(serveNotesPage(request));
+  } else if (ASSET_PREFIXES.some((prefix) => url.pathname.startsWith(prefix))) {
+    event.respondWith(serveAsset(request));
+  }
+}
+
+/**
+ * Handles the messages of the pages: `main.js` sends the signed-in user on every load.
+ * @param {ExtendableMessageEvent} event - The message event.
+ */
+function handleMessage(event) {
+  const { data } = event;
+  if (!data || data.type !== 'user' || typeof data.userId !== 'string') return;
+  event.waitUntil(setCurrentUser(data.userId).catch((error) => {
+    console.error('Error caching the notes page:', error);
+  }));
+}
+
+if (typeof globalThis.skipWaiting === 'function') {
+  globalThis.addEventListener('install', handleInstall);
+  globalThis.addEventListener('activate', handleActivate);
+  globalThis.addEventListener('fetch', handleFetch);
+  globalThis.addEventListener('message', handleMessage);
+}
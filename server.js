@@ -1,39 +1,34 @@
 const http = require('http');
-const { Server } = require('socket.io');
 const createApp = require('./src/app');
+const { createSocketServer } = require('./src/socket');
+const { createEventBus } = require('./src/services/eventBus');
+const { getQueue, isMemoryQueue } = require('./src/services/queue');
+const { registerJobProcessors, scheduleRecurringJobs } = require('./src/jobs');
+const { getRateLimitStore } = require('./src/services/rateLimiter');
+const { getAppUrl } = require('./src/services/accountService');
 
 /**
  * Sets up the server by creating an Express app, a HTTP server, and a Socket.IO instance.
- * Listens for client connections and handles events such as note creation, update, deletion, and disconnection.
- * @returns {Object} An object containing the Express app, Socket.IO instance, and HTTP server.
+ * Socket connections are authenticated against the shared session and scoped to per-user rooms.
+ * Note changes made by the app are published on an event bus that the Socket.IO server relays.
+ * With the in-memory job queue, there is no separate worker, so jobs are processed and the trash
+ * purge is scheduled in this process.
+ * The rate limit store connects at startup, so that the first logins are limited too.
+ * The public URL of the app is checked first, so that a server without one fails to start
+ * rather than failing to send emails.
+ * @returns {Object} An object containing the Express app, Socket.IO instance, HTTP server and event bus.
  */
 async function setupServer() {
-  const app = await createApp();
+  getAppUrl();
+  const eventBus = createEventBus();
+  const app = await createApp({ eventBus });
   const server = http.createServer(app);
-  const io = new Server(server);
+  const io = createSocketServer(server, { eventBus });
 
-  io.on('connection', (socket) => {
-    console.log('New client connected');
-
-    socket.on('note-created', (note) => {
-      console.log('Note created:', note);
-      socket.broadcast.emit('note-created', note);
-    });
-
-    socket.on('note-updated', (note) => {
-      console.log('Note updated:', note);
-      socket.broadcast.emit('note-updated', note);
-    });
-
-    socket.on('note-deleted', (noteId) => {
-      console.log('Note deleted:', noteId);
-      socket.broadcast.emit('note-deleted', noteId);
-    });
-
-    socket.on('disconnect', () => {
-      console.log('Client disconnected');
-    });
-  });
+  if (isMemoryQueue()) {
+    await scheduleRecurringJobs(registerJobProcessors(getQueue()));
+  }
+  getRateLimitStore();
 
   const PORT = process.env.PORT || 3000;
 
@@ -41,7 +36,9 @@ async function setupServer() {
     console.log(`Server running on port ${PORT}`);
   });
 
-  return { app, io, server };
+  return {
+    app, io, server, eventBus,
+  };
 }
 
 if (require.main === module) {
@@ -1,19 +1,35 @@
 const express = require('express');
 const path = require('path');
 const expressLayouts = require('express-ejs-layouts');
-const session = require('express-session');
 const connectDB = require('./config/database');
-const sessionConfig = require('./config/session');
+const sessionMiddleware = require('./middleware/session');
+const { securityHeaders } = require('./config/security');
 const createAuthRouter = require('./routes/authRoutes');
 const createNoteRouter = require('./routes/noteRoutes');
+const createTagRouter = require('./routes/tagRoutes');
+const createTaskRouter = require('./routes/taskRoutes');
+const createNotebookRouter = require('./routes/notebookRoutes');
+const createTrashRouter = require('./routes/trashRoutes');
+const createExportRouter = require('./routes/exportRoutes');
+const createShareRouter = require('./routes/shareRoutes');
+const createSettingsRouter = require('./routes/settingsRoutes');
+const createApiRouter = require('./routes/apiRoutes');
+const createDocsRouter = require('./routes/docsRoutes');
+const { REQUEST_BODY_LIMIT } = require('./config/limits');
 const { attachUser } = require('./middleware/auth');
+const { csrfProtection } = require('./middleware/csrf');
+const { handleApiError } = require('./middleware/api');
+const { createEventBus } = require('./services/eventBus');
 
 /**
  * Creates and configures an Express application.
  * 
+ * @param {Object} [options] - The application options.
+ * @param {import('events').EventEmitter} [options.eventBus] - The event bus note changes are
+ * published to. A private one is created when omitted.
  * @returns {Express.Application} The configured Express application.
  */
-async function createApp() {
+async function createApp({ eventBus = createEventBus() } = {}) {
   await connectDB().then(() => {
     console.log('Database connected successfully');
   }).catch((err) => {
@@ -22,16 +38,26 @@ async function createApp() {
   });
 
   const app = express();
+  app.set('eventBus', eventBus);
+  if (process.env.TRUST_PROXY) {
+    // Behind a reverse proxy, rate limits must count the address of the client, not the proxy's.
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+  }
 
   // Middleware
-  app.use(express.json());
-  app.use(express.urlencoded({ extended: true }));
+  app.use(securityHeaders);
+  app.use(express.json({ limit: REQUEST_BODY_LIMIT }));
+  app.use(express.urlencoded({ extended: true, limit: REQUEST_BODY_LIMIT }));
   app.use(express.static(path.join(__dirname, '..', 'public')));
   app.use('/bootstrap', express.static(path.join(__dirname, '..', 'node_modules/bootstrap/dist')));
   app.use('/fontawesome', express.static(path.join(__dirname, '..', 'node_modules/@fortawesome/fontawesome-free')));
   app.use('/timeago.js', express.static(path.join(__dirname, '..', 'node_modules/timeago.js/dist')));
   app.use('/simplemde', express.static(path.join(__dirname, '..', 'node_modules/simplemde/dist')));
-  app.use(session(sessionConfig));
+  app.use('/katex', express.static(path.join(__dirname, '..', 'node_modules/katex/dist')));
+  app.use('/highlight.js', express.static(path.join(__dirname, '..', 'node_modules/highlight.js/styles')));
+  app.use('/swagger-ui', express.static(path.join(__dirname, '..', 'node_modules/swagger-ui-dist')));
+  app.use(sessionMiddleware);
 
   // View engine setup
   app.use(expressLayouts);
@@ -39,8 +65,19 @@ async function createApp() {
   app.set('views', path.join(__dirname, 'views'));
 
   // Routes
+  // The API authenticates with tokens rather than the session cookie, so it needs no CSRF token.
+  app.use('/api/v1', createApiRouter(), handleApiError);
+  app.use(csrfProtection);
   app.use('/auth', createAuthRouter());
   app.use('/notes', createNoteRouter());
+  app.use('/tags', createTagRouter());
+  app.use('/tasks', createTaskRouter());
+  app.use('/notebooks', createNotebookRouter());
+  app.use('/trash', createTrashRouter());
+  app.use('/exports', createExportRouter());
+  app.use('/s', createShareRouter());
+  app.use('/settings', createSettingsRouter());
+  app.use('/docs', createDocsRouter());
 
   app.get('/', attachUser, (req, res) => {
     if (req.session.user) {
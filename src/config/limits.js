@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Limits on user input: the sizes shared by the models, the OpenAPI document
+ * that request validation is based on and the controllers, and the rates of the auth routes.
+ * @module config/limits
+ */
+
+module.exports = {
+  /** The longest note title, in characters. */
+  NOTE_TITLE_MAX_LENGTH: 200,
+  /** The longest note content, in characters. */
+  NOTE_CONTENT_MAX_LENGTH: 100000,
+  /** The most tags a note can be given in one request. */
+  NOTE_TAGS_MAX_ITEMS: 50,
+  /** The longest tag, in characters. */
+  TAG_MAX_LENGTH: 50,
+  /** The longest notebook name, in characters. */
+  NOTEBOOK_NAME_MAX_LENGTH: 100,
+  /** The most notes in a page of the notes list. */
+  PAGE_SIZE_MAX: 100,
+  /** The most results of a search. */
+  SEARCH_LIMIT_MAX: 50,
+  /** The most open tasks listed on the tasks page. */
+  TASKS_LIMIT_MAX: 500,
+  /** The longest task text kept on a note, in characters. */
+  TASK_TEXT_MAX_LENGTH: 500,
+  /** The most files imported from one zip archive. */
+  IMPORT_ZIP_ENTRIES_MAX: 1000,
+  /** The largest total size of the files imported from one zip archive, once inflated, in bytes. */
+  IMPORT_ZIP_SIZE_MAX: 50 * 1024 * 1024,
+  /** The largest JSON or form request body. */
+  REQUEST_BODY_LIMIT: '1mb',
+  /** The most login attempts from one IP address in 15 minutes. */
+  LOGIN_RATE_LIMIT_PER_IP: { limit: 20, windowMs: 15 * 60 * 1000 },
+  /** The most login attempts to one account in 15 minutes. */
+  LOGIN_RATE_LIMIT_PER_ACCOUNT: { limit: 10, windowMs: 15 * 60 * 1000 },
+  /** The most registrations from one IP address in an hour. */
+  REGISTER_RATE_LIMIT_PER_IP: { limit: 5, windowMs: 60 * 60 * 1000 },
+  /** The most registrations with one email address in an hour. */
+  REGISTER_RATE_LIMIT_PER_ACCOUNT: { limit: 3, windowMs: 60 * 60 * 1000 },
+  /** The most verification or password reset emails asked for from one IP address in an hour. */
+  EMAIL_RATE_LIMIT_PER_IP: { limit: 5, windowMs: 60 * 60 * 1000 },
+  /** The most verification or password reset emails asked for one account in an hour. */
+  EMAIL_RATE_LIMIT_PER_ACCOUNT: { limit: 3, windowMs: 60 * 60 * 1000 },
+  /** The most password attempts on share links from one IP address in 15 minutes. */
+  SHARE_UNLOCK_RATE_LIMIT_PER_IP: { limit: 20, windowMs: 15 * 60 * 1000 },
+  /** The most password attempts on one share link in 15 minutes. */
+  SHARE_UNLOCK_RATE_LIMIT_PER_LINK: { limit: 10, windowMs: 15 * 60 * 1000 },
+};
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview The security headers sent with every response, set with Helmet.
+ * The Content-Security-Policy only allows scripts, styles and fonts served by the app itself
+ * (Bootstrap, FontAwesome, SimpleMDE, KaTeX, highlight.js and Swagger UI are served from
+ * `node_modules`), so no page may use inline scripts. Style attributes stay allowed, since
+ * rendered Markdown aligns table cells and lays out KaTeX math with them. Images may come
+ * from any HTTPS origin, as notes can embed them.
+ * @module config/security
+ */
+
+const helmet = require('helmet');
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+/**
+ * The Helmet options.
+ * @type {Object}
+ */
+const securityConfig = {
+  contentSecurityPolicy: {
+    useDefaults: false,
+    directives: {
+      defaultSrc: ["'self'"],
+      scriptSrc: ["'self'"],
+      styleSrc: ["'self'"],
+      styleSrcAttr: ["'unsafe-inline'"],
+      imgSrc: ["'self'", 'data:', 'https:'],
+      fontSrc: ["'self'", 'data:'],
+      connectSrc: ["'self'"],
+      objectSrc: ["'none'"],
+      baseUri: ["'self'"],
+      formAction: ["'self'"],
+      frameAncestors: ["'none'"],
+      upgradeInsecureRequests: isProduction ? [] : null,
+    },
+  },
+  frameguard: { action: 'deny' },
+  referrerPolicy: { policy: 'same-origin' },
+  strictTransportSecurity: isProduction,
+};
+
+/**
+ * The middleware setting the security headers.
+ * @type {Function}
+ */
+const securityHeaders = helmet(securityConfig);
+
+module.exports = { securityConfig, securityHeaders };
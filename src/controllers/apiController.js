@@ -0,0 +1,339 @@
+/**
+ * @fileoverview This file contains the controller functions of the versioned JSON API (`/api/v1`).
+ * Requests are authenticated with personal API tokens, so the user is `req.apiUser`.
+ * Responses carry their payload in `data`; lists add `pagination` with an opaque cursor
+ * to the next page, and errors are sent as `{ error: { code, message } }`.
+ * @module apiController
+ */
+
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const { sendApiError } = require('../middleware/api');
+const { PAGE_SIZE_MAX } = require('../config/limits');
+const { NOTE_EVENTS, publishNoteEvent } = require('../services/eventBus');
+const { recordRevision } = require('../services/revisionService');
+const {
+  normalizeTags, resolveManualTags, listTags,
+} = require('../services/tagService');
+const { resolveNotebookId, listNotebooks } = require('../services/notebookService');
+const { trashNote } = require('../services/trashService');
+const {
+  getNoteETag, getBaseVersion, updateNote, recordNoteUpdate,
+} = require('../services/noteService');
+const { decodeSyncCursor, isSyncExpired, listChanges } = require('../services/syncService');
+const {
+  ROLES, canEdit, getNoteUserIds, findAccessibleNote,
+} = require('../services/permissionService');
+
+/**
+ * The number of notes in a page when the client does not ask for a size.
+ * @type {number}
+ */
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Formats a note for the API.
+ * @param {Object} note - The note.
+ * @param {string} [role='owner'] - The role of the user on the note.
+ * @returns {Object} - The note as returned by the API.
+ */
+function formatNote(note, role = ROLES.OWNER) {
+  return {
+    id: note._id,
+    title: note.title,
+    content: note.content,
+    tags: note.tags,
+    notebook: note.notebook || null,
+    version: note.version,
+    role,
+    createdAt: note.createdAt,
+    updatedAt: note.updatedAt,
+  };
+}
+
+/**
+ * Encodes the position of a note in the list as an opaque cursor.
+ * @param {Object} note - The last note of a page.
+ * @returns {string} - The cursor to the page after the note.
+ */
+function encodeCursor(note) {
+  return Buffer.from(JSON.stringify([note.updatedAt.toISOString(), String(note._id)]))
+    .toString('base64url');
+}
+
+/**
+ * Decodes a cursor made by {@link encodeCursor}.
+ * @param {string} cursor - The cursor sent by the client.
+ * @returns {Object|null} - The `updatedAt` date and `id` of the last note seen, or null if the
+ * cursor is not valid.
+ */
+function decodeCursor(cursor) {
+  try {
+    const [updatedAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const date = new Date(updatedAt);
+    if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) return null;
+    return { updatedAt: date, id: new mongoose.Types.ObjectId(String(id)) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads the page size of a list request from the `limit` query parameter.
+ * @param {Object} req - The request object.
+ * @returns {number} - The page size, between 1 and {@link PAGE_SIZE_MAX}.
+ */
+function getPageSize(req) {
+  const limit = parseInt(req.query.limit, 10);
+  return Number.isNaN(limit) || limit < 1 ? DEFAULT_PAGE_SIZE : Math.min(limit, PAGE_SIZE_MAX);
+}
+
+/**
+ * List the notes of the user, most recently updated first, one page at a time.
+ * The `tags` query parameter (comma-separated) narrows the list to notes carrying all given tags,
+ * and the `notebook` query parameter to the notes of a notebook (`none` for unfiled notes).
+ * The `cursor` query parameter is the `nextCursor` of the previous page.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing a page of notes.
+ */
+exports.listNotes = async (req, res) => {
+  try {
+    const limit = getPageSize(req);
+    const filter = { user: req.apiUser.id };
+    const tags = normalizeTags(req.query.tags);
+    if (tags.length > 0) {
+      filter.tags = { $all: tags };
+    }
+    if (req.query.notebook) {
+      if (req.query.notebook !== 'none' && !mongoose.isValidObjectId(req.query.notebook)) {
+        return sendApiError(res, 400, 'invalid_parameter', 'The notebook is not a valid ID');
+      }
+      filter.notebook = req.query.notebook === 'none' ? null : req.query.notebook;
+    }
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return sendApiError(res, 400, 'invalid_cursor', 'The cursor is not valid');
+      }
+      filter.$or = [
+        { updatedAt: { $lt: cursor.updatedAt } },
+        { updatedAt: cursor.updatedAt, _id: { $lt: cursor.id } },
+      ];
+    }
+
+    const notes = await Note.find(filter)
+      .sort({ updatedAt: -1, _id: -1 })
+      .limit(limit + 1);
+    const hasMore = notes.length > limit;
+    const page = notes.slice(0, limit);
+    return res.json({
+      data: page.map((note) => formatNote(note)),
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      },
+    });
+  } catch (error) {
+    console.error('Error listing notes through the API:', error);
+    return sendApiError(res, 500, 'internal_error', 'An error occurred while listing notes');
+  }
+};
+
+/**
+ * List the notes the user owns or collaborates on that were created, updated or deleted since
+ * their previous sync, given as the `nextCursor` it returned or, for a client without one,
+ * as a `since` date. Without either, every note is listed.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the changes.
+ */
+exports.syncNotes = async (req, res) => {
+  try {
+    const after = req.query.cursor ? decodeSyncCursor(req.query.cursor) : null;
+    if (req.query.cursor && !after) {
+      return sendApiError(res, 400, 'invalid_cursor', 'The cursor is not valid');
+    }
+    const since = !after && req.query.since ? new Date(req.query.since) : null;
+    const lastSync = after ? after.at : since;
+    if (lastSync && isSyncExpired(lastSync)) {
+      return sendApiError(res, 410, 'sync_expired', 'The previous sync is too old; fetch all notes again');
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || PAGE_SIZE_MAX, PAGE_SIZE_MAX);
+    const {
+      created, updated, deleted, cursor, hasMore,
+    } = await listChanges(req.apiUser.id, { after, since, limit });
+    return res.json({
+      data: {
+        created: created.map((note) => formatNote(note, note.role)),
+        updated: updated.map((note) => formatNote(note, note.role)),
+        deleted,
+      },
+      pagination: { limit, hasMore, nextCursor: cursor },
+    });
+  } catch (error) {
+    console.error('Error syncing notes through the API:', error);
+    return sendApiError(res, 500, 'internal_error', 'An error occurred while syncing notes');
+  }
+};
+
+/**
+ * Get a note the user owns or collaborates on.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the note.
+ */
+exports.getNote = async (req, res) => {
+  try {
+    const access = await findAccessibleNote(req.apiUser.id, req.params.id);
+    if (!access) {
+      return sendApiError(res, 404, 'not_found', 'Note not found');
+    }
+    return res.set('ETag', getNoteETag(access.note))
+      .json({ data: formatNote(access.note, access.role) });
+  } catch (error) {
+    console.error('Error fetching note through the API:', error);
+    return sendApiError(res, 500, 'internal_error', 'An error occurred while fetching the note');
+  }
+};
+
+/**
+ * Create a note from the `title`, `content`, `tags` and `notebook` of the request body.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the created note.
+ */
+exports.createNote = async (req, res) => {
+  try {
+    const content = req.body.content === undefined ? '' : String(req.body.content);
+    const note = new Note({
+      title: req.body.title ? String(req.body.title) : 'Untitled',
+      content,
+      manualTags: resolveManualTags(req.body.tags, content),
+      notebook: await resolveNotebookId(req.apiUser.id, req.body.notebook),
+      user: req.apiUser.id,
+    });
+    await note.save();
+    await recordRevision(note, { coalesce: false });
+    publishNoteEvent(req, NOTE_EVENTS.CREATED, note);
+    return res.status(201).set('ETag', getNoteETag(note)).json({ data: formatNote(note) });
+  } catch (error) {
+    console.error('Error creating note through the API:', error);
+    return sendApiError(res, 400, 'invalid_request', error.message);
+  }
+};
+
+/**
+ * Update the fields of a note given in the request body: `title`, `content`, `tags`
+ * and, for the owner only, `notebook`. Fields that are left out keep their value.
+ * With an `If-Match` header, the update only applies if the note is still at that version.
+ * Renaming the note rewrites the wiki links to it in the other notes of the user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the updated note.
+ */
+exports.updateNote = async (req, res) => {
+  try {
+    const access = await findAccessibleNote(req.apiUser.id, req.params.id);
+    if (!access) {
+      return sendApiError(res, 404, 'not_found', 'Note not found');
+    }
+    if (!canEdit(access.role)) {
+      return sendApiError(res, 403, 'forbidden', 'You can only view this note');
+    }
+    const {
+      title, content, tags, notebook,
+    } = req.body;
+    if (notebook !== undefined && access.role !== ROLES.OWNER) {
+      return sendApiError(res, 403, 'forbidden', 'Only the owner can move this note');
+    }
+
+    const changes = { title, content, tags };
+    if (notebook !== undefined) {
+      changes.notebook = await resolveNotebookId(req.apiUser.id, notebook);
+    }
+    const { note, currentNote } = await updateNote(access.note, changes, getBaseVersion(req));
+    if (!note) {
+      if (currentNote) {
+        return sendApiError(res, 409, 'version_conflict', 'The note has been changed since it was loaded', {
+          currentVersion: currentNote.version,
+        });
+      }
+      return sendApiError(res, 404, 'not_found', 'Note not found');
+    }
+    await recordNoteUpdate(req, req.apiUser.id, note, access.note.title);
+    return res.set('ETag', getNoteETag(note)).json({ data: formatNote(note, access.role) });
+  } catch (error) {
+    console.error('Error updating note through the API:', error);
+    return sendApiError(res, 400, 'invalid_request', error.message);
+  }
+};
+
+/**
+ * Move a note of the user to the trash. Only the owner can delete a note.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - An empty response.
+ */
+exports.deleteNote = async (req, res) => {
+  try {
+    const access = await findAccessibleNote(req.apiUser.id, req.params.id);
+    if (!access) {
+      return sendApiError(res, 404, 'not_found', 'Note not found');
+    }
+    if (access.role !== ROLES.OWNER) {
+      return sendApiError(res, 403, 'forbidden', 'Only the owner can delete this note');
+    }
+    const note = await trashNote(req.apiUser.id, access.note._id);
+    if (!note) {
+      return sendApiError(res, 404, 'not_found', 'Note not found');
+    }
+    publishNoteEvent(req, NOTE_EVENTS.DELETED, note._id, { userIds: getNoteUserIds(note) });
+    return res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting note through the API:', error);
+    return sendApiError(res, 500, 'internal_error', 'An error occurred while deleting the note');
+  }
+};
+
+/**
+ * List the notebooks of the user with the number of notes directly in each.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the notebooks.
+ */
+exports.listNotebooks = async (req, res) => {
+  try {
+    const notebooks = await listNotebooks(req.apiUser.id);
+    return res.json({
+      data: notebooks.map((notebook) => ({
+        id: notebook._id,
+        name: notebook.name,
+        parent: notebook.parent || null,
+        noteCount: notebook.noteCount,
+        createdAt: notebook.createdAt,
+        updatedAt: notebook.updatedAt,
+      })),
+    });
+  } catch (error) {
+    console.error('Error listing notebooks through the API:', error);
+    return sendApiError(res, 500, 'internal_error', 'An error occurred while listing notebooks');
+  }
+};
+
+/**
+ * List the tags of the user with their note counts, most used first.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the tags.
+ */
+exports.listTags = async (req, res) => {
+  try {
+    const tags = await listTags(req.apiUser.id);
+    return res.json({ data: tags });
+  } catch (error) {
+    console.error('Error listing tags through the API:', error);
+    return sendApiError(res, 500, 'internal_error', 'An error occurred while listing tags');
+  }
+};
@@ -4,6 +4,89 @@
  */
 
 const User = require('../models/User');
+const { getLoginLockout, recordLoginFailure, clearLoginFailures } = require('../services/rateLimiter');
+const { AUDIT_EVENTS, recordAuditEvent } = require('../services/auditService');
+const { describeRetryAfter } = require('../middleware/rateLimit');
+const {
+    getAppUrl,
+    sendVerificationEmail,
+    resendVerificationEmail,
+    requestPasswordReset,
+    verifyEmail,
+    findPasswordResetUser,
+    resetPassword,
+} = require('../services/accountService');
+const { verifyTwoFactorCode } = require('../services/twoFactorService');
+
+/**
+ * How long the second step of a login with two-factor authentication may take, in milliseconds.
+ * @type {number}
+ */
+const TWO_FACTOR_LOGIN_TTL = 5 * 60 * 1000;
+
+/**
+ * The messages the login page shows after a redirect, by the `notice` query parameter.
+ * @type {Object<string, string>}
+ */
+const LOGIN_NOTICES = {
+    registered: 'Your account was created. Check your email to verify your address.',
+    verified: 'Your email address is verified. You can log in.',
+    'password-reset': 'Your password was changed. You can log in with it.',
+};
+
+/**
+ * Checks whether users must verify their email address before logging in.
+ * @returns {boolean} True when `REQUIRE_EMAIL_VERIFICATION` is `true`.
+ */
+function isEmailVerificationRequired() {
+    return process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+}
+
+/**
+ * Show the login form again because the account is locked after failed logins.
+ * @param {Object} res - The response object.
+ * @param {number} lockedFor - The number of seconds the account stays locked.
+ */
+function renderLockedLogin(res, lockedFor) {
+    res.status(429).set('Retry-After', String(lockedFor)).render('auth/login', {
+        error: `Too many failed logins. Try again in ${describeRetryAfter(lockedFor)}.`,
+        title: 'Login',
+    });
+}
+
+/**
+ * Log a user in, once every step succeeded, unless they must verify their email address first.
+ * Failed logins to the account are only forgotten then, so that knowing the password is not
+ * enough to lift the lockout between guesses of the one-time code.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Object} user - The user.
+ */
+async function completeLogin(req, res, user) {
+    await clearLoginFailures(user.email);
+    if (isEmailVerificationRequired() && !user.emailVerified) {
+        res.status(403).render('auth/login', {
+            error: 'Verify your email address before logging in.',
+            unverified: true,
+            title: 'Login',
+        });
+        return;
+    }
+    req.session.user = { id: user._id, username: user.username, authenticatedAt: Date.now() };
+    res.redirect('/');
+}
+
+/**
+ * Get the login waiting for its second step, if it has not expired.
+ * @param {Object} req - The request object.
+ * @returns {Object|null} The pending login, with the `id` of the user, or null.
+ */
+function getPendingTwoFactor(req) {
+    const pending = req.session.pendingTwoFactor;
+    if (pending && pending.expiresAt > Date.now()) return pending;
+    delete req.session.pendingTwoFactor;
+    return null;
+}
 
 /**
  * Render the login page.
@@ -11,29 +94,127 @@ const User = require('../models/User');
  * @param {Object} res - The response object.
  */
 exports.getLogin = (req, res) => {
-    res.render('auth/login', { title: 'Login' });
+    res.render('auth/login', { title: 'Login', notice: LOGIN_NOTICES[req.query.notice] });
 };
 
 /**
  * Handle the login form submission.
+ * Accounts are locked for a while after repeated failed logins, without checking the password,
+ * whether the account exists or not. Failed logins are recorded in the audit log.
+ * With two-factor authentication, a correct password leads to the second step instead.
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
  */
 exports.postLogin = async (req, res) => {
     const { email, password } = req.body;
     try {
+        const lockedFor = await getLoginLockout(email);
+        if (lockedFor > 0) {
+            await recordAuditEvent(AUDIT_EVENTS.LOGIN_LOCKED, req, { email });
+            renderLockedLogin(res, lockedFor);
+            return;
+        }
         const user = await User.findOne({ email });
         if (user && await user.comparePassword(password)) {
-            req.session.user = { id: user._id, username: user.username };
-            res.redirect('/');
+            if (user.twoFactorEnabled) {
+                req.session.pendingTwoFactor = {
+                    id: String(user._id),
+                    expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL,
+                };
+                res.redirect('/auth/two-factor');
+                return;
+            }
+            await completeLogin(req, res, user);
         } else {
-            res.render('auth/login', { error: 'Invalid credentials', title: 'Login' });
+            const failure = await recordLoginFailure(email);
+            const userId = user ? user._id : null;
+            await recordAuditEvent(AUDIT_EVENTS.LOGIN_FAILED, req, {
+                user: userId, email, details: { failures: failure.failures },
+            });
+            if (failure.lockedFor > 0) {
+                await recordAuditEvent(AUDIT_EVENTS.ACCOUNT_LOCKED, req, {
+                    user: userId, email, details: failure,
+                });
+                renderLockedLogin(res, failure.lockedFor);
+            } else {
+                res.render('auth/login', { error: 'Invalid credentials', title: 'Login' });
+            }
         }
     } catch (error) {
         res.render('auth/login', { error: error.message, title: 'Login' });
     }
 };
 
+/**
+ * Render the second step of a login with two-factor authentication.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ */
+exports.getTwoFactor = (req, res) => {
+    if (!getPendingTwoFactor(req)) {
+        res.redirect('/auth/login');
+        return;
+    }
+    res.render('auth/two-factor', { title: 'Two-factor authentication' });
+};
+
+/**
+ * Handle the second step of a login with two-factor authentication, accepting a code from
+ * the authenticator app or a recovery code. Wrong codes count as failed logins to the account.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ */
+exports.postTwoFactor = async (req, res) => {
+    const pending = getPendingTwoFactor(req);
+    if (!pending) {
+        res.redirect('/auth/login');
+        return;
+    }
+    try {
+        const user = await User.findById(pending.id);
+        if (!user) {
+            delete req.session.pendingTwoFactor;
+            res.redirect('/auth/login');
+            return;
+        }
+        const lockedFor = await getLoginLockout(user.email);
+        if (lockedFor > 0) {
+            delete req.session.pendingTwoFactor;
+            await recordAuditEvent(AUDIT_EVENTS.LOGIN_LOCKED, req, {
+                user: user._id, email: user.email,
+            });
+            renderLockedLogin(res, lockedFor);
+            return;
+        }
+        const verified = await verifyTwoFactorCode(user, req.body.code);
+        if (verified) {
+            delete req.session.pendingTwoFactor;
+            if (verified.method === 'recovery') {
+                await recordAuditEvent(AUDIT_EVENTS.RECOVERY_CODE_USED, req, {
+                    user: user._id, email: user.email, details: { remaining: verified.remaining },
+                });
+            }
+            await completeLogin(req, res, user);
+            return;
+        }
+        const failure = await recordLoginFailure(user.email);
+        await recordAuditEvent(AUDIT_EVENTS.TWO_FACTOR_FAILED, req, {
+            user: user._id, email: user.email, details: { failures: failure.failures },
+        });
+        if (failure.lockedFor > 0) {
+            delete req.session.pendingTwoFactor;
+            await recordAuditEvent(AUDIT_EVENTS.ACCOUNT_LOCKED, req, {
+                user: user._id, email: user.email, details: failure,
+            });
+            renderLockedLogin(res, failure.lockedFor);
+        } else {
+            res.render('auth/two-factor', { error: 'Invalid code', title: 'Two-factor authentication' });
+        }
+    } catch (error) {
+        res.render('auth/two-factor', { error: error.message, title: 'Two-factor authentication' });
+    }
+};
+
 /**
  * Render the register page.
  * @param {Object} req - The request object.
@@ -53,12 +234,139 @@ exports.postRegister = async (req, res) => {
     try {
         const user = new User({ username, email, password });
         await user.save();
-        res.redirect('/auth/login');
+        sendVerificationEmail(user, getAppUrl()).catch((error) => {
+            console.error('Error sending verification email:', error);
+        });
+        res.redirect('/auth/login?notice=registered');
     } catch (error) {
         res.render('auth/register', { error: error.message, title: 'Register' });
     }
 };
 
+/**
+ * Verify the email address of a user from the link emailed to them.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ */
+exports.getVerifyEmail = async (req, res) => {
+    try {
+        const user = await verifyEmail(req.query.token);
+        if (user) {
+            res.redirect(req.session.user ? '/' : '/auth/login?notice=verified');
+        } else {
+            res.status(400).render('auth/verify-email', {
+                error: 'This verification link is invalid or has expired. Ask for a new one below.',
+                title: 'Verify email',
+            });
+        }
+    } catch (error) {
+        res.render('auth/verify-email', { error: error.message, title: 'Verify email' });
+    }
+};
+
+/**
+ * Render the page asking for a new verification link.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ */
+exports.getResendVerification = (req, res) => {
+    res.render('auth/verify-email', { title: 'Verify email' });
+};
+
+/**
+ * Handle the form asking for a new verification link. The answer is the same whether
+ * the address has an account or not; the email is sent in the background.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ */
+exports.postResendVerification = (req, res) => {
+    resendVerificationEmail(req.body.email, getAppUrl()).catch((error) => {
+        console.error('Error sending verification email:', error);
+    });
+    res.render('auth/verify-email', {
+        notice: 'If this address belongs to an account that is not verified yet, we sent it a new link.',
+        title: 'Verify email',
+    });
+};
+
+/**
+ * Render the page asking for a password reset link.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ */
+exports.getForgotPassword = (req, res) => {
+    res.render('auth/forgot-password', { title: 'Forgot password' });
+};
+
+/**
+ * Handle the form asking for a password reset link. The answer is the same whether
+ * the address has an account or not; the email is sent in the background.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ */
+exports.postForgotPassword = (req, res) => {
+    requestPasswordReset(req.body.email, getAppUrl()).catch((error) => {
+        console.error('Error sending password reset email:', error);
+    });
+    res.render('auth/forgot-password', {
+        notice: 'If this address belongs to an account, we sent it a link to reset the password.',
+        title: 'Forgot password',
+    });
+};
+
+/**
+ * Render the form choosing a new password, from the link emailed to the user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ */
+exports.getResetPassword = async (req, res) => {
+    try {
+        const user = await findPasswordResetUser(req.query.token);
+        if (user) {
+            res.render('auth/reset-password', { token: req.query.token, title: 'Reset password' });
+        } else {
+            res.status(400).render('auth/forgot-password', {
+                error: 'This reset link is invalid, has expired or was already used. Ask for a new one below.',
+                title: 'Forgot password',
+            });
+        }
+    } catch (error) {
+        res.render('auth/forgot-password', { error: error.message, title: 'Forgot password' });
+    }
+};
+
+/**
+ * Handle the form choosing a new password. A successful reset also lifts the lockout
+ * of the account after failed logins.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ */
+exports.postResetPassword = async (req, res) => {
+    const { token, password, confirmPassword } = req.body;
+    try {
+        if (password !== confirmPassword) {
+            res.status(400).render('auth/reset-password', {
+                error: 'The passwords do not match.',
+                token,
+                title: 'Reset password',
+            });
+            return;
+        }
+        const user = await resetPassword(token, password);
+        if (user) {
+            await clearLoginFailures(user.email);
+            res.redirect('/auth/login?notice=password-reset');
+        } else {
+            res.status(400).render('auth/forgot-password', {
+                error: 'This reset link is invalid, has expired or was already used. Ask for a new one below.',
+                title: 'Forgot password',
+            });
+        }
+    } catch (error) {
+        res.render('auth/reset-password', { error: error.message, token, title: 'Reset password' });
+    }
+};
+
 /**
  * Logout the user and destroy the session.
  * @param {Object} req - The request object.
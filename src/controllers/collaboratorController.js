@@ -0,0 +1,121 @@
+/**
+ * @fileoverview This file contains the controller functions for sharing notes with other users.
+ * @module collaboratorController
+ */
+
+const {
+  listCollaborators, addCollaborator, updateCollaboratorRole, removeCollaborator,
+} = require('../services/collaboratorService');
+const { ROLES, findAccessibleNote } = require('../services/permissionService');
+const { NOTE_EVENTS, publishNoteEvent } = require('../services/eventBus');
+
+/**
+ * Finds the note of the request, answering with 404 when the authenticated user has no access
+ * and with 403 when the user is not its owner (unless `allowCollaborators` is set).
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Object} [options={}] - The lookup options.
+ * @param {boolean} [options.allowCollaborators=false] - Whether collaborators have access.
+ * @returns {Promise<Object|null>} - The note and role, or null if a response was sent.
+ */
+async function findRequestedNote(req, res, { allowCollaborators = false } = {}) {
+  const access = await findAccessibleNote(req.session.user.id, req.params.id);
+  if (!access) {
+    res.status(404).json({ error: 'Note not found' });
+    return null;
+  }
+  if (!allowCollaborators && access.role !== ROLES.OWNER) {
+    res.status(403).json({ error: 'Only the owner can share this note' });
+    return null;
+  }
+  return access;
+}
+
+/**
+ * Get the collaborators of a note the authenticated user owns or collaborates on.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the collaborators.
+ * @throws {Error} - If an error occurs while fetching the collaborators.
+ */
+exports.getCollaborators = async (req, res) => {
+  try {
+    const access = await findRequestedNote(req, res, { allowCollaborators: true });
+    if (!access) return null;
+    const collaborators = await listCollaborators(access.note);
+    return res.json({ role: access.role, collaborators });
+  } catch (error) {
+    console.error('Error fetching collaborators:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Share a note of the authenticated user with the user whose username or email is the
+ * `identifier` of the request body, with the given `role`.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the collaborators.
+ * @throws {Error} - If an error occurs while adding the collaborator.
+ */
+exports.addCollaborator = async (req, res) => {
+  try {
+    const access = await findRequestedNote(req, res);
+    if (!access) return null;
+    const { note } = await addCollaborator(access.note, req.body.identifier, req.body.role);
+    publishNoteEvent(req, NOTE_EVENTS.UPDATED, note);
+    return res.status(201).json({ collaborators: await listCollaborators(note) });
+  } catch (error) {
+    console.error('Error adding collaborator:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Change the `role` of a collaborator of a note of the authenticated user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the collaborators.
+ * @throws {Error} - If an error occurs while updating the collaborator.
+ */
+exports.updateCollaborator = async (req, res) => {
+  try {
+    const access = await findRequestedNote(req, res);
+    if (!access) return null;
+    const note = await updateCollaboratorRole(access.note, req.params.userId, req.body.role);
+    if (!note) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+    publishNoteEvent(req, NOTE_EVENTS.UPDATED, note);
+    return res.json({ collaborators: await listCollaborators(note) });
+  } catch (error) {
+    console.error('Error updating collaborator:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Stop sharing a note with a collaborator. The owner can remove anyone;
+ * collaborators can only remove themselves, to leave a note shared with them.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the remaining collaborators.
+ * @throws {Error} - If an error occurs while removing the collaborator.
+ */
+exports.removeCollaborator = async (req, res) => {
+  try {
+    const isSelf = req.params.userId === String(req.session.user.id);
+    const access = await findRequestedNote(req, res, { allowCollaborators: isSelf });
+    if (!access) return null;
+    const note = await removeCollaborator(access.note, req.params.userId);
+    if (!note) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+    publishNoteEvent(req, NOTE_EVENTS.UPDATED, note);
+    publishNoteEvent(req, NOTE_EVENTS.DELETED, note._id, { userIds: [req.params.userId] });
+    return res.json({ collaborators: await listCollaborators(note) });
+  } catch (error) {
+    console.error('Error removing collaborator:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview This file contains the controller functions of the API documentation:
+ * the OpenAPI document and the page browsing it.
+ * @module docsController
+ */
+
+const openApiSpec = require('../docs/openapi');
+
+/**
+ * Render the documentation page, which browses the OpenAPI document with Swagger UI.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.showDocs = (req, res) => res.render('docs/index', { layout: false, title: 'API documentation' });
+
+/**
+ * Get the OpenAPI document describing every route.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the OpenAPI document.
+ */
+exports.getOpenApiSpec = (req, res) => res.json(openApiSpec);
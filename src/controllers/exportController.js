@@ -0,0 +1,88 @@
+/**
+ * @fileoverview This file contains the controller functions for exporting notes.
+ * @module exportController
+ */
+
+const { requestExport, findExport } = require('../services/exportService');
+
+/**
+ * Formats an export for a response, replacing the path of its archive with a download URL.
+ * @param {Object} noteExport - The export.
+ * @returns {Object} - The export as returned to clients.
+ */
+function formatExport(noteExport) {
+  return {
+    _id: noteExport._id,
+    status: noteExport.status,
+    noteCount: noteExport.noteCount,
+    error: noteExport.error,
+    createdAt: noteExport.createdAt,
+    expiresAt: noteExport.expiresAt,
+    downloadUrl: noteExport.status === 'ready' ? `/exports/${noteExport._id}/download` : null,
+  };
+}
+
+/**
+ * Export all notes of the authenticated user as a zip archive of Markdown files.
+ * Small exports are ready right away (201); larger ones are generated in the background
+ * and stay `pending` (202) until their download URL is set.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the export.
+ * @throws {Error} - If an error occurs while starting the export.
+ */
+exports.createExport = async (req, res) => {
+  try {
+    const noteExport = await requestExport(req.session.user.id);
+    return res.status(noteExport.status === 'ready' ? 201 : 202).json(formatExport(noteExport));
+  } catch (error) {
+    console.error('Error exporting notes:', error);
+    return res.status(500).json({ error: 'An error occurred while exporting notes' });
+  }
+};
+
+/**
+ * Get the status of an export of the authenticated user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the export.
+ * @throws {Error} - If an error occurs while fetching the export.
+ */
+exports.getExport = async (req, res) => {
+  try {
+    const noteExport = await findExport(req.session.user.id, req.params.id);
+    if (!noteExport) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+    return res.json(formatExport(noteExport));
+  } catch (error) {
+    console.error('Error fetching export:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Download the archive of a ready export of the authenticated user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {void}
+ * @throws {Error} - If an error occurs while sending the archive.
+ */
+exports.downloadExport = async (req, res) => {
+  try {
+    const noteExport = await findExport(req.session.user.id, req.params.id);
+    if (!noteExport || noteExport.status !== 'ready') {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+    const date = noteExport.createdAt.toISOString().slice(0, 10);
+    return res.download(noteExport.file, `anchor-notes-${date}.zip`, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Error sending export:', error);
+        res.status(410).json({ error: 'The export archive is no longer available' });
+      }
+    });
+  } catch (error) {
+    console.error('Error downloading export:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview This file contains the controller functions for importing notes.
+ * @module importController
+ */
+
+const { importFiles } = require('../services/importService');
+const { resolveNotebookId } = require('../services/notebookService');
+const { NOTE_EVENTS, publishNoteEvent } = require('../services/eventBus');
+
+/**
+ * Import uploaded files as notes of the authenticated user.
+ * Accepts Markdown and text files, zip archives of them, and Google Keep Takeout notes,
+ * optionally filing the notes in the `notebook` given in the form.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the result of every file.
+ * @throws {Error} - If an error occurs while importing the notes.
+ */
+exports.importNotes = async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files were uploaded' });
+    }
+    const userId = req.session.user.id;
+    const notebookId = await resolveNotebookId(userId, req.body.notebook);
+    const { results, notes } = await importFiles(userId, req.files, { notebookId });
+    notes.forEach((note) => publishNoteEvent(req, NOTE_EVENTS.CREATED, note));
+    return res.json({
+      results,
+      imported: notes.length,
+      failed: results.length - notes.length,
+    });
+  } catch (error) {
+    console.error('Error importing notes:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
@@ -5,9 +5,28 @@
  */
 
 const Note = require('../models/Note');
+const { NOTE_EVENTS, publishNoteEvent } = require('../services/eventBus');
+const { recordRevision } = require('../services/revisionService');
+const searchService = require('../services/searchService');
+const { normalizeTags, resolveManualTags } = require('../services/tagService');
+const { resolveNotebookId } = require('../services/notebookService');
+const { trashNote } = require('../services/trashService');
+const { decodeSyncCursor, isSyncExpired, listChanges } = require('../services/syncService');
+const { renderMarkdown, extractWikiLinks } = require('../services/markdownService');
+const { setTaskDone } = require('../services/taskService');
+const { resolveWikiLinks, listBacklinks, suggestLinkTitles } = require('../services/wikiLinkService');
+const {
+  getNoteETag, getBaseVersion, updateNote, recordNoteUpdate,
+} = require('../services/noteService');
+const {
+  ROLES, canEdit, getNoteUserIds, findAccessibleNote,
+} = require('../services/permissionService');
+const { PAGE_SIZE_MAX, SEARCH_LIMIT_MAX } = require('../config/limits');
 
 /**
  * Get all notes for the authenticated user.
+ * The `tags` query parameter (comma-separated) narrows the list to notes carrying all given tags,
+ * and the `notebook` query parameter to the notes of a notebook (`none` for unfiled notes).
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
  * @returns {Object} - The JSON response containing the notes and hasMore flag, or the rendered view with the notes.
@@ -16,16 +35,24 @@ const Note = require('../models/Note');
 exports.getNotes = async (req, res) => {
   try {
     const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, PAGE_SIZE_MAX);
     const skip = (page - 1) * limit;
+    const filter = { user: req.session.user.id };
+    const tags = normalizeTags(req.query.tags);
+    if (tags.length > 0) {
+      filter.tags = { $all: tags };
+    }
+    if (req.query.notebook) {
+      filter.notebook = req.query.notebook === 'none' ? null : req.query.notebook;
+    }
 
-    const notes = await Note.find({ user: req.session.user.id })
+    const notes = await Note.find(filter)
       .sort({ updatedAt: -1 })
       .skip(skip)
       .limit(limit)
-      .select('_id title content updatedAt');
+      .select('_id title content tags notebook updatedAt');
 
-    const totalNotes = await Note.countDocuments({ user: req.session.user.id });
+    const totalNotes = await Note.countDocuments(filter);
     const hasMore = totalNotes > page * limit;
 
     if (req.xhr || req.headers.accept.indexOf('json') > -1) {
@@ -44,7 +71,151 @@ exports.getNotes = async (req, res) => {
 };
 
 /**
- * Get a single note for the authenticated user.
+ * Search the notes of the authenticated user by title and content.
+ * Results are ranked by relevance and include highlighted match snippets.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the search results.
+ * @throws {Error} - If an error occurs while searching the notes.
+ */
+exports.searchNotes = async (req, res) => {
+  try {
+    const query = (req.query.q || '').trim();
+    if (!query) {
+      return res.json({ results: [] });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, SEARCH_LIMIT_MAX);
+    const results = await searchService.searchNotes(req.session.user.id, query, { limit });
+    return res.json({ results });
+  } catch (error) {
+    console.error('Error searching notes:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * List the notes the authenticated user owns or collaborates on that were created, updated or
+ * deleted since their previous sync, given as the `cursor` it returned or, for a client without
+ * one, as a `since` date. Without either, every note is listed.
+ * A sync older than the retention of tombstones gets a 410 response: the client must fetch all
+ * notes again, since it may have missed deletions.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the changes.
+ * @throws {Error} - If an error occurs while listing the changes.
+ */
+exports.syncNotes = async (req, res) => {
+  try {
+    const after = req.query.cursor ? decodeSyncCursor(req.query.cursor) : null;
+    if (req.query.cursor && !after) {
+      return res.status(400).json({ error: 'The cursor is not valid' });
+    }
+    const since = !after && req.query.since ? new Date(req.query.since) : null;
+    const lastSync = after ? after.at : since;
+    if (lastSync && isSyncExpired(lastSync)) {
+      return res.status(410).json({ error: 'The previous sync is too old; fetch all notes again' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || PAGE_SIZE_MAX, PAGE_SIZE_MAX);
+    const changes = await listChanges(req.session.user.id, { after, since, limit });
+    return res.json(changes);
+  } catch (error) {
+    console.error('Error syncing notes:', error);
+    return res.status(500).json({ error: 'An error occurred while syncing notes' });
+  }
+};
+
+/**
+ * Render markdown content to sanitized HTML, for the preview of the editor.
+ * Wiki links are resolved to the notes of the authenticated user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the HTML.
+ * @throws {Error} - If an error occurs while resolving the wiki links.
+ */
+exports.previewNote = async (req, res) => {
+  try {
+    const { content } = req.body;
+    const wikiLinks = await resolveWikiLinks(req.session.user.id, extractWikiLinks(content));
+    return res.json({ html: renderMarkdown(content, { wikiLinks }) });
+  } catch (error) {
+    console.error('Error previewing note:', error);
+    return res.status(500).json({ error: 'An error occurred while previewing the note' });
+  }
+};
+
+/**
+ * Suggest notes of the authenticated user to link to, whose title starts with `q`,
+ * for the autocompletion of wiki links.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the `_id` and `title` of the notes.
+ * @throws {Error} - If an error occurs while fetching the notes.
+ */
+exports.getLinkTitles = async (req, res) => {
+  try {
+    const notes = await suggestLinkTitles(req.session.user.id, req.query.q);
+    return res.json({ notes });
+  } catch (error) {
+    console.error('Error suggesting link titles:', error);
+    return res.status(500).json({ error: 'An error occurred while fetching note titles' });
+  }
+};
+
+/**
+ * Get the notes of the authenticated user that link to a note with wiki links.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the linking notes.
+ * @throws {Error} - If an error occurs while fetching the backlinks.
+ */
+exports.getBacklinks = async (req, res) => {
+  try {
+    const access = await findAccessibleNote(req.session.user.id, req.params.id);
+    if (!access) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    const backlinks = await listBacklinks(req.session.user.id, access.note);
+    return res.json({ backlinks });
+  } catch (error) {
+    console.error('Error fetching backlinks:', error);
+    return res.status(500).json({ error: 'An error occurred while fetching backlinks' });
+  }
+};
+
+/**
+ * Get the notes other users shared with the authenticated user, most recently updated first,
+ * with the username of their owner and the role of the user on them.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the shared notes.
+ * @throws {Error} - If an error occurs while fetching the notes.
+ */
+exports.getSharedNotes = async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const notes = await Note.find({ 'collaborators.user': userId })
+      .sort({ updatedAt: -1 })
+      .limit(100)
+      .select('_id title user collaborators updatedAt')
+      .populate('user', 'username');
+    return res.json({
+      notes: notes.map((note) => ({
+        _id: note._id,
+        title: note.title,
+        owner: note.user ? note.user.username : null,
+        role: note.collaborators.find((entry) => String(entry.user) === String(userId)).role,
+        updatedAt: note.updatedAt,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching shared notes:', error);
+    return res.status(500).json({ error: 'An error occurred while fetching shared notes' });
+  }
+};
+
+/**
+ * Get a single note the authenticated user owns or collaborates on,
+ * along with the `role` of the user on it.
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
  * @returns {Object} - The JSON response containing the note, or the rendered view with the note.
@@ -52,15 +223,16 @@ exports.getNotes = async (req, res) => {
  */
 exports.getNote = async (req, res) => {
   try {
-    const note = await Note.findOne({ _id: req.params.id, user: req.session.user.id });
-    if (!note) {
+    const access = await findAccessibleNote(req.session.user.id, req.params.id);
+    if (!access) {
       return req.xhr || req.headers.accept.indexOf('json') > -1
         ? res.status(404).json({ error: 'Note not found' })
         : res.status(404).send('Note not found');
     }
+    const { note, role } = access;
 
     if (req.xhr || req.headers.accept.indexOf('json') > -1) {
-      return res.json(note);
+      return res.set('ETag', getNoteETag(note)).json({ ...note.toJSON(), role });
     }
     const notes = await Note.find({ user: req.session.user.id })
       .sort({ updatedAt: -1 })
@@ -88,13 +260,18 @@ exports.getNote = async (req, res) => {
  */
 exports.createNote = async (req, res) => {
   try {
+    const content = req.body.content || '';
     const note = new Note({
       title: req.body.title || 'Untitled',
-      content: req.body.content || '',
+      content,
+      manualTags: resolveManualTags(req.body.tags, content),
+      notebook: await resolveNotebookId(req.session.user.id, req.body.notebook),
       user: req.session.user.id,
     });
     await note.save();
-    return res.status(201).json(note);
+    await recordRevision(note, { coalesce: false });
+    publishNoteEvent(req, NOTE_EVENTS.CREATED, note);
+    return res.status(201).set('ETag', getNoteETag(note)).json(note);
   } catch (error) {
     console.error('Error creating note:', error);
     return res.status(400).json({ error: error.message });
@@ -102,31 +279,168 @@ exports.createNote = async (req, res) => {
 };
 
 /**
- * Update an existing note for the authenticated user.
+ * Update an existing note the authenticated user owns or can edit as a collaborator.
+ * When the client sends the version its edit is based on (`If-Match` header or `version` field),
+ * the update only applies if the note is still at that version. Otherwise a 409 response
+ * carries the current server copy so the client can merge.
+ * Every successful update is recorded in the revision history of the note.
+ * The tags of the note are its manual tags plus the hashtags of its content; sending `tags`
+ * replaces the manual ones.
+ * The tasks and wiki links of the note are parsed again from new content, and renaming the note
+ * rewrites the wiki links to it in the other notes of the user.
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
- * @returns {Object} - The JSON response containing the updated note.
+ * @returns {Object} - The JSON response containing the updated note, or the conflicting one.
  * @throws {Error} - If an error occurs while updating the note.
  */
 exports.updateNote = async (req, res) => {
   try {
+    const access = await findAccessibleNote(req.session.user.id, req.params.id);
+    if (!access) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    if (!canEdit(access.role)) {
+      return res.status(403).json({ error: 'You can only view this note' });
+    }
+    // The content is left out by clients editing collaboratively, which save it over Socket.IO.
+    const { title, content, tags } = req.body;
+    const { note, currentNote } = await updateNote(
+      access.note,
+      { title, content, tags },
+      getBaseVersion(req),
+    );
+    if (!note) {
+      if (currentNote) {
+        return res.status(409).set('ETag', getNoteETag(currentNote)).json({
+          error: 'The note has been changed since it was loaded',
+          note: currentNote,
+        });
+      }
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    await recordNoteUpdate(req, req.session.user.id, note, access.note.title);
+    return res.set('ETag', getNoteETag(note)).json(note);
+  } catch (error) {
+    console.error('Error updating note:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Check or uncheck a task of a note the authenticated user owns or can edit, given by its `index`
+ * among the tasks of the note, leaving the rest of the content as is.
+ * Since the index refers to the content the client rendered, a client sending the version of that
+ * content gets a 409 response with the current note if it has changed since.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the updated note, or the conflicting one.
+ * @throws {Error} - If an error occurs while updating the task.
+ */
+exports.updateTask = async (req, res) => {
+  try {
+    const access = await findAccessibleNote(req.session.user.id, req.params.id);
+    if (!access) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    if (!canEdit(access.role)) {
+      return res.status(403).json({ error: 'You can only view this note' });
+    }
+    const { note: currentNote } = access;
+    const baseVersion = getBaseVersion(req);
+    if (baseVersion !== null && baseVersion !== currentNote.version) {
+      return res.status(409).set('ETag', getNoteETag(currentNote)).json({
+        error: 'The note has been changed since it was loaded',
+        note: currentNote,
+      });
+    }
+    const content = setTaskDone(currentNote.content, parseInt(req.params.index, 10), req.body.done);
+    if (content === null) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    if (content === currentNote.content) {
+      return res.set('ETag', getNoteETag(currentNote)).json(currentNote);
+    }
+    const note = await Note.findOneAndUpdate(
+      { _id: currentNote._id, version: currentNote.version },
+      { content, $inc: { version: 1 } },
+      { new: true },
+    );
+    if (!note) {
+      return res.status(409).json({ error: 'The note has been changed since it was loaded' });
+    }
+    await recordRevision(note);
+    publishNoteEvent(req, NOTE_EVENTS.UPDATED, note);
+    return res.set('ETag', getNoteETag(note)).json(note);
+  } catch (error) {
+    console.error('Error updating task:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Move a note of the authenticated user to the `notebook` of the request body (null for unfiled).
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the moved note.
+ * @throws {Error} - If an error occurs while moving the note.
+ */
+exports.moveNote = async (req, res) => {
+  try {
+    const notebookId = await resolveNotebookId(req.session.user.id, req.body.notebook);
     const note = await Note.findOneAndUpdate(
       { _id: req.params.id, user: req.session.user.id },
-      { title: req.body.title, content: req.body.content },
+      { notebook: notebookId, $inc: { version: 1 } },
       { new: true },
     );
     if (!note) {
       return res.status(404).json({ error: 'Note not found' });
     }
-    return res.json(note);
+    publishNoteEvent(req, NOTE_EVENTS.UPDATED, note);
+    return res.set('ETag', getNoteETag(note)).json(note);
   } catch (error) {
-    console.error('Error updating note:', error);
+    console.error('Error moving note:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Copy a note the authenticated user can read into their own notes, in the `notebook`
+ * of the request body if given, or else in the notebook of the original note if they own it.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the copy.
+ * @throws {Error} - If an error occurs while copying the note.
+ */
+exports.copyNote = async (req, res) => {
+  try {
+    const access = await findAccessibleNote(req.session.user.id, req.params.id);
+    if (!access) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    const { note: original, role } = access;
+    const note = new Note({
+      title: original.title,
+      content: original.content,
+      tags: original.tags,
+      manualTags: original.manualTags,
+      notebook: req.body.notebook === undefined
+        ? (role === ROLES.OWNER && original.notebook) || null
+        : await resolveNotebookId(req.session.user.id, req.body.notebook),
+      user: req.session.user.id,
+    });
+    await note.save();
+    await recordRevision(note, { coalesce: false });
+    publishNoteEvent(req, NOTE_EVENTS.CREATED, note);
+    return res.status(201).set('ETag', getNoteETag(note)).json(note);
+  } catch (error) {
+    console.error('Error copying note:', error);
     return res.status(400).json({ error: error.message });
   }
 };
 
 /**
- * Delete a note for the authenticated user.
+ * Delete a note for the authenticated user by moving it to the trash.
+ * Only the owner can delete a note; collaborators lose access to it while it is in the trash.
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
  * @returns {Object} - The JSON response containing a success message.
@@ -134,11 +448,19 @@ exports.updateNote = async (req, res) => {
  */
 exports.deleteNote = async (req, res) => {
   try {
-    const note = await Note.findOneAndDelete({ _id: req.params.id, user: req.session.user.id });
+    const access = await findAccessibleNote(req.session.user.id, req.params.id);
+    if (!access) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    if (access.role !== ROLES.OWNER) {
+      return res.status(403).json({ error: 'Only the owner can delete this note' });
+    }
+    const note = await trashNote(req.session.user.id, access.note._id);
     if (!note) {
       return res.status(404).json({ error: 'Note not found' });
     }
-    return res.json({ message: 'Note deleted successfully' });
+    publishNoteEvent(req, NOTE_EVENTS.DELETED, note._id, { userIds: getNoteUserIds(note) });
+    return res.json({ message: 'Note moved to the trash' });
   } catch (error) {
     console.error('Error deleting note:', error);
     return res.status(400).json({ error: error.message });
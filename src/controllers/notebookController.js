@@ -0,0 +1,120 @@
+/**
+ * @fileoverview This file contains the controller functions for managing notebooks.
+ * @module notebookController
+ */
+
+const Notebook = require('../models/Notebook');
+const Note = require('../models/Note');
+const {
+  findNotebook, resolveNotebookId, listNotebooks, canMoveNotebook, deleteNotebook,
+} = require('../services/notebookService');
+const { NOTE_EVENTS, publishNoteEvent } = require('../services/eventBus');
+
+/**
+ * Get all notebooks of the authenticated user, with their note counts.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the notebooks.
+ * @throws {Error} - If an error occurs while fetching the notebooks.
+ */
+exports.getNotebooks = async (req, res) => {
+  try {
+    const notebooks = await listNotebooks(req.session.user.id);
+    return res.json({ notebooks });
+  } catch (error) {
+    console.error('Error fetching notebooks:', error);
+    return res.status(500).json({ error: 'An error occurred while fetching notebooks' });
+  }
+};
+
+/**
+ * Create a notebook for the authenticated user, optionally nested in a `parent` notebook.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the created notebook.
+ * @throws {Error} - If an error occurs while creating the notebook.
+ */
+exports.createNotebook = async (req, res) => {
+  try {
+    const notebook = new Notebook({
+      name: req.body.name,
+      parent: await resolveNotebookId(req.session.user.id, req.body.parent),
+      user: req.session.user.id,
+    });
+    await notebook.save();
+    return res.status(201).json(notebook);
+  } catch (error) {
+    console.error('Error creating notebook:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Rename a notebook or move it under another `parent` (null for the top level).
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the updated notebook.
+ * @throws {Error} - If an error occurs while updating the notebook.
+ */
+exports.updateNotebook = async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const notebook = await findNotebook(userId, req.params.id);
+    if (!notebook) {
+      return res.status(404).json({ error: 'Notebook not found' });
+    }
+    if (req.body.name !== undefined) {
+      notebook.name = req.body.name;
+    }
+    if (req.body.parent !== undefined) {
+      const parentId = await resolveNotebookId(userId, req.body.parent);
+      if (!await canMoveNotebook(userId, notebook._id, parentId)) {
+        return res.status(400).json({ error: 'A notebook cannot be moved into itself' });
+      }
+      notebook.parent = parentId;
+    }
+    await notebook.save();
+    return res.json(notebook);
+  } catch (error) {
+    console.error('Error updating notebook:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Delete a notebook.
+ * The `mode` query parameter is either `cascade`, deleting the nested notebooks and moving all
+ * their notes to the trash, or `reassign` (the default), moving the notes and child notebooks
+ * to the `target` notebook, or to the top level when no target is given.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the deleted and moved note IDs.
+ * @throws {Error} - If an error occurs while deleting the notebook.
+ */
+exports.deleteNotebook = async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const mode = req.query.mode === 'cascade' ? 'cascade' : 'reassign';
+    const notebook = await findNotebook(userId, req.params.id);
+    if (!notebook) {
+      return res.status(404).json({ error: 'Notebook not found' });
+    }
+    const targetId = mode === 'reassign' ? await resolveNotebookId(userId, req.query.target) : null;
+    if (!await canMoveNotebook(userId, notebook._id, targetId)) {
+      return res.status(400).json({ error: 'The target notebook is inside the deleted notebook' });
+    }
+
+    const { deletedNoteIds, movedNoteIds } = await deleteNotebook(userId, notebook, {
+      mode,
+      targetId,
+    });
+    deletedNoteIds.forEach((noteId) => publishNoteEvent(req, NOTE_EVENTS.DELETED, noteId));
+    const movedNotes = await Note.find({ _id: { $in: movedNoteIds } });
+    movedNotes.forEach((note) => publishNoteEvent(req, NOTE_EVENTS.UPDATED, note));
+
+    return res.json({ deletedNoteIds, movedNoteIds });
+  } catch (error) {
+    console.error('Error deleting notebook:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
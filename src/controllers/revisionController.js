@@ -0,0 +1,149 @@
+/**
+ * @fileoverview This file contains the controller functions for note revisions.
+ * @module revisionController
+ */
+
+const Note = require('../models/Note');
+const {
+  listRevisions, findRevision, diffRevisions, recordRevision,
+} = require('../services/revisionService');
+const { NOTE_EVENTS, publishNoteEvent } = require('../services/eventBus');
+const { canEdit, findAccessibleNote } = require('../services/permissionService');
+
+/**
+ * Finds the note of the request, if the authenticated user owns or collaborates on it.
+ * @param {Object} req - The request object.
+ * @returns {Promise<Object|null>} - The note, or null if the user has no access to such a note.
+ */
+async function findRequestedNote(req) {
+  const access = await findAccessibleNote(req.session.user.id, req.params.id);
+  return access && access.note;
+}
+
+/**
+ * Resolves one side of a diff: the ID of a revision, or `current` for the note itself.
+ * @param {Object} note - The note.
+ * @param {string} id - The revision ID or `current`.
+ * @returns {Promise<Object|null>} - The revision or note, or null if it does not exist.
+ */
+function resolveDiffSide(note, id) {
+  if (!id || id === 'current') {
+    return Promise.resolve(note);
+  }
+  return findRevision(note._id, id);
+}
+
+/**
+ * Get the revisions of a note, newest first.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the revisions.
+ * @throws {Error} - If an error occurs while fetching the revisions.
+ */
+exports.getRevisions = async (req, res) => {
+  try {
+    const note = await findRequestedNote(req);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    const revisions = await listRevisions(note._id);
+    return res.json({ revisions });
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Get a single revision of a note, including its content.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the revision.
+ * @throws {Error} - If an error occurs while fetching the revision.
+ */
+exports.getRevision = async (req, res) => {
+  try {
+    const note = await findRequestedNote(req);
+    const revision = note && await findRevision(note._id, req.params.revisionId);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    return res.json(revision);
+  } catch (error) {
+    console.error('Error fetching revision:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Compare two revisions of a note.
+ * The `from` and `to` query parameters take revision IDs, or `current` for the note itself,
+ * which is also the default for `to`.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the title and content changes.
+ * @throws {Error} - If an error occurs while comparing the revisions.
+ */
+exports.getRevisionDiff = async (req, res) => {
+  try {
+    const note = await findRequestedNote(req);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    const [from, to] = await Promise.all([
+      resolveDiffSide(note, req.query.from),
+      resolveDiffSide(note, req.query.to),
+    ]);
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    return res.json({
+      from: { _id: from._id, version: from.version, updatedAt: from.updatedAt },
+      to: { _id: to._id, version: to.version, updatedAt: to.updatedAt },
+      changes: diffRevisions(from, to),
+    });
+  } catch (error) {
+    console.error('Error comparing revisions:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Restore a note to one of its revisions. Viewers cannot restore revisions.
+ * The restore is itself saved as a new revision, so it can be undone.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the restored note.
+ * @throws {Error} - If an error occurs while restoring the revision.
+ */
+exports.restoreRevision = async (req, res) => {
+  try {
+    const access = await findAccessibleNote(req.session.user.id, req.params.id);
+    const revision = access && await findRevision(access.note._id, req.params.revisionId);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    if (!canEdit(access.role)) {
+      return res.status(403).json({ error: 'You can only view this note' });
+    }
+    const restoredNote = await Note.findOneAndUpdate(
+      { _id: access.note._id },
+      {
+        title: revision.title,
+        content: revision.content,
+        $inc: { version: 1 },
+      },
+      { new: true },
+    );
+    // The note may have been trashed or deleted since it was looked up.
+    if (!restoredNote) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    await recordRevision(restoredNote, { coalesce: false });
+    publishNoteEvent(req, NOTE_EVENTS.UPDATED, restoredNote);
+    return res.json(restoredNote);
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
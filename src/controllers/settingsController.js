@@ -0,0 +1,210 @@
+/**
+ * @fileoverview This file contains the controller functions for the settings page,
+ * the personal API tokens and the two-factor authentication managed from it.
+ * @module settingsController
+ */
+
+const {
+  createApiToken, listApiTokens, revokeApiToken,
+} = require('../services/apiTokenService');
+const User = require('../models/User');
+const {
+  createTwoFactorSetup, enableTwoFactor, disableTwoFactor, verifyTwoFactorCode,
+} = require('../services/twoFactorService');
+const {
+  getLoginLockout, recordLoginFailure, clearLoginFailures,
+} = require('../services/rateLimiter');
+const { AUDIT_EVENTS, recordAuditEvent } = require('../services/auditService');
+const { describeRetryAfter } = require('../middleware/rateLimit');
+
+/**
+ * Render the settings page of the authenticated user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {void}
+ */
+exports.showSettings = (req, res) => res.render('settings/index', { title: 'Settings' });
+
+/**
+ * Get the API tokens of the authenticated user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the tokens.
+ * @throws {Error} - If an error occurs while fetching the tokens.
+ */
+exports.getApiTokens = async (req, res) => {
+  try {
+    const apiTokens = await listApiTokens(req.session.user.id);
+    return res.json({ apiTokens });
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    return res.status(500).json({ error: 'An error occurred while fetching API tokens' });
+  }
+};
+
+/**
+ * Create an API token for the authenticated user with the `name` of the request body.
+ * The token itself is only part of this response.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the token and its details.
+ * @throws {Error} - If an error occurs while creating the token.
+ */
+exports.createApiToken = async (req, res) => {
+  try {
+    const { apiToken, token } = await createApiToken(req.session.user.id, req.body.name);
+    const { tokenHash, ...details } = apiToken.toJSON();
+    return res.status(201).json({ token, apiToken: details });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Revoke an API token of the authenticated user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing a success message.
+ * @throws {Error} - If an error occurs while revoking the token.
+ */
+exports.revokeApiToken = async (req, res) => {
+  try {
+    const revoked = await revokeApiToken(req.session.user.id, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+    return res.json({ message: 'API token revoked' });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Get whether the authenticated user has two-factor authentication enabled, and how many
+ * recovery codes they have left.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the status.
+ * @throws {Error} - If an error occurs while fetching the user.
+ */
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.session.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    return res.json({
+      enabled: user.twoFactorEnabled,
+      recoveryCodesLeft: user.twoFactorRecoveryCodes.length,
+    });
+  } catch (error) {
+    console.error('Error fetching two-factor authentication status:', error);
+    return res.status(500).json({ error: 'An error occurred while fetching the two-factor authentication status' });
+  }
+};
+
+/**
+ * Start enabling two-factor authentication: generate a secret for the authenticator app,
+ * kept in the session until the user confirms it with a code.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the secret and its QR code.
+ * @throws {Error} - If an error occurs while generating the secret.
+ */
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.session.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    const setup = await createTwoFactorSetup(user);
+    req.session.twoFactorSetup = setup.secret;
+    return res.json(setup);
+  } catch (error) {
+    console.error('Error setting up two-factor authentication:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Enable two-factor authentication with the secret of the setup and a `code` from the
+ * authenticator app. The recovery codes are only part of this response.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the recovery codes.
+ * @throws {Error} - If an error occurs while enabling two-factor authentication.
+ */
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const secret = req.session.twoFactorSetup;
+    if (!secret) {
+      return res.status(400).json({ error: 'Start the two-factor authentication setup first' });
+    }
+    const user = await User.findById(req.session.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const recoveryCodes = await enableTwoFactor(user, secret, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+    delete req.session.twoFactorSetup;
+    await recordAuditEvent(AUDIT_EVENTS.TWO_FACTOR_ENABLED, req, {
+      user: user._id, email: user.email,
+    });
+    return res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Disable two-factor authentication. The user must authenticate again with their `password`
+ * and a `code` from the authenticator app or a recovery code. Wrong attempts count as failed
+ * logins to the account.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing a success message.
+ * @throws {Error} - If an error occurs while disabling two-factor authentication.
+ */
+exports.disableTwoFactor = async (req, res) => {
+  const { password, code } = req.body;
+  try {
+    const user = await User.findById(req.session.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    const lockedFor = await getLoginLockout(user.email);
+    if (lockedFor > 0) {
+      return res.status(429).set('Retry-After', String(lockedFor)).json({
+        error: `Too many failed attempts. Try again in ${describeRetryAfter(lockedFor)}.`,
+      });
+    }
+    const verified = await user.comparePassword(password) && await verifyTwoFactorCode(user, code);
+    if (!verified) {
+      const failure = await recordLoginFailure(user.email);
+      await recordAuditEvent(AUDIT_EVENTS.TWO_FACTOR_FAILED, req, {
+        user: user._id, email: user.email, details: { failures: failure.failures },
+      });
+      return res.status(403).json({ error: 'Incorrect password or code' });
+    }
+    await disableTwoFactor(user);
+    await clearLoginFailures(user.email);
+    await recordAuditEvent(AUDIT_EVENTS.TWO_FACTOR_DISABLED, req, {
+      user: user._id, email: user.email,
+    });
+    return res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
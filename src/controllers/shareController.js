@@ -0,0 +1,160 @@
+/**
+ * @fileoverview This file contains the controller functions for public share links: managing the
+ * links of a note, and showing shared notes to anyone holding a link.
+ * @module shareController
+ */
+
+const Note = require('../models/Note');
+const {
+  createShareLink, listShareLinks, revokeShareLink, findSharedNote,
+} = require('../services/shareService');
+const { renderMarkdown } = require('../services/markdownService');
+
+/**
+ * Formats a share link for a response, with its public URL and without its password hash.
+ * @param {Object} req - The request object.
+ * @param {Object} shareLink - The share link.
+ * @returns {Object} - The share link as returned to clients.
+ */
+function formatShareLink(req, shareLink) {
+  return {
+    _id: shareLink._id,
+    url: `${req.protocol}://${req.get('host')}/s/${shareLink.token}`,
+    expiresAt: shareLink.expiresAt,
+    hasPassword: Boolean(shareLink.password),
+    createdAt: shareLink.createdAt,
+  };
+}
+
+/**
+ * Finds the note of the authenticated user named by the `id` route parameter.
+ * @param {Object} req - The request object.
+ * @returns {Promise<Object|null>} - The note, or null if the user has no such note.
+ */
+function findOwnNote(req) {
+  return Note.findOne({ _id: req.params.id, user: req.session.user.id });
+}
+
+/**
+ * Get the share links of a note of the authenticated user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the share links.
+ * @throws {Error} - If an error occurs while fetching the share links.
+ */
+exports.getShareLinks = async (req, res) => {
+  try {
+    const note = await findOwnNote(req);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    const shareLinks = await listShareLinks(note._id);
+    return res.json({ shareLinks: shareLinks.map((shareLink) => formatShareLink(req, shareLink)) });
+  } catch (error) {
+    console.error('Error fetching share links:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Create a share link for a note of the authenticated user, with an optional `expiresAt` date
+ * and `password`.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the created share link.
+ * @throws {Error} - If an error occurs while creating the share link.
+ */
+exports.createShareLink = async (req, res) => {
+  try {
+    const note = await findOwnNote(req);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    const shareLink = await createShareLink(note, {
+      expiresAt: req.body.expiresAt,
+      password: req.body.password,
+    });
+    return res.status(201).json(formatShareLink(req, shareLink));
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Revoke a share link of a note of the authenticated user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing a success message.
+ * @throws {Error} - If an error occurs while revoking the share link.
+ */
+exports.revokeShareLink = async (req, res) => {
+  try {
+    const note = await findOwnNote(req);
+    if (!note || !await revokeShareLink(note._id, req.params.shareLinkId)) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+    return res.json({ message: 'Share link revoked' });
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Render a shared note as a standalone read-only page.
+ * Password-protected links show a password form until the link is unlocked in the session.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ */
+exports.showSharedNote = async (req, res) => {
+  try {
+    const shared = await findSharedNote(req.params.token);
+    if (!shared) {
+      return res.status(404).render('shares/unavailable', { layout: false, title: 'Link unavailable' });
+    }
+    const { shareLink, note } = shared;
+    const unlocked = req.session.unlockedShareLinks || [];
+    if (shareLink.password && !unlocked.includes(String(shareLink._id))) {
+      return res.render('shares/password', { layout: false, title: 'Protected note', error: null });
+    }
+    return res.render('shares/note', {
+      layout: false,
+      title: note.title,
+      note,
+      html: renderMarkdown(note.content),
+    });
+  } catch (error) {
+    console.error('Error showing shared note:', error);
+    return res.status(500).render('shares/unavailable', { layout: false, title: 'Link unavailable' });
+  }
+};
+
+/**
+ * Handle the password form of a protected share link, unlocking the link for the session.
+ * Attempts are rate-limited by IP address and by link in the share routes.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ */
+exports.unlockSharedNote = async (req, res) => {
+  try {
+    const shared = await findSharedNote(req.params.token);
+    if (!shared) {
+      return res.status(404).render('shares/unavailable', { layout: false, title: 'Link unavailable' });
+    }
+    const { shareLink } = shared;
+    if (shareLink.password && !await shareLink.comparePassword(req.body.password)) {
+      return res.status(401).render('shares/password', {
+        layout: false,
+        title: 'Protected note',
+        error: 'Incorrect password',
+      });
+    }
+    const unlocked = req.session.unlockedShareLinks || [];
+    req.session.unlockedShareLinks = [...new Set([...unlocked, String(shareLink._id)])];
+    return res.redirect(req.originalUrl);
+  } catch (error) {
+    console.error('Error unlocking shared note:', error);
+    return res.status(500).render('shares/unavailable', { layout: false, title: 'Link unavailable' });
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview This file contains the controller functions for note tags.
+ * @module tagController
+ */
+
+const { listTags, renameTag, normalizeTag } = require('../services/tagService');
+const { recordRevision } = require('../services/revisionService');
+const { NOTE_EVENTS, publishNoteEvent } = require('../services/eventBus');
+
+/**
+ * Get the tags of the authenticated user with their note counts.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the tags.
+ * @throws {Error} - If an error occurs while fetching the tags.
+ */
+exports.getTags = async (req, res) => {
+  try {
+    const tags = await listTags(req.session.user.id);
+    return res.json({ tags });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    return res.status(500).json({ error: 'An error occurred while fetching tags' });
+  }
+};
+
+/**
+ * Rename a tag of the authenticated user to the `name` of the request body.
+ * Renaming to an existing tag merges both tags.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the new tag name and the updated note count.
+ * @throws {Error} - If an error occurs while renaming the tag.
+ */
+exports.renameTag = async (req, res) => {
+  try {
+    const name = normalizeTag(req.body.name || '');
+    if (!name) {
+      return res.status(400).json({ error: 'A new tag name is required' });
+    }
+    const notes = await renameTag(req.session.user.id, req.params.name, name);
+    if (notes.length === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+    await Promise.all(notes.map((note) => recordRevision(note)));
+    notes.forEach((note) => publishNoteEvent(req, NOTE_EVENTS.UPDATED, note));
+    return res.json({ name, updated: notes.length });
+  } catch (error) {
+    console.error('Error renaming tag:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview This file contains the controller functions for the tasks page,
+ * which lists the open tasks of every note of the user.
+ * @module taskController
+ */
+
+const { listOpenTasks } = require('../services/taskService');
+const { listTags, normalizeTag } = require('../services/tagService');
+const { listNotebooks } = require('../services/notebookService');
+const { TASKS_LIMIT_MAX } = require('../config/limits');
+
+/**
+ * Get the open tasks of the notes of the authenticated user, filtered by the text `q`, the `tag`
+ * and the `notebook` of their notes, or render the tasks page with them.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the tasks, or the rendered tasks page.
+ * @throws {Error} - If an error occurs while fetching the tasks.
+ */
+exports.getTasks = async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const filters = {
+      q: (req.query.q || '').trim(),
+      tag: normalizeTag(req.query.tag || ''),
+      notebook: req.query.notebook || '',
+    };
+    const limit = Math.min(parseInt(req.query.limit, 10) || TASKS_LIMIT_MAX, TASKS_LIMIT_MAX);
+    const tasks = await listOpenTasks(userId, { ...filters, limit });
+
+    if (req.xhr || req.headers.accept.indexOf('json') > -1) {
+      return res.json({ tasks });
+    }
+    const [tags, notebooks] = await Promise.all([listTags(userId), listNotebooks(userId)]);
+    return res.render('tasks/index', {
+      title: 'Tasks',
+      tasks,
+      filters,
+      tags,
+      notebooks,
+      hasMore: tasks.length === limit,
+    });
+  } catch (error) {
+    console.error('Error fetching tasks:', error);
+    return res.status(500).json({ error: 'An error occurred while fetching tasks' });
+  }
+};
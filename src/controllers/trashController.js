@@ -0,0 +1,84 @@
+/**
+ * @fileoverview This file contains the controller functions for the trash.
+ * @module trashController
+ */
+
+const {
+  listTrash, restoreNote, deleteNotePermanently, emptyTrash,
+} = require('../services/trashService');
+const { NOTE_EVENTS, publishNoteEvent } = require('../services/eventBus');
+
+/**
+ * Get the notes in the trash of the authenticated user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the trashed notes.
+ * @throws {Error} - If an error occurs while fetching the trash.
+ */
+exports.getTrash = async (req, res) => {
+  try {
+    const notes = await listTrash(req.session.user.id);
+    return res.json({ notes });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    return res.status(500).json({ error: 'An error occurred while fetching the trash' });
+  }
+};
+
+/**
+ * Restore a note from the trash of the authenticated user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the restored note.
+ * @throws {Error} - If an error occurs while restoring the note.
+ */
+exports.restoreNote = async (req, res) => {
+  try {
+    const note = await restoreNote(req.session.user.id, req.params.id);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found in the trash' });
+    }
+    publishNoteEvent(req, NOTE_EVENTS.CREATED, note);
+    return res.json(note);
+  } catch (error) {
+    console.error('Error restoring note:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Permanently delete a note from the trash of the authenticated user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing a success message.
+ * @throws {Error} - If an error occurs while deleting the note.
+ */
+exports.deleteNote = async (req, res) => {
+  try {
+    const deleted = await deleteNotePermanently(req.session.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Note not found in the trash' });
+    }
+    return res.json({ message: 'Note deleted permanently' });
+  } catch (error) {
+    console.error('Error deleting note:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
+
+/**
+ * Permanently delete every note in the trash of the authenticated user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} - The JSON response containing the number of deleted notes.
+ * @throws {Error} - If an error occurs while emptying the trash.
+ */
+exports.emptyTrash = async (req, res) => {
+  try {
+    const deleted = await emptyTrash(req.session.user.id);
+    return res.json({ deleted });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    return res.status(400).json({ error: error.message });
+  }
+};
@@ -0,0 +1,1269 @@
+/**
+ * @fileoverview The OpenAPI 3 document describing every route of Anchor.
+ * Besides documenting the routes, it is what request validation is based on: the `parameters`
+ * and `requestBody` schemas of an operation are checked by {@link module:middleware/validate}
+ * before its controller runs, so the limits below are enforced for every request.
+ * @module docs/openapi
+ */
+
+const {
+  NOTE_TITLE_MAX_LENGTH,
+  NOTE_CONTENT_MAX_LENGTH,
+  NOTE_TAGS_MAX_ITEMS,
+  TAG_MAX_LENGTH,
+  NOTEBOOK_NAME_MAX_LENGTH,
+  PAGE_SIZE_MAX,
+  SEARCH_LIMIT_MAX,
+  TASKS_LIMIT_MAX,
+} = require('../config/limits');
+const { version } = require('../../package.json');
+
+/**
+ * Schema of a MongoDB object ID.
+ * @type {Object}
+ */
+const objectId = { type: 'string', pattern: '^[a-fA-F0-9]{24}$' };
+
+/**
+ * Schema of a reference to a notebook, where null or an empty string means none.
+ * @type {Object}
+ */
+const notebookId = { type: 'string', nullable: true, pattern: '^([a-fA-F0-9]{24})?$' };
+
+/**
+ * Schema of a signed token from an email link.
+ * @type {Object}
+ */
+const signedToken = { type: 'string', minLength: 1, maxLength: 512 };
+
+/**
+ * Schema of a form asking for an email to be sent to an address.
+ * @type {Object}
+ */
+const emailForm = {
+  type: 'object',
+  required: ['email'],
+  properties: { email: { type: 'string', format: 'email', maxLength: 254 } },
+};
+
+/**
+ * Schema of a one-time code from an authenticator app, or a recovery code.
+ * @type {Object}
+ */
+const oneTimeCode = { type: 'string', minLength: 1, maxLength: 32 };
+
+/**
+ * Schema of the tags of a note, as a list or a comma-separated string.
+ * @type {Object}
+ */
+const tags = {
+  anyOf: [
+    {
+      type: 'array',
+      maxItems: NOTE_TAGS_MAX_ITEMS,
+      items: { type: 'string', maxLength: TAG_MAX_LENGTH },
+    },
+    { type: 'string', maxLength: NOTE_TAGS_MAX_ITEMS * (TAG_MAX_LENGTH + 1) },
+  ],
+};
+
+/**
+ * Describes a path parameter holding an object ID.
+ * @param {string} name - The name of the parameter.
+ * @param {string} description - What the ID identifies.
+ * @returns {Object} - The parameter.
+ */
+function idParameter(name, description) {
+  return {
+    name, in: 'path', required: true, description, schema: objectId,
+  };
+}
+
+/**
+ * Describes a query parameter.
+ * @param {string} name - The name of the parameter.
+ * @param {Object} schema - The schema of its value.
+ * @param {string} description - What the parameter does.
+ * @returns {Object} - The parameter.
+ */
+function queryParameter(name, schema, description) {
+  return {
+    name, in: 'query', required: false, description, schema,
+  };
+}
+
+/**
+ * Describes a JSON request body.
+ * @param {Object} schema - The schema of the body.
+ * @returns {Object} - The request body.
+ */
+function jsonBody(schema) {
+  return { required: true, content: { 'application/json': { schema } } };
+}
+
+/**
+ * Describes an HTML form request body.
+ * @param {Object} schema - The schema of the form fields.
+ * @returns {Object} - The request body.
+ */
+function formBody(schema) {
+  return { required: true, content: { 'application/x-www-form-urlencoded': { schema } } };
+}
+
+/**
+ * Describes a JSON response.
+ * @param {string} description - What the response is.
+ * @param {Object} [schema={ type: 'object' }] - The schema of the response.
+ * @returns {Object} - The response.
+ */
+function jsonResponse(description, schema = { type: 'object' }) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+/**
+ * Describes an HTML page response.
+ * @param {string} description - What the page is.
+ * @returns {Object} - The response.
+ */
+function htmlResponse(description) {
+  return { description, content: { 'text/html': { schema: { type: 'string' } } } };
+}
+
+/**
+ * The error responses of the routes used by the web app.
+ * @type {Object}
+ */
+const errors = {
+  400: { $ref: '#/components/responses/BadRequest' },
+  403: { $ref: '#/components/responses/Forbidden' },
+  404: { $ref: '#/components/responses/NotFound' },
+};
+
+/**
+ * The error responses of the versioned API.
+ * @type {Object}
+ */
+const apiErrors = {
+  400: { $ref: '#/components/responses/ApiBadRequest' },
+  401: { $ref: '#/components/responses/ApiUnauthorized' },
+  404: { $ref: '#/components/responses/ApiNotFound' },
+};
+
+/**
+ * The query parameters of incremental sync.
+ * @type {Object[]}
+ */
+const syncParameters = [
+  queryParameter('cursor', { type: 'string', maxLength: 200 }, 'The `cursor` returned by the previous sync'),
+  queryParameter('since', { type: 'string', format: 'date-time' }, 'The date of the previous sync, for clients without a cursor'),
+  queryParameter('limit', {
+    type: 'integer', minimum: 1, maximum: PAGE_SIZE_MAX, default: PAGE_SIZE_MAX,
+  }, 'The most changes to return'),
+];
+
+/**
+ * The fields of a note that can be written.
+ * @type {Object}
+ */
+const noteFields = {
+  title: { type: 'string', maxLength: NOTE_TITLE_MAX_LENGTH },
+  content: { type: 'string', maxLength: NOTE_CONTENT_MAX_LENGTH },
+  tags,
+  notebook: notebookId,
+};
+
+/**
+ * The OpenAPI document.
+ * @type {Object}
+ */
+const openApiSpec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Anchor',
+    version,
+    description: 'The routes of the Anchor web app, authenticated with the session cookie, '
+      + 'and the versioned JSON API under `/api/v1`, authenticated with personal API tokens.',
+  },
+  tags: [
+    { name: 'Auth' },
+    { name: 'Notes' },
+    { name: 'Revisions' },
+    { name: 'Sharing' },
+    { name: 'Notebooks' },
+    { name: 'Tags' },
+    { name: 'Tasks' },
+    { name: 'Trash' },
+    { name: 'Import and export' },
+    { name: 'Settings' },
+    { name: 'API v1' },
+  ],
+  components: {
+    securitySchemes: {
+      session: { type: 'apiKey', in: 'cookie', name: 'connect.sid' },
+      apiToken: { type: 'http', scheme: 'bearer' },
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        properties: {
+          error: { type: 'string' },
+          details: { type: 'array', items: { $ref: '#/components/schemas/ValidationError' } },
+        },
+      },
+      ApiError: {
+        type: 'object',
+        properties: {
+          error: {
+            type: 'object',
+            properties: {
+              code: { type: 'string' },
+              message: { type: 'string' },
+              details: { type: 'array', items: { $ref: '#/components/schemas/ValidationError' } },
+            },
+          },
+        },
+      },
+      ValidationError: {
+        type: 'object',
+        properties: {
+          location: { type: 'string', enum: ['path', 'query', 'body'] },
+          field: { type: 'string' },
+          message: { type: 'string' },
+        },
+      },
+      Note: {
+        type: 'object',
+        properties: {
+          _id: objectId,
+          title: { type: 'string' },
+          content: { type: 'string' },
+          preview: { type: 'string', description: 'The plain text preview of the rendered content' },
+          tags: { type: 'array', items: { type: 'string' } },
+          tasks: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                text: { type: 'string' },
+                done: { type: 'boolean' },
+                line: { type: 'integer', description: 'The line of the task, counted from 0' },
+              },
+            },
+          },
+          links: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'The lowercase titles the content links to with `[[wiki links]]`',
+          },
+          notebook: { ...objectId, nullable: true },
+          user: objectId,
+          version: { type: 'integer' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      ApiNote: {
+        type: 'object',
+        properties: {
+          id: objectId,
+          title: { type: 'string' },
+          content: { type: 'string' },
+          tags: { type: 'array', items: { type: 'string' } },
+          notebook: { ...objectId, nullable: true },
+          version: { type: 'integer' },
+          role: { type: 'string', enum: ['owner', 'editor', 'viewer'] },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+        },
+      },
+    },
+    responses: {
+      BadRequest: jsonResponse('The request is not valid', { $ref: '#/components/schemas/Error' }),
+      Forbidden: jsonResponse('The user may not do this', { $ref: '#/components/schemas/Error' }),
+      NotFound: jsonResponse('Not found', { $ref: '#/components/schemas/Error' }),
+      ApiBadRequest: jsonResponse('The request is not valid', { $ref: '#/components/schemas/ApiError' }),
+      ApiUnauthorized: jsonResponse('The API token is missing or invalid', { $ref: '#/components/schemas/ApiError' }),
+      ApiNotFound: jsonResponse('Not found', { $ref: '#/components/schemas/ApiError' }),
+      SyncExpired: jsonResponse('The previous sync is too old to know about every deletion since; fetch all notes again', { $ref: '#/components/schemas/Error' }),
+      ApiSyncExpired: jsonResponse('The previous sync is too old to know about every deletion since; fetch all notes again', { $ref: '#/components/schemas/ApiError' }),
+    },
+  },
+  security: [{ session: [] }],
+  paths: {
+    '/auth/login': {
+      get: {
+        tags: ['Auth'],
+        operationId: 'getLogin',
+        summary: 'Show the login form',
+        security: [],
+        responses: { 200: htmlResponse('The login page') },
+      },
+      post: {
+        tags: ['Auth'],
+        operationId: 'postLogin',
+        summary: 'Log in',
+        security: [],
+        requestBody: formBody({
+          type: 'object',
+          required: ['email', 'password'],
+          properties: {
+            email: { type: 'string', minLength: 1, maxLength: 254 },
+            password: { type: 'string', minLength: 1, maxLength: 72 },
+          },
+        }),
+        responses: {
+          302: { description: 'Logged in, or on to the second step with two-factor authentication; redirects to the notes or that step' },
+          400: htmlResponse('The login page with the validation error'),
+          403: htmlResponse('The login page asking to verify the email address first, when required'),
+          429: htmlResponse('The login page with how long to wait, after too many attempts'),
+        },
+      },
+    },
+    '/auth/two-factor': {
+      get: {
+        tags: ['Auth'],
+        operationId: 'getTwoFactor',
+        summary: 'Show the second step of a login with two-factor authentication',
+        security: [],
+        responses: {
+          200: htmlResponse('The two-factor authentication page'),
+          302: { description: 'No login is waiting for its second step; redirects to the login page' },
+        },
+      },
+      post: {
+        tags: ['Auth'],
+        operationId: 'postTwoFactor',
+        summary: 'Finish logging in with a code from the authenticator app or a recovery code',
+        security: [],
+        requestBody: formBody({
+          type: 'object',
+          required: ['code'],
+          properties: { code: oneTimeCode },
+        }),
+        responses: {
+          200: htmlResponse('The two-factor authentication page, when the code is wrong'),
+          302: { description: 'Logged in; redirects to the notes' },
+          400: htmlResponse('The two-factor authentication page with the validation error'),
+          429: htmlResponse('The login page with how long to wait, after too many attempts'),
+        },
+      },
+    },
+    '/auth/register': {
+      get: {
+        tags: ['Auth'],
+        operationId: 'getRegister',
+        summary: 'Show the registration form',
+        security: [],
+        responses: { 200: htmlResponse('The registration page') },
+      },
+      post: {
+        tags: ['Auth'],
+        operationId: 'postRegister',
+        summary: 'Create an account',
+        security: [],
+        requestBody: formBody({
+          type: 'object',
+          required: ['username', 'email', 'password'],
+          properties: {
+            username: { type: 'string', minLength: 1, maxLength: 50 },
+            email: { type: 'string', format: 'email', maxLength: 254 },
+            password: { type: 'string', minLength: 1, maxLength: 72 },
+          },
+        }),
+        responses: {
+          302: { description: 'Registered; redirects to the login page' },
+          400: htmlResponse('The registration page with the validation error'),
+          429: htmlResponse('The registration page with how long to wait, after too many attempts'),
+        },
+      },
+    },
+    '/auth/verify-email': {
+      get: {
+        tags: ['Auth'],
+        operationId: 'getVerifyEmail',
+        summary: 'Verify the email address of an account from the link emailed to it',
+        security: [],
+        parameters: [
+          { ...queryParameter('token', signedToken, 'The token of the link'), required: true },
+        ],
+        responses: {
+          302: { description: 'Verified; redirects to the login page, or the notes if logged in' },
+          400: htmlResponse('The page asking for a new link, when the link is invalid or has expired'),
+        },
+      },
+    },
+    '/auth/verify-email/resend': {
+      get: {
+        tags: ['Auth'],
+        operationId: 'getResendVerification',
+        summary: 'Show the form asking for a new verification link',
+        security: [],
+        responses: { 200: htmlResponse('The verification page') },
+      },
+      post: {
+        tags: ['Auth'],
+        operationId: 'postResendVerification',
+        summary: 'Email a new verification link, if the address has an unverified account',
+        security: [],
+        requestBody: formBody(emailForm),
+        responses: {
+          200: htmlResponse('The verification page, with the same answer whether the account exists or not'),
+          400: htmlResponse('The verification page with the validation error'),
+          429: htmlResponse('The verification page with how long to wait, after too many requests'),
+        },
+      },
+    },
+    '/auth/forgot-password': {
+      get: {
+        tags: ['Auth'],
+        operationId: 'getForgotPassword',
+        summary: 'Show the form asking for a password reset link',
+        security: [],
+        responses: { 200: htmlResponse('The forgotten password page') },
+      },
+      post: {
+        tags: ['Auth'],
+        operationId: 'postForgotPassword',
+        summary: 'Email a password reset link, if the address has an account',
+        security: [],
+        requestBody: formBody(emailForm),
+        responses: {
+          200: htmlResponse('The forgotten password page, with the same answer whether the account exists or not'),
+          400: htmlResponse('The forgotten password page with the validation error'),
+          429: htmlResponse('The forgotten password page with how long to wait, after too many requests'),
+        },
+      },
+    },
+    '/auth/reset-password': {
+      get: {
+        tags: ['Auth'],
+        operationId: 'getResetPassword',
+        summary: 'Show the form choosing a new password, from the link emailed to the account',
+        security: [],
+        parameters: [
+          { ...queryParameter('token', signedToken, 'The token of the link'), required: true },
+        ],
+        responses: {
+          200: htmlResponse('The password reset page'),
+          400: htmlResponse('The forgotten password page, when the link is invalid or has expired'),
+        },
+      },
+      post: {
+        tags: ['Auth'],
+        operationId: 'postResetPassword',
+        summary: 'Choose a new password',
+        security: [],
+        requestBody: formBody({
+          type: 'object',
+          required: ['token', 'password', 'confirmPassword'],
+          properties: {
+            token: signedToken,
+            password: { type: 'string', minLength: 1, maxLength: 72 },
+            confirmPassword: { type: 'string', minLength: 1, maxLength: 72 },
+          },
+        }),
+        responses: {
+          302: { description: 'Password changed; redirects to the login page' },
+          400: htmlResponse('The password reset page with the problem, or the forgotten password page when the link is invalid'),
+        },
+      },
+    },
+    '/auth/logout': {
+      get: {
+        tags: ['Auth'],
+        operationId: 'logout',
+        summary: 'Log out',
+        responses: { 302: { description: 'Logged out; redirects to the login page' } },
+      },
+    },
+    '/notes': {
+      get: {
+        tags: ['Notes'],
+        operationId: 'getNotes',
+        summary: 'List the notes of the user, most recently updated first',
+        parameters: [
+          queryParameter('page', { type: 'integer', minimum: 1, default: 1 }, 'The page number'),
+          queryParameter('limit', {
+            type: 'integer', minimum: 1, maximum: PAGE_SIZE_MAX, default: 10,
+          }, 'The number of notes in a page'),
+          queryParameter('tags', { type: 'string' }, 'Comma-separated tags the notes must all carry'),
+          queryParameter('notebook', {
+            anyOf: [objectId, { type: 'string', enum: ['', 'none'] }],
+          }, 'The notebook of the notes, or `none` for unfiled notes'),
+        ],
+        responses: {
+          200: jsonResponse('A page of notes, or the notes page for browsers', {
+            type: 'object',
+            properties: {
+              notes: { type: 'array', items: { $ref: '#/components/schemas/Note' } },
+              hasMore: { type: 'boolean' },
+            },
+          }),
+          400: errors[400],
+        },
+      },
+      post: {
+        tags: ['Notes'],
+        operationId: 'createNote',
+        summary: 'Create a note',
+        requestBody: jsonBody({ type: 'object', properties: noteFields }),
+        responses: {
+          201: jsonResponse('The created note', { $ref: '#/components/schemas/Note' }),
+          400: errors[400],
+        },
+      },
+    },
+    '/notes/sync': {
+      get: {
+        tags: ['Notes'],
+        operationId: 'syncNotes',
+        summary: 'List the notes created, updated and deleted since the previous sync',
+        description: 'Changes are listed oldest first. Without a `cursor` or `since`, every note is '
+          + 'listed. While `hasMore` is true, call again with the returned `cursor` right away; '
+          + 'otherwise keep the `cursor` for the next sync.',
+        parameters: syncParameters,
+        responses: {
+          200: jsonResponse('The changes', {
+            type: 'object',
+            properties: {
+              created: { type: 'array', items: { $ref: '#/components/schemas/Note' } },
+              updated: { type: 'array', items: { $ref: '#/components/schemas/Note' } },
+              deleted: { type: 'array', items: objectId },
+              cursor: { type: 'string' },
+              hasMore: { type: 'boolean' },
+            },
+          }),
+          400: errors[400],
+          410: { $ref: '#/components/responses/SyncExpired' },
+        },
+      },
+    },
+    '/notes/preview': {
+      post: {
+        tags: ['Notes'],
+        operationId: 'previewNote',
+        summary: 'Render markdown content to sanitized HTML',
+        description: 'Renders content the way shared notes are rendered, with GFM tables, task '
+          + 'lists, footnotes, highlighted code blocks and KaTeX math. `[[Wiki links]]` link to '
+          + 'the notes of the user with these titles.',
+        requestBody: jsonBody({
+          type: 'object', required: ['content'], properties: { content: noteFields.content },
+        }),
+        responses: {
+          200: jsonResponse('The rendered content', {
+            type: 'object', properties: { html: { type: 'string' } },
+          }),
+          400: errors[400],
+        },
+      },
+    },
+    '/notes/titles': {
+      get: {
+        tags: ['Notes'],
+        operationId: 'getLinkTitles',
+        summary: 'Suggest notes to link to by the start of their title',
+        parameters: [
+          queryParameter('q', { type: 'string', maxLength: NOTE_TITLE_MAX_LENGTH }, 'The start of the title'),
+        ],
+        responses: { 200: jsonResponse('The notes, most recently updated first'), 400: errors[400] },
+      },
+    },
+    '/notes/search': {
+      get: {
+        tags: ['Notes'],
+        operationId: 'searchNotes',
+        summary: 'Search the notes of the user by title and content',
+        parameters: [
+          queryParameter('q', { type: 'string', maxLength: 200 }, 'The search terms'),
+          queryParameter('limit', {
+            type: 'integer', minimum: 1, maximum: SEARCH_LIMIT_MAX, default: 20,
+          }, 'The number of results'),
+        ],
+        responses: { 200: jsonResponse('The results, best first'), 400: errors[400] },
+      },
+    },
+    '/notes/shared': {
+      get: {
+        tags: ['Sharing'],
+        operationId: 'getSharedNotes',
+        summary: 'List the notes other users shared with the user',
+        responses: { 200: jsonResponse('The shared notes') },
+      },
+    },
+    '/notes/import': {
+      post: {
+        tags: ['Import and export'],
+        operationId: 'importNotes',
+        summary: 'Import Markdown and text files, zip archives of them, or Google Keep notes',
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                properties: {
+                  files: { type: 'array', items: { type: 'string', format: 'binary' } },
+                  notebook: objectId,
+                },
+              },
+            },
+          },
+        },
+        responses: { 200: jsonResponse('The result of every file'), 400: errors[400] },
+      },
+    },
+    '/notes/{id}': {
+      parameters: [idParameter('id', 'The ID of the note')],
+      get: {
+        tags: ['Notes'],
+        operationId: 'getNote',
+        summary: 'Get a note the user owns or collaborates on',
+        responses: {
+          200: jsonResponse('The note, or the notes page for browsers', { $ref: '#/components/schemas/Note' }),
+          404: errors[404],
+        },
+      },
+      put: {
+        tags: ['Notes'],
+        operationId: 'updateNote',
+        summary: 'Update a note',
+        description: 'With an `If-Match` header or a `version` field, the update only applies '
+          + 'if the note is still at that version.',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: { ...noteFields, version: { type: 'integer', minimum: 0 } },
+        }),
+        responses: {
+          200: jsonResponse('The updated note', { $ref: '#/components/schemas/Note' }),
+          409: jsonResponse('The note changed since the given version; carries the current note'),
+          ...errors,
+        },
+      },
+      delete: {
+        tags: ['Notes'],
+        operationId: 'deleteNote',
+        summary: 'Move a note to the trash',
+        responses: { 200: jsonResponse('The note is in the trash'), ...errors },
+      },
+    },
+    '/notes/{id}/move': {
+      parameters: [idParameter('id', 'The ID of the note')],
+      post: {
+        tags: ['Notebooks'],
+        operationId: 'moveNote',
+        summary: 'File a note in a notebook',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['notebook'],
+          properties: { notebook: noteFields.notebook },
+        }),
+        responses: { 200: jsonResponse('The moved note'), ...errors },
+      },
+    },
+    '/notes/{id}/copy': {
+      parameters: [idParameter('id', 'The ID of the note')],
+      post: {
+        tags: ['Notes'],
+        operationId: 'copyNote',
+        summary: 'Copy a note',
+        requestBody: jsonBody({ type: 'object', properties: { notebook: noteFields.notebook } }),
+        responses: { 201: jsonResponse('The copy'), ...errors },
+      },
+    },
+    '/notes/{id}/tasks/{index}': {
+      parameters: [
+        idParameter('id', 'The ID of the note'),
+        {
+          name: 'index',
+          in: 'path',
+          required: true,
+          description: 'The index of the task among the tasks of the note',
+          schema: { type: 'integer', minimum: 0 },
+        },
+      ],
+      put: {
+        tags: ['Tasks'],
+        operationId: 'updateTask',
+        summary: 'Check or uncheck a task of a note',
+        description: 'Only the checkbox of the task changes in the content. With an `If-Match` '
+          + 'header, the task only changes if the note is still at that version.',
+        requestBody: jsonBody({
+          type: 'object', required: ['done'], properties: { done: { type: 'boolean' } },
+        }),
+        responses: {
+          200: jsonResponse('The updated note', { $ref: '#/components/schemas/Note' }),
+          409: jsonResponse('The note changed since the given version; carries the current note'),
+          ...errors,
+        },
+      },
+    },
+    '/notes/{id}/backlinks': {
+      parameters: [idParameter('id', 'The ID of the note')],
+      get: {
+        tags: ['Notes'],
+        operationId: 'getBacklinks',
+        summary: 'List the notes that link to a note with wiki links',
+        responses: { 200: jsonResponse('The linking notes, most recently updated first'), 404: errors[404] },
+      },
+    },
+    '/notes/{id}/revisions': {
+      parameters: [idParameter('id', 'The ID of the note')],
+      get: {
+        tags: ['Revisions'],
+        operationId: 'getRevisions',
+        summary: 'List the revisions of a note',
+        responses: { 200: jsonResponse('The revisions, newest first'), 404: errors[404] },
+      },
+    },
+    '/notes/{id}/revisions/diff': {
+      parameters: [idParameter('id', 'The ID of the note')],
+      get: {
+        tags: ['Revisions'],
+        operationId: 'getRevisionDiff',
+        summary: 'Compare two revisions of a note, or a revision with the current note',
+        parameters: [
+          queryParameter('from', { anyOf: [objectId, { type: 'string', enum: ['current'] }] }, 'The older side'),
+          queryParameter('to', { anyOf: [objectId, { type: 'string', enum: ['current'] }] }, 'The newer side'),
+        ],
+        responses: { 200: jsonResponse('The diff'), ...errors },
+      },
+    },
+    '/notes/{id}/revisions/{revisionId}': {
+      parameters: [
+        idParameter('id', 'The ID of the note'),
+        idParameter('revisionId', 'The ID of the revision'),
+      ],
+      get: {
+        tags: ['Revisions'],
+        operationId: 'getRevision',
+        summary: 'Get a revision of a note',
+        responses: { 200: jsonResponse('The revision'), 404: errors[404] },
+      },
+    },
+    '/notes/{id}/revisions/{revisionId}/restore': {
+      parameters: [
+        idParameter('id', 'The ID of the note'),
+        idParameter('revisionId', 'The ID of the revision'),
+      ],
+      post: {
+        tags: ['Revisions'],
+        operationId: 'restoreRevision',
+        summary: 'Restore a note to a revision',
+        responses: { 200: jsonResponse('The restored note'), ...errors },
+      },
+    },
+    '/notes/{id}/shares': {
+      parameters: [idParameter('id', 'The ID of the note')],
+      get: {
+        tags: ['Sharing'],
+        operationId: 'getShareLinks',
+        summary: 'List the public links of a note',
+        responses: { 200: jsonResponse('The links'), ...errors },
+      },
+      post: {
+        tags: ['Sharing'],
+        operationId: 'createShareLink',
+        summary: 'Create a public read-only link to a note',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            expiresAt: { type: 'string', format: 'date-time', nullable: true },
+            password: { type: 'string', maxLength: 200, nullable: true },
+          },
+        }),
+        responses: { 201: jsonResponse('The link'), ...errors },
+      },
+    },
+    '/notes/{id}/shares/{shareLinkId}': {
+      parameters: [
+        idParameter('id', 'The ID of the note'),
+        idParameter('shareLinkId', 'The ID of the link'),
+      ],
+      delete: {
+        tags: ['Sharing'],
+        operationId: 'revokeShareLink',
+        summary: 'Revoke a public link',
+        responses: { 200: jsonResponse('The link is revoked'), ...errors },
+      },
+    },
+    '/notes/{id}/collaborators': {
+      parameters: [idParameter('id', 'The ID of the note')],
+      get: {
+        tags: ['Sharing'],
+        operationId: 'getCollaborators',
+        summary: 'List the people a note is shared with',
+        responses: { 200: jsonResponse('The collaborators'), 404: errors[404] },
+      },
+      post: {
+        tags: ['Sharing'],
+        operationId: 'addCollaborator',
+        summary: 'Share a note with another user',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['identifier'],
+          properties: {
+            identifier: {
+              type: 'string', minLength: 1, maxLength: 254, description: 'A username or email address',
+            },
+            role: { type: 'string', enum: ['viewer', 'editor'] },
+          },
+        }),
+        responses: { 201: jsonResponse('The collaborators'), ...errors },
+      },
+    },
+    '/notes/{id}/collaborators/{userId}': {
+      parameters: [
+        idParameter('id', 'The ID of the note'),
+        idParameter('userId', 'The ID of the collaborator'),
+      ],
+      put: {
+        tags: ['Sharing'],
+        operationId: 'updateCollaborator',
+        summary: 'Change the role of a collaborator',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['role'],
+          properties: { role: { type: 'string', enum: ['viewer', 'editor'] } },
+        }),
+        responses: { 200: jsonResponse('The collaborators'), ...errors },
+      },
+      delete: {
+        tags: ['Sharing'],
+        operationId: 'removeCollaborator',
+        summary: 'Stop sharing a note with a user, or leave a note shared with you',
+        responses: { 200: jsonResponse('The collaborator is removed'), ...errors },
+      },
+    },
+    '/notebooks': {
+      get: {
+        tags: ['Notebooks'],
+        operationId: 'getNotebooks',
+        summary: 'List the notebooks of the user',
+        responses: { 200: jsonResponse('The notebooks') },
+      },
+      post: {
+        tags: ['Notebooks'],
+        operationId: 'createNotebook',
+        summary: 'Create a notebook',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string', minLength: 1, maxLength: NOTEBOOK_NAME_MAX_LENGTH },
+            parent: notebookId,
+          },
+        }),
+        responses: { 201: jsonResponse('The notebook'), 400: errors[400] },
+      },
+    },
+    '/notebooks/{id}': {
+      parameters: [idParameter('id', 'The ID of the notebook')],
+      put: {
+        tags: ['Notebooks'],
+        operationId: 'updateNotebook',
+        summary: 'Rename a notebook or move it into another one',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 1, maxLength: NOTEBOOK_NAME_MAX_LENGTH },
+            parent: notebookId,
+          },
+        }),
+        responses: { 200: jsonResponse('The notebook'), ...errors },
+      },
+      delete: {
+        tags: ['Notebooks'],
+        operationId: 'deleteNotebook',
+        summary: 'Delete a notebook',
+        parameters: [
+          queryParameter('mode', { type: 'string', enum: ['reassign', 'cascade'] }, 'What happens to the notes: '
+            + '`reassign` moves them to the target notebook, `cascade` moves them to the trash'),
+          queryParameter('target', { anyOf: [objectId, { type: 'string', enum: [''] }] }, 'The notebook to move the notes to'),
+        ],
+        responses: { 200: jsonResponse('The deleted and moved note IDs'), ...errors },
+      },
+    },
+    '/tags': {
+      get: {
+        tags: ['Tags'],
+        operationId: 'getTags',
+        summary: 'List the tags of the user with their note counts',
+        responses: { 200: jsonResponse('The tags') },
+      },
+    },
+    '/tasks': {
+      get: {
+        tags: ['Tasks'],
+        operationId: 'getTasks',
+        summary: 'List the open tasks of the notes of the user',
+        description: 'Tasks are listed from the most recently updated notes first, in the order '
+          + 'of their note. Browsers get the tasks page.',
+        parameters: [
+          queryParameter('q', { type: 'string', maxLength: 200 }, 'Text the tasks must contain'),
+          queryParameter('tag', { type: 'string', maxLength: TAG_MAX_LENGTH }, 'A tag the notes must carry'),
+          queryParameter('notebook', {
+            anyOf: [objectId, { type: 'string', enum: ['', 'none'] }],
+          }, 'The notebook of the notes, or `none` for unfiled notes'),
+          queryParameter('limit', {
+            type: 'integer', minimum: 1, maximum: TASKS_LIMIT_MAX, default: TASKS_LIMIT_MAX,
+          }, 'The number of tasks'),
+        ],
+        responses: { 200: jsonResponse('The open tasks, or the tasks page'), 400: errors[400] },
+      },
+    },
+    '/tags/{name}': {
+      parameters: [{
+        name: 'name', in: 'path', required: true, schema: { type: 'string', maxLength: TAG_MAX_LENGTH },
+      }],
+      put: {
+        tags: ['Tags'],
+        operationId: 'renameTag',
+        summary: 'Rename a tag, merging it into an existing tag of the same name',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['name'],
+          properties: { name: { type: 'string', minLength: 1, maxLength: TAG_MAX_LENGTH } },
+        }),
+        responses: { 200: jsonResponse('The new name and the number of updated notes'), ...errors },
+      },
+    },
+    '/trash': {
+      get: {
+        tags: ['Trash'],
+        operationId: 'getTrash',
+        summary: 'List the notes in the trash',
+        responses: { 200: jsonResponse('The trashed notes') },
+      },
+      delete: {
+        tags: ['Trash'],
+        operationId: 'emptyTrash',
+        summary: 'Delete every note in the trash for good',
+        responses: { 200: jsonResponse('The trash is empty') },
+      },
+    },
+    '/trash/{id}': {
+      parameters: [idParameter('id', 'The ID of the note')],
+      delete: {
+        tags: ['Trash'],
+        operationId: 'deleteTrashedNote',
+        summary: 'Delete a note in the trash for good',
+        responses: { 200: jsonResponse('The note is deleted'), 404: errors[404] },
+      },
+    },
+    '/trash/{id}/restore': {
+      parameters: [idParameter('id', 'The ID of the note')],
+      post: {
+        tags: ['Trash'],
+        operationId: 'restoreNote',
+        summary: 'Restore a note from the trash',
+        responses: { 200: jsonResponse('The restored note'), 404: errors[404] },
+      },
+    },
+    '/exports': {
+      post: {
+        tags: ['Import and export'],
+        operationId: 'createExport',
+        summary: 'Export every note as a zip of Markdown files',
+        responses: {
+          201: jsonResponse('The export is ready to download'),
+          202: jsonResponse('The export is being generated'),
+        },
+      },
+    },
+    '/exports/{id}': {
+      parameters: [idParameter('id', 'The ID of the export')],
+      get: {
+        tags: ['Import and export'],
+        operationId: 'getExport',
+        summary: 'Get the status of an export',
+        responses: { 200: jsonResponse('The export'), 404: errors[404] },
+      },
+    },
+    '/exports/{id}/download': {
+      parameters: [idParameter('id', 'The ID of the export')],
+      get: {
+        tags: ['Import and export'],
+        operationId: 'downloadExport',
+        summary: 'Download an export',
+        responses: {
+          200: { description: 'The zip archive', content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } } },
+          404: errors[404],
+          410: jsonResponse('The archive is gone'),
+        },
+      },
+    },
+    '/s/{token}': {
+      parameters: [{
+        name: 'token', in: 'path', required: true, schema: { type: 'string', maxLength: 100 },
+      }],
+      get: {
+        tags: ['Sharing'],
+        operationId: 'showSharedNote',
+        summary: 'Read a note through a public link',
+        security: [],
+        responses: { 200: htmlResponse('The note, or the password form'), 404: htmlResponse('The link is unavailable') },
+      },
+      post: {
+        tags: ['Sharing'],
+        operationId: 'unlockSharedNote',
+        summary: 'Unlock a password-protected public link',
+        security: [],
+        requestBody: formBody({
+          type: 'object',
+          properties: { password: { type: 'string', maxLength: 200 } },
+        }),
+        responses: { 200: htmlResponse('The note, or the password form with an error') },
+      },
+    },
+    '/settings': {
+      get: {
+        tags: ['Settings'],
+        operationId: 'showSettings',
+        summary: 'Show the settings page',
+        responses: { 200: htmlResponse('The settings page') },
+      },
+    },
+    '/settings/tokens': {
+      get: {
+        tags: ['Settings'],
+        operationId: 'getApiTokens',
+        summary: 'List the API tokens of the user',
+        responses: { 200: jsonResponse('The tokens, without their secrets') },
+      },
+      post: {
+        tags: ['Settings'],
+        operationId: 'createApiToken',
+        summary: 'Create an API token',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['name'],
+          properties: { name: { type: 'string', minLength: 1, maxLength: 100 } },
+        }),
+        responses: { 201: jsonResponse('The token, shown only this once'), 400: errors[400] },
+      },
+    },
+    '/settings/tokens/{id}': {
+      parameters: [idParameter('id', 'The ID of the token')],
+      delete: {
+        tags: ['Settings'],
+        operationId: 'revokeApiToken',
+        summary: 'Revoke an API token',
+        responses: { 200: jsonResponse('The token is revoked'), 404: errors[404] },
+      },
+    },
+    '/settings/two-factor': {
+      get: {
+        tags: ['Settings'],
+        operationId: 'getTwoFactorStatus',
+        summary: 'Get whether two-factor authentication is enabled',
+        responses: {
+          200: jsonResponse('The status', {
+            type: 'object',
+            properties: {
+              enabled: { type: 'boolean' },
+              recoveryCodesLeft: { type: 'integer' },
+            },
+          }),
+        },
+      },
+    },
+    '/settings/two-factor/setup': {
+      post: {
+        tags: ['Settings'],
+        operationId: 'setupTwoFactor',
+        summary: 'Generate a secret for an authenticator app, to enable two-factor authentication with',
+        responses: {
+          200: jsonResponse('The secret, the URL apps import it from and a QR code of it', {
+            type: 'object',
+            properties: {
+              secret: { type: 'string' },
+              otpauthUrl: { type: 'string' },
+              qrCode: { type: 'string', description: 'A data URL of a PNG image' },
+            },
+          }),
+          400: errors[400],
+        },
+      },
+    },
+    '/settings/two-factor/enable': {
+      post: {
+        tags: ['Settings'],
+        operationId: 'enableTwoFactor',
+        summary: 'Enable two-factor authentication with a code generated for the new secret',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['code'],
+          properties: { code: oneTimeCode },
+        }),
+        responses: {
+          200: jsonResponse('The recovery codes, shown only this once', {
+            type: 'object',
+            properties: { recoveryCodes: { type: 'array', items: { type: 'string' } } },
+          }),
+          400: errors[400],
+        },
+      },
+    },
+    '/settings/two-factor/disable': {
+      post: {
+        tags: ['Settings'],
+        operationId: 'disableTwoFactor',
+        summary: 'Disable two-factor authentication, after authenticating again',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['password', 'code'],
+          properties: {
+            password: { type: 'string', minLength: 1, maxLength: 72 },
+            code: oneTimeCode,
+          },
+        }),
+        responses: {
+          200: jsonResponse('Two-factor authentication is disabled'),
+          400: errors[400],
+          403: errors[403],
+          429: jsonResponse('How long to wait, after too many failed attempts'),
+        },
+      },
+    },
+    '/api/v1/notes': {
+      get: {
+        tags: ['API v1'],
+        operationId: 'apiListNotes',
+        summary: 'List the notes of the user, most recently updated first',
+        security: [{ apiToken: [] }],
+        parameters: [
+          queryParameter('limit', {
+            type: 'integer', minimum: 1, maximum: PAGE_SIZE_MAX, default: 20,
+          }, 'The number of notes in a page'),
+          queryParameter('cursor', { type: 'string', maxLength: 200 }, 'The `nextCursor` of the previous page'),
+          queryParameter('tags', { type: 'string' }, 'Comma-separated tags the notes must all carry'),
+          queryParameter('notebook', { anyOf: [objectId, { type: 'string', enum: ['none'] }] }, 'The notebook of the notes, or `none` for unfiled notes'),
+        ],
+        responses: {
+          200: jsonResponse('A page of notes', {
+            type: 'object',
+            properties: {
+              data: { type: 'array', items: { $ref: '#/components/schemas/ApiNote' } },
+              pagination: {
+                type: 'object',
+                properties: {
+                  limit: { type: 'integer' },
+                  hasMore: { type: 'boolean' },
+                  nextCursor: { type: 'string', nullable: true },
+                },
+              },
+            },
+          }),
+          ...apiErrors,
+        },
+      },
+      post: {
+        tags: ['API v1'],
+        operationId: 'apiCreateNote',
+        summary: 'Create a note',
+        security: [{ apiToken: [] }],
+        requestBody: jsonBody({ type: 'object', properties: noteFields }),
+        responses: {
+          201: jsonResponse('The created note', {
+            type: 'object', properties: { data: { $ref: '#/components/schemas/ApiNote' } },
+          }),
+          ...apiErrors,
+        },
+      },
+    },
+    '/api/v1/notes/sync': {
+      get: {
+        tags: ['API v1'],
+        operationId: 'apiSyncNotes',
+        summary: 'List the notes created, updated and deleted since the previous sync',
+        description: 'Changes are listed oldest first. Without a `cursor` or `since`, every note is '
+          + 'listed. While `hasMore` is true, call again with the returned `nextCursor` right away; '
+          + 'otherwise keep it for the next sync.',
+        security: [{ apiToken: [] }],
+        parameters: syncParameters,
+        responses: {
+          200: jsonResponse('The changes', {
+            type: 'object',
+            properties: {
+              data: {
+                type: 'object',
+                properties: {
+                  created: { type: 'array', items: { $ref: '#/components/schemas/ApiNote' } },
+                  updated: { type: 'array', items: { $ref: '#/components/schemas/ApiNote' } },
+                  deleted: { type: 'array', items: objectId },
+                },
+              },
+              pagination: {
+                type: 'object',
+                properties: {
+                  limit: { type: 'integer' },
+                  hasMore: { type: 'boolean' },
+                  nextCursor: { type: 'string' },
+                },
+              },
+            },
+          }),
+          ...apiErrors,
+          410: { $ref: '#/components/responses/ApiSyncExpired' },
+        },
+      },
+    },
+    '/api/v1/notes/{id}': {
+      parameters: [idParameter('id', 'The ID of the note')],
+      get: {
+        tags: ['API v1'],
+        operationId: 'apiGetNote',
+        summary: 'Get a note the user owns or collaborates on',
+        security: [{ apiToken: [] }],
+        responses: {
+          200: jsonResponse('The note', {
+            type: 'object', properties: { data: { $ref: '#/components/schemas/ApiNote' } },
+          }),
+          ...apiErrors,
+        },
+      },
+      patch: {
+        tags: ['API v1'],
+        operationId: 'apiUpdateNote',
+        summary: 'Update the given fields of a note',
+        description: 'With an `If-Match` header, the update only applies if the note is still at that version.',
+        security: [{ apiToken: [] }],
+        requestBody: jsonBody({ type: 'object', properties: noteFields }),
+        responses: {
+          200: jsonResponse('The updated note', {
+            type: 'object', properties: { data: { $ref: '#/components/schemas/ApiNote' } },
+          }),
+          409: jsonResponse('The note changed since the given version', { $ref: '#/components/schemas/ApiError' }),
+          ...apiErrors,
+        },
+      },
+      delete: {
+        tags: ['API v1'],
+        operationId: 'apiDeleteNote',
+        summary: 'Move a note to the trash',
+        security: [{ apiToken: [] }],
+        responses: { 204: { description: 'The note is in the trash' }, ...apiErrors },
+      },
+    },
+    '/api/v1/notebooks': {
+      get: {
+        tags: ['API v1'],
+        operationId: 'apiListNotebooks',
+        summary: 'List the notebooks of the user',
+        security: [{ apiToken: [] }],
+        responses: { 200: jsonResponse('The notebooks'), ...apiErrors },
+      },
+    },
+    '/api/v1/tags': {
+      get: {
+        tags: ['API v1'],
+        operationId: 'apiListTags',
+        summary: 'List the tags of the user with their note counts',
+        security: [{ apiToken: [] }],
+        responses: { 200: jsonResponse('The tags'), ...apiErrors },
+      },
+    },
+  },
+};
+
+module.exports = openApiSpec;
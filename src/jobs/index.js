@@ -0,0 +1,85 @@
+/**
+ * @fileoverview The processors of the background jobs, registered on the job queue by the worker,
+ * and the schedule of the recurring ones.
+ * @module jobs
+ */
+
+const { JOB_TYPES, isMemoryQueue } = require('../services/queue');
+const { processExport, failExport, purgeExpiredExports } = require('../services/exportService');
+const { purgeExpiredNotes, TRASH_RETENTION_DAYS } = require('../services/trashService');
+const { rebuildSearchIndex } = require('../services/searchService');
+
+/**
+ * How often the in-memory queue purges the trash, in milliseconds, since it has no cron
+ * scheduler: once a day.
+ * @type {number}
+ */
+const MEMORY_PURGE_INTERVAL = 24 * 60 * 60 * 1000;
+
+/**
+ * The job processors, by job name. Each receives the Bull job and resolves with its result.
+ * @type {Object<string, function(Object): Promise<Object>>}
+ */
+const jobProcessors = {
+  [JOB_TYPES.EXPORT_NOTES]: async (job) => {
+    try {
+      const readyExport = await processExport(job.data.exportId);
+      if (!readyExport) return {};
+      console.log(`Exported ${readyExport.noteCount} notes to ${readyExport.file}`);
+      return { file: readyExport.file, noteCount: readyExport.noteCount };
+    } catch (error) {
+      if (job.attemptsMade + 1 >= (job.opts.attempts || 1)) {
+        await failExport(job.data.exportId, error);
+      }
+      throw error;
+    }
+  },
+  [JOB_TYPES.PURGE_TRASH]: async (job) => {
+    const retentionDays = job.data.retentionDays || TRASH_RETENTION_DAYS;
+    const purged = await purgeExpiredNotes(retentionDays);
+    console.log(`Purged ${purged} notes older than ${retentionDays} days from the trash`);
+    const expiredExports = await purgeExpiredExports();
+    console.log(`Deleted ${expiredExports} expired exports and their archives`);
+    return { purged, expiredExports };
+  },
+  [JOB_TYPES.REBUILD_SEARCH_INDEX]: async () => {
+    await rebuildSearchIndex();
+    console.log('Rebuilt the search index');
+    return {};
+  },
+};
+
+/**
+ * Registers the job processors on a queue and logs failed attempts.
+ * @param {Object} queue - The Bull queue, or the in-memory queue.
+ * @returns {Object} - The queue.
+ */
+function registerJobProcessors(queue) {
+  Object.entries(jobProcessors).forEach(([name, processor]) => {
+    queue.process(name, processor);
+  });
+
+  queue.on('failed', (job, error) => {
+    const attempts = job.opts.attempts || 1;
+    const retrying = job.attemptsMade < attempts ? ', retrying' : '';
+    console.error(`Job ${job.name} (${job.id}) failed on attempt ${job.attemptsMade} of ${attempts}${retrying}:`, error);
+  });
+
+  return queue;
+}
+
+/**
+ * Schedules the recurring jobs: the purge of the trash and of expired exports, on the
+ * `TRASH_PURGE_CRON` schedule (daily at 03:00 by default). The in-memory queue purges at startup
+ * and then once a day instead.
+ * @param {Object} queue - The Bull queue, or the in-memory queue.
+ * @returns {Promise<Object>} - The repeatable purge job.
+ */
+function scheduleRecurringJobs(queue) {
+  const repeat = isMemoryQueue()
+    ? { every: MEMORY_PURGE_INTERVAL }
+    : { cron: process.env.TRASH_PURGE_CRON || '0 3 * * *' };
+  return queue.add(JOB_TYPES.PURGE_TRASH, {}, { jobId: JOB_TYPES.PURGE_TRASH, repeat });
+}
+
+module.exports = { jobProcessors, registerJobProcessors, scheduleRecurringJobs };
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Middleware of the versioned JSON API: token authentication and
+ * the JSON error envelope every API error is sent in.
+ * @module middleware/api
+ */
+
+const { authenticateApiToken } = require('../services/apiTokenService');
+
+/**
+ * Sends an API error as `{ error: { code, message } }`, with any details added to the error.
+ *
+ * @param {Object} res - The response object.
+ * @param {number} status - The HTTP status code.
+ * @param {string} code - A stable, machine-readable error code.
+ * @param {string} message - A human-readable error message.
+ * @param {Object} [details={}] - More properties of the error.
+ * @returns {Object} The response.
+ */
+function sendApiError(res, status, code, message, details = {}) {
+  return res.status(status).json({ error: { code, message, ...details } });
+}
+
+/**
+ * Authenticates API requests with a personal API token sent as `Authorization: Bearer <token>`,
+ * and sets `req.apiUser` to the `id` and `username` of its user.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ * @returns {Promise<void>}
+ */
+async function ensureApiToken(req, res, next) {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    return sendApiError(res, 401, 'unauthorized', 'An API token is required');
+  }
+  try {
+    const user = await authenticateApiToken(match[1]);
+    if (!user) {
+      return sendApiError(res, 401, 'unauthorized', 'The API token is invalid or was revoked');
+    }
+    req.apiUser = user;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Answers API requests that match no route.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response.
+ */
+function handleApiNotFound(req, res) {
+  return sendApiError(res, 404, 'not_found', `No API route for ${req.method} ${req.path}`);
+}
+
+/**
+ * Answers API requests that fail validation against the OpenAPI document with
+ * a `validation_failed` error listing every problem in its `details`.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Object[]} details - The `location`, `field` and `message` of every problem.
+ * @returns {Object} The response.
+ */
+function handleApiValidationError(req, res, details) {
+  return sendApiError(res, 400, 'validation_failed', details[0].message, { details });
+}
+
+/**
+ * Sends errors thrown while handling API requests, such as malformed JSON bodies,
+ * in the API error envelope instead of the default HTML page.
+ *
+ * @param {Error} error - The error.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ * @returns {Object} The response.
+ */
+function handleApiError(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return sendApiError(res, 400, 'invalid_json', 'The request body is not valid JSON');
+  }
+  const status = error.status || 500;
+  if (status < 500) {
+    return sendApiError(res, status, 'bad_request', error.expose ? error.message : 'Bad request');
+  }
+  console.error('API error:', error);
+  return sendApiError(res, status, 'internal_error', 'An unexpected error occurred');
+}
+
+module.exports = {
+  sendApiError, ensureApiToken, handleApiNotFound, handleApiValidationError, handleApiError,
+};
@@ -1,16 +1,39 @@
+const User = require('../models/User');
+
+/**
+ * Checks that the user of a session still exists and has not reset their password since
+ * logging in, so that a password reset also logs out whoever knew the old password.
+ *
+ * @param {Object} sessionUser - The user stored in the session, with the `authenticatedAt` time.
+ * @returns {Promise<boolean>} True if the session is still valid.
+ */
+async function isSessionCurrent(sessionUser) {
+  const user = await User.findById(sessionUser.id).select('passwordChangedAt');
+  if (!user) return false;
+  return !user.passwordChangedAt || user.passwordChangedAt <= (sessionUser.authenticatedAt || 0);
+}
+
 /**
  * Middleware to ensure that the user is authenticated.
+ * Sessions started before the last password reset of the user are ended.
  *
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
  * @param {Function} next - The next middleware function.
- * @returns {void}
+ * @returns {Promise<void>}
  */
-function ensureAuth(req, res, next) {
-  if (req.session.user) {
-    return next();
+async function ensureAuth(req, res, next) {
+  if (!req.session.user) {
+    return res.redirect('/auth/login');
+  }
+  try {
+    if (await isSessionCurrent(req.session.user)) {
+      return next();
+    }
+    return req.session.destroy((error) => (error ? next(error) : res.redirect('/auth/login')));
+  } catch (error) {
+    return next(error);
   }
-  return res.redirect('/auth/login');
 }
 
 /**
@@ -24,4 +47,25 @@ function attachUser(req, res, next) {
   next();
 }
 
-module.exports = { ensureAuth, attachUser };
+/**
+ * Socket.IO middleware that refuses handshakes without an authenticated session, or with
+ * a session started before the last password reset of the user.
+ * Expects the session middleware to have been registered on the Socket.IO engine.
+ *
+ * @param {import('socket.io').Socket} socket - The connecting socket.
+ * @param {Function} next - The next middleware function.
+ * @returns {Promise<void>}
+ */
+async function ensureSocketAuth(socket, next) {
+  const { session } = socket.request;
+  if (!session || !session.user) {
+    return next(new Error('Unauthorized'));
+  }
+  try {
+    return next(await isSessionCurrent(session.user) ? undefined : new Error('Unauthorized'));
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = { ensureAuth, attachUser, ensureSocketAuth };
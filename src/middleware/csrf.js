@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Protection against cross-site request forgery for the routes authenticated
+ * with the session cookie. Every session holds a secret token, which the views render into
+ * their forms (as the `_csrf` field) and into the page (for the `X-CSRF-Token` header of
+ * the requests made by scripts). Requests that change anything must send it back.
+ * @module middleware/csrf
+ */
+
+const crypto = require('crypto');
+
+/**
+ * The HTTP methods that only read, and need no token.
+ * @type {string[]}
+ */
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * The header scripts send the token in.
+ * @type {string}
+ */
+const CSRF_HEADER = 'X-CSRF-Token';
+
+/**
+ * The form field forms send the token in.
+ * @type {string}
+ */
+const CSRF_FIELD = '_csrf';
+
+/**
+ * Compares the token sent with a request to the token of the session in constant time.
+ *
+ * @param {string} sessionToken - The token of the session.
+ * @param {*} token - The token sent with the request.
+ * @returns {boolean} Whether the tokens match.
+ */
+function tokensMatch(sessionToken, token) {
+  if (typeof token !== 'string' || token.length !== sessionToken.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(sessionToken));
+}
+
+/**
+ * Gives the session a token if it has none, and exposes it to the views as `csrfToken`.
+ * Then refuses requests with an unsafe method that do not send the token back, with a 403.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ * @returns {void}
+ */
+function csrfProtection(req, res, next) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('base64url');
+  }
+  res.locals.csrfToken = req.session.csrfToken;
+  if (SAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const token = req.get(CSRF_HEADER) || (req.body && req.body[CSRF_FIELD]);
+  if (tokensMatch(req.session.csrfToken, token)) {
+    return next();
+  }
+  if (req.xhr || req.get(CSRF_HEADER) !== undefined || (req.get('Accept') || '').includes('json')) {
+    return res.status(403).json({ error: 'Invalid or missing CSRF token' });
+  }
+  return res.status(403).send('The form has expired. Go back, reload the page and try again.');
+}
+
+module.exports = { csrfProtection };
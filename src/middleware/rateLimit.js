@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Rate limiting of routes, counting the requests of every IP address or account
+ * in the store of {@link module:services/rateLimiter}. Limited requests are answered with
+ * a 429 and a `Retry-After` header. The first limited request of a window is recorded in
+ * the audit log, so that a flood of requests does not flood the log too.
+ * @module middleware/rateLimit
+ */
+
+const { consume } = require('../services/rateLimiter');
+const { AUDIT_EVENTS, recordAuditEvent } = require('../services/auditService');
+
+/**
+ * Describes how long to wait before trying again.
+ *
+ * @param {number} seconds - The number of seconds to wait.
+ * @returns {string} The duration, such as `30 seconds` or `5 minutes`.
+ */
+function describeRetryAfter(seconds) {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Answers a limited request with a JSON error.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {number} retryAfter - The number of seconds to wait before trying again.
+ * @returns {Object} The response.
+ */
+function sendRateLimitError(req, res, retryAfter) {
+  return res.status(429).json({
+    error: `Too many attempts. Try again in ${describeRetryAfter(retryAfter)}.`,
+  });
+}
+
+/**
+ * Reads the client IP address of a request.
+ *
+ * @param {Object} req - The request object.
+ * @returns {string} The IP address.
+ */
+function byIp(req) {
+  return req.ip;
+}
+
+/**
+ * Reads the account a request is for, from the `email` field of its body.
+ *
+ * @param {Object} req - The request object.
+ * @returns {string} The email address, in lower case, or an empty string.
+ */
+function byAccount(req) {
+  return String((req.body && req.body.email) || '').trim().toLowerCase();
+}
+
+/**
+ * Creates a middleware limiting how often a route can be requested.
+ *
+ * @param {string} name - The name of the limit, which keeps its counters apart from others.
+ * @param {Object} options - The limit options.
+ * @param {number} options.limit - The number of requests allowed in a window.
+ * @param {number} options.windowMs - The length of a window, in milliseconds.
+ * @param {Function} [options.key] - Returns what requests are counted by. Requests for which
+ * it returns nothing are not counted. Counts by IP address by default.
+ * @param {Function} [options.onLimited] - Answers limited requests, called with the request,
+ * the response and the number of seconds to wait. Sends a JSON error by default.
+ * @returns {Function} The middleware.
+ */
+function limitRequests(name, {
+  limit, windowMs, key = byIp, onLimited = sendRateLimitError,
+}) {
+  return async (req, res, next) => {
+    const value = key(req);
+    if (!value) return next();
+    const { allowed, count, retryAfter } = await consume(`${name}:${value}`, { limit, windowMs });
+    if (allowed) return next();
+    if (count === limit + 1) {
+      await recordAuditEvent(AUDIT_EVENTS.RATE_LIMITED, req, {
+        email: byAccount(req) || null,
+        details: { limit: name },
+      });
+    }
+    res.set('Retry-After', String(retryAfter));
+    return onLimited(req, res, retryAfter);
+  };
+}
+
+module.exports = {
+  describeRetryAfter, byIp, byAccount, limitRequests,
+};
@@ -0,0 +1,10 @@
+/**
+ * @fileoverview The session middleware instance. It is shared by the Express app and the
+ * Socket.IO server so that both resolve the same session from the session cookie.
+ * @module middleware/session
+ */
+
+const session = require('express-session');
+const sessionConfig = require('../config/session');
+
+module.exports = session(sessionConfig);
@@ -0,0 +1,41 @@
+const multer = require('multer');
+
+/**
+ * The largest accepted size of an uploaded file, in bytes.
+ * @type {number}
+ */
+const MAX_UPLOAD_SIZE = (parseInt(process.env.IMPORT_MAX_FILE_SIZE_MB, 10) || 20) * 1024 * 1024;
+
+/**
+ * The largest number of files accepted in one upload.
+ * @type {number}
+ */
+const MAX_UPLOAD_FILES = 50;
+
+/**
+ * Keeps uploaded files in memory, since imports are parsed right away and never stored.
+ */
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: MAX_UPLOAD_FILES },
+});
+
+/**
+ * Middleware to accept the files of a note import, sent as the `files` field of a multipart form.
+ * Upload errors, such as a file over the size limit, are answered with a 400 response.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ * @returns {void}
+ */
+function uploadImportFiles(req, res, next) {
+  upload.array('files', MAX_UPLOAD_FILES)(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    return next();
+  });
+}
+
+module.exports = { uploadImportFiles };
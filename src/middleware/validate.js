@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Request validation against the OpenAPI document.
+ * The path and query parameters and the JSON or form body of a request are checked against
+ * the schemas of its operation; query parameters are converted to the declared types and
+ * given their defaults. Invalid requests are answered with a 400 listing every problem.
+ * @module middleware/validate
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const openApiSpec = require('../docs/openapi');
+
+/**
+ * The content types of the request bodies that are validated. Multipart bodies are parsed
+ * by their own middleware and left out.
+ * @type {string[]}
+ */
+const BODY_CONTENT_TYPES = ['application/json', 'application/x-www-form-urlencoded'];
+
+/**
+ * Where the parts of a request validated by an operation are found.
+ * @enum {string}
+ */
+const LOCATIONS = {
+  path: 'params',
+  query: 'query',
+  body: 'body',
+};
+
+const ajv = addFormats(new Ajv({
+  allErrors: true,
+  coerceTypes: true,
+  useDefaults: true,
+  strict: false,
+}));
+
+/**
+ * Finds an operation of the OpenAPI document by its ID.
+ *
+ * @param {string} operationId - The ID of the operation.
+ * @returns {Object} The `operation` and the `parameters` of its path.
+ * @throws {Error} If the document has no such operation.
+ */
+function findOperation(operationId) {
+  const found = Object.values(openApiSpec.paths).reduce((result, pathItem) => result
+    || Object.values(pathItem)
+      .filter((operation) => operation && operation.operationId === operationId)
+      .map((operation) => ({ operation, parameters: pathItem.parameters || [] }))[0], null);
+  if (!found) {
+    throw new Error(`No operation ${operationId} in the OpenAPI document`);
+  }
+  return found;
+}
+
+/**
+ * Compiles the validators of an operation: one per part of the request it describes.
+ *
+ * @param {string} operationId - The ID of the operation.
+ * @returns {Object[]} The `location` and `validate` function of every part.
+ */
+function compileOperation(operationId) {
+  const { operation, parameters } = findOperation(operationId);
+  const validators = [];
+
+  ['path', 'query'].forEach((location) => {
+    const locationParameters = [...parameters, ...(operation.parameters || [])]
+      .filter((parameter) => parameter.in === location);
+    if (locationParameters.length === 0) return;
+    validators.push({
+      location,
+      validate: ajv.compile({
+        type: 'object',
+        properties: Object.fromEntries(locationParameters
+          .map((parameter) => [parameter.name, parameter.schema])),
+        required: locationParameters
+          .filter((parameter) => parameter.required)
+          .map((parameter) => parameter.name),
+      }),
+    });
+  });
+
+  const content = operation.requestBody ? operation.requestBody.content : {};
+  const bodyType = BODY_CONTENT_TYPES.find((type) => content[type]);
+  if (bodyType) {
+    validators.push({
+      location: 'body',
+      validate: ajv.compile(content[bodyType].schema),
+    });
+  }
+  return validators;
+}
+
+/**
+ * Describes a validation error in the terms of the request.
+ *
+ * @param {string} location - Where the invalid value is: `path`, `query` or `body`.
+ * @param {Object} error - The error reported by Ajv.
+ * @returns {Object} The `location` and `field` of the invalid value, and a `message`.
+ */
+function formatError(location, error) {
+  const path = error.instancePath.split('/').slice(1);
+  if (error.keyword === 'required') {
+    path.push(error.params.missingProperty);
+  }
+  const field = path.join('.');
+  const message = error.keyword === 'required' ? 'is required' : error.message;
+  return {
+    location,
+    field,
+    message: field ? `${field} ${message}` : `The request ${message}`,
+  };
+}
+
+/**
+ * Answers an invalid request with a 400 and the problems found.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Object[]} details - The problems, as made by {@link formatError}.
+ * @returns {Object} The response.
+ */
+function sendValidationError(req, res, details) {
+  return res.status(400).json({ error: details[0].message, details });
+}
+
+/**
+ * Creates a middleware validating requests against an operation of the OpenAPI document.
+ * It must be given to the route itself, so that the path parameters are known.
+ *
+ * @param {string} operationId - The ID of the operation.
+ * @param {Object} [options] - The validation options.
+ * @param {Function} [options.onInvalid] - Answers invalid requests, called with the request,
+ * the response and the problems found. Sends them as `{ error, details }` JSON by default.
+ * @returns {Function} The middleware.
+ */
+function validateRequest(operationId, { onInvalid = sendValidationError } = {}) {
+  const validators = compileOperation(operationId);
+  return (req, res, next) => {
+    const details = validators.flatMap(({ location, validate }) => {
+      const data = req[LOCATIONS[location]] || {};
+      return validate(data) ? [] : validate.errors
+        .filter((error) => error.keyword !== 'anyOf')
+        .map((error) => formatError(location, error));
+    });
+    if (details.length > 0) {
+      return onInvalid(req, res, details);
+    }
+    return next();
+  };
+}
+
+module.exports = { validateRequest };
@@ -0,0 +1,59 @@
+/**
+ * Represents an ApiToken, a personal token a user creates to call the JSON API from scripts
+ * and integrations. Only a hash of the token is stored; the token itself is shown once.
+ * @typedef {Object} ApiToken
+ * @property {mongoose.Schema.Types.ObjectId} user - The user the token acts as.
+ * @property {string} name - The name the user gave the token.
+ * @property {string} tokenHash - The SHA-256 hash of the token.
+ * @property {string} prefix - The first characters of the token, to recognize it in lists.
+ * @property {Date|null} lastUsedAt - The date and time when the token was last used, if ever.
+ * @property {Date} createdAt - The date and time when the token was created.
+ * @property {Date} updatedAt - The date and time when the token was last updated.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Sets up the ApiToken schema using Mongoose.
+ *
+ * @returns {import('mongoose').Model} The ApiToken model.
+ */
+function setupApiTokenSchema() {
+  /**
+   * Represents the schema for an ApiToken.
+   * @type {mongoose.Schema}
+   */
+  const ApiTokenSchema = new mongoose.Schema({
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    prefix: {
+      type: String,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+  }, { timestamps: true });
+
+  return mongoose.model('ApiToken', ApiTokenSchema);
+}
+
+const ApiToken = setupApiTokenSchema();
+
+module.exports = ApiToken;
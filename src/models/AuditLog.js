@@ -0,0 +1,73 @@
+/**
+ * Represents an AuditLog entry, recording a security-relevant event such as a failed login.
+ * Entries are removed automatically after `AUDIT_LOG_RETENTION_DAYS` (90 by default).
+ * @typedef {Object} AuditLog
+ * @property {string} event - What happened.
+ * @property {mongoose.Schema.Types.ObjectId|null} user - The user concerned, if known.
+ * @property {string|null} email - The email address given with the request, if any.
+ * @property {string|null} ip - The IP address the request came from.
+ * @property {string|null} userAgent - The user agent of the request.
+ * @property {Object} details - More information about the event.
+ * @property {Date} createdAt - The date and time of the event.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * How long audit log entries are kept, in seconds.
+ * @type {number}
+ */
+const RETENTION = (parseInt(process.env.AUDIT_LOG_RETENTION_DAYS, 10) || 90) * 24 * 60 * 60;
+
+/**
+ * Sets up the AuditLog schema using Mongoose.
+ *
+ * @returns {import('mongoose').Model} The AuditLog model.
+ */
+function setupAuditLogSchema() {
+  /**
+   * Represents the schema for an AuditLog entry.
+   * @type {mongoose.Schema}
+   */
+  const AuditLogSchema = new mongoose.Schema({
+    event: {
+      type: String,
+      enum: [
+        'login_failed', 'login_locked', 'account_locked', 'rate_limited',
+        'two_factor_failed', 'two_factor_enabled', 'two_factor_disabled', 'recovery_code_used',
+      ],
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true,
+    },
+    email: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  }, { timestamps: { createdAt: true, updatedAt: false } });
+
+  AuditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION });
+  AuditLogSchema.index({ event: 1, createdAt: -1 });
+
+  return mongoose.model('AuditLog', AuditLogSchema);
+}
+
+const AuditLog = setupAuditLogSchema();
+
+module.exports = AuditLog;
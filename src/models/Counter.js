@@ -0,0 +1,51 @@
+/**
+ * Represents a Counter, a named sequence of increasing numbers shared by every server process.
+ * @typedef {Object} Counter
+ * @property {string} _id - The name of the sequence.
+ * @property {number} value - The last value handed out.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Sets up the Counter schema using Mongoose.
+ *
+ * @returns {import('mongoose').Model} The Counter model.
+ */
+function setupCounterSchema() {
+  /**
+   * Represents the schema for a Counter.
+   * @type {mongoose.Schema}
+   */
+  const CounterSchema = new mongoose.Schema({
+    _id: {
+      type: String,
+      required: true,
+    },
+    value: {
+      type: Number,
+      default: 0,
+    },
+  }, { versionKey: false });
+
+  /**
+   * Hands out the next value of a sequence, starting at 1.
+   *
+   * @param {string} name - The name of the sequence.
+   * @returns {Promise<number>} A promise that resolves to the value.
+   */
+  CounterSchema.statics.nextValue = async function nextValue(name) {
+    const counter = await this.findOneAndUpdate(
+      { _id: name },
+      { $inc: { value: 1 } },
+      { upsert: true, new: true },
+    );
+    return counter.value;
+  };
+
+  return mongoose.model('Counter', CounterSchema);
+}
+
+const Counter = setupCounterSchema();
+
+module.exports = Counter;
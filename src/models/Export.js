@@ -0,0 +1,77 @@
+/**
+ * Represents an Export, a zip archive of the notes of a user.
+ * @typedef {Object} Export
+ * @property {mongoose.Schema.Types.ObjectId} user - The user whose notes are exported.
+ * @property {string} status - `pending` while the archive is generated, then `ready` or `failed`.
+ * @property {string|null} file - The path of the archive on disk, once ready.
+ * @property {number} noteCount - The number of notes in the archive.
+ * @property {string|null} error - The reason the export failed, if it did.
+ * @property {Date} expiresAt - The date and time after which the archive can no longer be
+ * downloaded and is deleted.
+ * @property {Date} createdAt - The date and time when the export was requested.
+ * @property {Date} updatedAt - The date and time when the export was last updated.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * How long an archive can be downloaded after the export is requested, in hours.
+ * @type {number}
+ */
+const EXPORT_RETENTION_HOURS = parseInt(process.env.EXPORT_RETENTION_HOURS, 10) || 24;
+
+/**
+ * How long MongoDB keeps an expired export before deleting it, in seconds: long enough for the
+ * daily purge job to delete its archive first.
+ * @type {number}
+ */
+const EXPIRED_EXPORT_TTL = 2 * 24 * 60 * 60;
+
+/**
+ * Sets up the Export schema using Mongoose.
+ *
+ * @returns {import('mongoose').Model} The Export model.
+ */
+function setupExportSchema() {
+  /**
+   * Represents the schema for an Export.
+   * @type {mongoose.Schema}
+   */
+  const ExportSchema = new mongoose.Schema({
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'ready', 'failed'],
+      default: 'pending',
+    },
+    file: {
+      type: String,
+      default: null,
+    },
+    noteCount: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + EXPORT_RETENTION_HOURS * 60 * 60 * 1000),
+    },
+  }, { timestamps: true });
+
+  ExportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: EXPIRED_EXPORT_TTL });
+
+  return mongoose.model('Export', ExportSchema);
+}
+
+const Export = setupExportSchema();
+
+module.exports = Export;
@@ -4,30 +4,260 @@
  * @property {string} title - The title of the note.
  * @property {string} content - The content of the note.
  * @property {mongoose.Schema.Types.ObjectId} user - The user associated with the note.
+ * @property {mongoose.Schema.Types.ObjectId|null} notebook - The notebook of the note, if filed.
+ * @property {string[]} tags - The lowercase tags of the note: its manual tags plus the `#hashtags`
+ * of its content, worked out whenever either is saved.
+ * @property {string[]|undefined} manualTags - The tags given to the note explicitly rather than
+ * through hashtags. Unset on notes saved before they were kept apart.
+ * @property {{text: string, done: boolean, line: number}[]} tasks - The task list items of the
+ * content, parsed whenever the content is saved.
+ * @property {string[]} links - The normalized titles of the notes the content links to with
+ * `[[wiki links]]`, parsed whenever the content is saved.
+ * @property {Date|null} deletedAt - The date and time when the note was moved to the trash.
+ * @property {{user: mongoose.Schema.Types.ObjectId, role: string}[]} collaborators - The other
+ * users the note is shared with, each as a `viewer` or an `editor`.
+ * @property {number} version - The version of the note, incremented on every update.
+ * @property {number} syncSeq - The position of the last change of the note in the sync sequence.
+ * @property {number} createdSeq - The position of the creation of the note in the sync sequence.
+ * @property {string} preview - The plain text preview of the rendered content, shown in the notes
+ * list and rendered whenever the content is saved.
  * @property {Date} createdAt - The date and time when the note was created.
  * @property {Date} updatedAt - The date and time when the note was last updated.
  */
 
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const {
+    renderPreview, extractTasks, extractWikiLinks, normalizeTags, resolveTags, resolveManualTags,
+} = require('../services/markdownService');
+const { NOTE_TITLE_MAX_LENGTH, NOTE_CONTENT_MAX_LENGTH } = require('../config/limits');
 
 /**
- * Represents the schema for a Note.
- * @type {mongoose.Schema}
+ * The name of the sequence ordering the changes of notes for incremental sync.
+ * @type {string}
  */
-const NoteSchema = new mongoose.Schema({
-    title: {
-        type: String,
-        default: 'Untitled',
-    },
-    content: {
-        type: String,
-        default: '',
-    },
-    user: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true,
-    },
-}, { timestamps: true });
-
-module.exports = mongoose.model('Note', NoteSchema);
+const SYNC_SEQUENCE = 'noteSync';
+
+/**
+ * Derives the fields of a note that come from its content.
+ *
+ * @param {string} content - The markdown content.
+ * @returns {Object} The `tasks`, `links` and `preview` of the note.
+ */
+function parseContent(content) {
+    return {
+        tasks: extractTasks(content),
+        links: extractWikiLinks(content),
+        preview: renderPreview(content),
+    };
+}
+
+/**
+ * Returns the value an update sets a field to, if it sets the field.
+ *
+ * @param {Object} update - The update, with its fields at the top level or under `$set`.
+ * @param {string} path - The name of the field.
+ * @returns {*} The value, or undefined if the update leaves the field as is.
+ */
+function getUpdatedField(update, path) {
+    return update[path] === undefined ? (update.$set || {})[path] : update[path];
+}
+
+/**
+ * Returns the manual tags of a note. A note whose manual tags were never kept apart from its
+ * other tags counts those that are not hashtags of its content as manual.
+ *
+ * @param {Object} note - The note, with its `content`, `tags` and `manualTags`.
+ * @returns {string[]} The manual tags.
+ */
+function getManualTags(note) {
+    if (note.manualTags !== undefined && note.manualTags !== null) {
+        return note.manualTags;
+    }
+    return resolveManualTags(note.tags || [], note.content);
+}
+
+/**
+ * Sets up the Note schema using Mongoose.
+ *
+ * @returns {import('mongoose').Model} The Note model.
+ */
+function setupNoteSchema() {
+    /**
+     * Represents the schema for a Note.
+     * @type {mongoose.Schema}
+     */
+    const NoteSchema = new mongoose.Schema({
+        title: {
+            type: String,
+            default: 'Untitled',
+            maxlength: NOTE_TITLE_MAX_LENGTH,
+        },
+        content: {
+            type: String,
+            default: '',
+            maxlength: NOTE_CONTENT_MAX_LENGTH,
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        notebook: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Notebook',
+            default: null,
+            index: true,
+        },
+        tags: {
+            type: [String],
+            default: [],
+            index: true,
+        },
+        manualTags: {
+            type: [String],
+            default: undefined,
+        },
+        tasks: {
+            type: [{
+                _id: false,
+                text: String,
+                done: {
+                    type: Boolean,
+                    default: false,
+                },
+                line: Number,
+            }],
+            default: [],
+        },
+        links: {
+            type: [String],
+            default: [],
+            index: true,
+        },
+        preview: {
+            type: String,
+        },
+        deletedAt: {
+            type: Date,
+            default: null,
+            index: true,
+        },
+        collaborators: {
+            type: [{
+                _id: false,
+                user: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User',
+                    required: true,
+                },
+                role: {
+                    type: String,
+                    enum: ['viewer', 'editor'],
+                    default: 'viewer',
+                },
+            }],
+            default: [],
+        },
+        syncSeq: {
+            type: Number,
+            default: 0,
+        },
+        createdSeq: {
+            type: Number,
+            default: 0,
+        },
+    }, { timestamps: true, versionKey: 'version' });
+
+    NoteSchema.index({ 'collaborators.user': 1 });
+    NoteSchema.index({ user: 1, 'tasks.done': 1 });
+    NoteSchema.index({ user: 1, syncSeq: 1 });
+    NoteSchema.index({ 'collaborators.user': 1, syncSeq: 1 });
+
+    /**
+     * Full-text index used by note search. Title matches weigh more than content matches.
+     */
+    NoteSchema.index(
+        { title: 'text', content: 'text' },
+        { name: 'note_text', weights: { title: 5, content: 1 } },
+    );
+
+    /**
+     * Leaves notes in the trash out of queries, unless the query filters on `deletedAt` itself
+     * or sets the `withTrashed` option.
+     */
+    NoteSchema.pre(
+        ['find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'updateMany'],
+        function excludeTrashed() {
+            if (this.getFilter().deletedAt === undefined && !this.getOptions().withTrashed) {
+                this.where({ deletedAt: null });
+            }
+        },
+    );
+
+    /**
+     * Moves a note to the end of the sync sequence whenever it is saved, remembering where it
+     * was created, so that devices can ask for the notes changed since their last sync.
+     */
+    NoteSchema.pre('save', async function assignSyncSeq() {
+        this.syncSeq = await Counter.nextValue(SYNC_SEQUENCE);
+        if (this.isNew) this.createdSeq = this.syncSeq;
+    });
+
+    /**
+     * Moves the notes changed by an update to the end of the sync sequence.
+     */
+    NoteSchema.pre(
+        ['findOneAndUpdate', 'updateOne', 'updateMany'],
+        async function assignSyncSeq() {
+            this.set('syncSeq', await Counter.nextValue(SYNC_SEQUENCE));
+        },
+    );
+
+    /**
+     * Parses the tasks and wiki links of a note and renders its preview whenever its content is
+     * saved, so that they never get out of line with it and lists of notes render no markdown.
+     * The tags are worked out again from the manual tags and the hashtags of the content.
+     */
+    NoteSchema.pre('save', function assignParsedContent() {
+        if (this.isNew || this.isModified('content')) {
+            this.set(parseContent(this.content));
+        }
+        if (this.isNew || this.isModified('content') || this.isModified('manualTags')) {
+            const manualTags = normalizeTags(getManualTags(this));
+            this.set({ manualTags, tags: resolveTags(manualTags, this.content) });
+        }
+    });
+
+    /**
+     * Parses the tasks and wiki links and renders the preview again when an update sets the
+     * content, and works out the tags again when it sets the content or the manual tags. The one
+     * of both the update leaves as is is read from the note.
+     */
+    NoteSchema.pre('findOneAndUpdate', async function assignParsedContent() {
+        const update = this.getUpdate();
+        let content = getUpdatedField(update, 'content');
+        let manualTags = getUpdatedField(update, 'manualTags');
+        if (content === undefined && manualTags === undefined) return;
+        if (content !== undefined) {
+            content = String(content || '');
+            this.set(parseContent(content));
+        }
+        if (content === undefined || manualTags === undefined) {
+            // The filter already leaves out trashed notes unless the update includes them.
+            const note = await this.model.findOne(this.getFilter(), null, { withTrashed: true })
+                .select('content tags manualTags');
+            if (!note) return;
+            if (content === undefined) content = note.content;
+            if (manualTags === undefined) manualTags = getManualTags(note);
+        }
+        manualTags = normalizeTags(manualTags);
+        this.set({ manualTags, tags: resolveTags(manualTags, content) });
+    });
+
+    return mongoose.model('Note', NoteSchema);
+}
+
+const Note = setupNoteSchema();
+
+module.exports = Note;
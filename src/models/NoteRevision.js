@@ -0,0 +1,57 @@
+/**
+ * Represents a saved revision of a note.
+ * @typedef {Object} NoteRevision
+ * @property {mongoose.Schema.Types.ObjectId} note - The note the revision belongs to.
+ * @property {mongoose.Schema.Types.ObjectId} user - The user owning the note.
+ * @property {string} title - The title of the note at this revision.
+ * @property {string} content - The content of the note at this revision.
+ * @property {number} version - The note version captured by this revision.
+ * @property {Date} createdAt - The date and time when the revision was started.
+ * @property {Date} updatedAt - The date and time when the revision was last coalesced into.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Sets up the NoteRevision schema using Mongoose.
+ *
+ * @returns {import('mongoose').Model} The NoteRevision model.
+ */
+function setupNoteRevisionSchema() {
+  /**
+   * Represents the schema for a NoteRevision.
+   * @type {mongoose.Schema}
+   */
+  const NoteRevisionSchema = new mongoose.Schema({
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Note',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    title: {
+      type: String,
+      default: 'Untitled',
+    },
+    content: {
+      type: String,
+      default: '',
+    },
+    version: {
+      type: Number,
+      default: 0,
+    },
+  }, { timestamps: true });
+
+  NoteRevisionSchema.index({ note: 1, createdAt: -1 });
+
+  return mongoose.model('NoteRevision', NoteRevisionSchema);
+}
+
+const NoteRevision = setupNoteRevisionSchema();
+
+module.exports = NoteRevision;
@@ -0,0 +1,50 @@
+/**
+ * Represents a Notebook, a folder of notes that can be nested in another notebook.
+ * @typedef {Object} Notebook
+ * @property {string} name - The name of the notebook.
+ * @property {mongoose.Schema.Types.ObjectId} user - The user owning the notebook.
+ * @property {mongoose.Schema.Types.ObjectId|null} parent - The parent notebook, if nested.
+ * @property {Date} createdAt - The date and time when the notebook was created.
+ * @property {Date} updatedAt - The date and time when the notebook was last updated.
+ */
+
+const mongoose = require('mongoose');
+const { NOTEBOOK_NAME_MAX_LENGTH } = require('../config/limits');
+
+/**
+ * Sets up the Notebook schema using Mongoose.
+ *
+ * @returns {import('mongoose').Model} The Notebook model.
+ */
+function setupNotebookSchema() {
+  /**
+   * Represents the schema for a Notebook.
+   * @type {mongoose.Schema}
+   */
+  const NotebookSchema = new mongoose.Schema({
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: NOTEBOOK_NAME_MAX_LENGTH,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notebook',
+      default: null,
+    },
+  }, { timestamps: true });
+
+  NotebookSchema.index({ user: 1, parent: 1 });
+
+  return mongoose.model('Notebook', NotebookSchema);
+}
+
+const Notebook = setupNotebookSchema();
+
+module.exports = Notebook;
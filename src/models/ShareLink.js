@@ -0,0 +1,83 @@
+/**
+ * Represents a ShareLink, an unguessable token giving read-only public access to a note.
+ * @typedef {Object} ShareLink
+ * @property {mongoose.Schema.Types.ObjectId} note - The shared note.
+ * @property {mongoose.Schema.Types.ObjectId} user - The owner of the note, who created the link.
+ * @property {string} token - The random token in the public URL of the link.
+ * @property {Date|null} expiresAt - The date and time after which the link stops working, if any.
+ * @property {string|null} password - The hashed password protecting the link, if any.
+ * @property {Date} createdAt - The date and time when the link was created.
+ * @property {Date} updatedAt - The date and time when the link was last updated.
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+/**
+ * Sets up the ShareLink schema using Mongoose.
+ *
+ * @returns {import('mongoose').Model} The ShareLink model.
+ */
+function setupShareLinkSchema() {
+  /**
+   * Represents the schema for a ShareLink.
+   * @type {mongoose.Schema}
+   */
+  const ShareLinkSchema = new mongoose.Schema({
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Note',
+      required: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    password: {
+      type: String,
+      default: null,
+    },
+  }, { timestamps: true });
+
+  /**
+   * Hashes the password of the link before saving.
+   *
+   * @param {Function} next - The callback function.
+   */
+  ShareLinkSchema.pre('save', async function hashPassword(next) {
+    if (!this.password || !this.isModified('password')) return next();
+    try {
+      this.password = await bcrypt.hash(this.password, 10);
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  /**
+   * Compares the provided password with the password of the link.
+   *
+   * @param {string} candidatePassword - The password to compare.
+   * @returns {Promise<boolean>} A promise that resolves to true if the passwords match.
+   */
+  ShareLinkSchema.methods.comparePassword = async function comparePassword(candidatePassword) {
+    return bcrypt.compare(String(candidatePassword || ''), this.password);
+  };
+
+  return mongoose.model('ShareLink', ShareLinkSchema);
+}
+
+const ShareLink = setupShareLinkSchema();
+
+module.exports = ShareLink;
@@ -0,0 +1,71 @@
+/**
+ * Represents a Tombstone, recording that a note is gone for some users so that their devices
+ * learn about it on their next sync: the note was deleted permanently, or stopped being shared
+ * with them. Tombstones are removed automatically after `SYNC_TOMBSTONE_RETENTION_DAYS`
+ * (30 by default).
+ * @typedef {Object} Tombstone
+ * @property {mongoose.Schema.Types.ObjectId} note - The ID of the note.
+ * @property {mongoose.Schema.Types.ObjectId[]} users - The users the note is gone for.
+ * @property {number} syncSeq - The position of the change in the sync sequence.
+ * @property {Date} createdAt - The date and time when the note went away.
+ */
+
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+/**
+ * The name of the sequence ordering changes for incremental sync, shared with the notes.
+ * @type {string}
+ */
+const SYNC_SEQUENCE = 'noteSync';
+
+/**
+ * How long tombstones are kept, in seconds.
+ * @type {number}
+ */
+const RETENTION = (parseInt(process.env.SYNC_TOMBSTONE_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60;
+
+/**
+ * Sets up the Tombstone schema using Mongoose.
+ *
+ * @returns {import('mongoose').Model} The Tombstone model.
+ */
+function setupTombstoneSchema() {
+  /**
+   * Represents the schema for a Tombstone.
+   * @type {mongoose.Schema}
+   */
+  const TombstoneSchema = new mongoose.Schema({
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    users: {
+      type: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      }],
+      default: [],
+    },
+    syncSeq: {
+      type: Number,
+      default: 0,
+    },
+  }, { timestamps: { createdAt: true, updatedAt: false } });
+
+  /**
+   * Places the tombstone at the end of the sync sequence, after every change already made.
+   */
+  TombstoneSchema.pre('save', async function assignSyncSeq() {
+    this.syncSeq = await Counter.nextValue(SYNC_SEQUENCE);
+  });
+
+  TombstoneSchema.index({ users: 1, syncSeq: 1 });
+  TombstoneSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION });
+
+  return mongoose.model('Tombstone', TombstoneSchema);
+}
+
+const Tombstone = setupTombstoneSchema();
+
+module.exports = Tombstone;
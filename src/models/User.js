@@ -6,6 +6,13 @@
  * @property {string} username - The username of the user.
  * @property {string} email - The email of the user.
  * @property {string} password - The password of the user.
+ * @property {boolean} emailVerified - Whether the user confirmed owning the email address.
+ * @property {Date|null} passwordChangedAt - The date and time of the last password reset, if any.
+ * Sessions and API tokens from before it no longer authenticate the user.
+ * @property {boolean} twoFactorEnabled - Whether logging in also requires a one-time code.
+ * @property {string|null} twoFactorSecret - The TOTP secret shared with the authenticator app.
+ * @property {string[]} twoFactorRecoveryCodes - The hashes of the unused recovery codes.
+ * @property {number|null} twoFactorLastUsedStep - The time step of the last TOTP code used.
  * @property {Date} createdAt - The creation date of the user.
  * @property {Date} updatedAt - The last update date of the user.
  */
@@ -27,6 +34,12 @@ function setupUserSchema() {
         username: { type: String, required: true, unique: true },
         email: { type: String, required: true, unique: true },
         password: { type: String, required: true },
+        emailVerified: { type: Boolean, default: false },
+        passwordChangedAt: { type: Date, default: null },
+        twoFactorEnabled: { type: Boolean, default: false },
+        twoFactorSecret: { type: String, default: null },
+        twoFactorRecoveryCodes: { type: [String], default: [] },
+        twoFactorLastUsedStep: { type: Number, default: null },
     }, { timestamps: true });
 
     /**
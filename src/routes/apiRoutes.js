@@ -0,0 +1,48 @@
+/**
+ * Provides the routes of the versioned JSON API, authenticated with personal API tokens.
+ */
+const express = require('express');
+const {
+  listNotes, syncNotes, getNote, createNote, updateNote, deleteNote, listNotebooks, listTags,
+} = require('../controllers/apiController');
+const {
+  ensureApiToken, handleApiNotFound, handleApiValidationError,
+} = require('../middleware/api');
+const { validateRequest } = require('../middleware/validate');
+
+/**
+ * Validates a request against an operation of the OpenAPI document, answering invalid
+ * requests in the API error envelope.
+ *
+ * @param {string} operationId - The ID of the operation.
+ * @returns {Function} The middleware.
+ */
+function validateApiRequest(operationId) {
+  return validateRequest(operationId, { onInvalid: handleApiValidationError });
+}
+
+/**
+ * Creates a router for the routes of version 1 of the API.
+ *
+ * @returns {express.Router} The router object.
+ */
+function createApiRouter() {
+  const router = express.Router();
+
+  router.use(ensureApiToken);
+
+  router.get('/notes', validateApiRequest('apiListNotes'), listNotes);
+  router.post('/notes', validateApiRequest('apiCreateNote'), createNote);
+  router.get('/notes/sync', validateApiRequest('apiSyncNotes'), syncNotes);
+  router.get('/notes/:id', validateApiRequest('apiGetNote'), getNote);
+  router.patch('/notes/:id', validateApiRequest('apiUpdateNote'), updateNote);
+  router.delete('/notes/:id', validateApiRequest('apiDeleteNote'), deleteNote);
+  router.get('/notebooks', listNotebooks);
+  router.get('/tags', listTags);
+
+  router.use(handleApiNotFound);
+
+  return router;
+}
+
+module.exports = createApiRouter;
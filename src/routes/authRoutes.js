@@ -4,9 +4,72 @@
 
 const express = require('express');
 const {
-  getLogin, postLogin, getRegister, postRegister, logout,
+  getLogin, postLogin, getRegister, postRegister, logout, getVerifyEmail, getResendVerification,
+  postResendVerification, getForgotPassword, postForgotPassword, getResetPassword,
+  postResetPassword, getTwoFactor, postTwoFactor,
 } = require('../controllers/authController');
 const { attachUser } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const {
+  describeRetryAfter, byAccount, limitRequests,
+} = require('../middleware/rateLimit');
+const {
+  LOGIN_RATE_LIMIT_PER_IP,
+  LOGIN_RATE_LIMIT_PER_ACCOUNT,
+  REGISTER_RATE_LIMIT_PER_IP,
+  REGISTER_RATE_LIMIT_PER_ACCOUNT,
+  EMAIL_RATE_LIMIT_PER_IP,
+  EMAIL_RATE_LIMIT_PER_ACCOUNT,
+} = require('../config/limits');
+
+/**
+ * Creates the middleware validating a form submission, showing the form again with the first
+ * problem when it is invalid.
+ * @param {string} operationId - The ID of the operation in the OpenAPI document.
+ * @param {string} view - The view of the form.
+ * @param {string} title - The title of the page.
+ * @param {Function} [getLocals] - Returns more locals of the view from the request.
+ * @returns {Function} The middleware.
+ */
+function validateForm(operationId, view, title, getLocals = () => ({})) {
+  return validateRequest(operationId, {
+    onInvalid: (req, res, details) => res.status(400).render(view, {
+      ...getLocals(req), error: details[0].message, title,
+    }),
+  });
+}
+
+/**
+ * Creates a handler of rate-limited form submissions, showing the form again with how long
+ * to wait.
+ * @param {string} view - The view of the form.
+ * @param {string} title - The title of the page.
+ * @returns {Function} The handler.
+ */
+function renderLimitedForm(view, title) {
+  return (req, res, retryAfter) => res.status(429).render(view, {
+    error: `Too many attempts. Try again in ${describeRetryAfter(retryAfter)}.`,
+    title,
+  });
+}
+
+/**
+ * Creates the middleware limiting the submissions of a form by IP address and by account,
+ * showing the form again with how long to wait when a limit is reached.
+ * @param {string} name - The name of the limits.
+ * @param {Object} perIp - The limit of every IP address.
+ * @param {Object} perAccount - The limit of every account.
+ * @param {string} view - The view of the form.
+ * @param {string} title - The title of the page.
+ * @returns {Function[]} The middleware.
+ */
+function limitForm(name, perIp, perAccount, view, title) {
+  const onLimited = renderLimitedForm(view, title);
+  return [
+    limitRequests(`${name}:ip`, { ...perIp, onLimited }),
+    limitRequests(`${name}:account`, { ...perAccount, key: byAccount, onLimited }),
+  ];
+}
 
 /**
  * Creates an authentication router.
@@ -18,11 +81,63 @@ function createAuthRouter() {
   router.use(attachUser);
 
   router.get('/login', getLogin);
-  router.post('/login', postLogin);
+  router.post(
+    '/login',
+    limitForm('login', LOGIN_RATE_LIMIT_PER_IP, LOGIN_RATE_LIMIT_PER_ACCOUNT, 'auth/login', 'Login'),
+    validateForm('postLogin', 'auth/login', 'Login'),
+    postLogin,
+  );
+  router.get('/two-factor', getTwoFactor);
+  router.post(
+    '/two-factor',
+    limitRequests('two-factor:ip', {
+      ...LOGIN_RATE_LIMIT_PER_IP,
+      onLimited: renderLimitedForm('auth/two-factor', 'Two-factor authentication'),
+    }),
+    validateForm('postTwoFactor', 'auth/two-factor', 'Two-factor authentication'),
+    postTwoFactor,
+  );
   router.get('/register', getRegister);
-  router.post('/register', postRegister);
+  router.post(
+    '/register',
+    limitForm('register', REGISTER_RATE_LIMIT_PER_IP, REGISTER_RATE_LIMIT_PER_ACCOUNT, 'auth/register', 'Register'),
+    validateForm('postRegister', 'auth/register', 'Register'),
+    postRegister,
+  );
   router.get('/logout', logout);
 
+  router.get(
+    '/verify-email',
+    validateForm('getVerifyEmail', 'auth/verify-email', 'Verify email'),
+    getVerifyEmail,
+  );
+  router.get('/verify-email/resend', getResendVerification);
+  router.post(
+    '/verify-email/resend',
+    limitForm('verify-email', EMAIL_RATE_LIMIT_PER_IP, EMAIL_RATE_LIMIT_PER_ACCOUNT, 'auth/verify-email', 'Verify email'),
+    validateForm('postResendVerification', 'auth/verify-email', 'Verify email'),
+    postResendVerification,
+  );
+  router.get('/forgot-password', getForgotPassword);
+  router.post(
+    '/forgot-password',
+    limitForm('forgot-password', EMAIL_RATE_LIMIT_PER_IP, EMAIL_RATE_LIMIT_PER_ACCOUNT, 'auth/forgot-password', 'Forgot password'),
+    validateForm('postForgotPassword', 'auth/forgot-password', 'Forgot password'),
+    postForgotPassword,
+  );
+  router.get(
+    '/reset-password',
+    validateForm('getResetPassword', 'auth/forgot-password', 'Forgot password'),
+    getResetPassword,
+  );
+  router.post(
+    '/reset-password',
+    validateForm('postResetPassword', 'auth/reset-password', 'Reset password', (req) => ({
+      token: req.body.token,
+    })),
+    postResetPassword,
+  );
+
   return router;
 }
 
@@ -0,0 +1,21 @@
+/**
+ * Provides the routes of the API documentation. They need no account.
+ */
+const express = require('express');
+const { showDocs, getOpenApiSpec } = require('../controllers/docsController');
+
+/**
+ * Creates a router for the API documentation.
+ *
+ * @returns {express.Router} The router object.
+ */
+function createDocsRouter() {
+  const router = express.Router();
+
+  router.get('/', showDocs);
+  router.get('/openapi.json', getOpenApiSpec);
+
+  return router;
+}
+
+module.exports = createDocsRouter;
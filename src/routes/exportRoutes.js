@@ -0,0 +1,26 @@
+/**
+ * Provides routes for handling export-related requests.
+ */
+const express = require('express');
+const { createExport, getExport, downloadExport } = require('../controllers/exportController');
+const { attachUser, ensureAuth } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+
+/**
+ * Creates a router for handling export-related routes.
+ *
+ * @returns {express.Router} The router object.
+ */
+function createExportRouter() {
+  const router = express.Router();
+
+  router.use(attachUser, ensureAuth);
+
+  router.post('/', createExport);
+  router.get('/:id', validateRequest('getExport'), getExport);
+  router.get('/:id/download', validateRequest('downloadExport'), downloadExport);
+
+  return router;
+}
+
+module.exports = createExportRouter;
@@ -3,9 +3,22 @@
  */
 const express = require('express');
 const {
-  getNotes, createNote, updateNote, deleteNote, getNote,
+  getNotes, getSharedNotes, createNote, updateNote, deleteNote, getNote, searchNotes, moveNote,
+  copyNote, syncNotes, previewNote, updateTask, getLinkTitles, getBacklinks,
 } = require('../controllers/noteController');
+const {
+  getRevisions, getRevision, getRevisionDiff, restoreRevision,
+} = require('../controllers/revisionController');
+const { importNotes } = require('../controllers/importController');
+const {
+  getShareLinks, createShareLink, revokeShareLink,
+} = require('../controllers/shareController');
+const {
+  getCollaborators, addCollaborator, updateCollaborator, removeCollaborator,
+} = require('../controllers/collaboratorController');
 const { attachUser, ensureAuth } = require('../middleware/auth');
+const { uploadImportFiles } = require('../middleware/upload');
+const { validateRequest } = require('../middleware/validate');
 
 /**
  * Creates a router for handling note-related routes.
@@ -17,11 +30,32 @@ function createNoteRouter() {
 
   router.use(attachUser, ensureAuth);
 
-  router.get('/', getNotes);
-  router.post('/', createNote);
-  router.get('/:id', getNote);
-  router.put('/:id', updateNote);
-  router.delete('/:id', deleteNote);
+  router.get('/', validateRequest('getNotes'), getNotes);
+  router.post('/', validateRequest('createNote'), createNote);
+  router.get('/search', validateRequest('searchNotes'), searchNotes);
+  router.get('/sync', validateRequest('syncNotes'), syncNotes);
+  router.post('/preview', validateRequest('previewNote'), previewNote);
+  router.get('/titles', validateRequest('getLinkTitles'), getLinkTitles);
+  router.get('/shared', getSharedNotes);
+  router.post('/import', uploadImportFiles, importNotes);
+  router.get('/:id', validateRequest('getNote'), getNote);
+  router.put('/:id', validateRequest('updateNote'), updateNote);
+  router.delete('/:id', validateRequest('deleteNote'), deleteNote);
+  router.post('/:id/move', validateRequest('moveNote'), moveNote);
+  router.post('/:id/copy', validateRequest('copyNote'), copyNote);
+  router.put('/:id/tasks/:index', validateRequest('updateTask'), updateTask);
+  router.get('/:id/backlinks', validateRequest('getBacklinks'), getBacklinks);
+  router.get('/:id/revisions', validateRequest('getRevisions'), getRevisions);
+  router.get('/:id/revisions/diff', validateRequest('getRevisionDiff'), getRevisionDiff);
+  router.get('/:id/revisions/:revisionId', validateRequest('getRevision'), getRevision);
+  router.post('/:id/revisions/:revisionId/restore', validateRequest('restoreRevision'), restoreRevision);
+  router.get('/:id/shares', validateRequest('getShareLinks'), getShareLinks);
+  router.post('/:id/shares', validateRequest('createShareLink'), createShareLink);
+  router.delete('/:id/shares/:shareLinkId', validateRequest('revokeShareLink'), revokeShareLink);
+  router.get('/:id/collaborators', validateRequest('getCollaborators'), getCollaborators);
+  router.post('/:id/collaborators', validateRequest('addCollaborator'), addCollaborator);
+  router.put('/:id/collaborators/:userId', validateRequest('updateCollaborator'), updateCollaborator);
+  router.delete('/:id/collaborators/:userId', validateRequest('removeCollaborator'), removeCollaborator);
 
   return router;
 }
@@ -0,0 +1,29 @@
+/**
+ * Provides routes for handling notebook-related requests.
+ */
+const express = require('express');
+const {
+  getNotebooks, createNotebook, updateNotebook, deleteNotebook,
+} = require('../controllers/notebookController');
+const { attachUser, ensureAuth } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+
+/**
+ * Creates a router for handling notebook-related routes.
+ *
+ * @returns {express.Router} The router object.
+ */
+function createNotebookRouter() {
+  const router = express.Router();
+
+  router.use(attachUser, ensureAuth);
+
+  router.get('/', getNotebooks);
+  router.post('/', validateRequest('createNotebook'), createNotebook);
+  router.put('/:id', validateRequest('updateNotebook'), updateNotebook);
+  router.delete('/:id', validateRequest('deleteNotebook'), deleteNotebook);
+
+  return router;
+}
+
+module.exports = createNotebookRouter;
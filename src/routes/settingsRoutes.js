@@ -0,0 +1,35 @@
+/**
+ * Provides routes for the settings page, and the API tokens and two-factor authentication
+ * managed from it.
+ */
+const express = require('express');
+const {
+  showSettings, getApiTokens, createApiToken, revokeApiToken, getTwoFactorStatus, setupTwoFactor,
+  enableTwoFactor, disableTwoFactor,
+} = require('../controllers/settingsController');
+const { attachUser, ensureAuth } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+
+/**
+ * Creates a router for handling settings routes.
+ *
+ * @returns {express.Router} The router object.
+ */
+function createSettingsRouter() {
+  const router = express.Router();
+
+  router.use(attachUser, ensureAuth);
+
+  router.get('/', showSettings);
+  router.get('/tokens', getApiTokens);
+  router.post('/tokens', validateRequest('createApiToken'), createApiToken);
+  router.delete('/tokens/:id', validateRequest('revokeApiToken'), revokeApiToken);
+  router.get('/two-factor', getTwoFactorStatus);
+  router.post('/two-factor/setup', setupTwoFactor);
+  router.post('/two-factor/enable', validateRequest('enableTwoFactor'), enableTwoFactor);
+  router.post('/two-factor/disable', validateRequest('disableTwoFactor'), disableTwoFactor);
+
+  return router;
+}
+
+module.exports = createSettingsRouter;
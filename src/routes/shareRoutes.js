@@ -0,0 +1,91 @@
+/**
+ * Provides the public routes of shared notes. They need no account.
+ */
+const express = require('express');
+const { showSharedNote, unlockSharedNote } = require('../controllers/shareController');
+const { attachUser } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const { describeRetryAfter, limitRequests } = require('../middleware/rateLimit');
+const {
+  SHARE_UNLOCK_RATE_LIMIT_PER_IP, SHARE_UNLOCK_RATE_LIMIT_PER_LINK,
+} = require('../config/limits');
+
+/**
+ * Answers invalid requests to a share link: a malformed token cannot match any link,
+ * and a password that breaks the limits cannot be the right one.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Object[]} details - The problems found.
+ * @returns {void}
+ */
+function renderInvalidShareRequest(req, res, details) {
+  if (details.some((detail) => detail.location === 'path')) {
+    return res.status(404).render('shares/unavailable', { layout: false, title: 'Link unavailable' });
+  }
+  return res.status(401).render('shares/password', {
+    layout: false,
+    title: 'Protected note',
+    error: 'Incorrect password',
+  });
+}
+
+/**
+ * Shows the password form again with how long to wait, once too many passwords were tried.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {number} retryAfter - The number of seconds to wait before trying again.
+ * @returns {void}
+ */
+function renderLimitedUnlock(req, res, retryAfter) {
+  return res.status(429).render('shares/password', {
+    layout: false,
+    title: 'Protected note',
+    error: `Too many attempts. Try again in ${describeRetryAfter(retryAfter)}.`,
+  });
+}
+
+/**
+ * Reads the share link a request is for.
+ *
+ * @param {Object} req - The request object.
+ * @returns {string} The token of the link.
+ */
+function byShareLink(req) {
+  return req.params.token;
+}
+
+/**
+ * Creates a router for handling the public routes of share links.
+ * Password attempts are limited by IP address and by link, so that passwords cannot be guessed.
+ *
+ * @returns {express.Router} The router object.
+ */
+function createShareRouter() {
+  const router = express.Router();
+
+  router.use(attachUser);
+
+  router.get('/:token', validateRequest('showSharedNote', {
+    onInvalid: renderInvalidShareRequest,
+  }), showSharedNote);
+  router.post(
+    '/:token',
+    validateRequest('unlockSharedNote', { onInvalid: renderInvalidShareRequest }),
+    limitRequests('share-unlock:ip', {
+      ...SHARE_UNLOCK_RATE_LIMIT_PER_IP,
+      onLimited: renderLimitedUnlock,
+    }),
+    limitRequests('share-unlock:link', {
+      ...SHARE_UNLOCK_RATE_LIMIT_PER_LINK,
+      key: byShareLink,
+      onLimited: renderLimitedUnlock,
+    }),
+    unlockSharedNote,
+  );
+
+  return router;
+}
+
+module.exports = createShareRouter;
@@ -0,0 +1,25 @@
+/**
+ * Provides routes for handling tag-related requests.
+ */
+const express = require('express');
+const { getTags, renameTag } = require('../controllers/tagController');
+const { attachUser, ensureAuth } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+
+/**
+ * Creates a router for handling tag-related routes.
+ *
+ * @returns {express.Router} The router object.
+ */
+function createTagRouter() {
+  const router = express.Router();
+
+  router.use(attachUser, ensureAuth);
+
+  router.get('/', getTags);
+  router.put('/:name', validateRequest('renameTag'), renameTag);
+
+  return router;
+}
+
+module.exports = createTagRouter;
@@ -0,0 +1,24 @@
+/**
+ * Provides routes for the tasks page.
+ */
+const express = require('express');
+const { getTasks } = require('../controllers/taskController');
+const { attachUser, ensureAuth } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+
+/**
+ * Creates a router for handling task routes.
+ *
+ * @returns {express.Router} The router object.
+ */
+function createTaskRouter() {
+  const router = express.Router();
+
+  router.use(attachUser, ensureAuth);
+
+  router.get('/', validateRequest('getTasks'), getTasks);
+
+  return router;
+}
+
+module.exports = createTaskRouter;
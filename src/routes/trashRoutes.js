@@ -0,0 +1,29 @@
+/**
+ * Provides routes for handling trash-related requests.
+ */
+const express = require('express');
+const {
+  getTrash, restoreNote, deleteNote, emptyTrash,
+} = require('../controllers/trashController');
+const { attachUser, ensureAuth } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+
+/**
+ * Creates a router for handling trash-related routes.
+ *
+ * @returns {express.Router} The router object.
+ */
+function createTrashRouter() {
+  const router = express.Router();
+
+  router.use(attachUser, ensureAuth);
+
+  router.get('/', getTrash);
+  router.delete('/', emptyTrash);
+  router.post('/:id/restore', validateRequest('restoreNote'), restoreNote);
+  router.delete('/:id', validateRequest('deleteTrashedNote'), deleteNote);
+
+  return router;
+}
+
+module.exports = createTrashRouter;
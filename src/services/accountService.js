@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Email verification and password reset.
+ * Both work by emailing the user a link carrying a signed token from
+ * {@link module:services/signedTokenService}. Requests for an email address without
+ * an account succeed silently, so that they do not reveal which addresses have one.
+ * @module services/accountService
+ */
+
+const User = require('../models/User');
+const { sendMail } = require('./mailService');
+const {
+  TOKEN_PURPOSES, createSignedToken, verifySignedToken,
+} = require('./signedTokenService');
+
+/**
+ * Returns the base URL of the links sent by email, from `APP_URL`. Outside of production it
+ * defaults to the local server. It is never taken from the request, since the client chooses
+ * its `Host` header and could have the links of another user's emails point to its own host.
+ * @returns {string} - The base URL, without a trailing slash.
+ * @throws {Error} - If `APP_URL` is not a URL, or is not set in production.
+ */
+function getAppUrl() {
+  const appUrl = process.env.APP_URL
+    || (process.env.NODE_ENV === 'production' ? '' : `http://localhost:${process.env.PORT || 3000}`);
+  if (!appUrl) {
+    throw new Error('APP_URL must be set to the public URL of the application');
+  }
+  if (!/^https?:$/.test(new URL(appUrl).protocol)) {
+    throw new Error('APP_URL must be an http or https URL');
+  }
+  return appUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Emails a user a link to verify their email address.
+ * @param {Object} user - The user.
+ * @param {string} appUrl - The base URL of the link.
+ * @returns {Promise<Object>} - The result of the transport.
+ */
+function sendVerificationEmail(user, appUrl) {
+  const token = createSignedToken(TOKEN_PURPOSES.VERIFY_EMAIL, user);
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\n`
+      + 'Open this link to verify the email address of your Anchor account:\n\n'
+      + `${appUrl}/auth/verify-email?token=${encodeURIComponent(token)}\n\n`
+      + 'If you did not create an account, you can ignore this email.',
+  });
+}
+
+/**
+ * Emails a user a link to choose a new password.
+ * @param {Object} user - The user.
+ * @param {string} appUrl - The base URL of the link.
+ * @returns {Promise<Object>} - The result of the transport.
+ */
+function sendPasswordResetEmail(user, appUrl) {
+  const token = createSignedToken(TOKEN_PURPOSES.RESET_PASSWORD, user);
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\n`
+      + 'Open this link to choose a new password for your Anchor account:\n\n'
+      + `${appUrl}/auth/reset-password?token=${encodeURIComponent(token)}\n\n`
+      + 'The link works once and expires soon. If you did not ask for it, you can ignore this email.',
+  });
+}
+
+/**
+ * Emails a new verification link to the account with an email address, if it exists
+ * and is not verified yet.
+ * @param {string} email - The email address.
+ * @param {string} appUrl - The base URL of the link.
+ * @returns {Promise<void>}
+ */
+async function resendVerificationEmail(email, appUrl) {
+  const user = await User.findOne({ email });
+  if (user && !user.emailVerified) {
+    await sendVerificationEmail(user, appUrl);
+  }
+}
+
+/**
+ * Emails a password reset link to the account with an email address, if it exists.
+ * @param {string} email - The email address.
+ * @param {string} appUrl - The base URL of the link.
+ * @returns {Promise<void>}
+ */
+async function requestPasswordReset(email, appUrl) {
+  const user = await User.findOne({ email });
+  if (user) {
+    await sendPasswordResetEmail(user, appUrl);
+  }
+}
+
+/**
+ * Marks the email address of a user as verified.
+ * @param {string} token - The token of the verification link.
+ * @returns {Promise<Object|null>} - The user, or null if the token is not valid.
+ */
+async function verifyEmail(token) {
+  const user = await verifySignedToken(TOKEN_PURPOSES.VERIFY_EMAIL, token);
+  if (!user) return null;
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    await user.save();
+  }
+  return user;
+}
+
+/**
+ * Checks that a password reset link can still be used.
+ * @param {string} token - The token of the reset link.
+ * @returns {Promise<Object|null>} - The user, or null if the token is not valid.
+ */
+function findPasswordResetUser(token) {
+  return verifySignedToken(TOKEN_PURPOSES.RESET_PASSWORD, token);
+}
+
+/**
+ * Sets a new password for the user of a password reset link. Since the link was sent to
+ * the email address of the user, it also verifies that address.
+ * @param {string} token - The token of the reset link.
+ * @param {string} password - The new password.
+ * @returns {Promise<Object|null>} - The user, or null if the token is not valid.
+ */
+async function resetPassword(token, password) {
+  const user = await findPasswordResetUser(token);
+  if (!user) return null;
+  Object.assign(user, { password, passwordChangedAt: new Date(), emailVerified: true });
+  await user.save();
+  return user;
+}
+
+module.exports = {
+  getAppUrl,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  resendVerificationEmail,
+  requestPasswordReset,
+  verifyEmail,
+  findPasswordResetUser,
+  resetPassword,
+};
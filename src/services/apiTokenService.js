@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Personal API tokens: random secrets that authenticate requests to the JSON API
+ * as the user who created them. Tokens are stored as SHA-256 hashes, so a token can only be
+ * read when it is created.
+ * @module services/apiTokenService
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiToken = require('../models/ApiToken');
+const User = require('../models/User');
+
+/**
+ * The prefix of every token, making tokens easy to spot in configuration and logs.
+ * @type {string}
+ */
+const TOKEN_PREFIX = 'anchor_';
+
+/**
+ * The number of random bytes in a token.
+ * @type {number}
+ */
+const TOKEN_BYTES = 32;
+
+/**
+ * The number of characters of a token kept in clear to recognize it in lists.
+ * @type {number}
+ */
+const VISIBLE_PREFIX_LENGTH = TOKEN_PREFIX.length + 6;
+
+/**
+ * Hashes a token for storage and lookup.
+ * @param {string} token - The token.
+ * @returns {string} - The hex SHA-256 hash of the token.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Creates an API token for a user.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {string} name - The name of the token.
+ * @returns {Promise<Object>} - The stored `apiToken` and the `token` itself, which is not stored.
+ * @throws {Error} - If the name is missing.
+ */
+async function createApiToken(userId, name) {
+  if (!name || !String(name).trim()) {
+    throw new Error('A token name is required');
+  }
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(TOKEN_BYTES).toString('base64url')}`;
+  const apiToken = await ApiToken.create({
+    user: userId,
+    name: String(name),
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, VISIBLE_PREFIX_LENGTH),
+  });
+  return { apiToken, token };
+}
+
+/**
+ * Lists the API tokens of a user, newest first.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @returns {Promise<Object[]>} - The tokens, without their hashes.
+ */
+function listApiTokens(userId) {
+  return ApiToken.find({ user: userId }).select('-tokenHash').sort({ createdAt: -1 });
+}
+
+/**
+ * Revokes an API token of a user.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {string} tokenId - The ID of the token.
+ * @returns {Promise<boolean>} - True if the token was revoked.
+ */
+async function revokeApiToken(userId, tokenId) {
+  if (!mongoose.isValidObjectId(tokenId)) return false;
+  const { deletedCount } = await ApiToken.deleteOne({ _id: tokenId, user: userId });
+  return deletedCount > 0;
+}
+
+/**
+ * Finds the user a token authenticates, and records that the token was used.
+ * Tokens created before the last password reset of their user no longer work.
+ * @param {string} token - The token sent by the client.
+ * @returns {Promise<Object|null>} - The `id` and `username` of the user, or null if the token
+ * is unknown, its user no longer exists or reset their password since it was created.
+ */
+async function authenticateApiToken(token) {
+  if (!token || !String(token).startsWith(TOKEN_PREFIX)) return null;
+  const apiToken = await ApiToken.findOneAndUpdate(
+    { tokenHash: hashToken(token) },
+    { lastUsedAt: new Date() },
+    { new: true },
+  );
+  if (!apiToken) return null;
+  const user = await User.findById(apiToken.user).select('username passwordChangedAt');
+  if (!user || user.passwordChangedAt > apiToken.createdAt) return null;
+  return { id: user._id, username: user.username };
+}
+
+module.exports = {
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+  authenticateApiToken,
+};
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Records security-relevant events, such as failed logins, in the audit log.
+ * Recording never fails the request it is about: errors are logged and swallowed.
+ * @module services/auditService
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * The events recorded in the audit log.
+ * @enum {string}
+ */
+const AUDIT_EVENTS = {
+  LOGIN_FAILED: 'login_failed',
+  LOGIN_LOCKED: 'login_locked',
+  ACCOUNT_LOCKED: 'account_locked',
+  RATE_LIMITED: 'rate_limited',
+  TWO_FACTOR_FAILED: 'two_factor_failed',
+  TWO_FACTOR_ENABLED: 'two_factor_enabled',
+  TWO_FACTOR_DISABLED: 'two_factor_disabled',
+  RECOVERY_CODE_USED: 'recovery_code_used',
+};
+
+/**
+ * Records an event in the audit log, along with where the request came from.
+ * @param {string} event - The event, one of {@link AUDIT_EVENTS}.
+ * @param {Object} req - The request the event is about.
+ * @param {Object} [options={}] - The entry options.
+ * @param {mongoose.Types.ObjectId|string|null} [options.user=null] - The user concerned, if known.
+ * @param {string|null} [options.email=null] - The email address given with the request.
+ * @param {Object} [options.details={}] - More information about the event.
+ * @returns {Promise<Object|null>} - The entry, or null if it could not be recorded.
+ */
+async function recordAuditEvent(event, req, { user = null, email = null, details = {} } = {}) {
+  try {
+    return await AuditLog.create({
+      event,
+      user,
+      email,
+      ip: req.ip || null,
+      userAgent: req.get('User-Agent') || null,
+      details,
+    });
+  } catch (error) {
+    console.error('Error recording audit event:', error);
+    return null;
+  }
+}
+
+module.exports = { AUDIT_EVENTS, recordAuditEvent };
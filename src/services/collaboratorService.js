@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Sharing notes with other users: adding collaborators by username or email,
+ * changing their roles and removing them.
+ * @module services/collaboratorService
+ */
+
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const User = require('../models/User');
+const { COLLABORATOR_ROLES } = require('./permissionService');
+const { recordTombstones } = require('./syncService');
+
+/**
+ * Checks that a role can be given to a collaborator.
+ * @param {string} role - The role.
+ * @throws {Error} - If the role is not `viewer` or `editor`.
+ */
+function validateRole(role) {
+  if (!COLLABORATOR_ROLES.includes(role)) {
+    throw new Error(`The role must be one of: ${COLLABORATOR_ROLES.join(', ')}`);
+  }
+}
+
+/**
+ * Lists the collaborators of a note with their usernames and emails.
+ * @param {Object} note - The note.
+ * @returns {Promise<Object[]>} - The collaborators: their `_id`, `username`, `email` and `role`.
+ */
+async function listCollaborators(note) {
+  const users = await User.find({ _id: { $in: note.collaborators.map((entry) => entry.user) } })
+    .select('_id username email');
+  const userById = new Map(users.map((user) => [String(user._id), user]));
+  return note.collaborators
+    .filter((entry) => userById.has(String(entry.user)))
+    .map((entry) => {
+      const user = userById.get(String(entry.user));
+      return {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        role: entry.role,
+      };
+    });
+}
+
+/**
+ * Shares a note with a user, or changes their role if they already collaborate on it.
+ * @param {Object} note - The note.
+ * @param {string} identifier - The username or email of the user to invite.
+ * @param {string} role - The role to give, `viewer` or `editor`.
+ * @returns {Promise<Object>} - The updated `note` and the invited `user`.
+ * @throws {Error} - If the role is invalid, there is no such user, or the user owns the note.
+ */
+async function addCollaborator(note, identifier, role) {
+  validateRole(role);
+  const value = String(identifier || '').trim();
+  const user = value && await User.findOne({ $or: [{ username: value }, { email: value }] });
+  if (!user) {
+    throw new Error('No user with that username or email');
+  }
+  if (String(user._id) === String(note.user)) {
+    throw new Error('The owner of a note cannot be a collaborator');
+  }
+  const isCollaborator = note.collaborators
+    .some((entry) => String(entry.user) === String(user._id));
+  const updatedNote = await Note.findOneAndUpdate(
+    { _id: note._id },
+    isCollaborator
+      ? { $set: { 'collaborators.$[entry].role': role } }
+      : { $push: { collaborators: { user: user._id, role } } },
+    { new: true, arrayFilters: isCollaborator ? [{ 'entry.user': user._id }] : undefined },
+  );
+  return { note: updatedNote, user };
+}
+
+/**
+ * Changes the role of a collaborator of a note.
+ * @param {Object} note - The note.
+ * @param {string} userId - The ID of the collaborator.
+ * @param {string} role - The new role, `viewer` or `editor`.
+ * @returns {Promise<Object|null>} - The updated note, or null if the user is no collaborator.
+ * @throws {Error} - If the role is invalid.
+ */
+function updateCollaboratorRole(note, userId, role) {
+  validateRole(role);
+  if (!mongoose.isValidObjectId(userId)) return Promise.resolve(null);
+  return Note.findOneAndUpdate(
+    { _id: note._id, 'collaborators.user': userId },
+    { $set: { 'collaborators.$.role': role } },
+    { new: true },
+  );
+}
+
+/**
+ * Stops sharing a note with a collaborator, leaving a tombstone so that their devices
+ * drop the note on their next sync.
+ * @param {Object} note - The note.
+ * @param {string} userId - The ID of the collaborator.
+ * @returns {Promise<Object|null>} - The updated note, or null if the user is no collaborator.
+ */
+async function removeCollaborator(note, userId) {
+  if (!mongoose.isValidObjectId(userId)) return null;
+  const updatedNote = await Note.findOneAndUpdate(
+    { _id: note._id, 'collaborators.user': userId },
+    { $pull: { collaborators: { user: userId } } },
+    { new: true },
+  );
+  if (updatedNote) await recordTombstones([updatedNote], [userId]);
+  return updatedNote;
+}
+
+module.exports = {
+  listCollaborators,
+  addCollaborator,
+  updateCollaboratorRole,
+  removeCollaborator,
+};
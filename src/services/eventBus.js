@@ -0,0 +1,81 @@
+/**
+ * @fileoverview In-process event bus for canonical note change events.
+ * Controllers publish to it after a change is persisted and the Socket.IO
+ * server relays the events to the clients of the users with access to the note.
+ * @module services/eventBus
+ */
+
+const { EventEmitter } = require('events');
+const { getNoteUserIds } = require('./permissionService');
+
+/**
+ * Names of the note change events.
+ * @enum {string}
+ */
+const NOTE_EVENTS = {
+  CREATED: 'note-created',
+  UPDATED: 'note-updated',
+  DELETED: 'note-deleted',
+};
+
+/**
+ * A note change event as published on the bus.
+ * @typedef {Object} NoteChangeEvent
+ * @property {string[]} userIds - The IDs of the users to notify: the owner and collaborators.
+ * @property {Object|string} payload - The plain note, or the note ID for deletions.
+ * @property {string|null} originId - The socket ID of the client that made the change, if known.
+ */
+
+/**
+ * Creates a new event bus.
+ *
+ * @returns {EventEmitter} The event bus.
+ */
+function createEventBus() {
+  return new EventEmitter();
+}
+
+/**
+ * Emits a note change event on an event bus, for changes that are not made through a request.
+ *
+ * @param {EventEmitter} eventBus - The event bus.
+ * @param {string} event - The event name, one of {@link NOTE_EVENTS}.
+ * @param {Object} note - The note document.
+ * @param {Object} [options={}] - The publishing options.
+ * @param {string|null} [options.originId=null] - The socket ID of the client that made the change.
+ */
+function emitNoteEvent(eventBus, event, note, { originId = null } = {}) {
+  eventBus.emit(event, {
+    userIds: getNoteUserIds(note),
+    payload: typeof note.toJSON === 'function' ? note.toJSON() : note,
+    originId,
+  });
+}
+
+/**
+ * Publishes a note change event for the users with access to a note.
+ * Unless given, they are read from the owner and collaborators of the note,
+ * or default to the authenticated user of the request for deletions.
+ * The originating socket ID is read from the `X-Socket-Id` header so that
+ * the tab making the change does not receive its own event.
+ *
+ * @param {Object} req - The request object.
+ * @param {string} event - The event name, one of {@link NOTE_EVENTS}.
+ * @param {Object|string} payload - The note document, or the note ID for deletions.
+ * @param {Object} [options={}] - The publishing options.
+ * @param {string[]} [options.userIds] - The IDs of the users to notify.
+ */
+function publishNoteEvent(req, event, payload, { userIds } = {}) {
+  const eventBus = req.app.get('eventBus');
+  if (!eventBus) return;
+  const defaultUserIds = payload.user ? getNoteUserIds(payload) : [req.session.user.id];
+  eventBus.emit(event, {
+    userIds: (userIds || defaultUserIds).map(String),
+    payload: typeof payload.toJSON === 'function' ? payload.toJSON() : payload,
+    originId: req.get('X-Socket-Id') || null,
+  });
+}
+
+module.exports = {
+  NOTE_EVENTS, createEventBus, emitNoteEvent, publishNoteEvent,
+};
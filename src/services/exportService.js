@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Exports the notes of a user as a zip archive with one Markdown file per note.
+ * Each file starts with YAML front matter holding the title, timestamps and tags of the note.
+ * Small accounts are exported right away; larger ones by the export job of the worker.
+ * Archives are written to `EXPORT_DIR` and deleted by the purge job once their export expired.
+ * @module services/exportService
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const JSZip = require('jszip');
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const Export = require('../models/Export');
+const { JOB_TYPES, enqueueJob } = require('./queue');
+
+/**
+ * The directory export archives are written to.
+ * @type {string}
+ */
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(__dirname, '../../storage/exports');
+
+/**
+ * The largest number of notes exported during the request; larger exports run in the background.
+ * @type {number}
+ */
+const EXPORT_SYNC_LIMIT = parseInt(process.env.EXPORT_SYNC_LIMIT, 10) || 200;
+
+/**
+ * Builds a file name for a note that is safe on common file systems and unique in the archive.
+ * @param {string} title - The title of the note.
+ * @param {Set<string>} usedNames - The lowercase file names already in the archive.
+ * @returns {string} - The file name, with the `.md` extension.
+ */
+function getNoteFileName(title, usedNames) {
+  const base = (title || 'Untitled')
+    .replace(/[\\/:*?"<>|\p{Cc}]/gu, '-')
+    .replace(/^[\s.]+|[\s.]+$/g, '')
+    .slice(0, 100) || 'Untitled';
+  let name = `${base}.md`;
+  for (let index = 2; usedNames.has(name.toLowerCase()); index += 1) {
+    name = `${base} (${index}).md`;
+  }
+  usedNames.add(name.toLowerCase());
+  return name;
+}
+
+/**
+ * Builds the YAML front matter of a note.
+ * Strings are written as double-quoted scalars, which share their escaping rules with JSON.
+ * @param {Object} note - The note.
+ * @returns {string} - The front matter, including its `---` delimiters.
+ */
+function buildFrontMatter(note) {
+  const lines = [
+    '---',
+    `title: ${JSON.stringify(note.title || 'Untitled')}`,
+    `createdAt: ${new Date(note.createdAt).toISOString()}`,
+    `updatedAt: ${new Date(note.updatedAt).toISOString()}`,
+  ];
+  if (note.tags && note.tags.length > 0) {
+    lines.push('tags:', ...note.tags.map((tag) => `  - ${JSON.stringify(tag)}`));
+  }
+  lines.push('---');
+  return lines.join('\n');
+}
+
+/**
+ * Converts a note to a Markdown document with front matter.
+ * @param {Object} note - The note.
+ * @returns {string} - The Markdown document.
+ */
+function noteToMarkdown(note) {
+  return `${buildFrontMatter(note)}\n\n${note.content || ''}`;
+}
+
+/**
+ * Writes a zip archive of all notes of a user, leaving out the notes in the trash.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @returns {Promise<Object>} - The `file` path of the archive and the `noteCount` it holds.
+ */
+async function generateExport(userId) {
+  const notes = await Note.find({ user: userId }).sort({ createdAt: 1 }).lean();
+  const zip = new JSZip();
+  const usedNames = new Set();
+  notes.forEach((note) => {
+    zip.file(getNoteFileName(note.title, usedNames), noteToMarkdown(note), {
+      date: note.updatedAt,
+    });
+  });
+
+  await fs.mkdir(EXPORT_DIR, { recursive: true });
+  const file = path.join(EXPORT_DIR, `${userId}-${Date.now()}.zip`);
+  const archive = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  await fs.writeFile(file, archive);
+  return { file, noteCount: notes.length };
+}
+
+/**
+ * Generates the archive of a pending export and marks it as ready.
+ * @param {mongoose.Types.ObjectId|string} exportId - The ID of the export.
+ * @returns {Promise<Object|null>} - The ready export, or null if it no longer exists.
+ */
+async function processExport(exportId) {
+  const pendingExport = await Export.findById(exportId);
+  if (!pendingExport) return null;
+  const { file, noteCount } = await generateExport(pendingExport.user);
+  pendingExport.set({
+    status: 'ready', file, noteCount, error: null,
+  });
+  return pendingExport.save();
+}
+
+/**
+ * Marks an export as failed.
+ * @param {mongoose.Types.ObjectId|string} exportId - The ID of the export.
+ * @param {Error} error - The error the export failed with.
+ * @returns {Promise<Object|null>} - The failed export, or null if it no longer exists.
+ */
+function failExport(exportId, error) {
+  return Export.findByIdAndUpdate(
+    exportId,
+    { status: 'failed', error: error.message },
+    { new: true },
+  );
+}
+
+/**
+ * Starts an export of the notes of a user.
+ * Up to `EXPORT_SYNC_LIMIT` notes are exported right away; beyond that the export is queued
+ * and stays pending until the worker has generated the archive.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @returns {Promise<Object>} - The export.
+ */
+async function requestExport(userId) {
+  const noteCount = await Note.countDocuments({ user: userId });
+  const newExport = await Export.create({ user: userId, noteCount });
+  if (noteCount <= EXPORT_SYNC_LIMIT) {
+    return processExport(newExport._id);
+  }
+  await enqueueJob(JOB_TYPES.EXPORT_NOTES, { exportId: String(newExport._id) });
+  return newExport;
+}
+
+/**
+ * Finds an export of a user that has not expired.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {string} exportId - The ID of the export.
+ * @returns {Promise<Object|null>} - The export, or null if the user has no such export.
+ */
+function findExport(userId, exportId) {
+  if (!mongoose.isValidObjectId(exportId)) {
+    return Promise.resolve(null);
+  }
+  return Export.findOne({ _id: exportId, user: userId, expiresAt: { $gt: new Date() } });
+}
+
+/**
+ * Deletes the exports that expired, along with their archives.
+ * @returns {Promise<number>} - The number of deleted exports.
+ */
+async function purgeExpiredExports() {
+  const expiredExports = await Export.find({ expiresAt: { $lte: new Date() } });
+  await Promise.all(expiredExports
+    .filter((expiredExport) => expiredExport.file)
+    .map((expiredExport) => fs.rm(expiredExport.file, { force: true })));
+  const expiredIds = expiredExports.map((expiredExport) => expiredExport._id);
+  await Export.deleteMany({ _id: { $in: expiredIds } });
+  return expiredExports.length;
+}
+
+module.exports = {
+  EXPORT_DIR,
+  EXPORT_SYNC_LIMIT,
+  noteToMarkdown,
+  generateExport,
+  processExport,
+  failExport,
+  requestExport,
+  findExport,
+  purgeExpiredExports,
+};
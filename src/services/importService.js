@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Imports notes from uploaded files: Markdown and text files, zip archives of them
+ * (such as the archives made by the export), and Google Keep notes from a Takeout export.
+ * Every file is imported on its own, so one bad file does not stop the others, and the original
+ * creation and modification dates are kept when the file carries them.
+ * @module services/importService
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+const yaml = require('js-yaml');
+const Note = require('../models/Note');
+const { resolveManualTags } = require('./tagService');
+const { recordRevision } = require('./revisionService');
+const { IMPORT_ZIP_ENTRIES_MAX, IMPORT_ZIP_SIZE_MAX } = require('../config/limits');
+
+/**
+ * The extensions of the Markdown and plain text files that can be imported.
+ * @type {string[]}
+ */
+const TEXT_EXTENSIONS = ['.md', '.markdown', '.txt'];
+
+/**
+ * Matches YAML front matter at the start of a Markdown document.
+ * @type {RegExp}
+ */
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Converts a front matter or Keep value to a valid date.
+ * @param {*} value - A date, a date string or a number of milliseconds.
+ * @returns {Date|null} - The date, or null if the value is not a valid date.
+ */
+function toDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parses a Markdown or text file, reading the title, tags and dates of its front matter if any.
+ * Without a title in the front matter, the file name is the title.
+ * @param {string} fileName - The name of the file.
+ * @param {string} text - The content of the file.
+ * @returns {Object} - The note to import.
+ * @throws {Error} - If the front matter is not valid YAML.
+ */
+function parseMarkdown(fileName, text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const match = source.match(FRONT_MATTER_PATTERN);
+  let data = {};
+  if (match) {
+    try {
+      data = yaml.load(match[1]) || {};
+    } catch (error) {
+      throw new Error(`Invalid front matter: ${error.reason || error.message}`);
+    }
+  }
+  return {
+    title: data.title ? String(data.title) : path.basename(fileName, path.extname(fileName)),
+    content: match ? source.slice(match[0].length).replace(/^\r?\n/, '') : source,
+    tags: data.tags || [],
+    createdAt: toDate(data.createdAt || data.created || data.date),
+    updatedAt: toDate(data.updatedAt || data.updated || data.modified),
+  };
+}
+
+/**
+ * Parses a note of a Google Keep Takeout export.
+ * Checklists become Markdown task lists and labels become tags.
+ * @param {string} fileName - The name of the file.
+ * @param {string} text - The JSON content of the file.
+ * @returns {Object} - The note to import.
+ * @throws {Error} - If the file is not a Google Keep note.
+ */
+function parseKeepNote(fileName, text) {
+  let data;
+  try {
+    data = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error('Invalid JSON');
+  }
+  if (!data || (data.textContent === undefined && !Array.isArray(data.listContent))) {
+    throw new Error('Not a Google Keep note');
+  }
+  const content = Array.isArray(data.listContent)
+    ? data.listContent.map((item) => `- [${item.isChecked ? 'x' : ' '}] ${item.text}`).join('\n')
+    : data.textContent;
+  return {
+    title: data.title || path.basename(fileName, path.extname(fileName)),
+    content,
+    tags: (data.labels || []).map((label) => label.name),
+    createdAt: toDate(data.createdTimestampUsec && data.createdTimestampUsec / 1000),
+    updatedAt: toDate(data.userEditedTimestampUsec && data.userEditedTimestampUsec / 1000),
+  };
+}
+
+/**
+ * Parses an imported file according to its extension.
+ * @param {string} fileName - The name of the file.
+ * @param {Buffer} buffer - The content of the file.
+ * @returns {Object} - The note to import.
+ * @throws {Error} - If the file type is not supported or the file cannot be parsed.
+ */
+function parseFile(fileName, buffer) {
+  const extension = path.extname(fileName).toLowerCase();
+  if (TEXT_EXTENSIONS.includes(extension)) {
+    return parseMarkdown(fileName, buffer.toString('utf8'));
+  }
+  if (extension === '.json') {
+    return parseKeepNote(fileName, buffer.toString('utf8'));
+  }
+  throw new Error('Unsupported file type');
+}
+
+/**
+ * Inflates a file of a zip archive, giving up as soon as it grows past a size, whatever size
+ * the archive declares for it.
+ * @param {Object} entry - The JSZip entry of the file.
+ * @param {number} maxSize - The largest size accepted, in bytes.
+ * @returns {Promise<Buffer>} - The content of the file.
+ * @throws {Error} - If the file is larger than `maxSize` or cannot be inflated.
+ */
+function inflateZipEntry(entry, maxSize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.internalStream('nodebuffer');
+    stream
+      .on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxSize) {
+          stream.pause();
+          reject(new Error('Zip archive too large once extracted'));
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .resume();
+  });
+}
+
+/**
+ * Lists the files to import from an upload, expanding zip archives into the files they hold.
+ * Folders, hidden files and the metadata folders of macOS archives are left out.
+ * Google Keep exports hold an HTML copy of every note next to its JSON file; those are skipped too.
+ * Zip archives with too many files or too large once extracted, going by the sizes they declare,
+ * are refused before anything is inflated; their files are then inflated one at a time and
+ * the archive is given up on as soon as they grow past the size limit after all.
+ * @param {Object} upload - The uploaded file, as provided by multer.
+ * @returns {Promise<Object[]>} - The files, each with its `name` and `buffer`, or an `error`.
+ */
+async function listUploadFiles(upload) {
+  const name = upload.originalname;
+  if (path.extname(name).toLowerCase() !== '.zip') {
+    return [{ name, buffer: upload.buffer }];
+  }
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(upload.buffer);
+  } catch (error) {
+    return [{ name, error: 'Invalid zip archive' }];
+  }
+  const entries = Object.values(zip.files).filter((entry) => !entry.dir
+    && !entry.name.startsWith('__MACOSX/')
+    && !path.basename(entry.name).startsWith('.')
+    && path.extname(entry.name).toLowerCase() !== '.html');
+  if (entries.length > IMPORT_ZIP_ENTRIES_MAX) {
+    return [{ name, error: `Zip archive with more than ${IMPORT_ZIP_ENTRIES_MAX} files` }];
+  }
+  const declaredSize = entries
+    .reduce((total, entry) => total + ((entry._data && entry._data.uncompressedSize) || 0), 0);
+  if (declaredSize > IMPORT_ZIP_SIZE_MAX) {
+    return [{ name, error: 'Zip archive too large once extracted' }];
+  }
+
+  try {
+    const files = [];
+    await entries.reduce(async (previous, entry) => {
+      const size = await previous;
+      const buffer = await inflateZipEntry(entry, IMPORT_ZIP_SIZE_MAX - size);
+      files.push({ name: `${name}/${entry.name}`, buffer });
+      return size + buffer.length;
+    }, Promise.resolve(0));
+    return files;
+  } catch (error) {
+    return [{ name, error: error.message }];
+  }
+}
+
+/**
+ * Creates a note from a parsed file, keeping its original dates.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {Object} parsed - The parsed file.
+ * @param {mongoose.Types.ObjectId|null} notebookId - The notebook to file the note in.
+ * @returns {Promise<Object>} - The created note.
+ */
+async function createImportedNote(userId, parsed, notebookId) {
+  const now = new Date();
+  const createdAt = parsed.createdAt || parsed.updatedAt || now;
+  const note = new Note({
+    title: parsed.title || 'Untitled',
+    content: parsed.content || '',
+    manualTags: resolveManualTags(parsed.tags, parsed.content),
+    notebook: notebookId,
+    user: userId,
+    createdAt,
+    updatedAt: parsed.updatedAt || createdAt,
+  });
+  await note.save({ timestamps: false });
+  await recordRevision(note, { coalesce: false });
+  return note;
+}
+
+/**
+ * Imports uploaded files as notes of a user.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {Object[]} uploads - The uploaded files, as provided by multer.
+ * @param {Object} [options={}] - The import options.
+ * @param {mongoose.Types.ObjectId|null} [options.notebookId=null] - The notebook to import into.
+ * @returns {Promise<Object>} - The `results` for every file, with its `name`, `status`
+ * (`imported` or `failed`) and `noteId` or `error`, and the imported `notes`.
+ */
+async function importFiles(userId, uploads, { notebookId = null } = {}) {
+  const results = [];
+  const notes = [];
+  const importFile = async (file) => {
+    try {
+      if (file.error) throw new Error(file.error);
+      const note = await createImportedNote(userId, parseFile(file.name, file.buffer), notebookId);
+      notes.push(note);
+      results.push({
+        name: file.name, status: 'imported', noteId: note._id, title: note.title,
+      });
+    } catch (error) {
+      results.push({ name: file.name, status: 'failed', error: error.message });
+    }
+  };
+  // Files are imported one at a time so the notes keep the order of the upload, and archives
+  // are extracted one at a time so that only one is held in memory at once.
+  await uploads.reduce(async (previousUpload, upload) => {
+    await previousUpload;
+    const files = await listUploadFiles(upload);
+    await files.reduce(
+      (previousFile, file) => previousFile.then(() => importFile(file)),
+      Promise.resolve(),
+    );
+  }, Promise.resolve());
+  return { results, notes };
+}
+
+module.exports = {
+  parseMarkdown,
+  parseKeepNote,
+  parseFile,
+  importFiles,
+};
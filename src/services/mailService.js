@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Sends email through a pluggable transport chosen with `MAIL_TRANSPORT`:
+ * - `console` (the default) prints every message, for local development;
+ * - `file` writes every message as a JSON file to `MAIL_DIR`, for tests and local development;
+ * - `smtp` sends through the SMTP server at `SMTP_URL` with Nodemailer.
+ * A transport is any object with a `sendMail(message)` function returning a promise.
+ * @module services/mailService
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+/**
+ * The sender of the messages.
+ * @type {string}
+ */
+const MAIL_FROM = process.env.MAIL_FROM || 'Anchor <no-reply@localhost>';
+
+/**
+ * Where the file transport writes messages.
+ * @type {string}
+ */
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'storage', 'mail');
+
+/**
+ * Creates a transport printing every message to the console.
+ * @returns {Object} - The transport.
+ */
+function createConsoleTransport() {
+  return {
+    async sendMail(message) {
+      console.log(`Email to ${message.to}: ${message.subject}\n\n${message.text}\n`);
+      return { messageId: crypto.randomUUID() };
+    },
+  };
+}
+
+/**
+ * Creates a transport writing every message as a JSON file.
+ * @param {string} [directory=MAIL_DIR] - The directory the messages are written to.
+ * @returns {Object} - The transport.
+ */
+function createFileTransport(directory = MAIL_DIR) {
+  return {
+    async sendMail(message) {
+      const messageId = crypto.randomUUID();
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(
+        path.join(directory, `${Date.now()}-${messageId}.json`),
+        JSON.stringify({ messageId, date: new Date(), ...message }, null, 2),
+      );
+      return { messageId };
+    },
+  };
+}
+
+/**
+ * Creates the transport selected by `MAIL_TRANSPORT`.
+ * @returns {Object} - The transport.
+ * @throws {Error} - If the transport is unknown, or `smtp` without `SMTP_URL`.
+ */
+function createMailTransport() {
+  const driver = process.env.MAIL_TRANSPORT || 'console';
+  if (driver === 'console') return createConsoleTransport();
+  if (driver === 'file') return createFileTransport();
+  if (driver === 'smtp') {
+    if (!process.env.SMTP_URL) {
+      throw new Error('SMTP_URL must be set to send email over SMTP');
+    }
+    return nodemailer.createTransport(process.env.SMTP_URL);
+  }
+  throw new Error(`Unknown mail transport: ${driver}`);
+}
+
+let sharedTransport = null;
+
+/**
+ * Gets the transport shared by the process, creating it on first use.
+ * @returns {Object} - The transport.
+ */
+function getMailTransport() {
+  if (!sharedTransport) {
+    sharedTransport = createMailTransport();
+  }
+  return sharedTransport;
+}
+
+/**
+ * Replaces the transport shared by the process.
+ * @param {Object} transport - The new transport.
+ */
+function setMailTransport(transport) {
+  sharedTransport = transport;
+}
+
+/**
+ * Sends an email.
+ * @param {Object} message - The message.
+ * @param {string} message.to - The recipient.
+ * @param {string} message.subject - The subject.
+ * @param {string} message.text - The plain text body.
+ * @returns {Promise<Object>} - The result of the transport, with the `messageId`.
+ */
+function sendMail({ to, subject, text }) {
+  return getMailTransport().sendMail({
+    from: MAIL_FROM, to, subject, text,
+  });
+}
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createMailTransport,
+  getMailTransport,
+  setMailTransport,
+  sendMail,
+};
@@ -0,0 +1,502 @@
+/**
+ * @fileoverview Renders note markdown to HTML that is safe to serve to anyone, and to the plain
+ * text previews of the notes list, and parses the task list items, wiki links and `#hashtags` of
+ * notes.
+ * Besides CommonMark, notes can use GFM tables and strikethrough, task lists, footnotes, fenced
+ * code blocks highlighted by language with highlight.js, and KaTeX math between `$` (inline)
+ * or `$$` (block) delimiters. `[[Note Title]]` and `[[Note Title|label]]` link to other notes by
+ * title. Raw HTML in the markdown is not rendered, and the output is sanitized against an
+ * allow-list of tags, attributes and styles as a second line of defense.
+ * @module services/markdownService
+ */
+
+const MarkdownIt = require('markdown-it');
+const markdownItFootnote = require('markdown-it-footnote');
+const markdownItTaskLists = require('markdown-it-task-lists');
+const markdownItKatex = require('@vscode/markdown-it-katex').default;
+const hljs = require('highlight.js');
+const sanitizeHtml = require('sanitize-html');
+const { TASK_TEXT_MAX_LENGTH } = require('../config/limits');
+
+/**
+ * The longest preview of a note, in characters.
+ * @type {number}
+ */
+const PREVIEW_LENGTH = 100;
+
+/**
+ * How much of the content of a note is rendered for its preview, in characters.
+ * @type {number}
+ */
+const PREVIEW_SOURCE_LENGTH = 2000;
+
+/**
+ * The inline markdown tokens whose content is text, such as the alternative text of images.
+ * @type {string[]}
+ */
+const TEXT_TOKEN_TYPES = ['text', 'code_inline', 'math_inline', 'image'];
+
+/**
+ * The KaTeX options. Invalid math is shown as its source in red rather than failing the note,
+ * and `\href`, `\url` and other commands that could load content stay disabled.
+ * @type {Object}
+ */
+const KATEX_OPTIONS = {
+  throwOnError: false,
+  trust: false,
+  maxSize: 20,
+  maxExpand: 100,
+};
+
+/**
+ * Matches a wiki link at the start of a string: `[[title]]` or `[[title|label]]`.
+ * @type {RegExp}
+ */
+const WIKI_LINK_PATTERN = /^\[\[([^[\]|\n]+)(?:\|([^[\]\n]+))?\]\]/;
+
+/**
+ * Normalizes the title of a note as it is matched by wiki links: trimmed, with single spaces,
+ * and lowercase.
+ * @param {string} title - The title.
+ * @returns {string} - The normalized title.
+ */
+function normalizeWikiTitle(title) {
+  return String(title || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Parses a wiki link, as a markdown-it inline rule.
+ * @param {Object} state - The inline parser state.
+ * @param {boolean} silent - Whether to only check that a wiki link starts here.
+ * @returns {boolean} - True if a wiki link was parsed.
+ */
+function parseWikiLink(state, silent) {
+  const match = WIKI_LINK_PATTERN.exec(state.src.slice(state.pos));
+  if (!match || !normalizeWikiTitle(match[1])) return false;
+  if (!silent) {
+    const token = state.push('wiki_link', '', 0);
+    const lineStart = state.src.lastIndexOf('\n', state.pos - 1) + 1;
+    const lineEnd = state.src.indexOf('\n', state.pos);
+    token.meta = {
+      title: match[1].trim(),
+      label: (match[2] || match[1]).trim(),
+      // Where the link is in the markdown of its block, to find it in the content again.
+      source: match[0],
+      line: state.src.slice(0, lineStart).split('\n').length - 1,
+      lineText: state.src.slice(lineStart, lineEnd === -1 ? undefined : lineEnd),
+      column: state.pos - lineStart,
+    };
+  }
+  Object.assign(state, { pos: state.pos + match[0].length });
+  return true;
+}
+
+/**
+ * Renders a wiki link. Links are resolved through the `wikiLinks` of the rendering environment,
+ * mapping normalized titles to note IDs; without it, as on shared notes, they are plain text.
+ * @param {{title: string, label: string}} link - The linked title and the text of the link.
+ * @param {Object} env - The rendering environment.
+ * @param {Function} escapeHtml - Escapes text for HTML.
+ * @returns {string} - The HTML of the link.
+ */
+function renderWikiLink({ title, label }, env, escapeHtml) {
+  const text = escapeHtml(label);
+  if (!env.wikiLinks) return `<span class="wiki-link">${text}</span>`;
+  const noteId = env.wikiLinks.get(normalizeWikiTitle(title));
+  return noteId
+    ? `<a href="/notes/${noteId}" class="wiki-link" data-note-id="${noteId}">${text}</a>`
+    : `<span class="wiki-link wiki-link-missing" title="No note has this title">${text}</span>`;
+}
+
+/**
+ * Adds `[[wiki links]]` to a markdown renderer.
+ * @param {MarkdownIt} md - The markdown renderer.
+ */
+function markdownItWikiLinks(md) {
+  md.inline.ruler.before('link', 'wiki_link', parseWikiLink);
+  Object.assign(md.renderer.rules, {
+    wiki_link: (tokens, index, options, env) => renderWikiLink(
+      tokens[index].meta,
+      env,
+      md.utils.escapeHtml,
+    ),
+  });
+}
+
+/**
+ * Highlights a fenced code block whose language highlight.js knows.
+ * @param {string} code - The code.
+ * @param {string} language - The language given after the opening fence.
+ * @returns {string} - The highlighted code block, or an empty string to leave the code as is.
+ */
+function highlightCode(code, language) {
+  if (!language || !hljs.getLanguage(language)) return '';
+  const { value } = hljs.highlight(code, { language, ignoreIllegals: true });
+  return `<pre><code class="hljs language-${language}">${value}</code></pre>`;
+}
+
+/**
+ * The markdown renderer. Links are detected in plain text, like the SimpleMDE preview does.
+ * @type {MarkdownIt}
+ */
+const markdown = new MarkdownIt({ html: false, linkify: true, highlight: highlightCode })
+  .use(markdownItFootnote)
+  .use(markdownItTaskLists)
+  .use(markdownItKatex, KATEX_OPTIONS)
+  .use(markdownItWikiLinks);
+
+/**
+ * The renderer of previews, without math and highlighting, whose markup is dropped anyway.
+ * @type {MarkdownIt}
+ */
+const previewMarkdown = new MarkdownIt({ html: false })
+  .use(markdownItFootnote)
+  .use(markdownItTaskLists)
+  .use(markdownItWikiLinks);
+
+/**
+ * The MathML elements KaTeX renders, for screen readers.
+ * @type {string[]}
+ */
+const MATHML_TAGS = [
+  'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace',
+  'msup', 'msub', 'msubsup', 'mfrac', 'msqrt', 'mroot', 'mover', 'munder', 'munderover',
+  'mtable', 'mtr', 'mtd', 'mstyle', 'mpadded', 'mphantom', 'menclose',
+];
+
+/**
+ * The CSS length values KaTeX positions its spans with.
+ * @type {RegExp[]}
+ */
+const CSS_LENGTH = [/^-?\d*\.?\d+(em|ex|px|pt|%)?$/];
+
+/**
+ * The sanitize-html options: the default allow-list plus images, task list checkboxes, the
+ * markup of KaTeX and aligned table cells, with links to other sites opened safely.
+ * Links within the page and to other notes (`/notes/...`) open in place.
+ * @type {Object}
+ */
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags, 'img', 'input', 'svg', 'path', 'line', ...MATHML_TAGS,
+  ],
+  allowedAttributes: {
+    ...sanitizeHtml.defaults.allowedAttributes,
+    a: ['href', 'name', 'title', 'target', 'rel', 'id', 'data-note-id'],
+    img: ['src', 'alt', 'title'],
+    input: ['type', 'checked', 'disabled'],
+    li: ['id'],
+    sup: ['id'],
+    span: ['style', 'aria-hidden', 'title'],
+    th: ['style'],
+    td: ['style'],
+    svg: ['xmlns', 'width', 'height', 'viewbox', 'preserveaspectratio', 'style'],
+    path: ['d'],
+    line: ['x1', 'x2', 'y1', 'y2', 'stroke-width'],
+    math: ['xmlns', 'display'],
+    annotation: ['encoding'],
+    mo: ['stretchy', 'fence', 'separator', 'lspace', 'rspace', 'minsize', 'maxsize', 'movablelimits'],
+    mi: ['mathvariant'],
+    mspace: ['width'],
+    mstyle: ['mathcolor', 'displaystyle', 'scriptlevel'],
+    mpadded: ['width', 'height', 'depth', 'lspace', 'voffset'],
+    mfrac: ['linethickness'],
+    mover: ['accent'],
+    munder: ['accentunder'],
+    mtable: ['rowspacing', 'columnspacing', 'columnalign', 'columnlines', 'rowlines'],
+    mtd: ['columnalign'],
+    menclose: ['notation'],
+    '*': ['class'],
+  },
+  allowedStyles: {
+    span: {
+      height: CSS_LENGTH,
+      width: CSS_LENGTH,
+      'min-width': CSS_LENGTH,
+      top: CSS_LENGTH,
+      'vertical-align': CSS_LENGTH,
+      'margin-left': CSS_LENGTH,
+      'margin-right': CSS_LENGTH,
+      'padding-left': CSS_LENGTH,
+      'border-bottom-width': CSS_LENGTH,
+      'border-right-width': CSS_LENGTH,
+      'border-top-width': CSS_LENGTH,
+      color: [/^#[\da-f]{3,6}$/i, /^[a-z]+$/i],
+    },
+    svg: { width: CSS_LENGTH, height: CSS_LENGTH },
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] },
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: {
+    a: (tagName, attribs) => (/^(#|\/(?!\/))/.test(attribs.href || '')
+      ? { tagName, attribs }
+      : { tagName, attribs: { ...attribs, target: '_blank', rel: 'noopener noreferrer nofollow' } }),
+  },
+  exclusiveFilter: (frame) => frame.tag === 'input' && frame.attribs.type !== 'checkbox',
+  parser: { lowerCaseAttributeNames: true },
+};
+
+/**
+ * Renders markdown to sanitized HTML.
+ * @param {string} content - The markdown content.
+ * @param {Object} [options={}] - The rendering options.
+ * @param {Map<string, string>} [options.wikiLinks] - The IDs of the notes that wiki links point
+ * to, by normalized title. Without it, wiki links are rendered as plain text.
+ * @returns {string} - The HTML.
+ */
+function renderMarkdown(content, { wikiLinks } = {}) {
+  return sanitizeHtml(markdown.render(content || '', { wikiLinks }), SANITIZE_OPTIONS);
+}
+
+/**
+ * Parses markdown into the tokens it is rendered from, e.g. to find its task list items.
+ * @param {string} content - The markdown content.
+ * @returns {Object[]} - The markdown-it block tokens, in document order.
+ */
+function parseMarkdown(content) {
+  return markdown.parse(content || '', {});
+}
+
+/**
+ * A task of a note.
+ * @typedef {Object} Task
+ * @property {string} text - The plain text of the task, on one line.
+ * @property {boolean} done - Whether the task is checked.
+ * @property {number} line - The line of its checkbox in the content, counted from 0.
+ */
+
+/**
+ * Returns the plain text of inline markdown, without its markup.
+ * @param {Object[]} children - The markdown-it tokens of the inline markdown.
+ * @returns {string} - The text, on one line.
+ */
+function getPlainText(children) {
+  return children
+    .map((child) => (TEXT_TOKEN_TYPES.includes(child.type) ? child.content : ' '))
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parses the tasks of markdown content, in document order. Tasks in code are ignored.
+ * @param {string} content - The markdown content.
+ * @returns {Task[]} - The tasks.
+ */
+function extractTasks(content) {
+  const tokens = parseMarkdown(content);
+  const tasks = [];
+  tokens.forEach((token, index) => {
+    const item = tokens[index - 2];
+    if (token.type !== 'inline' || !item || item.type !== 'list_item_open') return;
+    if (!/\btask-list-item\b/.test(item.attrGet('class') || '')) return;
+    tasks.push({
+      text: getPlainText(token.children).slice(0, TASK_TEXT_MAX_LENGTH),
+      done: / checked/.test(token.children[0].content),
+      line: tokens[index - 1].map[0],
+    });
+  });
+  return tasks;
+}
+
+/**
+ * Parses the titles markdown content links to. Links in code are ignored.
+ * @param {string} content - The markdown content.
+ * @returns {string[]} - The normalized titles, without duplicates.
+ */
+function extractWikiLinks(content) {
+  const titles = new Set();
+  parseMarkdown(content)
+    .filter((token) => token.type === 'inline')
+    .forEach((token) => token.children
+      .filter((child) => child.type === 'wiki_link')
+      .forEach((child) => titles.add(normalizeWikiTitle(child.meta.title))));
+  return [...titles];
+}
+
+/**
+ * Finds where the text of a line of a block, as the parser read it, is in the line of the content
+ * it comes from: the parser drops the indentation and the markers of lists and quotes, trims
+ * paragraphs and headings, and splits table rows into cells.
+ * @param {string} line - The line of the content.
+ * @param {string} text - The text of the line as the parser read it.
+ * @param {number} fromIndex - Where to start looking, past the cells already found on the line.
+ * @returns {number} - The offset of the text in the line, or -1 if it cannot be found.
+ */
+function findLineText(line, text, fromIndex) {
+  const source = line.replace(/\r$/, '');
+  const offsets = [
+    source.length - text.length,
+    source.trimEnd().length - text.length,
+    source.indexOf(text, fromIndex),
+  ];
+  const offset = offsets.find((candidate) => (
+    candidate >= fromIndex && source.startsWith(text, candidate)
+  ));
+  return offset === undefined ? -1 : offset;
+}
+
+/**
+ * Finds the wiki links of markdown content and where they are in it, in document order.
+ * Links in code are left out, as they are by {@link extractWikiLinks}, and so are the few links
+ * whose place in the content cannot be told from what the parser read, such as links on lines
+ * indented with tabs.
+ * @param {string} content - The markdown content.
+ * @returns {{title: string, source: string, start: number, end: number}[]} - The links: the
+ * title, the markdown of the link and the offsets of its start and end in the content.
+ */
+function locateWikiLinks(content) {
+  const text = String(content || '');
+  const lines = text.split('\n');
+  const lineStarts = [];
+  lines.reduce((start, line) => {
+    lineStarts.push(start);
+    return start + line.length + 1;
+  }, 0);
+  const lineCursors = new Map();
+  const links = [];
+  let blockMap = null;
+  parseMarkdown(text).forEach((token) => {
+    // Table cells have no lines of their own; they are on the line of their row.
+    if (token.map) blockMap = token.map;
+    if (token.type !== 'inline' || !blockMap) return;
+    const lineOffsets = new Map();
+    const findLine = (line, lineText) => {
+      const lineIndex = blockMap[0] + line;
+      if (!lineOffsets.has(line) && lineIndex < lines.length) {
+        const offset = findLineText(lines[lineIndex], lineText, lineCursors.get(lineIndex) || 0);
+        lineOffsets.set(line, offset);
+        if (offset !== -1) lineCursors.set(lineIndex, offset + lineText.length);
+      }
+      const offset = lineOffsets.get(line);
+      return offset === undefined || offset === -1 ? -1 : lineStarts[lineIndex] + offset;
+    };
+    token.children.filter((child) => child.type === 'wiki_link').forEach(({ meta }) => {
+      const lineStart = findLine(meta.line, meta.lineText);
+      const start = lineStart + meta.column;
+      if (lineStart !== -1 && text.startsWith(meta.source, start)) {
+        links.push({
+          title: meta.title, source: meta.source, start, end: start + meta.source.length,
+        });
+      }
+    });
+  });
+  return links;
+}
+
+/**
+ * Matches a `#hashtag` that starts a word. Markdown headings are not matched,
+ * since their `#` is followed by a space.
+ * @type {RegExp}
+ */
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&#/(])#([\p{L}\p{N}_][\p{L}\p{N}_/-]*)/gu;
+
+/**
+ * Matches fenced code blocks and inline code spans, which are skipped when parsing hashtags.
+ * @type {RegExp}
+ */
+const CODE_PATTERN = /```[\s\S]*?```|`[^`\n]*`/g;
+
+/**
+ * Normalizes a tag: trims it, drops a leading `#`, and lowercases it.
+ * @param {string} tag - The tag to normalize.
+ * @returns {string} - The normalized tag, or an empty string if nothing is left.
+ */
+function normalizeTag(tag) {
+  return String(tag).trim().replace(/^#+/, '').trim()
+    .toLowerCase();
+}
+
+/**
+ * Normalizes a list of tags, dropping empty and duplicate ones.
+ * A comma-separated string is accepted as well as an array.
+ * @param {string[]|string} [tags] - The tags to normalize.
+ * @returns {string[]} - The normalized tags.
+ */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Parses the `#hashtags` of markdown content. Hashtags in code and purely numeric ones are ignored.
+ * @param {string} content - The markdown content.
+ * @returns {string[]} - The normalized hashtags, without the `#`.
+ */
+function extractHashtags(content) {
+  const text = (content || '').replace(CODE_PATTERN, ' ');
+  const tags = Array.from(text.matchAll(HASHTAG_PATTERN), (match) => match[2])
+    .filter((tag) => !/^\d+$/.test(tag));
+  return normalizeTags(tags);
+}
+
+/**
+ * Resolves the tags of a note being saved: the explicit tags plus the hashtags of its content.
+ * @param {string[]|string} tags - The explicit tags.
+ * @param {string} content - The markdown content of the note.
+ * @returns {string[]} - The tags of the note.
+ */
+function resolveTags(tags, content) {
+  return normalizeTags([...normalizeTags(tags), ...extractHashtags(content)]);
+}
+
+/**
+ * Resolves the manual tags of a note from the tags a client sends. Clients send back every tag
+ * of the note they show, so the hashtags of the content they loaded are not taken as manual tags;
+ * they stay tags only as long as the content keeps them.
+ * @param {string[]|string} tags - The tags sent.
+ * @param {string} content - The markdown content the client loaded.
+ * @returns {string[]} - The manual tags of the note.
+ */
+function resolveManualTags(tags, content) {
+  const hashtags = extractHashtags(content);
+  return normalizeTags(tags).filter((tag) => !hashtags.includes(tag));
+}
+
+/**
+ * Replaces the `#hashtags` of one tag in markdown content with another tag.
+ * @param {string} content - The markdown content.
+ * @param {string} from - The normalized tag to replace.
+ * @param {string} to - The normalized replacement tag.
+ * @returns {string} - The updated content.
+ */
+function replaceHashtag(content, from, to) {
+  return (content || '').replace(HASHTAG_PATTERN, (match, prefix, tag) => (
+    normalizeTag(tag) === from ? `${prefix}#${to}` : match
+  ));
+}
+
+/**
+ * Renders the plain text preview of a note: its rendered text, without markup or line breaks,
+ * cut at {@link PREVIEW_LENGTH} characters.
+ * @param {string} content - The markdown content.
+ * @returns {string} - The preview.
+ */
+function renderPreview(content) {
+  const html = previewMarkdown.render(String(content || '').slice(0, PREVIEW_SOURCE_LENGTH));
+  const text = sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text.length > PREVIEW_LENGTH ? `${text.substring(0, PREVIEW_LENGTH)}...` : text;
+}
+
+module.exports = {
+  renderMarkdown,
+  renderPreview,
+  parseMarkdown,
+  normalizeWikiTitle,
+  extractTasks,
+  extractWikiLinks,
+  locateWikiLinks,
+  normalizeTag,
+  normalizeTags,
+  extractHashtags,
+  resolveTags,
+  resolveManualTags,
+  replaceHashtag,
+};
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Updates of notes, whether they come from the app or the REST API.
+ * An update based on a version of the note, sent in the `If-Match` header or the `version` field,
+ * only applies if the note is still at that version. What follows is the same too: the update is
+ * recorded in the revision history and published to the devices of the users of the note, and
+ * renaming the note rewrites the wiki links to it in the other notes.
+ * @module services/noteService
+ */
+
+const Note = require('../models/Note');
+const { NOTE_EVENTS, publishNoteEvent } = require('./eventBus');
+const { recordRevision } = require('./revisionService');
+const { renameWikiLinks } = require('./wikiLinkService');
+const { resolveManualTags } = require('./tagService');
+
+/**
+ * Returns the entity tag of a note, derived from its version.
+ * @param {Object} note - The note.
+ * @returns {string} - The quoted entity tag.
+ */
+function getNoteETag(note) {
+  return `"${note.version}"`;
+}
+
+/**
+ * Reads the version a client based its update on, from the `If-Match` header
+ * or from the `version` field of the body.
+ * @param {Object} req - The request object.
+ * @returns {number|null} - The base version, or null if the client sent none.
+ */
+function getBaseVersion(req) {
+  const match = (req.get('If-Match') || '').match(/^(?:W\/)?"(\d+)"$/);
+  if (match) {
+    return parseInt(match[1], 10);
+  }
+  const version = parseInt((req.body || {}).version, 10);
+  return Number.isNaN(version) ? null : version;
+}
+
+/**
+ * Updates the fields of a note a client sent: `title`, `content` and `tags`, which replace the
+ * manual tags of the note, and any other fields given, which are set as they are. Fields that are
+ * left out keep their value. With a base version, the update only applies if the note is still
+ * at that version.
+ * @param {Object} note - The note as the client was allowed to access it.
+ * @param {Object} changes - The fields to update.
+ * @param {number|null} baseVersion - The version the changes are based on, if the client sent one.
+ * @returns {Promise<Object>} - The updated `note`, or null with the `currentNote` if the note was
+ * changed since the base version. Both are null if the note no longer exists.
+ */
+async function updateNote(note, {
+  title, content, tags, ...fields
+}, baseVersion) {
+  const update = { ...fields, $inc: { version: 1 } };
+  if (title !== undefined) update.title = String(title);
+  if (content !== undefined) update.content = String(content);
+  if (tags !== undefined) update.manualTags = resolveManualTags(tags, note.content);
+
+  const filter = { _id: note._id };
+  const updatedNote = await Note.findOneAndUpdate(
+    baseVersion === null ? filter : { ...filter, version: baseVersion },
+    update,
+    { new: true },
+  );
+  if (updatedNote || baseVersion === null) {
+    return { note: updatedNote, currentNote: null };
+  }
+  return { note: null, currentNote: await Note.findOne(filter) };
+}
+
+/**
+ * Records and publishes an update of a note, then rewrites the wiki links to it if it was
+ * renamed, recording and publishing each note whose links changed the same way.
+ * @param {Object} req - The request that updated the note.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user who updated the note.
+ * @param {Object} note - The updated note.
+ * @param {string} previousTitle - The title of the note before the update.
+ * @returns {Promise<Object[]>} - The notes whose links were rewritten.
+ */
+async function recordNoteUpdate(req, userId, note, previousTitle) {
+  await recordRevision(note);
+  publishNoteEvent(req, NOTE_EVENTS.UPDATED, note);
+  const linkingNotes = await renameWikiLinks(userId, note, previousTitle);
+  await Promise.all(linkingNotes.map((linkingNote) => recordRevision(linkingNote)));
+  linkingNotes.forEach((linkingNote) => publishNoteEvent(req, NOTE_EVENTS.UPDATED, linkingNote));
+  return linkingNotes;
+}
+
+module.exports = {
+  getNoteETag,
+  getBaseVersion,
+  updateNote,
+  recordNoteUpdate,
+};
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Notebook hierarchy operations: listing, ownership checks, moving and deleting.
+ * @module services/notebookService
+ */
+
+const mongoose = require('mongoose');
+const Notebook = require('../models/Notebook');
+const Note = require('../models/Note');
+const { trashNotes } = require('./trashService');
+
+/**
+ * Finds a notebook of a user.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {string} notebookId - The ID of the notebook.
+ * @returns {Promise<Object|null>} - The notebook, or null if the user has no such notebook.
+ */
+function findNotebook(userId, notebookId) {
+  if (!mongoose.isValidObjectId(notebookId)) {
+    return Promise.resolve(null);
+  }
+  return Notebook.findOne({ _id: notebookId, user: userId });
+}
+
+/**
+ * Resolves the notebook a note should be filed in from a request value.
+ * An empty value means the note is unfiled.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {string|null} [notebookId] - The requested notebook ID.
+ * @returns {Promise<mongoose.Types.ObjectId|null>} - The notebook ID, or null for unfiled.
+ * @throws {Error} - If the user has no such notebook.
+ */
+async function resolveNotebookId(userId, notebookId) {
+  if (!notebookId) return null;
+  const notebook = await findNotebook(userId, notebookId);
+  if (!notebook) {
+    throw new Error('Notebook not found');
+  }
+  return notebook._id;
+}
+
+/**
+ * Lists the notebooks of a user with the number of notes directly in each.
+ * The list is flat; clients build the tree from the `parent` references.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @returns {Promise<Object[]>} - The notebooks, sorted by name.
+ */
+async function listNotebooks(userId) {
+  const [notebooks, counts] = await Promise.all([
+    Notebook.find({ user: userId }).sort({ name: 1 }).lean(),
+    Note.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(String(userId)),
+          notebook: { $ne: null },
+          deletedAt: null,
+        },
+      },
+      { $group: { _id: '$notebook', count: { $sum: 1 } } },
+    ]),
+  ]);
+  const countById = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+  return notebooks.map((notebook) => ({
+    ...notebook,
+    noteCount: countById.get(String(notebook._id)) || 0,
+  }));
+}
+
+/**
+ * Collects the IDs of all notebooks nested in a notebook, at any depth.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {mongoose.Types.ObjectId|string} notebookId - The ID of the notebook.
+ * @returns {Promise<mongoose.Types.ObjectId[]>} - The IDs of the descendants.
+ */
+async function getDescendantIds(userId, notebookId) {
+  // Each level of the tree depends on the previous one, so the levels are queried in sequence.
+  const collectLevels = async (parentIds) => {
+    if (parentIds.length === 0) return [];
+    const children = await Notebook.find({ user: userId, parent: { $in: parentIds } }).select('_id');
+    const childIds = children.map((child) => child._id);
+    return [...childIds, ...await collectLevels(childIds)];
+  };
+  return collectLevels([notebookId]);
+}
+
+/**
+ * Checks whether a notebook can be moved under a parent without creating a cycle.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {mongoose.Types.ObjectId|string} notebookId - The ID of the notebook to move.
+ * @param {mongoose.Types.ObjectId|string|null} parentId - The ID of the new parent, or null.
+ * @returns {Promise<boolean>} - True if the move keeps the hierarchy a tree.
+ */
+async function canMoveNotebook(userId, notebookId, parentId) {
+  if (!parentId) return true;
+  if (String(parentId) === String(notebookId)) return false;
+  const descendants = await getDescendantIds(userId, notebookId);
+  return !descendants.some((id) => String(id) === String(parentId));
+}
+
+/**
+ * Deletes a notebook.
+ * With the `cascade` mode, the nested notebooks are deleted too and every note in them
+ * is moved to the trash.
+ * With the `reassign` mode, the notes and child notebooks of the notebook are moved to
+ * the target notebook (or to the top level when there is none) before it is deleted.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {Object} notebook - The notebook to delete.
+ * @param {Object} options - The delete options.
+ * @param {string} options.mode - Either `cascade` or `reassign`.
+ * @param {mongoose.Types.ObjectId|null} [options.targetId=null] - The notebook to reassign to.
+ * @returns {Promise<Object>} - The `deletedNoteIds` (trashed) and `movedNoteIds` of the notes.
+ */
+async function deleteNotebook(userId, notebook, { mode, targetId = null }) {
+  if (mode === 'cascade') {
+    const notebookIds = [notebook._id, ...await getDescendantIds(userId, notebook._id)];
+    const deletedNoteIds = await trashNotes(userId, { notebook: { $in: notebookIds } });
+    await Notebook.deleteMany({ user: userId, _id: { $in: notebookIds } });
+    return { deletedNoteIds, movedNoteIds: [] };
+  }
+
+  const notes = await Note.find({ user: userId, notebook: notebook._id }).select('_id');
+  const movedNoteIds = notes.map((note) => note._id);
+  await Note.updateMany(
+    { _id: { $in: movedNoteIds } },
+    { notebook: targetId, $inc: { version: 1 } },
+  );
+  await Notebook.updateMany({ user: userId, parent: notebook._id }, { parent: targetId });
+  await Notebook.deleteOne({ _id: notebook._id });
+  return { deletedNoteIds: [], movedNoteIds };
+}
+
+module.exports = {
+  findNotebook,
+  resolveNotebookId,
+  listNotebooks,
+  getDescendantIds,
+  canMoveNotebook,
+  deleteNotebook,
+};
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Access control for notes. The owner of a note can do anything with it;
+ * collaborators can read it as `viewer` and also edit its title, content and tags as `editor`.
+ * @module services/permissionService
+ */
+
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+
+/**
+ * The roles a user can have on a note.
+ * @enum {string}
+ */
+const ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  VIEWER: 'viewer',
+};
+
+/**
+ * The roles that can be given to collaborators.
+ * @type {string[]}
+ */
+const COLLABORATOR_ROLES = [ROLES.VIEWER, ROLES.EDITOR];
+
+/**
+ * Gets the role of a user on a note.
+ * @param {Object} note - The note.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @returns {string|null} - The role, or null if the user has no access to the note.
+ */
+function getNoteRole(note, userId) {
+  if (String(note.user) === String(userId)) return ROLES.OWNER;
+  const collaborator = (note.collaborators || [])
+    .find((entry) => String(entry.user) === String(userId));
+  return collaborator ? collaborator.role : null;
+}
+
+/**
+ * Checks whether a role allows editing the title, content and tags of a note.
+ * @param {string|null} role - The role.
+ * @returns {boolean} - True if the role can edit.
+ */
+function canEdit(role) {
+  return role === ROLES.OWNER || role === ROLES.EDITOR;
+}
+
+/**
+ * Lists the IDs of every user with access to a note: its owner and its collaborators.
+ * @param {Object} note - The note.
+ * @returns {string[]} - The user IDs.
+ */
+function getNoteUserIds(note) {
+  return [note.user, ...(note.collaborators || []).map((entry) => entry.user)]
+    .map((userId) => String(userId._id || userId));
+}
+
+/**
+ * Finds a note the user has access to, as owner or collaborator.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {string} noteId - The ID of the note.
+ * @returns {Promise<Object|null>} - The `note` and the `role` of the user on it, or null.
+ */
+async function findAccessibleNote(userId, noteId) {
+  if (!mongoose.isValidObjectId(noteId)) return null;
+  const note = await Note.findOne({
+    _id: noteId,
+    $or: [{ user: userId }, { 'collaborators.user': userId }],
+  });
+  return note ? { note, role: getNoteRole(note, userId) } : null;
+}
+
+module.exports = {
+  ROLES,
+  COLLABORATOR_ROLES,
+  getNoteRole,
+  canEdit,
+  getNoteUserIds,
+  findAccessibleNote,
+};
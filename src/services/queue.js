@@ -0,0 +1,185 @@
+/**
+ * @fileoverview The background job queue shared by the app, which enqueues jobs, and the worker,
+ * which processes them.
+ * Jobs run on a Redis-backed Bull queue, or on an in-memory queue with the same interface when
+ * `QUEUE_DRIVER` is `memory` (the default under `NODE_ENV=test`), so the app runs offline.
+ * @module services/queue
+ */
+
+const { EventEmitter } = require('events');
+const Queue = require('bull');
+
+/**
+ * The names of the jobs the worker processes.
+ * @enum {string}
+ */
+const JOB_TYPES = {
+  EXPORT_NOTES: 'export-notes',
+  PURGE_TRASH: 'purge-trash',
+  REBUILD_SEARCH_INDEX: 'rebuild-search-index',
+};
+
+/**
+ * The options every job is added with unless overridden: failed jobs are retried with an
+ * exponential backoff.
+ * @type {Object}
+ */
+const DEFAULT_JOB_OPTIONS = {
+  attempts: parseInt(process.env.JOB_ATTEMPTS, 10) || 3,
+  backoff: { type: 'exponential', delay: parseInt(process.env.JOB_BACKOFF_MS, 10) || 5000 },
+  removeOnComplete: true,
+  removeOnFail: 100,
+};
+
+/**
+ * Checks whether jobs run on the in-memory queue instead of Redis.
+ * @returns {boolean} - True when the in-memory queue is used.
+ */
+function isMemoryQueue() {
+  const driver = process.env.QUEUE_DRIVER || (process.env.NODE_ENV === 'test' ? 'memory' : 'redis');
+  return driver === 'memory';
+}
+
+/**
+ * Computes how long to wait before retrying a failed job.
+ * @param {Object|number} [backoff] - The Bull backoff option of the job.
+ * @param {number} attemptsMade - The number of attempts made so far.
+ * @returns {number} - The delay in milliseconds.
+ */
+function getBackoffDelay(backoff, attemptsMade) {
+  if (!backoff) return 0;
+  if (typeof backoff === 'number') return backoff;
+  return backoff.type === 'exponential' ? backoff.delay * 2 ** (attemptsMade - 1) : backoff.delay;
+}
+
+/**
+ * Creates an in-memory queue implementing the subset of the Bull queue interface used by the app:
+ * `add`, `process`, the `completed` and `failed` events, and `close`.
+ * Retries and backoff behave as in Bull. Repeatable jobs are added again once they are done when
+ * they repeat `every` so many milliseconds; cron schedules are not supported, so those run once.
+ * @param {string} name - The name of the queue.
+ * @param {Object} [options={}] - The queue options.
+ * @param {Object} [options.defaultJobOptions={}] - The options every job is added with.
+ * @returns {EventEmitter} - The queue.
+ */
+function createMemoryQueue(name, { defaultJobOptions = {} } = {}) {
+  const queue = new EventEmitter();
+  const handlers = new Map();
+  const pending = [];
+  const timers = new Set();
+  const jobIds = new Set();
+  let nextId = 1;
+
+  queue.name = name;
+
+  const schedule = (callback, delay) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      callback();
+    }, delay);
+    timers.add(timer);
+  };
+
+  const finish = (job) => {
+    jobIds.delete(job.id);
+    const every = job.opts.repeat && job.opts.repeat.every;
+    if (every) {
+      schedule(() => queue.add(job.name, job.data, { ...job.opts, delay: 0 }), every);
+    }
+  };
+
+  const run = async (job) => {
+    const handler = handlers.get(job.name);
+    if (!handler) {
+      pending.push(job);
+      return;
+    }
+    try {
+      const result = await handler(job);
+      finish(job);
+      queue.emit('completed', job, result);
+    } catch (error) {
+      Object.assign(job, { attemptsMade: job.attemptsMade + 1, failedReason: error.message });
+      queue.emit('failed', job, error);
+      if (job.attemptsMade < (job.opts.attempts || 1)) {
+        schedule(() => run(job), getBackoffDelay(job.opts.backoff, job.attemptsMade));
+      } else {
+        finish(job);
+      }
+    }
+  };
+
+  queue.add = async (jobName, data = {}, opts = {}) => {
+    const jobOpts = { ...defaultJobOptions, ...opts };
+    const id = jobOpts.jobId || String(nextId);
+    nextId += 1;
+    const job = {
+      id, name: jobName, data, opts: jobOpts, attemptsMade: 0, timestamp: Date.now(),
+    };
+    if (jobIds.has(id)) return job;
+    jobIds.add(id);
+    schedule(() => run(job), jobOpts.delay || 0);
+    return job;
+  };
+
+  queue.process = (jobName, handler) => {
+    handlers.set(jobName, handler);
+    pending.splice(0).forEach((job) => run(job));
+  };
+
+  queue.close = async () => {
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+  };
+
+  return queue;
+}
+
+/**
+ * Creates a job queue, backed by Redis or in memory depending on `QUEUE_DRIVER`.
+ * @param {string} [name='anchor-jobs'] - The name of the queue.
+ * @returns {Object} - The Bull queue, or an in-memory queue with the same interface.
+ */
+function createQueue(name = 'anchor-jobs') {
+  if (isMemoryQueue()) {
+    return createMemoryQueue(name, { defaultJobOptions: DEFAULT_JOB_OPTIONS });
+  }
+  return new Queue(name, process.env.REDIS_URL || 'redis://127.0.0.1:6379', {
+    defaultJobOptions: DEFAULT_JOB_OPTIONS,
+  });
+}
+
+let sharedQueue = null;
+
+/**
+ * Gets the job queue shared by the process, creating it on first use.
+ * @returns {Object} - The job queue.
+ */
+function getQueue() {
+  if (!sharedQueue) {
+    sharedQueue = createQueue();
+  }
+  return sharedQueue;
+}
+
+/**
+ * Adds a job to the shared queue.
+ * @param {string} name - The name of the job, one of {@link JOB_TYPES}.
+ * @param {Object} [data={}] - The data passed to the job processor.
+ * @param {Object} [opts={}] - Bull job options overriding the defaults.
+ * @returns {Promise<Object>} - The added job.
+ */
+function enqueueJob(name, data = {}, opts = {}) {
+  return getQueue().add(name, data, opts);
+}
+
+module.exports = {
+  JOB_TYPES,
+  DEFAULT_JOB_OPTIONS,
+  isMemoryQueue,
+  getBackoffDelay,
+  createMemoryQueue,
+  createQueue,
+  getQueue,
+  enqueueJob,
+};
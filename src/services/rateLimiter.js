@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Rate limiting and account lockout.
+ * Attempts are counted in fixed windows kept in a store: Redis, shared by every server process,
+ * or the memory of the process when `RATE_LIMIT_STORE` is `memory` (the default under
+ * `NODE_ENV=test`). Repeated failed logins lock the account for a time that doubles with every
+ * further failure.
+ * If the store cannot be reached, requests are let through rather than locking everyone out.
+ * @module services/rateLimiter
+ */
+
+const { createClient } = require('redis');
+
+/**
+ * The prefix of the keys of the rate limiter in the store.
+ * @type {string}
+ */
+const KEY_PREFIX = 'anchor:rate-limit:';
+
+/**
+ * The number of failed logins in a row after which an account is locked.
+ * @type {number}
+ */
+const MAX_LOGIN_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+
+/**
+ * How long an account is locked after {@link MAX_LOGIN_FAILURES} failed logins, in milliseconds.
+ * Every further failure doubles it, up to {@link MAX_LOCKOUT}.
+ * @type {number}
+ */
+const BASE_LOCKOUT = (parseInt(process.env.LOGIN_LOCKOUT_SECONDS, 10) || 60) * 1000;
+
+/**
+ * The longest an account is locked, in milliseconds.
+ * @type {number}
+ */
+const MAX_LOCKOUT = 60 * 60 * 1000;
+
+/**
+ * How long failed logins are remembered, in milliseconds. A successful login forgets them.
+ * @type {number}
+ */
+const FAILURE_WINDOW = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates a store keeping the counters in the memory of the process.
+ * Expired counters are swept every minute.
+ * @returns {Object} - The store.
+ */
+function createMemoryStore() {
+  const counters = new Map();
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+  }, 60 * 1000);
+  sweeper.unref();
+
+  const read = (key) => {
+    const counter = counters.get(key);
+    if (counter && counter.resetAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return counter || null;
+  };
+
+  return {
+    async increment(key, windowMs) {
+      const counter = read(key) || { count: 0, resetAt: Date.now() + windowMs };
+      counter.count += 1;
+      counters.set(key, counter);
+      return { ...counter };
+    },
+    async get(key) {
+      const counter = read(key);
+      return counter && { ...counter };
+    },
+    async reset(key) {
+      counters.delete(key);
+    },
+    async close() {
+      clearInterval(sweeper);
+      counters.clear();
+    },
+  };
+}
+
+/**
+ * Creates a store keeping the counters in Redis, as keys expiring with their window.
+ * It connects right away and reconnects whenever the connection is lost; meanwhile, commands
+ * fail at once instead of waiting for Redis.
+ * @param {string} [url] - The Redis connection string.
+ * @returns {Object} - The store.
+ */
+function createRedisStore(url = process.env.REDIS_URL || 'redis://127.0.0.1:6379') {
+  const client = createClient({
+    url,
+    disableOfflineQueue: true,
+    socket: { reconnectStrategy: (retries) => Math.min((retries + 1) * 500, 5000) },
+  });
+  client.on('error', (error) => console.error('Rate limit store error:', error.message));
+  client.connect().catch(() => {});
+
+  return {
+    async increment(key, windowMs) {
+      const [count, ttl] = await client.multi().incr(key).pTTL(key).exec();
+      if (ttl < 0) {
+        await client.pExpire(key, windowMs);
+        return { count, resetAt: Date.now() + windowMs };
+      }
+      return { count, resetAt: Date.now() + ttl };
+    },
+    async get(key) {
+      const [count, ttl] = await client.multi().get(key).pTTL(key).exec();
+      if (count === null || ttl === -2) return null;
+      return { count: parseInt(count, 10), resetAt: Date.now() + Math.max(ttl, 0) };
+    },
+    async reset(key) {
+      await client.del(key);
+    },
+    async close() {
+      if (client.isReady) {
+        await client.quit();
+      } else if (client.isOpen) {
+        await client.disconnect();
+      }
+    },
+  };
+}
+
+/**
+ * Creates the store of the counters, in Redis or in memory depending on `RATE_LIMIT_STORE`.
+ * @returns {Object} - The store, with `increment`, `get`, `reset` and `close` functions.
+ */
+function createRateLimitStore() {
+  const driver = process.env.RATE_LIMIT_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'redis');
+  return driver === 'memory' ? createMemoryStore() : createRedisStore();
+}
+
+let sharedStore = null;
+
+/**
+ * Gets the store shared by the process, creating it on first use.
+ * @returns {Object} - The store.
+ */
+function getRateLimitStore() {
+  if (!sharedStore) {
+    sharedStore = createRateLimitStore();
+  }
+  return sharedStore;
+}
+
+/**
+ * Replaces the store shared by the process, closing the previous one.
+ * @param {Object} store - The new store.
+ * @returns {Promise<void>}
+ */
+async function setRateLimitStore(store) {
+  if (sharedStore) await sharedStore.close();
+  sharedStore = store;
+}
+
+/**
+ * Counts an attempt against a limit.
+ * @param {string} key - What the attempts are counted for, such as `login:ip:<address>`.
+ * @param {Object} options - The limit.
+ * @param {number} options.limit - The number of attempts allowed in a window.
+ * @param {number} options.windowMs - The length of a window, in milliseconds.
+ * @returns {Promise<Object>} - Whether the attempt is `allowed`, the `count` of attempts in the
+ * window and, if not allowed, the number of seconds to wait before trying again as `retryAfter`.
+ */
+async function consume(key, { limit, windowMs }) {
+  try {
+    const { count, resetAt } = await getRateLimitStore().increment(`${KEY_PREFIX}${key}`, windowMs);
+    if (count <= limit) return { allowed: true, count, retryAfter: 0 };
+    const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+    return { allowed: false, count, retryAfter };
+  } catch (error) {
+    console.error('Error checking rate limit:', error);
+    return { allowed: true, count: 0, retryAfter: 0 };
+  }
+}
+
+/**
+ * Returns the key an account is tracked by for lockout.
+ * @param {string} email - The email address of the account.
+ * @returns {string} - The key.
+ */
+function accountKey(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Checks whether an account is locked after failed logins.
+ * @param {string} email - The email address of the account.
+ * @returns {Promise<number>} - The number of seconds the account stays locked, or 0.
+ */
+async function getLoginLockout(email) {
+  try {
+    const lock = await getRateLimitStore().get(`${KEY_PREFIX}lock:${accountKey(email)}`);
+    return lock ? Math.max(Math.ceil((lock.resetAt - Date.now()) / 1000), 1) : 0;
+  } catch (error) {
+    console.error('Error checking account lockout:', error);
+    return 0;
+  }
+}
+
+/**
+ * Records a failed login to an account, locking it once the failures reach
+ * {@link MAX_LOGIN_FAILURES}. No login is tried while the account is locked, so every
+ * lock starts fresh and lasts twice as long as the previous one.
+ * @param {string} email - The email address of the account.
+ * @returns {Promise<Object>} - The number of `failures` in a row and, if the account got locked,
+ * the number of seconds it stays locked as `lockedFor`.
+ */
+async function recordLoginFailure(email) {
+  try {
+    const store = getRateLimitStore();
+    const key = accountKey(email);
+    const { count } = await store.increment(`${KEY_PREFIX}failures:${key}`, FAILURE_WINDOW);
+    if (count < MAX_LOGIN_FAILURES) return { failures: count, lockedFor: 0 };
+    const duration = Math.min(BASE_LOCKOUT * 2 ** (count - MAX_LOGIN_FAILURES), MAX_LOCKOUT);
+    await store.increment(`${KEY_PREFIX}lock:${key}`, duration);
+    return { failures: count, lockedFor: Math.ceil(duration / 1000) };
+  } catch (error) {
+    console.error('Error recording login failure:', error);
+    return { failures: 0, lockedFor: 0 };
+  }
+}
+
+/**
+ * Forgets the failed logins to an account and lifts its lockout, after a successful login
+ * or password reset.
+ * @param {string} email - The email address of the account.
+ * @returns {Promise<void>}
+ */
+async function clearLoginFailures(email) {
+  try {
+    const store = getRateLimitStore();
+    const key = accountKey(email);
+    await Promise.all([
+      store.reset(`${KEY_PREFIX}failures:${key}`),
+      store.reset(`${KEY_PREFIX}lock:${key}`),
+    ]);
+  } catch (error) {
+    console.error('Error clearing login failures:', error);
+  }
+}
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+  createRateLimitStore,
+  getRateLimitStore,
+  setRateLimitStore,
+  consume,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+};
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Records, lists and compares note revisions.
+ * Autosave updates a note every second while typing, so updates that follow each other
+ * within a short window are coalesced into the latest revision, and the number of
+ * revisions kept per note is capped.
+ * @module services/revisionService
+ */
+
+const { diffLines, diffWordsWithSpace } = require('diff');
+const NoteRevision = require('../models/NoteRevision');
+
+/**
+ * Updates within this many milliseconds of the start of the latest revision are coalesced into it.
+ * @type {number}
+ */
+const COALESCE_WINDOW = (parseInt(process.env.REVISION_COALESCE_MINUTES, 10) || 5) * 60 * 1000;
+
+/**
+ * The maximum number of revisions kept per note. Older revisions are pruned.
+ * @type {number}
+ */
+const MAX_REVISIONS = parseInt(process.env.REVISION_LIMIT, 10) || 100;
+
+/**
+ * Removes the revisions of a note beyond {@link MAX_REVISIONS}, oldest first.
+ * @param {mongoose.Types.ObjectId|string} noteId - The ID of the note.
+ * @returns {Promise<void>}
+ */
+async function pruneRevisions(noteId) {
+  const stale = await NoteRevision.find({ note: noteId })
+    .sort({ createdAt: -1 })
+    .skip(MAX_REVISIONS)
+    .select('_id');
+  if (stale.length > 0) {
+    await NoteRevision.deleteMany({ _id: { $in: stale.map((revision) => revision._id) } });
+  }
+}
+
+/**
+ * Records the current state of a note as a revision.
+ * @param {Object} note - The note, after the change was saved.
+ * @param {Object} [options] - The recording options.
+ * @param {boolean} [options.coalesce=true] - Whether a recent revision may be overwritten
+ * instead of adding a new one.
+ * @returns {Promise<Object>} - The recorded revision.
+ */
+async function recordRevision(note, { coalesce = true } = {}) {
+  const snapshot = {
+    title: note.title,
+    content: note.content,
+    version: note.version,
+  };
+
+  if (coalesce) {
+    const latest = await NoteRevision.findOne({ note: note._id }).sort({ createdAt: -1 });
+    if (latest && Date.now() - latest.createdAt.getTime() < COALESCE_WINDOW) {
+      latest.set(snapshot);
+      return latest.save();
+    }
+  }
+
+  const revision = await NoteRevision.create({ ...snapshot, note: note._id, user: note.user });
+  await pruneRevisions(note._id);
+  return revision;
+}
+
+/**
+ * Lists the revisions of a note, newest first, without their content.
+ * @param {mongoose.Types.ObjectId|string} noteId - The ID of the note.
+ * @returns {Promise<Object[]>} - The revisions.
+ */
+function listRevisions(noteId) {
+  return NoteRevision.find({ note: noteId })
+    .sort({ createdAt: -1 })
+    .select('_id title version createdAt updatedAt');
+}
+
+/**
+ * Finds a single revision of a note.
+ * @param {mongoose.Types.ObjectId|string} noteId - The ID of the note.
+ * @param {string} revisionId - The ID of the revision.
+ * @returns {Promise<Object|null>} - The revision, or null if the note has no such revision.
+ */
+function findRevision(noteId, revisionId) {
+  return NoteRevision.findOne({ _id: revisionId, note: noteId });
+}
+
+/**
+ * Compares two versions of a note.
+ * Titles are compared word by word and contents line by line.
+ * @param {Object} from - The older revision or note.
+ * @param {Object} to - The newer revision or note.
+ * @returns {{title: Object[], content: Object[]}} - The changes, as `{ value, added, removed }`.
+ */
+function diffRevisions(from, to) {
+  const toChanges = (parts) => parts.map(({ value, added, removed }) => ({
+    value,
+    added: Boolean(added),
+    removed: Boolean(removed),
+  }));
+  return {
+    title: toChanges(diffWordsWithSpace(from.title || '', to.title || '')),
+    content: toChanges(diffLines(from.content || '', to.content || '')),
+  };
+}
+
+/**
+ * Deletes every revision of one or more notes.
+ * @param {mongoose.Types.ObjectId|string|Array} noteIds - The ID or IDs of the notes.
+ * @returns {Promise<void>}
+ */
+async function deleteRevisions(noteIds) {
+  await NoteRevision.deleteMany({ note: { $in: [].concat(noteIds) } });
+}
+
+module.exports = {
+  recordRevision,
+  listRevisions,
+  findRevision,
+  diffRevisions,
+  deleteRevisions,
+};
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Full-text note search backed by the MongoDB text index of the Note model.
+ * Results are ranked by text score and come with HTML snippets in which the matched
+ * terms are wrapped in `<mark>` elements. All other text in the snippets is escaped.
+ * @module services/searchService
+ */
+
+const Note = require('../models/Note');
+
+/**
+ * The number of characters of context shown around the first match in a snippet.
+ * @type {number}
+ */
+const SNIPPET_CONTEXT = 60;
+
+/**
+ * Escapes the HTML special characters of a string.
+ * @param {string} text - The text to escape.
+ * @returns {string} - The escaped text.
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Extracts the terms to highlight from a search query, leaving out negated terms.
+ * @param {string} query - The search query.
+ * @returns {string[]} - The terms.
+ */
+function getQueryTerms(query) {
+  return query
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith('-'))
+    .map((term) => term.replace(/"/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Builds a regular expression matching any of the terms, case-insensitively.
+ * @param {string[]} terms - The terms.
+ * @returns {RegExp|null} - The regular expression, or null if there are no terms.
+ */
+function buildTermsPattern(terms) {
+  if (terms.length === 0) return null;
+  const escaped = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(${escaped.join('|')})`, 'gi');
+}
+
+/**
+ * Escapes a text and wraps the matches of a pattern in `<mark>` elements.
+ * @param {string} text - The text to highlight.
+ * @param {RegExp|null} pattern - The pattern of the terms to highlight.
+ * @returns {string} - The highlighted HTML.
+ */
+function highlight(text, pattern) {
+  if (!pattern) return escapeHtml(text);
+  return text
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+/**
+ * Builds a highlighted snippet of the content around the first match.
+ * @param {string} content - The content of the note.
+ * @param {RegExp|null} pattern - The pattern of the terms to highlight.
+ * @returns {string} - The snippet HTML.
+ */
+function buildSnippet(content, pattern) {
+  const text = (content || '').replace(/\s+/g, ' ').trim();
+  const index = pattern ? text.search(new RegExp(pattern.source, 'i')) : -1;
+  const start = Math.max(0, index - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, Math.max(index, 0) + SNIPPET_CONTEXT * 2);
+  const prefix = start > 0 ? '...' : '';
+  const suffix = end < text.length ? '...' : '';
+  return `${prefix}${highlight(text.slice(start, end), pattern)}${suffix}`;
+}
+
+/**
+ * Searches the notes of a user.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {string} query - The search query, in MongoDB `$search` syntax.
+ * @param {Object} [options] - The search options.
+ * @param {number} [options.limit=20] - The maximum number of results.
+ * @returns {Promise<Object[]>} - The results, most relevant first, each with the note ID, title,
+ * update date, score, and the highlighted `titleHtml` and `snippet`.
+ */
+async function searchNotes(userId, query, { limit = 20 } = {}) {
+  const notes = await Note.find(
+    { user: userId, $text: { $search: query } },
+    { score: { $meta: 'textScore' } },
+  )
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .select('_id title content updatedAt');
+
+  const pattern = buildTermsPattern(getQueryTerms(query));
+  return notes.map((note) => ({
+    _id: note._id,
+    title: note.title,
+    updatedAt: note.updatedAt,
+    score: note.get('score'),
+    titleHtml: highlight(note.title || 'Untitled', pattern),
+    snippet: buildSnippet(note.content, pattern),
+  }));
+}
+
+/**
+ * The name of the text index of the Note model.
+ * @type {string}
+ */
+const TEXT_INDEX_NAME = 'note_text';
+
+/**
+ * Rebuilds the text index used by search, for instance after its weights changed.
+ * The index is dropped and created again from the Note schema.
+ * @returns {Promise<void>} - A promise that resolves when the index is rebuilt.
+ */
+async function rebuildSearchIndex() {
+  const exists = await Note.collection.indexExists(TEXT_INDEX_NAME);
+  if (exists) {
+    await Note.collection.dropIndex(TEXT_INDEX_NAME);
+  }
+  await Note.createIndexes();
+}
+
+module.exports = { searchNotes, rebuildSearchIndex };
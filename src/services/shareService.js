@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Public share links: unguessable tokens giving read-only access to a note,
+ * optionally expiring and optionally protected by a password.
+ * @module services/shareService
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ShareLink = require('../models/ShareLink');
+const Note = require('../models/Note');
+
+/**
+ * The number of random bytes in a share token.
+ * @type {number}
+ */
+const TOKEN_BYTES = 24;
+
+/**
+ * Creates a share link for a note.
+ * @param {Object} note - The note to share.
+ * @param {Object} [options={}] - The link options.
+ * @param {Date|string|null} [options.expiresAt=null] - When the link stops working.
+ * @param {string|null} [options.password=null] - The password protecting the link.
+ * @returns {Promise<Object>} - The created share link.
+ * @throws {Error} - If the expiry date is invalid or in the past.
+ */
+async function createShareLink(note, { expiresAt = null, password = null } = {}) {
+  const expiry = expiresAt ? new Date(expiresAt) : null;
+  if (expiry && (Number.isNaN(expiry.getTime()) || expiry <= new Date())) {
+    throw new Error('The expiry date must be in the future');
+  }
+  const shareLink = new ShareLink({
+    note: note._id,
+    user: note.user,
+    token: crypto.randomBytes(TOKEN_BYTES).toString('base64url'),
+    expiresAt: expiry,
+    password: password || null,
+  });
+  return shareLink.save();
+}
+
+/**
+ * Lists the share links of a note, newest first.
+ * @param {mongoose.Types.ObjectId|string} noteId - The ID of the note.
+ * @returns {Promise<Object[]>} - The share links.
+ */
+function listShareLinks(noteId) {
+  return ShareLink.find({ note: noteId }).sort({ createdAt: -1 });
+}
+
+/**
+ * Revokes a share link of a note.
+ * @param {mongoose.Types.ObjectId|string} noteId - The ID of the note.
+ * @param {string} shareLinkId - The ID of the share link.
+ * @returns {Promise<boolean>} - True if the link was revoked.
+ */
+async function revokeShareLink(noteId, shareLinkId) {
+  if (!mongoose.isValidObjectId(shareLinkId)) return false;
+  const { deletedCount } = await ShareLink.deleteOne({ _id: shareLinkId, note: noteId });
+  return deletedCount > 0;
+}
+
+/**
+ * Revokes every share link of some notes, for instance when they are deleted for good.
+ * @param {mongoose.Types.ObjectId[]|mongoose.Types.ObjectId|string} noteIds - The note IDs.
+ * @returns {Promise<Object>} - The result of the delete operation.
+ */
+function deleteShareLinks(noteIds) {
+  return ShareLink.deleteMany({ note: { $in: [].concat(noteIds) } });
+}
+
+/**
+ * Finds a share link that still works, with the note it shares.
+ * Links that expired, or whose note is in the trash or was deleted, are not found.
+ * @param {string} token - The token of the link.
+ * @returns {Promise<Object|null>} - The `shareLink` and its `note`, or null.
+ */
+async function findSharedNote(token) {
+  const shareLink = await ShareLink.findOne({ token: String(token) });
+  if (!shareLink || (shareLink.expiresAt && shareLink.expiresAt <= new Date())) {
+    return null;
+  }
+  const note = await Note.findOne({ _id: shareLink.note, user: shareLink.user });
+  return note ? { shareLink, note } : null;
+}
+
+module.exports = {
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  deleteShareLinks,
+  findSharedNote,
+};
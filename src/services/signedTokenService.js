@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Signed, expiring tokens sent by email to verify an email address or reset
+ * a password. A token carries its purpose, the user ID and its expiry, signed with HMAC-SHA256
+ * so it needs no storage. It is also bound to the state it acts on (the email address to verify,
+ * or the current password hash), so it stops working once used or once that state changes.
+ * The signing key is `TOKEN_SECRET`, or `SESSION_SECRET` when unset.
+ * @module services/signedTokenService
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+/**
+ * The purposes tokens are made for. A token only works for its own purpose.
+ * @enum {string}
+ */
+const TOKEN_PURPOSES = {
+  VERIFY_EMAIL: 'verify-email',
+  RESET_PASSWORD: 'reset-password',
+};
+
+/**
+ * How long tokens stay valid, in milliseconds, by purpose.
+ * @type {Object<string, number>}
+ */
+const TOKEN_TTLS = {
+  [TOKEN_PURPOSES.VERIFY_EMAIL]: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24)
+    * 60 * 60 * 1000,
+  [TOKEN_PURPOSES.RESET_PASSWORD]: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60)
+    * 60 * 1000,
+};
+
+/**
+ * Returns the key tokens are signed with.
+ * @returns {string} - The key.
+ * @throws {Error} - If neither `TOKEN_SECRET` nor `SESSION_SECRET` is set.
+ */
+function getSecret() {
+  const secret = process.env.TOKEN_SECRET || process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('TOKEN_SECRET or SESSION_SECRET must be set to sign tokens');
+  }
+  return secret;
+}
+
+/**
+ * Computes the fingerprint of the state of a user a token is bound to.
+ * @param {string} purpose - The purpose of the token.
+ * @param {Object} user - The user.
+ * @returns {string} - The fingerprint.
+ */
+function fingerprint(purpose, user) {
+  const state = purpose === TOKEN_PURPOSES.RESET_PASSWORD ? user.password : user.email;
+  return crypto.createHash('sha256').update(String(state)).digest('base64url').slice(0, 16);
+}
+
+/**
+ * Signs the encoded payload of a token.
+ * @param {string} payload - The encoded payload.
+ * @returns {string} - The signature.
+ */
+function sign(payload) {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Creates a token for a user.
+ * @param {string} purpose - The purpose of the token, one of {@link TOKEN_PURPOSES}.
+ * @param {Object} user - The user.
+ * @returns {string} - The token.
+ */
+function createSignedToken(purpose, user) {
+  const payload = Buffer.from(JSON.stringify({
+    p: purpose,
+    u: String(user._id),
+    e: Date.now() + TOKEN_TTLS[purpose],
+    f: fingerprint(purpose, user),
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Checks a token and finds the user it was made for.
+ * @param {string} purpose - The purpose the token must have been made for.
+ * @param {string} token - The token.
+ * @returns {Promise<Object|null>} - The user, or null if the token is malformed, forged, expired,
+ * made for another purpose or no longer matches the state of the user.
+ */
+async function verifySignedToken(purpose, token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (claims.p !== purpose || !(claims.e > Date.now()) || !mongoose.isValidObjectId(claims.u)) {
+    return null;
+  }
+  const user = await User.findById(claims.u);
+  if (!user || fingerprint(purpose, user) !== claims.f) return null;
+  return user;
+}
+
+module.exports = { TOKEN_PURPOSES, createSignedToken, verifySignedToken };
@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Incremental sync: devices ask for the notes created, updated and deleted since
+ * their last sync instead of fetching every note again.
+ * Every change of a note moves it to the end of a sync sequence shared by all server processes
+ * (see the Note model), and notes that disappear for a user leave a tombstone in that sequence.
+ * A sync cursor is a position in the sequence, so pages stay stable while notes keep changing:
+ * a note changed during a sync moves past the cursor and is returned again later.
+ * @module services/syncService
+ */
+
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const Tombstone = require('../models/Tombstone');
+const { getNoteRole, getNoteUserIds } = require('./permissionService');
+
+/**
+ * The number of days tombstones are kept. Devices that have not synced for longer than that
+ * must fetch all notes again.
+ * @type {number}
+ */
+const SYNC_TOMBSTONE_RETENTION_DAYS = parseInt(process.env.SYNC_TOMBSTONE_RETENTION_DAYS, 10)
+  || 30;
+
+/**
+ * How long a change may take to be written once it has its place in the sync sequence,
+ * in milliseconds. Cursors do not move past changes younger than that, since changes
+ * before them in the sequence may still be on their way to the database.
+ * @type {number}
+ */
+const SYNC_SETTLE_MS = 5000;
+
+/**
+ * A position in the sync sequence.
+ * @typedef {Object} SyncPosition
+ * @property {number} seq - The sync sequence number of the last change seen.
+ * @property {mongoose.Types.ObjectId|null} id - The ID of the last note seen with that number.
+ * @property {Date} at - The date up to which every change has been seen.
+ */
+
+/**
+ * Encodes a position in the sync sequence as an opaque cursor.
+ * @param {SyncPosition} position - The position.
+ * @returns {string} - The cursor.
+ */
+function encodeSyncCursor({ seq, id, at }) {
+  return Buffer.from(JSON.stringify([seq, id ? String(id) : null, at.toISOString()]))
+    .toString('base64url');
+}
+
+/**
+ * Decodes a cursor made by {@link encodeSyncCursor}.
+ * @param {string} cursor - The cursor sent by the client.
+ * @returns {SyncPosition|null} - The position, or null if the cursor is not valid.
+ */
+function decodeSyncCursor(cursor) {
+  try {
+    const [seq, id, at] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const date = new Date(at);
+    if (!Number.isInteger(seq) || seq < 0 || Number.isNaN(date.getTime())) return null;
+    if (id !== null && !mongoose.isValidObjectId(id)) return null;
+    return {
+      seq,
+      id: id === null ? null : new mongoose.Types.ObjectId(String(id)),
+      at: date,
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Checks whether changes since a date may have been forgotten, because their tombstones
+ * have expired since.
+ * @param {Date} date - The date of the last sync.
+ * @returns {boolean} - True if the device must fetch all notes again.
+ */
+function isSyncExpired(date) {
+  return Date.now() - date.getTime() > SYNC_TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Records that notes are gone for users, e.g. because they were deleted permanently.
+ * @param {Object[]} notes - The notes, with their owner and collaborators.
+ * @param {Array<mongoose.Types.ObjectId|string>} [userIds] - The users the notes are gone for,
+ * by default everyone who had access to them.
+ * @returns {Promise<void>}
+ */
+async function recordTombstones(notes, userIds) {
+  if (notes.length === 0) return;
+  await Tombstone.create(notes.map((note) => ({
+    note: note._id,
+    users: userIds || getNoteUserIds(note),
+  })));
+}
+
+/**
+ * Builds the conditions selecting the changes after a position in the sync sequence.
+ * @param {SyncPosition} position - The position.
+ * @param {string} idField - The field holding the note ID.
+ * @returns {Object} - The conditions.
+ */
+function getAfterPosition({ seq, id }, idField) {
+  if (!id) return { syncSeq: { $gt: seq } };
+  return {
+    $or: [
+      { syncSeq: { $gt: seq } },
+      { syncSeq: seq, [idField]: { $gt: id } },
+    ],
+  };
+}
+
+/**
+ * Compares two changes by their position in the sync sequence.
+ * @param {Object} a - A change.
+ * @param {Object} b - Another change.
+ * @returns {number} - Negative if `a` comes first, positive if `b` does.
+ */
+function compareChanges(a, b) {
+  return a.seq - b.seq || String(a.id).localeCompare(String(b.id));
+}
+
+/**
+ * Lists the changes of the notes a user owns or collaborates on after a position in the sync
+ * sequence, or since a date for a device that never got a cursor, oldest first.
+ * Notes moved to the trash, deleted permanently or no longer shared with the user are `deleted`;
+ * notes created after the position are `created`, and other notes, including notes newly shared
+ * with the user, are `updated`. A note is only listed once, as its latest change.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {Object} options - The listing options.
+ * @param {SyncPosition|null} [options.after=null] - The position of the last sync.
+ * @param {Date|null} [options.since=null] - The date of the last sync, without a position.
+ * @param {number} options.limit - The most changes to list.
+ * @returns {Promise<Object>} - The `created` and `updated` notes, with the `role` of the user,
+ * the IDs of the `deleted` notes, the `cursor` to sync from next and whether there are more
+ * changes to fetch right away (`hasMore`).
+ */
+async function listChanges(userId, { after = null, since = null, limit }) {
+  const position = after || { seq: 0, id: null, at: since || new Date(0) };
+  const noteFilter = {
+    $and: [
+      { $or: [{ user: userId }, { 'collaborators.user': userId }] },
+      getAfterPosition(position, '_id'),
+    ],
+  };
+  const tombstoneFilter = { users: userId, ...getAfterPosition(position, 'note') };
+  if (!after && since) {
+    noteFilter.updatedAt = { $gt: since };
+    tombstoneFilter.createdAt = { $gt: since };
+  }
+
+  const [notes, tombstones] = await Promise.all([
+    Note.find(noteFilter)
+      .setOptions({ withTrashed: true })
+      .sort({ syncSeq: 1, _id: 1 })
+      .limit(limit + 1),
+    Tombstone.find(tombstoneFilter)
+      .sort({ syncSeq: 1, note: 1 })
+      .limit(limit + 1)
+      .lean(),
+  ]);
+  const changes = [
+    ...notes.map((note) => ({
+      seq: note.syncSeq, id: note._id, at: note.updatedAt, note,
+    })),
+    ...tombstones.map((tombstone) => ({
+      seq: tombstone.syncSeq, id: tombstone.note, at: tombstone.createdAt, note: null,
+    })),
+  ].sort(compareChanges);
+  const page = changes.slice(0, limit);
+
+  // The cursor stops before the first change that may have overtaken an earlier one.
+  const settledAt = new Date(Date.now() - SYNC_SETTLE_MS);
+  let last = null;
+  let settled = true;
+  page.forEach((change) => {
+    settled = settled && change.at <= settledAt;
+    if (settled) last = change;
+  });
+  const hasMore = changes.length > limit && settled;
+  const cursor = {
+    seq: last ? last.seq : position.seq,
+    id: last ? last.id : position.id,
+    at: hasMore ? last.at : settledAt,
+  };
+
+  const latest = new Map();
+  page.forEach((change) => latest.set(String(change.id), change));
+  const result = { created: [], updated: [], deleted: [] };
+  latest.forEach((change, id) => {
+    const { note } = change;
+    if (!note || note.deletedAt) {
+      result.deleted.push(id);
+      return;
+    }
+    const isNew = since && !after ? note.createdAt > since : note.createdSeq > position.seq;
+    const entry = { ...note.toJSON(), role: getNoteRole(note, userId) };
+    (isNew ? result.created : result.updated).push(entry);
+  });
+
+  return { ...result, cursor: encodeSyncCursor(cursor), hasMore };
+}
+
+module.exports = {
+  SYNC_TOMBSTONE_RETENTION_DAYS,
+  decodeSyncCursor,
+  isSyncExpired,
+  recordTombstones,
+  listChanges,
+};
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Note tags: normalization, `#hashtag` parsing, counting and renaming.
+ * Tags are stored lowercase on the note. The tags of a note are the ones a client sends
+ * explicitly plus the `#hashtags` of its markdown content, worked out again by the Note model
+ * whenever either changes, so deleting a hashtag from the content also drops its tag.
+ * @module services/tagService
+ */
+
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const {
+  normalizeTag, normalizeTags, extractHashtags, resolveTags, resolveManualTags, replaceHashtag,
+} = require('./markdownService');
+
+/**
+ * Lists the tags of a user with the number of notes carrying each, most used first.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @returns {Promise<{name: string, count: number}[]>} - The tags.
+ */
+function listTags(userId) {
+  return Note.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)), deletedAt: null } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, name: '$_id', count: 1 } },
+  ]);
+}
+
+/**
+ * Renames a tag on every note of a user. Renaming to a tag that already exists merges both.
+ * Hashtags of the tag in the content of the notes are rewritten too,
+ * so that they do not bring the old tag back on the next save.
+ * A note that changes while it is being renamed is left out.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {string} from - The tag to rename.
+ * @param {string} to - The new name of the tag.
+ * @returns {Promise<Object[]>} - The updated notes.
+ */
+async function renameTag(userId, from, to) {
+  const source = normalizeTag(from);
+  const target = normalizeTag(to);
+  const notes = await Note.find({ user: userId, tags: source });
+
+  const updatedNotes = await Promise.all(notes.map((note) => {
+    const manualTags = note.manualTags || resolveManualTags(note.tags, note.content);
+    const content = replaceHashtag(note.content, source, target);
+    return Note.findOneAndUpdate(
+      { _id: note._id, user: userId, version: note.version },
+      {
+        manualTags: normalizeTags(manualTags.map((tag) => (tag === source ? target : tag))),
+        content,
+        $inc: { version: 1 },
+      },
+      { new: true },
+    );
+  }));
+  return updatedNotes.filter(Boolean);
+}
+
+module.exports = {
+  normalizeTag,
+  normalizeTags,
+  extractHashtags,
+  resolveTags,
+  resolveManualTags,
+  listTags,
+  renameTag,
+};
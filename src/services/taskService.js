@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Task lists: the `- [ ]` and `- [x]` items of note content.
+ * The tasks of a note are parsed from its markdown whenever its content is saved and stored on
+ * the note, so that the open tasks of a user can be listed across notes. A task is addressed by
+ * its index among the tasks of its note, which is also the index of its checkbox in the rendered
+ * note, since both come from the same markdown parser.
+ * @module services/taskService
+ */
+
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const { extractTasks } = require('./markdownService');
+const { TASKS_LIMIT_MAX } = require('../config/limits');
+
+/**
+ * Matches the checkbox of a task at the start of its line, after the quote and list markers.
+ * @type {RegExp}
+ */
+const TASK_MARKER_PATTERN = /^((?:[ \t]*>)*[ \t]*(?:[-*+]|\d{1,9}[.)])?[ \t]*)\[([ xX])\]/;
+
+/**
+ * Splits content into lines, keeping the line breaks at the odd indexes.
+ * @type {RegExp}
+ */
+const LINE_BREAK_PATTERN = /(\r\n|\n|\r)/;
+
+/**
+ * Checks or unchecks a task of markdown content, leaving the rest of the content as is.
+ * @param {string} content - The markdown content.
+ * @param {number} index - The index of the task among the tasks of the content.
+ * @param {boolean} done - Whether to check the task.
+ * @returns {string|null} - The updated content, or null if the content has no such task.
+ */
+function setTaskDone(content, index, done) {
+  const task = extractTasks(content)[index];
+  if (!task) return null;
+  const parts = (content || '').split(LINE_BREAK_PATTERN);
+  const lineIndex = task.line * 2;
+  const match = TASK_MARKER_PATTERN.exec(parts[lineIndex] || '');
+  if (!match) return null;
+  parts[lineIndex] = `${match[1]}[${done ? 'x' : ' '}]${parts[lineIndex].slice(match[0].length)}`;
+  return parts.join('');
+}
+
+/**
+ * Escapes the characters of a string that have a meaning in regular expressions.
+ * @param {string} value - The string.
+ * @returns {string} - The escaped string.
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Lists the open tasks of the notes a user owns, from the most recently updated notes first and
+ * in document order within a note.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {Object} [filters={}] - The filters.
+ * @param {string} [filters.q] - Text the tasks must contain, ignoring case.
+ * @param {string} [filters.tag] - A tag the notes must have.
+ * @param {string} [filters.notebook] - The ID of the notebook of the notes, or `none` for notes
+ * in no notebook.
+ * @param {number} [filters.limit=TASKS_LIMIT_MAX] - The most tasks to list.
+ * @returns {Promise<Object[]>} - The tasks, with their `index` in the note and the `noteId`,
+ * `noteTitle`, `noteUpdatedAt` and `noteVersion` of their note.
+ */
+function listOpenTasks(userId, {
+  q, tag, notebook, limit = TASKS_LIMIT_MAX,
+} = {}) {
+  const noteFilter = {
+    user: new mongoose.Types.ObjectId(String(userId)),
+    deletedAt: null,
+    'tasks.done': false,
+  };
+  if (tag) noteFilter.tags = tag;
+  if (notebook) {
+    noteFilter.notebook = notebook === 'none' ? null : new mongoose.Types.ObjectId(notebook);
+  }
+  const taskFilter = { 'tasks.done': false };
+  if (q) taskFilter['tasks.text'] = { $regex: escapeRegExp(q), $options: 'i' };
+
+  return Note.aggregate([
+    { $match: noteFilter },
+    { $sort: { updatedAt: -1, _id: 1 } },
+    {
+      $project: {
+        title: 1, updatedAt: 1, version: 1, tasks: 1,
+      },
+    },
+    { $unwind: { path: '$tasks', includeArrayIndex: 'index' } },
+    { $match: taskFilter },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        noteId: '$_id',
+        noteTitle: '$title',
+        noteUpdatedAt: '$updatedAt',
+        noteVersion: '$version',
+        index: 1,
+        text: '$tasks.text',
+        line: '$tasks.line',
+      },
+    },
+  ]);
+}
+
+module.exports = {
+  setTaskDone,
+  listOpenTasks,
+};
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview The trash: deleted notes are kept with a `deletedAt` marker so they can be
+ * restored, until they are deleted permanently or purged after the retention period.
+ * @module services/trashService
+ */
+
+const Note = require('../models/Note');
+const Notebook = require('../models/Notebook');
+const { deleteRevisions } = require('./revisionService');
+const { deleteShareLinks } = require('./shareService');
+const { recordTombstones } = require('./syncService');
+
+/**
+ * The number of days notes stay in the trash before they are purged.
+ * @type {number}
+ */
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+/**
+ * Moves notes of a user to the trash.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {Object} filter - Additional conditions selecting the notes.
+ * @returns {Promise<mongoose.Types.ObjectId[]>} - The IDs of the trashed notes.
+ */
+async function trashNotes(userId, filter) {
+  const notes = await Note.find({ ...filter, user: userId }).select('_id');
+  const noteIds = notes.map((note) => note._id);
+  await Note.updateMany(
+    { _id: { $in: noteIds } },
+    { deletedAt: new Date(), $inc: { version: 1 } },
+  );
+  return noteIds;
+}
+
+/**
+ * Moves a note of a user to the trash.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {string} noteId - The ID of the note.
+ * @returns {Promise<Object|null>} - The trashed note, or null if the user has no such note.
+ */
+function trashNote(userId, noteId) {
+  return Note.findOneAndUpdate(
+    { _id: noteId, user: userId },
+    { deletedAt: new Date(), $inc: { version: 1 } },
+    { new: true },
+  );
+}
+
+/**
+ * Lists the notes in the trash of a user, most recently deleted first.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @returns {Promise<Object[]>} - The trashed notes, with the date they will be purged.
+ */
+async function listTrash(userId) {
+  const notes = await Note.find({ user: userId, deletedAt: { $ne: null } })
+    .sort({ deletedAt: -1 })
+    .select('_id title content deletedAt updatedAt')
+    .lean();
+  const retention = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  return notes.map((note) => ({
+    ...note,
+    purgeAt: new Date(note.deletedAt.getTime() + retention),
+  }));
+}
+
+/**
+ * Restores a note from the trash of a user.
+ * A note whose notebook was deleted in the meantime is restored unfiled.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {string} noteId - The ID of the note.
+ * @returns {Promise<Object|null>} - The restored note, or null if the trash has no such note.
+ */
+async function restoreNote(userId, noteId) {
+  const note = await Note.findOne({ _id: noteId, user: userId, deletedAt: { $ne: null } });
+  if (!note) return null;
+  const notebookExists = note.notebook
+    && await Notebook.exists({ _id: note.notebook, user: userId });
+  return Note.findOneAndUpdate(
+    { _id: note._id, deletedAt: { $ne: null } },
+    { deletedAt: null, notebook: notebookExists ? note.notebook : null, $inc: { version: 1 } },
+    { new: true },
+  );
+}
+
+/**
+ * Permanently deletes notes in the trash, along with their revisions and share links,
+ * leaving tombstones for the devices that sync them.
+ * @param {Object} filter - The conditions selecting the trashed notes.
+ * @returns {Promise<mongoose.Types.ObjectId[]>} - The IDs of the deleted notes.
+ */
+async function deleteTrashedNotes(filter) {
+  const notes = await Note.find({ ...filter, deletedAt: filter.deletedAt || { $ne: null } })
+    .select('_id user collaborators');
+  const noteIds = notes.map((note) => note._id);
+  await Note.deleteMany({ _id: { $in: noteIds }, deletedAt: { $ne: null } });
+  await recordTombstones(notes);
+  await deleteRevisions(noteIds);
+  await deleteShareLinks(noteIds);
+  return noteIds;
+}
+
+/**
+ * Permanently deletes a note from the trash of a user.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {string} noteId - The ID of the note.
+ * @returns {Promise<boolean>} - True if the note was deleted.
+ */
+async function deleteNotePermanently(userId, noteId) {
+  const noteIds = await deleteTrashedNotes({ _id: noteId, user: userId });
+  return noteIds.length > 0;
+}
+
+/**
+ * Permanently deletes every note in the trash of a user.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @returns {Promise<number>} - The number of deleted notes.
+ */
+async function emptyTrash(userId) {
+  const noteIds = await deleteTrashedNotes({ user: userId });
+  return noteIds.length;
+}
+
+/**
+ * Permanently deletes the notes of all users that have been in the trash
+ * for longer than the retention period.
+ * @param {number} [retentionDays=TRASH_RETENTION_DAYS] - The retention period in days.
+ * @returns {Promise<number>} - The number of purged notes.
+ */
+async function purgeExpiredNotes(retentionDays = TRASH_RETENTION_DAYS) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const noteIds = await deleteTrashedNotes({ deletedAt: { $ne: null, $lt: cutoff } });
+  return noteIds.length;
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  trashNotes,
+  trashNote,
+  listTrash,
+  restoreNote,
+  deleteNotePermanently,
+  emptyTrash,
+  purgeExpiredNotes,
+};
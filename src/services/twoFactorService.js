@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Two-factor authentication with time-based one-time passwords (TOTP), as
+ * generated by authenticator apps, and one-time recovery codes for when the app is lost.
+ * A code is accepted once: a TOTP code cannot be used again in its time step, and a recovery
+ * code is removed when used. Recovery codes are stored as SHA-256 hashes.
+ * @module services/twoFactorService
+ */
+
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+
+/**
+ * The issuer authenticator apps show next to the account.
+ * @type {string}
+ */
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Anchor';
+
+/**
+ * The number of recovery codes a user gets when enabling two-factor authentication.
+ * @type {number}
+ */
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * The length of a TOTP time step, in seconds.
+ * @type {number}
+ */
+const TIME_STEP = 30;
+
+/**
+ * The TOTP generator. Codes of the previous and next time steps are accepted too,
+ * to allow for clock drift.
+ * @type {Object}
+ */
+const totp = authenticator.clone({ step: TIME_STEP, window: 1 });
+
+/**
+ * Normalizes a code as typed by the user, ignoring case, spaces and dashes.
+ * @param {string} code - The code.
+ * @returns {string} - The normalized code.
+ */
+function normalizeCode(code) {
+  return String(code || '').replace(/[\s-]/g, '').toLowerCase();
+}
+
+/**
+ * Hashes a recovery code for storage and lookup.
+ * @param {string} code - The recovery code.
+ * @returns {string} - The hex SHA-256 hash of the normalized code.
+ */
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+}
+
+/**
+ * Generates a set of recovery codes, formatted like `a1b2c-3d4e5`.
+ * @returns {string[]} - The recovery codes.
+ */
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+/**
+ * Checks a TOTP code against a secret.
+ * @param {string} secret - The secret.
+ * @param {string} code - The code.
+ * @returns {number|null} - The time step of the code, or null if it is not valid.
+ */
+function checkTotp(secret, code) {
+  const normalized = normalizeCode(code);
+  if (!/^\d{6}$/.test(normalized)) return null;
+  const delta = totp.checkDelta(normalized, secret);
+  if (delta === null) return null;
+  return Math.floor(Date.now() / 1000 / TIME_STEP) + delta;
+}
+
+/**
+ * Generates a new secret for a user to add to an authenticator app.
+ * @param {Object} user - The user.
+ * @returns {Promise<Object>} - The `secret`, the `otpauthUrl` apps import it from and a
+ * `qrCode` of that URL as a data URL.
+ */
+async function createTwoFactorSetup(user) {
+  const secret = totp.generateSecret();
+  const otpauthUrl = totp.keyuri(user.email, TWO_FACTOR_ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+}
+
+/**
+ * Enables two-factor authentication for a user, once they proved their app generates codes
+ * for the secret.
+ * @param {Object} user - The user.
+ * @param {string} secret - The secret from {@link createTwoFactorSetup}.
+ * @param {string} code - A code generated by the app.
+ * @returns {Promise<string[]|null>} - The recovery codes, or null if the code is not valid.
+ */
+async function enableTwoFactor(user, secret, code) {
+  const step = checkTotp(secret, code);
+  if (step === null) return null;
+  const recoveryCodes = generateRecoveryCodes();
+  Object.assign(user, {
+    twoFactorEnabled: true,
+    twoFactorSecret: secret,
+    twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+    twoFactorLastUsedStep: step,
+  });
+  await user.save();
+  return recoveryCodes;
+}
+
+/**
+ * Disables two-factor authentication for a user.
+ * @param {Object} user - The user.
+ * @returns {Promise<void>}
+ */
+async function disableTwoFactor(user) {
+  Object.assign(user, {
+    twoFactorEnabled: false,
+    twoFactorSecret: null,
+    twoFactorRecoveryCodes: [],
+    twoFactorLastUsedStep: null,
+  });
+  await user.save();
+}
+
+/**
+ * Checks a second factor of a user: a TOTP code, or else one of their recovery codes.
+ * The code is used up, atomically, so that it cannot be accepted twice.
+ * @param {Object} user - The user, with two-factor authentication enabled.
+ * @param {string} code - The TOTP or recovery code.
+ * @returns {Promise<Object|null>} - How the user was verified as `method` (`totp` or `recovery`)
+ * and, for a recovery code, the number of codes `remaining`; or null if the code is not valid.
+ */
+async function verifyTwoFactorCode(user, code) {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret) return null;
+
+  const step = checkTotp(user.twoFactorSecret, code);
+  if (step !== null) {
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }],
+      },
+      { $set: { twoFactorLastUsedStep: step } },
+    );
+    return modifiedCount ? { method: 'totp' } : null;
+  }
+
+  const hash = hashRecoveryCode(code);
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } },
+    { new: true },
+  );
+  if (!updated) return null;
+  return { method: 'recovery', remaining: updated.twoFactorRecoveryCodes.length };
+}
+
+module.exports = {
+  createTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  verifyTwoFactorCode,
+};
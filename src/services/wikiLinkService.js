@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Wiki links: `[[Note Title]]` references between notes.
+ * The titles a note links to are parsed from its markdown whenever its content is saved and
+ * stored on the note, normalized (see `markdownService.normalizeWikiTitle`), so that the notes
+ * linking to a note can be found from its title. Links resolve to the most recently updated note
+ * with that title among the notes the user owns or collaborates on. When a note is renamed,
+ * links to it are rewritten to the new title, so that they keep resolving to it.
+ * @module services/wikiLinkService
+ */
+
+const Note = require('../models/Note');
+const { normalizeWikiTitle, locateWikiLinks } = require('./markdownService');
+
+/**
+ * The most notes listed as backlinks.
+ * @type {number}
+ */
+const BACKLINKS_LIMIT = 50;
+
+/**
+ * The most titles suggested while typing a wiki link.
+ * @type {number}
+ */
+const SUGGESTIONS_LIMIT = 10;
+
+/**
+ * Matches the characters a title cannot contain to be linked to.
+ * @type {RegExp}
+ */
+const UNLINKABLE_TITLE_PATTERN = /[[\]|\n]/;
+
+/**
+ * Escapes the characters of a string that have a meaning in regular expressions.
+ * @param {string} value - The string.
+ * @returns {string} - The escaped string.
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds a pattern matching a title the way wiki links do: ignoring case and extra spaces.
+ * @param {string} title - The normalized title.
+ * @param {boolean} [prefix=false] - Whether to match titles starting with the title.
+ * @returns {RegExp} - The pattern.
+ */
+function titlePattern(title, prefix = false) {
+  const words = title.split(' ').map(escapeRegExp).join('\\s+');
+  return new RegExp(`^\\s*${words}${prefix ? '' : '\\s*$'}`, 'i');
+}
+
+/**
+ * Returns the conditions selecting the notes a user owns or collaborates on.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @returns {Object} - The conditions.
+ */
+function accessibleBy(userId) {
+  return { $or: [{ user: userId }, { 'collaborators.user': userId }] };
+}
+
+/**
+ * Resolves the titles wiki links point to, to the notes of a user with these titles.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {string[]} titles - The normalized titles.
+ * @returns {Promise<Map<string, string>>} - The IDs of the linked notes, by normalized title.
+ * Titles no note has are left out.
+ */
+async function resolveWikiLinks(userId, titles) {
+  const wikiLinks = new Map();
+  if (titles.length === 0) return wikiLinks;
+  const notes = await Note.find({
+    ...accessibleBy(userId),
+    title: { $in: titles.map((title) => titlePattern(title)) },
+  })
+    .sort({ updatedAt: -1 })
+    .select('_id title');
+  notes.forEach((note) => {
+    const title = normalizeWikiTitle(note.title);
+    if (!wikiLinks.has(title)) wikiLinks.set(title, String(note._id));
+  });
+  return wikiLinks;
+}
+
+/**
+ * Lists the notes of a user that link to a note, most recently updated first.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {Object} note - The linked note.
+ * @returns {Promise<Object[]>} - The `_id`, `title` and `updatedAt` of the linking notes.
+ */
+function listBacklinks(userId, note) {
+  return Note.find({
+    ...accessibleBy(userId),
+    _id: { $ne: note._id },
+    links: normalizeWikiTitle(note.title),
+  })
+    .sort({ updatedAt: -1 })
+    .limit(BACKLINKS_LIMIT)
+    .select('_id title updatedAt');
+}
+
+/**
+ * Suggests notes of a user to link to, by the start of their title.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user.
+ * @param {string} [query=''] - The start of the title.
+ * @returns {Promise<Object[]>} - The `_id` and `title` of the notes, most recently updated first.
+ */
+function suggestLinkTitles(userId, query = '') {
+  const title = normalizeWikiTitle(query);
+  return Note.find({
+    ...accessibleBy(userId),
+    ...(title ? { title: titlePattern(title, true) } : {}),
+  })
+    .sort({ updatedAt: -1 })
+    .limit(SUGGESTIONS_LIMIT)
+    .select('_id title');
+}
+
+/**
+ * Replaces the wiki links to a title in markdown content with links to another title,
+ * keeping their labels. Links in code are left as they are, since they are not links.
+ * @param {string} content - The markdown content.
+ * @param {string} from - The normalized title to replace.
+ * @param {string} to - The new title.
+ * @returns {string} - The updated content.
+ */
+function replaceWikiLinks(content, from, to) {
+  return locateWikiLinks(content)
+    .filter((link) => normalizeWikiTitle(link.title) === from)
+    .reduceRight((text, link) => {
+      const replacement = link.source.replace(/^\[\[[^[\]|\n]+/, () => `[[${to}`);
+      return `${text.slice(0, link.start)}${replacement}${text.slice(link.end)}`;
+    }, String(content || ''));
+}
+
+/**
+ * Rewrites the wiki links to a renamed note in the other notes of a user that link to it, so that
+ * they point to its new title. Links are left as they are while another note still has the old
+ * title, since they resolve to that note from now on, in notes the user can only view, and when
+ * the new title cannot be linked to.
+ * A note that changes while its links are rewritten is left out.
+ * @param {mongoose.Types.ObjectId|string} userId - The ID of the user renaming the note.
+ * @param {Object} note - The renamed note, with its new title.
+ * @param {string} previousTitle - The title of the note before it was renamed.
+ * @returns {Promise<Object[]>} - The updated notes.
+ */
+async function renameWikiLinks(userId, note, previousTitle) {
+  const from = normalizeWikiTitle(previousTitle);
+  if (!from || from === normalizeWikiTitle(note.title)) return [];
+  if (UNLINKABLE_TITLE_PATTERN.test(note.title)) return [];
+  const namesake = await Note.exists({
+    ...accessibleBy(userId),
+    _id: { $ne: note._id },
+    title: titlePattern(from),
+  });
+  if (namesake) return [];
+
+  const notes = await Note.find({
+    $or: [
+      { user: userId },
+      { collaborators: { $elemMatch: { user: userId, role: 'editor' } } },
+    ],
+    _id: { $ne: note._id },
+    links: from,
+  });
+  const updatedNotes = await Promise.all(notes.map((linkingNote) => {
+    const content = replaceWikiLinks(linkingNote.content, from, note.title.trim());
+    return Note.findOneAndUpdate(
+      { _id: linkingNote._id, version: linkingNote.version },
+      { content, $inc: { version: 1 } },
+      { new: true },
+    );
+  }));
+  return updatedNotes.filter(Boolean);
+}
+
+module.exports = {
+  resolveWikiLinks,
+  listBacklinks,
+  suggestLinkTitles,
+  replaceWikiLinks,
+  renameWikiLinks,
+};
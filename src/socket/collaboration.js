@@ -0,0 +1,385 @@
+/**
+ * @fileoverview Real-time collaborative editing of note content over Socket.IO.
+ * Every note being edited has a Yjs document in memory, shared by the sockets that joined it:
+ * their changes are merged character by character, relayed to the other sockets of the note
+ * and saved back to the note shortly after. Content saved through the API while a note is
+ * being edited is merged into its document the same way, as a change to the last saved content.
+ * Awareness updates (cursors, selections and the names of the people editing) are relayed the
+ * same way but never saved; each socket may only change the states of its own awareness clients.
+ * The documents live in the memory of this server process, so every socket editing a note
+ * must be connected to the same process.
+ * @module socket/collaboration
+ */
+
+const Y = require('yjs');
+const decoding = require('lib0/decoding');
+const { diffChars } = require('diff');
+const {
+  Awareness, applyAwarenessUpdate, encodeAwarenessUpdate, removeAwarenessStates,
+} = require('y-protocols/awareness');
+const Note = require('../models/Note');
+const { NOTE_EVENTS, emitNoteEvent } = require('../services/eventBus');
+const { findAccessibleNote, getNoteRole, canEdit } = require('../services/permissionService');
+const { recordRevision } = require('../services/revisionService');
+const { NOTE_CONTENT_MAX_LENGTH } = require('../config/limits');
+
+/**
+ * Names of the collaboration events exchanged with the clients.
+ * @enum {string}
+ */
+const COLLAB_EVENTS = {
+  JOIN: 'collab:join',
+  LEAVE: 'collab:leave',
+  UPDATE: 'collab:update',
+  AWARENESS: 'collab:awareness',
+};
+
+/**
+ * The name of the shared text holding the note content in a Yjs document.
+ * @type {string}
+ */
+const CONTENT_FIELD = 'content';
+
+/**
+ * How long to wait after the last change before saving the content of a note, in milliseconds.
+ * @type {number}
+ */
+const SAVE_DELAY = Number(process.env.COLLAB_SAVE_DELAY_MS) || 2000;
+
+/**
+ * Returns the name of the room that holds every socket editing a note.
+ *
+ * @param {string} noteId - The ID of the note.
+ * @returns {string} The room name.
+ */
+function noteRoom(noteId) {
+  return `note:${noteId}`;
+}
+
+/**
+ * Reads the IDs of the awareness clients whose state an awareness update changes.
+ *
+ * @param {Uint8Array} update - The awareness update.
+ * @returns {number[]} The client IDs.
+ */
+function readAwarenessClientIds(update) {
+  const decoder = decoding.createDecoder(update);
+  return Array.from({ length: decoding.readVarUint(decoder) }, () => {
+    const clientId = decoding.readVarUint(decoder);
+    decoding.readVarUint(decoder); // The clock of the state.
+    decoding.readVarString(decoder); // The state itself.
+    return clientId;
+  });
+}
+
+/**
+ * Creates the collaborative editing sessions of a Socket.IO server.
+ *
+ * @param {import('socket.io').Server} io - The Socket.IO server.
+ * @param {import('events').EventEmitter} eventBus - The event bus carrying note changes.
+ * @returns {Object} The `handleConnection` function registering the events of a socket.
+ */
+function createCollaboration(io, eventBus) {
+  const sessions = new Map();
+
+  /**
+   * Emits an event to the sockets of a session, leaving out the socket it came from.
+   *
+   * @param {Object} session - The session.
+   * @param {string} event - The event name.
+   * @param {Uint8Array} update - The Yjs or awareness update.
+   * @param {*} origin - The origin of the update: a socket, or anything else for the server.
+   */
+  function broadcast(session, event, update, origin) {
+    const target = io.to(noteRoom(session.noteId));
+    const fromSocket = origin && session.members.has(origin.id);
+    (fromSocket ? target.except(origin.id) : target)
+      .emit(event, { noteId: session.noteId, update });
+  }
+
+  /**
+   * Replaces the shared content of a session, sending the change to its sockets.
+   *
+   * @param {Object} session - The session.
+   * @param {string} content - The new content.
+   */
+  function replaceContent(session, content) {
+    const text = session.doc.getText(CONTENT_FIELD);
+    session.doc.transact(() => {
+      text.delete(0, text.length);
+      text.insert(0, content);
+    }, 'server');
+  }
+
+  /**
+   * Merges content saved outside of a session into its shared content. The change from the last
+   * saved content is made on a copy of the document as it was saved, then applied to the document
+   * like an update from another client, so that the changes its sockets made since are kept.
+   *
+   * @param {Object} session - The session.
+   * @param {string} content - The saved content.
+   */
+  function mergeContent(session, content) {
+    const saved = new Y.Doc();
+    Y.applyUpdate(saved, session.savedState);
+    const text = saved.getText(CONTENT_FIELD);
+    let index = 0;
+    saved.transact(() => {
+      diffChars(session.savedContent, content).forEach((part) => {
+        if (part.removed) {
+          text.delete(index, part.value.length);
+          return;
+        }
+        if (part.added) text.insert(index, part.value);
+        index += part.value.length;
+      });
+    });
+    Object.assign(session, { savedContent: content, savedState: Y.encodeStateAsUpdate(saved) });
+    Y.applyUpdate(
+      session.doc,
+      Y.encodeStateAsUpdate(saved, Y.encodeStateVector(session.doc)),
+      'server',
+    );
+    saved.destroy();
+  }
+
+  /**
+   * Saves the merged content of a session to its note, if it changed since the last save,
+   * and publishes the change like any other note update.
+   * Content longer than notes may be is not saved: the shared content goes back to the last
+   * saved content instead, like an update refused by the API.
+   *
+   * @param {Object} session - The session.
+   * @returns {Promise<void>}
+   */
+  async function saveSession(session) {
+    clearTimeout(session.saveTimer);
+    Object.assign(session, { saveTimer: null });
+    const content = session.doc.getText(CONTENT_FIELD).toString();
+    if (content === session.savedContent) return;
+    if (content.length > NOTE_CONTENT_MAX_LENGTH) {
+      replaceContent(session, session.savedContent);
+      return;
+    }
+    Object.assign(session, {
+      savedContent: content,
+      savedState: Y.encodeStateAsUpdate(session.doc),
+    });
+    try {
+      const note = await Note.findOneAndUpdate(
+        { _id: session.noteId },
+        {
+          content,
+          $inc: { version: 1 },
+        },
+        { new: true, runValidators: true },
+      );
+      if (!note) return;
+      await recordRevision(note);
+      Object.assign(session, { savedVersion: note.version });
+      emitNoteEvent(eventBus, NOTE_EVENTS.UPDATED, note);
+    } catch (error) {
+      console.error('Error saving collaborative note:', error);
+    }
+  }
+
+  /**
+   * Opens a session for a note, starting from its saved content.
+   *
+   * @param {Object} note - The note.
+   * @returns {Object} The session.
+   */
+  function openSession(note) {
+    const doc = new Y.Doc();
+    doc.getText(CONTENT_FIELD).insert(0, note.content || '');
+    const awareness = new Awareness(doc);
+    awareness.setLocalState(null);
+    const session = {
+      noteId: String(note._id),
+      doc,
+      awareness,
+      members: new Map(),
+      savedContent: note.content || '',
+      savedState: Y.encodeStateAsUpdate(doc),
+      savedVersion: note.version,
+      saveTimer: null,
+    };
+
+    doc.on('update', (update, origin) => {
+      broadcast(session, COLLAB_EVENTS.UPDATE, update, origin);
+      clearTimeout(session.saveTimer);
+      session.saveTimer = setTimeout(() => saveSession(session), SAVE_DELAY);
+    });
+    awareness.on('update', ({ added, updated, removed }, origin) => {
+      const member = origin && session.members.get(origin.id);
+      if (member) {
+        added.forEach((clientId) => member.clientIds.add(clientId));
+        removed.forEach((clientId) => member.clientIds.delete(clientId));
+      }
+      const update = encodeAwarenessUpdate(awareness, [...added, ...updated, ...removed]);
+      broadcast(session, COLLAB_EVENTS.AWARENESS, update, origin);
+    });
+
+    sessions.set(session.noteId, session);
+    return session;
+  }
+
+  /**
+   * Closes a session once nobody edits its note any more, saving its content first.
+   * The session stays open if a socket joins it while it is being saved.
+   *
+   * @param {Object} session - The session.
+   * @returns {Promise<void>}
+   */
+  async function closeSession(session) {
+    await saveSession(session);
+    if (session.members.size > 0 || sessions.get(session.noteId) !== session) return;
+    sessions.delete(session.noteId);
+    session.awareness.destroy();
+    session.doc.destroy();
+  }
+
+  /**
+   * Removes a socket from the session of a note, along with its cursors.
+   *
+   * @param {import('socket.io').Socket} socket - The socket.
+   * @param {string} noteId - The ID of the note.
+   */
+  function leaveSession(socket, noteId) {
+    const session = sessions.get(String(noteId));
+    const member = session && session.members.get(socket.id);
+    if (!member) return;
+    session.members.delete(socket.id);
+    socket.leave(noteRoom(session.noteId));
+    removeAwarenessStates(session.awareness, [...member.clientIds], 'leave');
+    if (session.members.size === 0) {
+      closeSession(session);
+    }
+  }
+
+  /**
+   * Adds a socket to the session of a note it has access to, opening the session if needed.
+   *
+   * @param {import('socket.io').Socket} socket - The socket.
+   * @param {string} noteId - The ID of the note.
+   * @returns {Promise<Object>} The `role` of the user and the current `state` and `awareness`
+   * of the session, or an `error`.
+   */
+  async function joinSession(socket, noteId) {
+    const { user } = socket.request.session;
+    const access = await findAccessibleNote(user.id, noteId);
+    if (!access || !socket.connected) {
+      return { error: 'Note not found' };
+    }
+    const session = sessions.get(String(access.note._id)) || openSession(access.note);
+    session.members.set(socket.id, {
+      socket, userId: String(user.id), role: access.role, clientIds: new Set(),
+    });
+    socket.join(noteRoom(session.noteId));
+    const clientIds = [...session.awareness.getStates().keys()];
+    return {
+      role: access.role,
+      state: Y.encodeStateAsUpdate(session.doc),
+      awareness: encodeAwarenessUpdate(session.awareness, clientIds),
+    };
+  }
+
+  /**
+   * Keeps the sessions in line with changes made outside of them: content saved through
+   * the API (such as a restored revision) is merged into the shared content, and sockets whose
+   * user lost access to the note are removed. The events of the saves of a session itself are
+   * told apart by their version, since a later save may have started by the time they are sent.
+   */
+  function followNoteEvents() {
+    eventBus.on(NOTE_EVENTS.UPDATED, ({ payload }) => {
+      const session = sessions.get(String(payload._id));
+      if (!session) return;
+      const content = payload.content || '';
+      if (payload.version !== session.savedVersion && content !== session.savedContent) {
+        mergeContent(session, content);
+      }
+      session.members.forEach((member) => {
+        const role = getNoteRole(payload, member.userId);
+        if (role) {
+          Object.assign(member, { role });
+        } else {
+          leaveSession(member.socket, session.noteId);
+        }
+      });
+    });
+    eventBus.on(NOTE_EVENTS.DELETED, ({ userIds, payload }) => {
+      const session = sessions.get(String(payload));
+      if (!session) return;
+      session.members.forEach((member) => {
+        if (userIds.includes(member.userId)) {
+          leaveSession(member.socket, session.noteId);
+        }
+      });
+    });
+  }
+
+  /**
+   * Registers the collaboration events of a connected socket.
+   * Joining answers through the acknowledgement callback; updates are only accepted
+   * from sockets in the session, content updates only from those that can edit, and
+   * awareness updates only if they leave the awareness clients of other sockets alone.
+   * Payloads that are not objects are ignored, since a handler throwing outside of a
+   * `try` would bring the process down.
+   *
+   * @param {import('socket.io').Socket} socket - The socket.
+   */
+  function handleConnection(socket) {
+    socket.on(COLLAB_EVENTS.JOIN, async (noteId, callback) => {
+      const reply = typeof callback === 'function' ? callback : () => {};
+      try {
+        reply(await joinSession(socket, noteId));
+      } catch (error) {
+        console.error('Error joining collaborative note:', error);
+        reply({ error: error.message });
+      }
+    });
+
+    socket.on(COLLAB_EVENTS.LEAVE, (noteId) => leaveSession(socket, noteId));
+
+    socket.on(COLLAB_EVENTS.UPDATE, (payload) => {
+      if (!payload || typeof payload !== 'object') return;
+      const { noteId, update } = payload;
+      const session = sessions.get(String(noteId));
+      const member = session && session.members.get(socket.id);
+      if (!member || !canEdit(member.role)) return;
+      try {
+        Y.applyUpdate(session.doc, new Uint8Array(update), socket);
+      } catch (error) {
+        console.error('Error applying collaborative update:', error);
+      }
+    });
+
+    socket.on(COLLAB_EVENTS.AWARENESS, (payload) => {
+      if (!payload || typeof payload !== 'object') return;
+      const { noteId, update } = payload;
+      const session = sessions.get(String(noteId));
+      if (!session || !session.members.has(socket.id)) return;
+      try {
+        const awarenessUpdate = new Uint8Array(update);
+        const clientIds = readAwarenessClientIds(awarenessUpdate);
+        const ownedByOthers = [...session.members.values()].some((member) => (
+          member.socket.id !== socket.id && clientIds.some((id) => member.clientIds.has(id))
+        ));
+        if (ownedByOthers) return;
+        applyAwarenessUpdate(session.awareness, awarenessUpdate, socket);
+      } catch (error) {
+        console.error('Error applying awareness update:', error);
+      }
+    });
+
+    socket.on('disconnect', () => {
+      sessions.forEach((session) => leaveSession(socket, session.noteId));
+    });
+  }
+
+  followNoteEvents();
+
+  return { handleConnection };
+}
+
+module.exports = { COLLAB_EVENTS, createCollaboration };
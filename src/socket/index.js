@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Socket.IO server setup for real-time note syncing.
+ * @module socket
+ */
+
+const { Server } = require('socket.io');
+const sessionMiddleware = require('../middleware/session');
+const { ensureSocketAuth } = require('../middleware/auth');
+const { NOTE_EVENTS } = require('../services/eventBus');
+const { createCollaboration } = require('./collaboration');
+
+/**
+ * Returns the name of the room that holds every socket of a user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {string} The room name.
+ */
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * Relays the note change events published on the event bus to the rooms of the
+ * users with access to the note, leaving out the socket that made the change.
+ *
+ * @param {import('socket.io').Server} io - The Socket.IO server.
+ * @param {import('events').EventEmitter} eventBus - The event bus to subscribe to.
+ */
+function relayNoteEvents(io, eventBus) {
+  Object.values(NOTE_EVENTS).forEach((event) => {
+    eventBus.on(event, ({ userIds, payload, originId }) => {
+      const target = io.to(userIds.map(userRoom));
+      (originId ? target.except(originId) : target).emit(event, payload);
+    });
+  });
+}
+
+/**
+ * Creates a Socket.IO server attached to the given HTTP server.
+ * Handshakes share the Express session, unauthenticated sockets are refused,
+ * and each socket joins the room of its user so note events only reach
+ * the tabs and devices of the users with access to the note.
+ * Note events are only ever emitted by the server; the only events accepted from clients
+ * are those of collaborative editing, see {@link module:socket/collaboration}.
+ *
+ * @param {import('http').Server} server - The HTTP server to attach to.
+ * @param {Object} options - The socket server options.
+ * @param {import('events').EventEmitter} options.eventBus - The event bus carrying note changes.
+ * @returns {import('socket.io').Server} The Socket.IO server.
+ */
+function createSocketServer(server, { eventBus }) {
+  const io = new Server(server);
+
+  io.engine.use(sessionMiddleware);
+  io.use(ensureSocketAuth);
+
+  const collaboration = createCollaboration(io, eventBus);
+
+  io.on('connection', (socket) => {
+    const { user } = socket.request.session;
+    socket.join(userRoom(user.id));
+    console.log(`Client connected for user ${user.id}`);
+    collaboration.handleConnection(socket);
+
+    socket.on('disconnect', () => {
+      console.log(`Client disconnected for user ${user.id}`);
+    });
+  });
+
+  relayNoteEvents(io, eventBus);
+
+  return io;
+}
+
+module.exports = { createSocketServer, userRoom };
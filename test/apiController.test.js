@@ -0,0 +1,90 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const { listNotes } = require('../src/controllers/apiController');
+const { ensureApiToken } = require('../src/middleware/api');
+const Note = require('../src/models/Note');
+
+/**
+ * Builds a response recording what the API answers.
+ * @returns {Object} - The response.
+ */
+const createResponse = () => {
+  const res = {};
+  res.status = (statusCode) => Object.assign(res, { statusCode });
+  res.json = (body) => Object.assign(res, { body });
+  return res;
+};
+
+describe('apiController', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('listNotes', () => {
+    const notes = [3, 2, 1].map((day) => ({
+      _id: new mongoose.Types.ObjectId(),
+      title: `Day ${day}`,
+      updatedAt: new Date(Date.UTC(2024, 0, day)),
+    }));
+    let limit;
+
+    /**
+     * Lists the notes of the user through the API.
+     * @param {Object} query - The query parameters of the request.
+     * @returns {Promise<Object>} - The response.
+     */
+    const list = async (query) => {
+      limit = sinon.stub().callsFake((count) => Promise.resolve(notes.slice(0, count)));
+      sinon.stub(Note, 'find').returns({ sort: () => ({ limit }) });
+      const res = createResponse();
+      await listNotes({ apiUser: { id: userId }, query }, res);
+      return res;
+    };
+
+    it('ends a full page with a cursor to the notes after its last one', async () => {
+      const { body } = await list({ limit: '2' });
+
+      expect(body.data.map((note) => note.title)).to.deep.equal(['Day 3', 'Day 2']);
+      expect(body.pagination.hasMore).to.equal(true);
+      expect(limit.calledOnceWith(3)).to.equal(true);
+
+      sinon.restore();
+      await list({ cursor: body.pagination.nextCursor });
+
+      expect(Note.find.firstCall.args[0].$or).to.deep.equal([
+        { updatedAt: { $lt: notes[1].updatedAt } },
+        { updatedAt: notes[1].updatedAt, _id: { $lt: notes[1]._id } },
+      ]);
+    });
+
+    it('has no cursor on the last page', async () => {
+      const { body } = await list({ limit: '5' });
+
+      expect(body.pagination).to.deep.equal({ limit: 5, hasMore: false, nextCursor: null });
+    });
+
+    it('refuses cursors it did not make', async () => {
+      const res = await list({ cursor: 'not-a-cursor' });
+
+      expect(res.statusCode).to.equal(400);
+      expect(res.body.error.code).to.equal('invalid_cursor');
+      expect(Note.find.called).to.equal(false);
+    });
+  });
+
+  describe('ensureApiToken', () => {
+    it('refuses requests without a bearer token', async () => {
+      const res = createResponse();
+      const next = sinon.spy();
+
+      await ensureApiToken({ get: () => 'Basic dXNlcjpwYXNz' }, res, next);
+
+      expect(res.statusCode).to.equal(401);
+      expect(res.body.error.code).to.equal('unauthorized');
+      expect(next.called).to.equal(false);
+    });
+  });
+});
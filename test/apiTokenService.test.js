@@ -0,0 +1,58 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { authenticateApiToken } = require('../src/services/apiTokenService');
+const ApiToken = require('../src/models/ApiToken');
+const User = require('../src/models/User');
+
+describe('apiTokenService', () => {
+  describe('authenticateApiToken', () => {
+    const createdAt = new Date('2026-01-01T12:00:00Z');
+    let user;
+
+    beforeEach(() => {
+      user = { _id: 'user-id', username: 'user', passwordChangedAt: null };
+      sinon.stub(ApiToken, 'findOneAndUpdate').resolves({ user: 'user-id', createdAt });
+      sinon.stub(User, 'findById').returns({ select: sinon.stub().callsFake(async () => user) });
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('finds the user of a token and records that it was used', async () => {
+      expect(await authenticateApiToken('anchor_secret'))
+        .to.deep.equal({ id: 'user-id', username: 'user' });
+      expect(ApiToken.findOneAndUpdate.firstCall.args[1].lastUsedAt).to.be.an.instanceOf(Date);
+    });
+
+    it('looks tokens up by their hash', async () => {
+      await authenticateApiToken('anchor_secret');
+
+      const { tokenHash } = ApiToken.findOneAndUpdate.firstCall.args[0];
+      expect(tokenHash).to.match(/^[0-9a-f]{64}$/).and.not.to.include('secret');
+    });
+
+    it('refuses tokens without the token prefix', async () => {
+      expect(await authenticateApiToken('secret')).to.equal(null);
+      expect(ApiToken.findOneAndUpdate.called).to.equal(false);
+    });
+
+    it('refuses unknown tokens', async () => {
+      ApiToken.findOneAndUpdate.resolves(null);
+
+      expect(await authenticateApiToken('anchor_unknown')).to.equal(null);
+    });
+
+    it('keeps tokens created after the last password reset working', async () => {
+      user.passwordChangedAt = new Date(createdAt.getTime() - 1000);
+
+      expect(await authenticateApiToken('anchor_secret')).to.have.property('id', 'user-id');
+    });
+
+    it('refuses tokens created before the last password reset', async () => {
+      user.passwordChangedAt = new Date(createdAt.getTime() + 1000);
+
+      expect(await authenticateApiToken('anchor_secret')).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ensureAuth, ensureSocketAuth } = require('../src/middleware/auth');
+const User = require('../src/models/User');
+
+describe('auth middleware', () => {
+  const loggedInAt = Date.parse('2026-01-01T12:00:00Z');
+  let user;
+
+  beforeEach(() => {
+    user = { passwordChangedAt: null };
+    sinon.stub(User, 'findById').returns({ select: sinon.stub().callsFake(async () => user) });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  /**
+   * Builds a request with a session.
+   * @param {Object|undefined} sessionUser - The user stored in the session.
+   * @returns {Object} - The request.
+   */
+  const createRequest = (sessionUser) => ({
+    session: { user: sessionUser, destroy: sinon.stub().yields(null) },
+  });
+
+  /**
+   * Runs ensureAuth on a request.
+   * @param {Object} req - The request.
+   * @returns {Promise<Object>} - Where the request was redirected to, if anywhere, and whether
+   * it was passed on as `passed`.
+   */
+  const run = async (req) => {
+    const res = { redirect: sinon.spy() };
+    const next = sinon.spy();
+    await ensureAuth(req, res, next);
+    return {
+      redirectedTo: res.redirect.firstCall && res.redirect.firstCall.args[0],
+      passed: next.calledOnceWith(),
+    };
+  };
+
+  describe('ensureAuth', () => {
+    it('sends requests without a session user to the login page', async () => {
+      expect(await run(createRequest(undefined))).to.deep.equal({ redirectedTo: '/auth/login', passed: false });
+    });
+
+    it('passes on the requests of a logged-in user', async () => {
+      expect((await run(createRequest({ id: 'user-id', authenticatedAt: loggedInAt }))).passed).to.equal(true);
+    });
+
+    it('passes on sessions started after the last password reset', async () => {
+      user.passwordChangedAt = new Date(loggedInAt - 1000);
+
+      expect((await run(createRequest({ id: 'user-id', authenticatedAt: loggedInAt }))).passed).to.equal(true);
+    });
+
+    it('ends sessions started before the last password reset', async () => {
+      user.passwordChangedAt = new Date(loggedInAt + 1000);
+      const req = createRequest({ id: 'user-id', authenticatedAt: loggedInAt });
+
+      expect(await run(req)).to.deep.equal({ redirectedTo: '/auth/login', passed: false });
+      expect(req.session.destroy.calledOnce).to.equal(true);
+    });
+
+    it('ends sessions that do not record when they started once the password was reset', async () => {
+      user.passwordChangedAt = new Date(loggedInAt);
+
+      expect((await run(createRequest({ id: 'user-id' }))).passed).to.equal(false);
+    });
+
+    it('ends the sessions of users that no longer exist', async () => {
+      user = null;
+
+      expect((await run(createRequest({ id: 'user-id', authenticatedAt: loggedInAt }))).passed).to.equal(false);
+    });
+  });
+
+  describe('ensureSocketAuth', () => {
+    /**
+     * Runs ensureSocketAuth on a handshake.
+     * @param {Object|undefined} session - The session of the handshake.
+     * @returns {Promise<Error|undefined>} - The error the handshake was refused with, if any.
+     */
+    const handshake = async (session) => {
+      const next = sinon.spy();
+      await ensureSocketAuth({ request: { session } }, next);
+      return next.firstCall.args[0];
+    };
+
+    it('accepts the sockets of a logged-in user', async () => {
+      expect(await handshake({ user: { id: 'user-id', authenticatedAt: loggedInAt } })).to.equal(undefined);
+    });
+
+    it('refuses sockets without a session user', async () => {
+      expect((await handshake({})).message).to.equal('Unauthorized');
+      expect((await handshake(undefined)).message).to.equal('Unauthorized');
+    });
+
+    it('refuses sockets of sessions started before the last password reset', async () => {
+      user.passwordChangedAt = new Date(loggedInAt + 1000);
+
+      expect((await handshake({ user: { id: 'user-id', authenticatedAt: loggedInAt } })).message)
+        .to.equal('Unauthorized');
+    });
+  });
+});
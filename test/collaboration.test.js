@@ -0,0 +1,196 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const Y = require('yjs');
+const {
+  Awareness, applyAwarenessUpdate, encodeAwarenessUpdate, removeAwarenessStates,
+} = require('y-protocols/awareness');
+const Note = require('../src/models/Note');
+const NoteRevision = require('../src/models/NoteRevision');
+const { NOTE_EVENTS, createEventBus } = require('../src/services/eventBus');
+const { COLLAB_EVENTS, createCollaboration } = require('../src/socket/collaboration');
+
+/**
+ * Builds a Socket.IO server that drops whatever is emitted to its rooms.
+ * @returns {Object} - The server.
+ */
+const createServer = () => {
+  const target = { emit: () => true };
+  target.except = () => target;
+  return { to: () => target };
+};
+
+/**
+ * Waits for the pending promise callbacks to run.
+ * @returns {Promise<void>} - Resolves once they ran.
+ */
+const flushPromises = () => new Promise((resolve) => { setImmediate(resolve); });
+
+/**
+ * Builds a connected socket of a user, keeping the handlers registered on it.
+ * @param {string} id - The socket ID.
+ * @param {mongoose.Types.ObjectId} userId - The ID of the user.
+ * @returns {Object} - The socket.
+ */
+const createSocket = (id, userId) => {
+  const handlers = {};
+  return {
+    id,
+    connected: true,
+    request: { session: { user: { id: userId } } },
+    handlers,
+    on: (event, handler) => Object.assign(handlers, { [event]: handler }),
+    join: () => {},
+    leave: () => {},
+  };
+};
+
+describe('collaboration', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const note = {
+    _id: new mongoose.Types.ObjectId(),
+    user: userId,
+    collaborators: [],
+    content: 'Hello',
+    version: 1,
+  };
+  const noteId = String(note._id);
+  let clock;
+  let eventBus;
+  let collaboration;
+
+  /**
+   * Connects a socket and joins the note with it.
+   * @param {string} id - The socket ID.
+   * @returns {Promise<Object>} - The socket and the `reply` to joining.
+   */
+  const join = async (id) => {
+    const socket = createSocket(id, userId);
+    collaboration.handleConnection(socket);
+    const reply = await new Promise((resolve) => {
+      socket.handlers[COLLAB_EVENTS.JOIN](noteId, resolve);
+    });
+    return { socket, reply };
+  };
+
+  /**
+   * Reads the shared content of the note, as a socket joining now gets it.
+   * @returns {Promise<string>} - The content.
+   */
+  const readSharedContent = async () => {
+    const { reply } = await join('reader');
+    const doc = new Y.Doc();
+    Y.applyUpdate(doc, reply.state);
+    return doc.getText('content').toString();
+  };
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({
+      toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'],
+    });
+    sinon.stub(Note, 'findOne').resolves(note);
+    eventBus = createEventBus();
+    collaboration = createCollaboration(createServer(), eventBus);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    clock.restore();
+  });
+
+  describe('content saved outside of the session', () => {
+    it('is merged with the changes that are not saved yet', async () => {
+      const { socket, reply } = await join('editor');
+      const doc = new Y.Doc();
+      Y.applyUpdate(doc, reply.state);
+      const stateVector = Y.encodeStateVector(doc);
+      doc.getText('content').insert(5, ' world');
+      socket.handlers[COLLAB_EVENTS.UPDATE]({
+        noteId, update: Y.encodeStateAsUpdate(doc, stateVector),
+      });
+
+      eventBus.emit(NOTE_EVENTS.UPDATED, {
+        userIds: [String(userId)],
+        payload: { ...note, content: '# Greeting\n\nHello', version: 2 },
+        originId: null,
+      });
+
+      expect(await readSharedContent()).to.equal('# Greeting\n\nHello world');
+    });
+
+    it('does not take the events of earlier saves of the session for it', async () => {
+      const { socket, reply } = await join('editor');
+      const doc = new Y.Doc();
+      Y.applyUpdate(doc, reply.state);
+      /**
+       * Types text at the end of the content and sends the change to the session.
+       * @param {string} text - The text.
+       */
+      const type = (text) => {
+        const stateVector = Y.encodeStateVector(doc);
+        const content = doc.getText('content');
+        content.insert(content.length, text);
+        socket.handlers[COLLAB_EVENTS.UPDATE]({
+          noteId, update: Y.encodeStateAsUpdate(doc, stateVector),
+        });
+      };
+      let recordFirstRevision;
+      const latestRevision = sinon.stub();
+      latestRevision.onFirstCall()
+        .returns(new Promise((resolve) => { recordFirstRevision = resolve; }));
+      latestRevision.resolves(null);
+      sinon.stub(NoteRevision, 'findOne').returns({ sort: latestRevision });
+      sinon.stub(NoteRevision, 'create').resolves({});
+      sinon.stub(NoteRevision, 'find').returns({
+        sort: () => ({ skip: () => ({ select: sinon.stub().resolves([]) }) }),
+      });
+      sinon.stub(Note, 'findOneAndUpdate').callsFake(async (filter, { content }) => (
+        { ...note, content, version: Note.findOneAndUpdate.callCount + 1 }
+      ));
+      const published = sinon.spy();
+      eventBus.on(NOTE_EVENTS.UPDATED, published);
+
+      type(' world');
+      clock.tick(2000);
+      await flushPromises();
+      type('!');
+      clock.tick(2000);
+      await flushPromises();
+      recordFirstRevision(null);
+      await flushPromises();
+
+      expect(published.callCount).to.equal(2);
+      expect(await readSharedContent()).to.equal('Hello world!');
+    });
+  });
+
+  describe('awareness updates', () => {
+    it('are refused for the awareness clients of other sockets', async () => {
+      const { socket: owner } = await join('owner');
+      const { socket: intruder } = await join('intruder');
+      const ownerAwareness = new Awareness(new Y.Doc());
+      ownerAwareness.setLocalState({ user: 'owner' });
+      const ownerClientId = ownerAwareness.clientID;
+      owner.handlers[COLLAB_EVENTS.AWARENESS]({
+        noteId, update: encodeAwarenessUpdate(ownerAwareness, [ownerClientId]),
+      });
+
+      const intruderAwareness = new Awareness(new Y.Doc());
+      applyAwarenessUpdate(
+        intruderAwareness,
+        encodeAwarenessUpdate(ownerAwareness, [ownerClientId]),
+        'owner',
+      );
+      removeAwarenessStates(intruderAwareness, [ownerClientId], 'intruder');
+      intruder.handlers[COLLAB_EVENTS.AWARENESS]({
+        noteId, update: encodeAwarenessUpdate(intruderAwareness, [ownerClientId]),
+      });
+
+      const { reply } = await join('reader');
+      const awareness = new Awareness(new Y.Doc());
+      applyAwarenessUpdate(awareness, reply.awareness, 'server');
+      expect(awareness.getStates().get(ownerClientId)).to.deep.equal({ user: 'owner' });
+      [ownerAwareness, intruderAwareness, awareness].forEach((entry) => entry.destroy());
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { csrfProtection } = require('../src/middleware/csrf');
+const { securityHeaders } = require('../src/config/security');
+
+/**
+ * Builds a request of a session as Express passes it to the middleware.
+ * @param {Object} [fields={}] - The fields of the request, such as `method` and `body`.
+ * @param {Object} [headers={}] - The headers of the request.
+ * @returns {Object} - The request.
+ */
+const createRequest = (fields = {}, headers = {}) => ({
+  method: 'POST',
+  session: { csrfToken: 'session-token' },
+  body: {},
+  xhr: false,
+  get: (name) => headers[name],
+  ...fields,
+});
+
+/**
+ * Builds a response recording what the middleware answers.
+ * @returns {Object} - The response.
+ */
+const createResponse = () => {
+  const res = { locals: {}, headers: {} };
+  res.status = (statusCode) => Object.assign(res, { statusCode });
+  res.json = (body) => Object.assign(res, { body });
+  res.send = (body) => Object.assign(res, { body });
+  res.setHeader = (name, value) => Object.assign(res.headers, { [name.toLowerCase()]: value });
+  res.removeHeader = (name) => delete res.headers[name.toLowerCase()];
+  return res;
+};
+
+describe('csrf middleware', () => {
+  it('gives the session a token and exposes it to the views', () => {
+    const req = createRequest({ method: 'GET', session: {} });
+    const res = createResponse();
+    const next = sinon.spy();
+
+    csrfProtection(req, res, next);
+
+    expect(req.session.csrfToken).to.match(/^[\w-]{43}$/);
+    expect(res.locals.csrfToken).to.equal(req.session.csrfToken);
+    expect(next.calledOnce).to.equal(true);
+  });
+
+  it('accepts the token in the form field or the header', () => {
+    const next = sinon.spy();
+
+    csrfProtection(createRequest({ body: { _csrf: 'session-token' } }), createResponse(), next);
+    csrfProtection(createRequest({}, { 'X-CSRF-Token': 'session-token' }), createResponse(), next);
+
+    expect(next.calledTwice).to.equal(true);
+  });
+
+  it('refuses forms without the token of the session', () => {
+    const res = createResponse();
+    const next = sinon.spy();
+
+    csrfProtection(createRequest({ body: { _csrf: 'other-token' } }), res, next);
+
+    expect(next.called).to.equal(false);
+    expect(res.statusCode).to.equal(403);
+    expect(res.body).to.match(/^The form has expired/);
+  });
+
+  it('answers requests made by scripts with a JSON error', () => {
+    const res = createResponse();
+
+    csrfProtection(createRequest({}, { 'X-CSRF-Token': 'session-tokem' }), res, sinon.spy());
+
+    expect(res.statusCode).to.equal(403);
+    expect(res.body).to.deep.equal({ error: 'Invalid or missing CSRF token' });
+  });
+});
+
+describe('security headers', () => {
+  it('only allow scripts of the app itself and forbid framing', () => {
+    const res = createResponse();
+    const next = sinon.spy();
+
+    securityHeaders(createRequest({ method: 'GET' }), res, next);
+
+    expect(next.calledOnce).to.equal(true);
+    expect(res.headers['content-security-policy']).to.include("script-src 'self'");
+    expect(res.headers['content-security-policy']).to.include("frame-ancestors 'none'");
+    expect(res.headers['x-frame-options']).to.equal('DENY');
+    expect(res.headers['referrer-policy']).to.equal('same-origin');
+  });
+});
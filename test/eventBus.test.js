@@ -0,0 +1,79 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const Note = require('../src/models/Note');
+const {
+  NOTE_EVENTS, createEventBus, emitNoteEvent, publishNoteEvent,
+} = require('../src/services/eventBus');
+
+describe('eventBus', () => {
+  const ownerId = new mongoose.Types.ObjectId();
+  const collaboratorId = new mongoose.Types.ObjectId();
+  let eventBus;
+  let listener;
+
+  /**
+   * Builds a request of the owner, made from a socket if its ID is given.
+   * @param {string} [socketId] - The `X-Socket-Id` header.
+   * @returns {Object} - The request.
+   */
+  const createRequest = (socketId) => ({
+    session: { user: { id: String(ownerId) } },
+    get: (name) => (name === 'X-Socket-Id' ? socketId : undefined),
+    app: { get: () => eventBus },
+  });
+
+  beforeEach(() => {
+    eventBus = createEventBus();
+    listener = sinon.spy();
+    Object.values(NOTE_EVENTS).forEach((event) => eventBus.on(event, listener));
+  });
+
+  describe('publishNoteEvent', () => {
+    it('publishes the plain note for its owner and collaborators', () => {
+      const note = new Note({
+        title: 'Trip', user: ownerId, collaborators: [{ user: collaboratorId, role: 'viewer' }],
+      });
+
+      publishNoteEvent(createRequest('socket-1'), NOTE_EVENTS.UPDATED, note);
+
+      expect(listener.calledOnce).to.equal(true);
+      const { userIds, payload, originId } = listener.firstCall.args[0];
+      expect(userIds).to.deep.equal([String(ownerId), String(collaboratorId)]);
+      expect(payload).not.to.be.instanceOf(Note);
+      expect(payload.title).to.equal('Trip');
+      expect(originId).to.equal('socket-1');
+    });
+
+    it('publishes deletions for the user of the request unless told whom to notify', () => {
+      publishNoteEvent(createRequest(), NOTE_EVENTS.DELETED, 'note-id');
+      publishNoteEvent(createRequest(), NOTE_EVENTS.DELETED, 'note-id', {
+        userIds: [ownerId, collaboratorId],
+      });
+
+      expect(listener.firstCall.args[0]).to.deep.equal({
+        userIds: [String(ownerId)], payload: 'note-id', originId: null,
+      });
+      expect(listener.secondCall.args[0].userIds)
+        .to.deep.equal([String(ownerId), String(collaboratorId)]);
+    });
+
+    it('publishes nothing when the app has no event bus', () => {
+      const req = { ...createRequest(), app: { get: () => undefined } };
+
+      expect(() => publishNoteEvent(req, NOTE_EVENTS.CREATED, { user: ownerId })).not.to.throw();
+    });
+  });
+
+  describe('emitNoteEvent', () => {
+    it('emits changes made outside of a request without an origin by default', () => {
+      emitNoteEvent(eventBus, NOTE_EVENTS.UPDATED, { _id: 'note-id', user: ownerId });
+
+      expect(listener.firstCall.args[0]).to.deep.equal({
+        userIds: [String(ownerId)],
+        payload: { _id: 'note-id', user: ownerId },
+        originId: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const fs = require('fs/promises');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const JSZip = require('jszip');
+const Note = require('../src/models/Note');
+const Export = require('../src/models/Export');
+const { parseMarkdown } = require('../src/services/importService');
+const { requestExport } = require('../src/services/exportService');
+
+describe('exportService', () => {
+  describe('requestExport', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const createdAt = new Date('2024-03-01T10:00:00Z');
+    const updatedAt = new Date('2024-03-02T10:00:00Z');
+    let writeFile;
+    let pendingExport;
+
+    /**
+     * Reads back the archive the export wrote.
+     * @returns {Promise<JSZip>} - The archive.
+     */
+    const readArchive = () => JSZip.loadAsync(writeFile.firstCall.args[1]);
+
+    beforeEach(() => {
+      const notes = [
+        {
+          title: 'Trip: "Rome"/Naples', content: 'Pack', tags: ['travel'], createdAt, updatedAt,
+        },
+        {
+          title: 'trip: "rome"/naples', content: '', tags: [], createdAt, updatedAt,
+        },
+        {
+          title: ' ..', content: 'Nameless', tags: [], createdAt, updatedAt,
+        },
+      ];
+      sinon.stub(Note, 'countDocuments').resolves(notes.length);
+      sinon.stub(Note, 'find').returns({ sort: () => ({ lean: sinon.stub().resolves(notes) }) });
+      pendingExport = { _id: 'export-id', user: userId, set: sinon.spy() };
+      pendingExport.save = sinon.stub().resolves(pendingExport);
+      sinon.stub(Export, 'create').resolves(pendingExport);
+      sinon.stub(Export, 'findById').resolves(pendingExport);
+      sinon.stub(fs, 'mkdir').resolves();
+      writeFile = sinon.stub(fs, 'writeFile').resolves();
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('exports small accounts right away', async () => {
+      expect(await requestExport(userId)).to.equal(pendingExport);
+      expect(pendingExport.set.firstCall.args[0]).to.deep.include({
+        status: 'ready', noteCount: 3, error: null,
+      });
+      expect(pendingExport.set.firstCall.args[0].file).to.equal(writeFile.firstCall.args[0]);
+    });
+
+    it('names the files after the notes, safely and without duplicates', async () => {
+      await requestExport(userId);
+
+      expect(Object.keys((await readArchive()).files)).to.deep.equal([
+        'Trip- -Rome--Naples.md',
+        'trip- -rome--naples (2).md',
+        'Untitled.md',
+      ]);
+    });
+
+    it('writes files that import back to the same notes', async () => {
+      await requestExport(userId);
+
+      const file = (await readArchive()).file('Trip- -Rome--Naples.md');
+      expect(parseMarkdown(file.name, await file.async('string'))).to.deep.equal({
+        title: 'Trip: "Rome"/Naples', content: 'Pack', tags: ['travel'], createdAt, updatedAt,
+      });
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const JSZip = require('jszip');
+const Note = require('../src/models/Note');
+const NoteRevision = require('../src/models/NoteRevision');
+const {
+  parseMarkdown, parseKeepNote, parseFile, importFiles,
+} = require('../src/services/importService');
+
+describe('importService', () => {
+  describe('parseMarkdown', () => {
+    it('reads the title, tags and dates of the front matter', () => {
+      const parsed = parseMarkdown('file.md', [
+        '\uFEFF---',
+        'title: Trip',
+        'tags: [travel, plans]',
+        'created: 2024-01-02T03:04:05Z',
+        'updated: 2024-02-03T04:05:06Z',
+        '---',
+        '',
+        'Pack the bags.',
+      ].join('\r\n'));
+
+      expect(parsed).to.deep.equal({
+        title: 'Trip',
+        content: 'Pack the bags.',
+        tags: ['travel', 'plans'],
+        createdAt: new Date('2024-01-02T03:04:05Z'),
+        updatedAt: new Date('2024-02-03T04:05:06Z'),
+      });
+    });
+
+    it('takes the title from the file name without front matter', () => {
+      expect(parseMarkdown('folder/Shopping list.md', '- milk')).to.deep.equal({
+        title: 'Shopping list', content: '- milk', tags: [], createdAt: null, updatedAt: null,
+      });
+    });
+
+    it('ignores dates that are not valid', () => {
+      expect(parseMarkdown('a.md', '---\ndate: someday\n---\n').createdAt).to.equal(null);
+    });
+
+    it('refuses front matter that is not valid YAML', () => {
+      expect(() => parseMarkdown('a.md', '---\ntitle: [unclosed\n---\n'))
+        .to.throw(/^Invalid front matter/);
+    });
+  });
+
+  describe('parseKeepNote', () => {
+    it('turns checklists into task lists and labels into tags', () => {
+      const parsed = parseKeepNote('Keep/Groceries.json', JSON.stringify({
+        title: '',
+        listContent: [{ text: 'Eggs', isChecked: true }, { text: 'Bread', isChecked: false }],
+        labels: [{ name: 'Home' }],
+        createdTimestampUsec: 1700000000000000,
+        userEditedTimestampUsec: 1700000500000000,
+      }));
+
+      expect(parsed).to.deep.equal({
+        title: 'Groceries',
+        content: '- [x] Eggs\n- [ ] Bread',
+        tags: ['Home'],
+        createdAt: new Date(1700000000000),
+        updatedAt: new Date(1700000500000),
+      });
+    });
+
+    it('refuses JSON files that are not Keep notes', () => {
+      expect(() => parseKeepNote('a.json', '{"name": "package"}')).to.throw('Not a Google Keep note');
+      expect(() => parseKeepNote('a.json', '{')).to.throw('Invalid JSON');
+    });
+  });
+
+  describe('parseFile', () => {
+    it('parses files by their extension', () => {
+      expect(parseFile('A.TXT', Buffer.from('text')).content).to.equal('text');
+      expect(() => parseFile('a.pdf', Buffer.from(''))).to.throw('Unsupported file type');
+    });
+  });
+
+  describe('importFiles', () => {
+    const userId = new mongoose.Types.ObjectId();
+
+    beforeEach(() => {
+      sinon.stub(Note.prototype, 'save').resolvesThis();
+      sinon.stub(NoteRevision, 'create').resolves({});
+      sinon.stub(NoteRevision, 'find').returns({
+        sort: () => ({ skip: () => ({ select: sinon.stub().resolves([]) }) }),
+      });
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('imports every file of a zip archive on its own', async () => {
+      const zip = new JSZip();
+      zip.file('notes/First.md', '# First');
+      zip.file('notes/Broken.md', '---\ntitle: [\n---\n');
+      zip.file('notes/Keep.html', '<html></html>');
+      zip.file('__MACOSX/notes/._First.md', 'metadata');
+      zip.file('notes/.DS_Store', 'metadata');
+      const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+
+      const { results, notes } = await importFiles(userId, [
+        { originalname: 'notes.zip', buffer },
+        { originalname: 'Second.txt', buffer: Buffer.from('Second') },
+      ]);
+
+      expect(results.map(({ name, status }) => [name, status])).to.deep.equal([
+        ['notes.zip/notes/First.md', 'imported'],
+        ['notes.zip/notes/Broken.md', 'failed'],
+        ['Second.txt', 'imported'],
+      ]);
+      expect(notes.map((note) => note.title)).to.deep.equal(['First', 'Second']);
+      expect(notes[0].user).to.deep.equal(userId);
+      expect(NoteRevision.create.callCount).to.equal(2);
+    });
+
+    it('reports archives that cannot be read', async () => {
+      const { results } = await importFiles(userId, [
+        { originalname: 'notes.zip', buffer: Buffer.from('not a zip') },
+      ]);
+
+      expect(results).to.deep.equal([
+        { name: 'notes.zip', status: 'failed', error: 'Invalid zip archive' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const { expect } = require('chai');
+const fs = require('fs/promises');
+const sinon = require('sinon');
+const { jobProcessors } = require('../src/jobs');
+const { JOB_TYPES } = require('../src/services/queue');
+const Export = require('../src/models/Export');
+const Note = require('../src/models/Note');
+const NoteRevision = require('../src/models/NoteRevision');
+const ShareLink = require('../src/models/ShareLink');
+const Tombstone = require('../src/models/Tombstone');
+
+describe('jobs', () => {
+  beforeEach(() => {
+    sinon.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('export processor', () => {
+    const processExport = jobProcessors[JOB_TYPES.EXPORT_NOTES];
+    const job = (attemptsMade) => ({ data: { exportId: 'export-id' }, opts: { attempts: 3 }, attemptsMade });
+
+    it('skips an export that no longer exists', async () => {
+      sinon.stub(Export, 'findById').resolves(null);
+
+      expect(await processExport(job(0))).to.deep.equal({});
+    });
+
+    it('leaves the export pending when an attempt fails before the last one', async () => {
+      sinon.stub(Export, 'findById').rejects(new Error('boom'));
+      const failExport = sinon.stub(Export, 'findByIdAndUpdate').resolves(null);
+
+      const error = await processExport(job(1)).catch((caught) => caught);
+
+      expect(error.message).to.equal('boom');
+      expect(failExport.called).to.equal(false);
+    });
+
+    it('marks the export as failed when the last attempt fails', async () => {
+      sinon.stub(Export, 'findById').rejects(new Error('boom'));
+      const failExport = sinon.stub(Export, 'findByIdAndUpdate').resolves(null);
+
+      const error = await processExport(job(2)).catch((caught) => caught);
+
+      expect(error.message).to.equal('boom');
+      expect(failExport.calledOnceWith('export-id', { status: 'failed', error: 'boom' })).to.equal(true);
+    });
+  });
+
+  describe('purge processor', () => {
+    const purgeTrash = jobProcessors[JOB_TYPES.PURGE_TRASH];
+    const trashedNotes = [{ _id: 'note-1', user: 'user-id', collaborators: [] }];
+    let findNotes;
+
+    beforeEach(() => {
+      findNotes = sinon.stub(Note, 'find').returns({ select: sinon.stub().resolves(trashedNotes) });
+      sinon.stub(Note, 'deleteMany').resolves({});
+      sinon.stub(NoteRevision, 'deleteMany').resolves({});
+      sinon.stub(ShareLink, 'deleteMany').resolves({});
+      sinon.stub(Tombstone, 'create').resolves([]);
+      sinon.stub(Export, 'find').resolves([]);
+      sinon.stub(Export, 'deleteMany').resolves({});
+    });
+
+    it('purges the notes trashed before the retention period', async () => {
+      const now = Date.now();
+
+      expect(await purgeTrash({ data: { retentionDays: 7 } }))
+        .to.deep.equal({ purged: 1, expiredExports: 0 });
+
+      const { deletedAt } = findNotes.firstCall.args[0];
+      const retention = now - deletedAt.$lt.getTime();
+      expect(deletedAt.$ne).to.equal(null);
+      expect(retention).to.be.within(7 * 24 * 60 * 60 * 1000 - 1000, 7 * 24 * 60 * 60 * 1000);
+    });
+
+    it('deletes the revisions and share links of the purged notes and leaves tombstones', async () => {
+      await purgeTrash({ data: {} });
+
+      expect(NoteRevision.deleteMany.calledOnceWith({ note: { $in: ['note-1'] } })).to.equal(true);
+      expect(ShareLink.deleteMany.calledOnceWith({ note: { $in: ['note-1'] } })).to.equal(true);
+      expect(Tombstone.create.calledOnce).to.equal(true);
+    });
+
+    it('deletes the expired exports and their archives', async () => {
+      const expiredExports = [{ _id: 'export-1', file: '/exports/one.zip' }, { _id: 'export-2', file: null }];
+      Export.find.resolves(expiredExports);
+      const removeFile = sinon.stub(fs, 'rm').resolves();
+
+      expect(await purgeTrash({ data: {} })).to.deep.include({ expiredExports: 2 });
+
+      expect(Export.find.firstCall.args[0].expiresAt.$lte).to.be.an.instanceOf(Date);
+      expect(removeFile.calledOnceWith('/exports/one.zip', { force: true })).to.equal(true);
+      expect(Export.deleteMany.calledOnceWith({ _id: { $in: ['export-1', 'export-2'] } })).to.equal(true);
+    });
+  });
+
+  describe('search index processor', () => {
+    const rebuildSearchIndex = jobProcessors[JOB_TYPES.REBUILD_SEARCH_INDEX];
+
+    it('drops the text index and creates the indexes of the Note schema again', async () => {
+      sinon.stub(Note.collection, 'indexExists').resolves(true);
+      const dropIndex = sinon.stub(Note.collection, 'dropIndex').resolves();
+      const createIndexes = sinon.stub(Note, 'createIndexes').resolves();
+
+      expect(await rebuildSearchIndex({ data: {} })).to.deep.equal({});
+
+      expect(dropIndex.calledOnceWith('note_text')).to.equal(true);
+      expect(createIndexes.calledAfter(dropIndex)).to.equal(true);
+    });
+
+    it('creates the text index when it does not exist yet', async () => {
+      sinon.stub(Note.collection, 'indexExists').resolves(false);
+      const dropIndex = sinon.stub(Note.collection, 'dropIndex').resolves();
+      const createIndexes = sinon.stub(Note, 'createIndexes').resolves();
+
+      await rebuildSearchIndex({ data: {} });
+
+      expect(dropIndex.called).to.equal(false);
+      expect(createIndexes.calledOnce).to.equal(true);
+    });
+  });
+});
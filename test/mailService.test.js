@@ -0,0 +1,108 @@
+const { expect } = require('chai');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const {
+  createConsoleTransport,
+  createFileTransport,
+  createMailTransport,
+  setMailTransport,
+  sendMail,
+} = require('../src/services/mailService');
+
+describe('mailService', () => {
+  const message = {
+    from: 'Anchor <no-reply@localhost>',
+    to: 'user@example.com',
+    subject: 'Verify your email address',
+    text: 'Open this link to verify your email address.',
+  };
+
+  afterEach(() => {
+    sinon.restore();
+    setMailTransport(null);
+  });
+
+  describe('console transport', () => {
+    it('prints the recipient, subject and body of a message', async () => {
+      const log = sinon.stub(console, 'log');
+
+      const { messageId } = await createConsoleTransport().sendMail(message);
+
+      expect(messageId).to.be.a('string');
+      expect(log.calledOnce).to.equal(true);
+      expect(log.firstCall.args[0]).to.include('Email to user@example.com: Verify your email address')
+        .and.to.include(message.text);
+    });
+  });
+
+  describe('file transport', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'anchor-mail-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('writes every message as a JSON file', async () => {
+      const transport = createFileTransport(path.join(directory, 'mail'));
+
+      const { messageId } = await transport.sendMail(message);
+
+      const files = await fs.readdir(path.join(directory, 'mail'));
+      expect(files).to.have.lengthOf(1);
+      expect(files[0]).to.match(new RegExp(`^\\d+-${messageId}\\.json$`));
+      const written = JSON.parse(await fs.readFile(path.join(directory, 'mail', files[0]), 'utf8'));
+      expect(written).to.deep.include({ messageId, ...message });
+    });
+  });
+
+  describe('createMailTransport', () => {
+    const previousEnv = { ...process.env };
+
+    afterEach(() => {
+      ['MAIL_TRANSPORT', 'SMTP_URL'].forEach((name) => {
+        if (previousEnv[name] === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = previousEnv[name];
+        }
+      });
+    });
+
+    it('prints messages by default', () => {
+      delete process.env.MAIL_TRANSPORT;
+
+      expect(createMailTransport().sendMail).to.be.a('function');
+    });
+
+    it('needs SMTP_URL to send over SMTP', () => {
+      process.env.MAIL_TRANSPORT = 'smtp';
+      delete process.env.SMTP_URL;
+
+      expect(() => createMailTransport()).to.throw('SMTP_URL must be set');
+    });
+
+    it('refuses unknown transports', () => {
+      process.env.MAIL_TRANSPORT = 'pigeon';
+
+      expect(() => createMailTransport()).to.throw('Unknown mail transport: pigeon');
+    });
+  });
+
+  describe('sendMail', () => {
+    it('sends a message from the app through the shared transport', async () => {
+      const transport = { sendMail: sinon.stub().resolves({ messageId: 'id' }) };
+      setMailTransport(transport);
+
+      const { to, subject, text } = message;
+      expect(await sendMail({ to, subject, text })).to.deep.equal({ messageId: 'id' });
+      expect(transport.sendMail.firstCall.args[0]).to.deep.include({ to, subject, text })
+        .and.to.have.property('from');
+    });
+  });
+});
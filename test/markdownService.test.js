@@ -0,0 +1,83 @@
+const { expect } = require('chai');
+const { renderMarkdown, renderPreview, extractTasks } = require('../src/services/markdownService');
+
+describe('markdownService', () => {
+  describe('renderMarkdown', () => {
+    it('escapes raw HTML instead of rendering it', () => {
+      const html = renderMarkdown('<script>alert(1)</script>\n\n<img src=x onerror="alert(1)">');
+
+      expect(html).not.to.include('<script');
+      expect(html).not.to.include('<img');
+      expect(html).to.include('&lt;script&gt;');
+    });
+
+    it('leaves out links to scripts', () => {
+      const html = renderMarkdown('[click](javascript:alert(1))');
+
+      expect(html).not.to.include('href');
+    });
+
+    it('opens links to other sites safely and links within the app in place', () => {
+      const html = renderMarkdown('[site](https://example.com) [note](/notes/1)');
+
+      expect(html).to.include(
+        '<a href="https://example.com" target="_blank" rel="noopener noreferrer nofollow">site</a>',
+      );
+      expect(html).to.include('<a href="/notes/1">note</a>');
+    });
+
+    it('highlights fenced code by language', () => {
+      const html = renderMarkdown('```js\nconst a = 1;\n```');
+
+      expect(html).to.include('<code class="hljs language-js">');
+      expect(html).to.include('<span class="hljs-keyword">const</span>');
+    });
+
+    it('renders math with KaTeX', () => {
+      const html = renderMarkdown('$x^2$');
+
+      expect(html).to.include('class="katex"');
+      expect(html).to.include('<annotation encoding="application/x-tex">x^2</annotation>');
+    });
+
+    it('renders task list items as disabled checkboxes', () => {
+      const html = renderMarkdown('- [x] done\n- [ ] open');
+
+      expect(html).to.include('<input class="task-list-item-checkbox" checked disabled type="checkbox" /> done');
+      expect(html).to.include('<input class="task-list-item-checkbox" disabled type="checkbox" /> open');
+    });
+  });
+
+  describe('renderPreview', () => {
+    it('renders the text of the content without markup, on one line', () => {
+      expect(renderPreview('# Title\n\nSome **bold** text & `code`')).to.equal(
+        'Title Some bold text & code',
+      );
+    });
+
+    it('keeps raw HTML as the text it is shown as', () => {
+      expect(renderPreview('Use <b>tags</b>')).to.equal('Use <b>tags</b>');
+    });
+
+    it('cuts long previews', () => {
+      const preview = renderPreview('word '.repeat(40));
+
+      expect(preview).to.have.length(103);
+      expect(preview).to.match(/^word .*\.\.\.$/);
+    });
+  });
+
+  describe('extractTasks', () => {
+    it('parses the text, state and line of each task', () => {
+      expect(extractTasks('- [ ] Buy *milk*\n- [x] Call Bob\n\n> 1. [X] Quoted')).to.deep.equal([
+        { text: 'Buy milk', done: false, line: 0 },
+        { text: 'Call Bob', done: true, line: 1 },
+        { text: 'Quoted', done: true, line: 3 },
+      ]);
+    });
+
+    it('ignores tasks in code and list items without a checkbox', () => {
+      expect(extractTasks('```\n- [ ] In code\n```\n\n    - [ ] Indented\n\n- Plain item')).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const { updateNote, updateTask } = require('../src/controllers/noteController');
+const Note = require('../src/models/Note');
+const NoteRevision = require('../src/models/NoteRevision');
+const { NOTE_EVENTS, createEventBus } = require('../src/services/eventBus');
+
+/**
+ * Builds a response recording what the controller answers.
+ * @returns {Object} - The response.
+ */
+const createResponse = () => {
+  const res = { headers: {} };
+  res.set = (name, value) => Object.assign(res.headers, { [name]: value }) && res;
+  res.status = (statusCode) => Object.assign(res, { statusCode });
+  res.json = (body) => Object.assign(res, { body });
+  return res;
+};
+
+describe('noteController', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const viewerId = new mongoose.Types.ObjectId();
+  const note = {
+    _id: new mongoose.Types.ObjectId(),
+    user: userId,
+    collaborators: [{ user: viewerId, role: 'viewer' }],
+    title: 'Trip',
+    content: '- [ ] Pack',
+    version: 3,
+  };
+  let published;
+
+  /**
+   * Builds a request of the owner of the note.
+   * @param {Object} [fields={}] - The fields of the request, such as `body`.
+   * @param {Object} [headers={}] - The headers of the request.
+   * @returns {Object} - The request.
+   */
+  const createRequest = (fields = {}, headers = {}) => {
+    const eventBus = createEventBus();
+    eventBus.on(NOTE_EVENTS.UPDATED, published);
+    return {
+      session: { user: { id: userId } },
+      params: { id: String(note._id) },
+      body: {},
+      get: (name) => headers[name],
+      app: { get: () => eventBus },
+      ...fields,
+    };
+  };
+
+  beforeEach(() => {
+    published = sinon.spy();
+    sinon.stub(Note, 'findOne').resolves(note);
+    sinon.stub(NoteRevision, 'findOne').returns({ sort: sinon.stub().resolves(null) });
+    sinon.stub(NoteRevision, 'create').resolves({});
+    sinon.stub(NoteRevision, 'find').returns({
+      sort: () => ({ skip: () => ({ select: sinon.stub().resolves([]) }) }),
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('updateNote', () => {
+    it('saves the note at the version the client loaded and answers its new entity tag', async () => {
+      const updatedNote = { ...note, content: 'Packed', version: 4 };
+      const update = sinon.stub(Note, 'findOneAndUpdate').resolves(updatedNote);
+      const res = createResponse();
+
+      await updateNote(createRequest({ body: { content: 'Packed' } }, { 'If-Match': '"3"' }), res);
+
+      expect(update.firstCall.args[0]).to.deep.equal({ _id: note._id, version: 3 });
+      expect(res.body).to.equal(updatedNote);
+      expect(res.headers.ETag).to.equal('"4"');
+      expect(published.calledOnce).to.equal(true);
+    });
+
+    it('answers a 409 with the current note when it was changed since it was loaded', async () => {
+      const currentNote = { ...note, content: 'Changed elsewhere', version: 5 };
+      sinon.stub(Note, 'findOneAndUpdate').resolves(null);
+      Note.findOne.onSecondCall().resolves(currentNote);
+      const res = createResponse();
+
+      await updateNote(createRequest({ body: { content: 'Packed', version: 3 } }), res);
+
+      expect(res.statusCode).to.equal(409);
+      expect(res.headers.ETag).to.equal('"5"');
+      expect(res.body).to.deep.equal({
+        error: 'The note has been changed since it was loaded',
+        note: currentNote,
+      });
+      expect(published.called).to.equal(false);
+    });
+
+    it('does not let viewers edit the note', async () => {
+      const update = sinon.stub(Note, 'findOneAndUpdate');
+      const res = createResponse();
+
+      await updateNote(createRequest({
+        session: { user: { id: viewerId } }, body: { content: 'Packed' },
+      }), res);
+
+      expect(res.statusCode).to.equal(403);
+      expect(update.called).to.equal(false);
+    });
+  });
+
+  describe('updateTask', () => {
+    it('answers a 409 when the task list was changed since it was rendered', async () => {
+      const update = sinon.stub(Note, 'findOneAndUpdate');
+      const res = createResponse();
+
+      await updateTask(createRequest({
+        params: { id: String(note._id), index: '0' }, body: { done: true },
+      }, { 'If-Match': 'W/"2"' }), res);
+
+      expect(res.statusCode).to.equal(409);
+      expect(res.headers.ETag).to.equal('"3"');
+      expect(update.called).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const Note = require('../src/models/Note');
+const Counter = require('../src/models/Counter');
+
+/**
+ * Runs the pre hooks of a Note operation, as Mongoose does before sending it to the database.
+ * @param {string} name - The name of the operation, such as `save` or `findOneAndUpdate`.
+ * @param {Object} context - The document being saved, or the query being run.
+ * @returns {Promise<void>}
+ */
+const runPreHooks = (name, context) => new Promise((resolve, reject) => {
+  Note.schema.s.hooks.execPre(name, context, [{}], (error) => (error ? reject(error) : resolve()));
+});
+
+describe('note model', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    sinon.stub(Counter, 'nextValue').resolves(1);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  /**
+   * Runs the pre hooks of an update of a note and returns what it sets.
+   * @param {Object} update - The update.
+   * @param {Object|null} [storedNote=null] - The note as stored, read by the hooks if needed.
+   * @returns {Promise<Object>} - The update sent to the database.
+   */
+  const runUpdate = async (update, storedNote = null) => {
+    sinon.stub(Note, 'findOne').returns({ select: sinon.stub().resolves(storedNote) });
+    const query = Note.findOneAndUpdate({ _id: new mongoose.Types.ObjectId() }, update);
+    await runPreHooks('findOneAndUpdate', query);
+    return query.getUpdate();
+  };
+
+  describe('tags', () => {
+    it('adds the hashtags of the content of a new note to its manual tags', async () => {
+      const note = new Note({ user: userId, content: 'Plan the #Trip', manualTags: ['travel'] });
+
+      await runPreHooks('save', note);
+
+      expect([...note.tags]).to.deep.equal(['travel', 'trip']);
+      expect([...note.manualTags]).to.deep.equal(['travel']);
+    });
+
+    it('drops the tag of a hashtag deleted from the content', async () => {
+      const update = await runUpdate(
+        { content: 'Plan the trip' },
+        { content: 'Plan the #trip', tags: ['travel', 'trip'], manualTags: ['travel'] },
+      );
+
+      expect(update.$set.tags).to.deep.equal(['travel']);
+    });
+
+    it('keeps the hashtags of the content when the manual tags change', async () => {
+      const update = await runUpdate(
+        { manualTags: ['work'] },
+        { content: 'Plan the #trip', tags: ['travel', 'trip'], manualTags: ['travel'] },
+      );
+
+      expect(update.$set).to.deep.include({ manualTags: ['work'], tags: ['work', 'trip'] });
+      expect(Note.findOne.calledOnce).to.equal(true);
+    });
+
+    it('works out the tags without reading the note when the update sets both', async () => {
+      const update = await runUpdate({ content: '#idea', manualTags: ['work'] });
+
+      expect(update.$set.tags).to.deep.equal(['work', 'idea']);
+      expect(Note.findOne.called).to.equal(false);
+    });
+
+    it('counts the tags of older notes that are not hashtags of their content as manual', async () => {
+      const update = await runUpdate(
+        { content: 'Plan the trip' },
+        { content: 'Plan the #trip', tags: ['travel', 'trip'] },
+      );
+
+      expect(update.$set).to.deep.include({ manualTags: ['travel'], tags: ['travel'] });
+    });
+
+    it('leaves the tags alone when an update sets neither the content nor the manual tags', async () => {
+      const update = await runUpdate({ title: 'Trip' });
+
+      expect(update).not.to.have.nested.property('$set.tags');
+      expect(Note.findOne.called).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { getNoteETag, getBaseVersion, updateNote } = require('../src/services/noteService');
+const Note = require('../src/models/Note');
+
+describe('noteService', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('getNoteETag', () => {
+    it('quotes the version of the note', () => {
+      expect(getNoteETag({ version: 4 })).to.equal('"4"');
+    });
+  });
+
+  describe('getBaseVersion', () => {
+    /**
+     * Builds a request with the given `If-Match` header and body.
+     * @param {string} [ifMatch] - The `If-Match` header.
+     * @param {Object} [body={}] - The body.
+     * @returns {Object} - The request.
+     */
+    const createRequest = (ifMatch, body = {}) => ({
+      body,
+      get: (name) => (name === 'If-Match' ? ifMatch : undefined),
+    });
+
+    it('reads the version of the `If-Match` header, weak or strong', () => {
+      expect(getBaseVersion(createRequest('"7"'))).to.equal(7);
+      expect(getBaseVersion(createRequest('W/"7"'))).to.equal(7);
+    });
+
+    it('prefers the `If-Match` header to the `version` field', () => {
+      expect(getBaseVersion(createRequest('"7"', { version: 3 }))).to.equal(7);
+    });
+
+    it('reads the `version` field without an `If-Match` header', () => {
+      expect(getBaseVersion(createRequest(undefined, { version: '3' }))).to.equal(3);
+    });
+
+    it('finds no version when the client sent none it could be read from', () => {
+      expect(getBaseVersion(createRequest('*'))).to.equal(null);
+      expect(getBaseVersion(createRequest(undefined, { version: 'latest' }))).to.equal(null);
+      expect(getBaseVersion({ get: () => undefined })).to.equal(null);
+    });
+  });
+
+  describe('updateNote', () => {
+    const note = { _id: 'note-id', content: 'Plan the #trip' };
+
+    it('updates the fields sent and increments the version', async () => {
+      const update = sinon.stub(Note, 'findOneAndUpdate').resolves({ _id: 'note-id', version: 2 });
+
+      expect(await updateNote(note, { title: 'Trip', notebook: null }, null))
+        .to.deep.equal({ note: { _id: 'note-id', version: 2 }, currentNote: null });
+      expect(update.firstCall.args).to.deep.equal([
+        { _id: 'note-id' },
+        { title: 'Trip', notebook: null, $inc: { version: 1 } },
+        { new: true },
+      ]);
+    });
+
+    it('replaces the manual tags with the tags sent that are not hashtags', async () => {
+      const update = sinon.stub(Note, 'findOneAndUpdate').resolves({ _id: 'note-id' });
+
+      await updateNote(note, { content: 'Plan the trip', tags: ['travel', 'trip'] }, null);
+
+      expect(update.firstCall.args[1]).to.deep.include({ content: 'Plan the trip', manualTags: ['travel'] });
+    });
+
+    it('updates the note only if it is still at the base version', async () => {
+      const update = sinon.stub(Note, 'findOneAndUpdate').resolves({ _id: 'note-id', version: 4 });
+
+      await updateNote(note, { content: 'Plan' }, 3);
+
+      expect(update.firstCall.args[0]).to.deep.equal({ _id: 'note-id', version: 3 });
+    });
+
+    it('returns the current note when it was changed since the base version', async () => {
+      sinon.stub(Note, 'findOneAndUpdate').resolves(null);
+      sinon.stub(Note, 'findOne').resolves({ _id: 'note-id', version: 5 });
+
+      expect(await updateNote(note, { content: 'Plan' }, 3))
+        .to.deep.equal({ note: null, currentNote: { _id: 'note-id', version: 5 } });
+    });
+
+    it('returns no note when the note no longer exists', async () => {
+      sinon.stub(Note, 'findOneAndUpdate').resolves(null);
+      sinon.stub(Note, 'findOne').resolves(null);
+
+      expect(await updateNote(note, { content: 'Plan' }, 3)).to.deep.equal({ note: null, currentNote: null });
+      expect(await updateNote(note, { content: 'Plan' }, null)).to.deep.equal({ note: null, currentNote: null });
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const Note = require('../src/models/Note');
+const Notebook = require('../src/models/Notebook');
+const {
+  resolveNotebookId, listNotebooks, getDescendantIds, canMoveNotebook, deleteNotebook,
+} = require('../src/services/notebookService');
+
+describe('notebookService', () => {
+  const userId = new mongoose.Types.ObjectId();
+  // work > projects > archive, and personal on its own.
+  const work = new mongoose.Types.ObjectId();
+  const projects = new mongoose.Types.ObjectId();
+  const archive = new mongoose.Types.ObjectId();
+  const personal = new mongoose.Types.ObjectId();
+  const parents = new Map([[projects, work], [archive, projects], [personal, null]]);
+
+  /**
+   * Makes the notebook queries find the children of the notebooks of the tree above.
+   */
+  const stubTree = () => {
+    sinon.stub(Notebook, 'find').callsFake(({ parent }) => ({
+      select: sinon.stub().resolves([...parents]
+        .filter(([, parentId]) => parentId && parent.$in.map(String).includes(String(parentId)))
+        .map(([_id]) => ({ _id }))),
+    }));
+  };
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('getDescendantIds', () => {
+    it('collects the notebooks nested at any depth', async () => {
+      stubTree();
+
+      expect(await getDescendantIds(userId, work)).to.deep.equal([projects, archive]);
+      expect(await getDescendantIds(userId, archive)).to.deep.equal([]);
+    });
+  });
+
+  describe('canMoveNotebook', () => {
+    it('refuses to move a notebook under itself or one of its descendants', async () => {
+      stubTree();
+
+      expect(await canMoveNotebook(userId, work, work)).to.equal(false);
+      expect(await canMoveNotebook(userId, work, String(archive))).to.equal(false);
+    });
+
+    it('lets a notebook move anywhere else, including the top level', async () => {
+      stubTree();
+
+      expect(await canMoveNotebook(userId, projects, personal)).to.equal(true);
+      expect(await canMoveNotebook(userId, archive, null)).to.equal(true);
+    });
+  });
+
+  describe('resolveNotebookId', () => {
+    it('leaves notes unfiled without a notebook and refuses notebooks of others', async () => {
+      sinon.stub(Notebook, 'findOne').resolves(null);
+
+      expect(await resolveNotebookId(userId, '')).to.equal(null);
+      const error = await resolveNotebookId(userId, String(work)).catch((caught) => caught);
+      expect(error.message).to.equal('Notebook not found');
+      expect(Notebook.findOne.firstCall.args[0]).to.deep.equal({ _id: String(work), user: userId });
+    });
+  });
+
+  describe('listNotebooks', () => {
+    it('counts the notes directly in each notebook', async () => {
+      sinon.stub(Notebook, 'find').returns({
+        sort: () => ({ lean: sinon.stub().resolves([{ _id: work }, { _id: personal }]) }),
+      });
+      sinon.stub(Note, 'aggregate').resolves([{ _id: work, count: 3 }]);
+
+      expect(await listNotebooks(userId)).to.deep.equal([
+        { _id: work, noteCount: 3 },
+        { _id: personal, noteCount: 0 },
+      ]);
+    });
+  });
+
+  describe('deleteNotebook', () => {
+    it('moves the notes and child notebooks to the target when reassigning', async () => {
+      const noteId = new mongoose.Types.ObjectId();
+      sinon.stub(Note, 'find').returns({ select: sinon.stub().resolves([{ _id: noteId }]) });
+      const moveNotes = sinon.stub(Note, 'updateMany').resolves({});
+      const moveNotebooks = sinon.stub(Notebook, 'updateMany').resolves({});
+      const remove = sinon.stub(Notebook, 'deleteOne').resolves({});
+
+      const result = await deleteNotebook(userId, { _id: projects }, {
+        mode: 'reassign', targetId: personal,
+      });
+
+      expect(result).to.deep.equal({ deletedNoteIds: [], movedNoteIds: [noteId] });
+      expect(moveNotes.firstCall.args).to.deep.equal([
+        { _id: { $in: [noteId] } },
+        { notebook: personal, $inc: { version: 1 } },
+      ]);
+      expect(moveNotebooks.firstCall.args).to.deep.equal([
+        { user: userId, parent: projects }, { parent: personal },
+      ]);
+      expect(remove.calledOnceWith({ _id: projects })).to.equal(true);
+    });
+  });
+});
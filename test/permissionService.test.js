@@ -0,0 +1,119 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const Note = require('../src/models/Note');
+const User = require('../src/models/User');
+const Tombstone = require('../src/models/Tombstone');
+const {
+  getNoteRole, canEdit, getNoteUserIds, findAccessibleNote,
+} = require('../src/services/permissionService');
+const { addCollaborator, removeCollaborator } = require('../src/services/collaboratorService');
+
+describe('permissionService', () => {
+  const ownerId = new mongoose.Types.ObjectId();
+  const editorId = new mongoose.Types.ObjectId();
+  const viewerId = new mongoose.Types.ObjectId();
+  const note = {
+    _id: new mongoose.Types.ObjectId(),
+    user: ownerId,
+    collaborators: [{ user: editorId, role: 'editor' }, { user: viewerId, role: 'viewer' }],
+  };
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('getNoteRole', () => {
+    it('tells the owner, editors, viewers and other users apart', () => {
+      expect(getNoteRole(note, String(ownerId))).to.equal('owner');
+      expect(getNoteRole(note, editorId)).to.equal('editor');
+      expect(getNoteRole(note, viewerId)).to.equal('viewer');
+      expect(getNoteRole(note, new mongoose.Types.ObjectId())).to.equal(null);
+    });
+  });
+
+  describe('canEdit', () => {
+    it('lets owners and editors edit, but not viewers', () => {
+      expect(['owner', 'editor', 'viewer', null].map(canEdit))
+        .to.deep.equal([true, true, false, false]);
+    });
+  });
+
+  describe('getNoteUserIds', () => {
+    it('lists the owner and the collaborators, populated or not', () => {
+      const populated = { ...note, user: { _id: ownerId, username: 'ada' } };
+
+      expect(getNoteUserIds(populated))
+        .to.deep.equal([String(ownerId), String(editorId), String(viewerId)]);
+    });
+  });
+
+  describe('findAccessibleNote', () => {
+    it('finds the note among those the user owns or collaborates on, with their role', async () => {
+      const findOne = sinon.stub(Note, 'findOne').resolves(note);
+
+      expect(await findAccessibleNote(viewerId, String(note._id)))
+        .to.deep.equal({ note, role: 'viewer' });
+      expect(findOne.firstCall.args[0].$or).to.deep.equal([
+        { user: viewerId }, { 'collaborators.user': viewerId },
+      ]);
+    });
+
+    it('finds nothing for IDs that are not valid or notes the user has no access to', async () => {
+      const findOne = sinon.stub(Note, 'findOne').resolves(null);
+
+      expect(await findAccessibleNote(viewerId, 'not-an-id')).to.equal(null);
+      expect(findOne.called).to.equal(false);
+      expect(await findAccessibleNote(viewerId, String(note._id))).to.equal(null);
+    });
+  });
+
+  describe('sharing a note', () => {
+    it('adds a collaborator by username or email', async () => {
+      const user = { _id: new mongoose.Types.ObjectId() };
+      sinon.stub(User, 'findOne').resolves(user);
+      const update = sinon.stub(Note, 'findOneAndUpdate').resolves(note);
+
+      await addCollaborator(note, ' grace@example.com ', 'viewer');
+
+      expect(User.findOne.firstCall.args[0]).to.deep.equal({
+        $or: [{ username: 'grace@example.com' }, { email: 'grace@example.com' }],
+      });
+      expect(update.firstCall.args[1]).to.deep.equal({
+        $push: { collaborators: { user: user._id, role: 'viewer' } },
+      });
+    });
+
+    it('changes the role of a user who already collaborates on the note', async () => {
+      sinon.stub(User, 'findOne').resolves({ _id: viewerId });
+      const update = sinon.stub(Note, 'findOneAndUpdate').resolves(note);
+
+      await addCollaborator(note, 'grace', 'editor');
+
+      expect(update.firstCall.args[1]).to.deep.equal({
+        $set: { 'collaborators.$[entry].role': 'editor' },
+      });
+    });
+
+    it('refuses unknown roles and the owner of the note', async () => {
+      sinon.stub(User, 'findOne').resolves({ _id: ownerId });
+
+      const roleError = await addCollaborator(note, 'ada', 'owner').catch((error) => error);
+      const ownerError = await addCollaborator(note, 'ada', 'editor').catch((error) => error);
+
+      expect(roleError.message).to.equal('The role must be one of: viewer, editor');
+      expect(ownerError.message).to.equal('The owner of a note cannot be a collaborator');
+    });
+
+    it('leaves a tombstone for the removed collaborator only', async () => {
+      sinon.stub(Note, 'findOneAndUpdate').resolves(note);
+      const create = sinon.stub(Tombstone, 'create').resolves([]);
+
+      await removeCollaborator(note, String(viewerId));
+
+      expect(create.firstCall.args[0]).to.deep.equal([
+        { note: note._id, users: [String(viewerId)] },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { getBackoffDelay, createMemoryQueue } = require('../src/services/queue');
+
+/**
+ * Lets the promises started by the fake timers settle.
+ * @returns {Promise<void>}
+ */
+const flush = () => new Promise((resolve) => {
+  setImmediate(resolve);
+});
+
+describe('queue', () => {
+  describe('getBackoffDelay', () => {
+    it('doubles an exponential backoff after every attempt', () => {
+      const backoff = { type: 'exponential', delay: 1000 };
+
+      expect([1, 2, 3].map((attempts) => getBackoffDelay(backoff, attempts)))
+        .to.deep.equal([1000, 2000, 4000]);
+    });
+
+    it('keeps a fixed backoff', () => {
+      expect(getBackoffDelay({ type: 'fixed', delay: 500 }, 3)).to.equal(500);
+      expect(getBackoffDelay(500, 3)).to.equal(500);
+    });
+
+    it('retries right away without a backoff', () => {
+      expect(getBackoffDelay(undefined, 2)).to.equal(0);
+    });
+  });
+
+  describe('createMemoryQueue', () => {
+    let clock;
+    let queue;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+      queue = createMemoryQueue('test', {
+        defaultJobOptions: { attempts: 3, backoff: { type: 'exponential', delay: 1000 } },
+      });
+    });
+
+    afterEach(async () => {
+      await queue.close();
+      clock.restore();
+    });
+
+    it('runs a job and emits its result', async () => {
+      const completed = sinon.spy();
+      queue.on('completed', completed);
+      queue.process('job', async (job) => ({ doubled: job.data.value * 2 }));
+
+      await queue.add('job', { value: 21 });
+      clock.tick(0);
+      await flush();
+
+      expect(completed.calledOnce).to.equal(true);
+      expect(completed.firstCall.args[1]).to.deep.equal({ doubled: 42 });
+    });
+
+    it('runs jobs added before their processor once it is registered', async () => {
+      const processor = sinon.stub().resolves({});
+
+      await queue.add('job');
+      clock.tick(0);
+      queue.process('job', processor);
+      await flush();
+
+      expect(processor.calledOnce).to.equal(true);
+    });
+
+    it('retries a failing job with an exponential backoff', async () => {
+      const processor = sinon.stub().rejects(new Error('boom'));
+      queue.process('job', processor);
+
+      await queue.add('job');
+      clock.tick(0);
+      await flush();
+      expect(processor.callCount).to.equal(1);
+
+      clock.tick(999);
+      await flush();
+      expect(processor.callCount).to.equal(1);
+      clock.tick(1);
+      await flush();
+      expect(processor.callCount).to.equal(2);
+
+      clock.tick(1999);
+      await flush();
+      expect(processor.callCount).to.equal(2);
+      clock.tick(1);
+      await flush();
+      expect(processor.callCount).to.equal(3);
+    });
+
+    it('gives up on a job after its last attempt', async () => {
+      const failed = sinon.spy();
+      queue.on('failed', failed);
+      queue.process('job', sinon.stub().rejects(new Error('boom')));
+
+      await queue.add('job');
+      clock.tick(0);
+      await flush();
+      clock.tick(1000);
+      await flush();
+      clock.tick(2000);
+      await flush();
+      clock.tick(60000);
+      await flush();
+
+      expect(failed.callCount).to.equal(3);
+      expect(failed.lastCall.args[0].attemptsMade).to.equal(3);
+      expect(failed.lastCall.args[1].message).to.equal('boom');
+    });
+
+    it('stops retrying once a job succeeds', async () => {
+      const processor = sinon.stub();
+      processor.onFirstCall().rejects(new Error('boom'));
+      processor.resolves({});
+      const completed = sinon.spy();
+      queue.on('completed', completed);
+      queue.process('job', processor);
+
+      await queue.add('job');
+      clock.tick(0);
+      await flush();
+      clock.tick(1000);
+      await flush();
+      clock.tick(60000);
+      await flush();
+
+      expect(processor.callCount).to.equal(2);
+      expect(completed.calledOnce).to.equal(true);
+    });
+
+    it('ignores a job whose ID is already queued', async () => {
+      const processor = sinon.stub().resolves({});
+      queue.process('job', processor);
+
+      await queue.add('job', {}, { jobId: 'once' });
+      await queue.add('job', {}, { jobId: 'once' });
+      clock.tick(0);
+      await flush();
+
+      expect(processor.calledOnce).to.equal(true);
+    });
+
+    it('runs a job that repeats every interval again once it is done', async () => {
+      const processor = sinon.stub().resolves({});
+      queue.process('job', processor);
+
+      await queue.add('job', {}, { jobId: 'repeat', repeat: { every: 5000 } });
+      clock.tick(0);
+      await flush();
+      clock.tick(4999);
+      await flush();
+      expect(processor.callCount).to.equal(1);
+      clock.tick(2);
+      await flush();
+      expect(processor.callCount).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { limitRequests, byAccount } = require('../src/middleware/rateLimit');
+const { createMemoryStore, setRateLimitStore } = require('../src/services/rateLimiter');
+const AuditLog = require('../src/models/AuditLog');
+
+/**
+ * Builds a request as Express passes it to the middleware.
+ * @param {Object} [fields={}] - The fields of the request, such as `ip` and `body`.
+ * @returns {Object} - The request.
+ */
+const createRequest = (fields = {}) => ({
+  ip: '203.0.113.1', body: {}, get: () => undefined, ...fields,
+});
+
+/**
+ * Builds a response recording what the middleware answers.
+ * @returns {Object} - The response.
+ */
+const createResponse = () => {
+  const res = { headers: {} };
+  res.set = (name, value) => Object.assign(res.headers, { [name]: value }) && res;
+  res.status = (statusCode) => Object.assign(res, { statusCode });
+  res.json = (body) => Object.assign(res, { body });
+  return res;
+};
+
+describe('rateLimit middleware', () => {
+  let auditEvents;
+
+  beforeEach(async () => {
+    await setRateLimitStore(createMemoryStore());
+    auditEvents = sinon.stub(AuditLog, 'create').resolves({});
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  /**
+   * Runs the middleware on a request.
+   * @param {Function} middleware - The middleware.
+   * @param {Object} req - The request.
+   * @returns {Promise<Object>} - The response, and whether the request was passed on as `passed`.
+   */
+  const run = async (middleware, req) => {
+    const res = createResponse();
+    const next = sinon.spy();
+    await middleware(req, res, next);
+    return Object.assign(res, { passed: next.calledOnce });
+  };
+
+  it('passes requests on up to the limit', async () => {
+    const middleware = limitRequests('test', { limit: 2, windowMs: 60 * 1000 });
+
+    expect((await run(middleware, createRequest())).passed).to.equal(true);
+    expect((await run(middleware, createRequest())).passed).to.equal(true);
+  });
+
+  it('answers requests over the limit with a 429 and a Retry-After header', async () => {
+    const middleware = limitRequests('test', { limit: 1, windowMs: 60 * 1000 });
+    await run(middleware, createRequest());
+
+    const res = await run(middleware, createRequest());
+
+    expect(res.passed).to.equal(false);
+    expect(res.statusCode).to.equal(429);
+    expect(res.headers).to.deep.equal({ 'Retry-After': '60' });
+    expect(res.body.error).to.equal('Too many attempts. Try again in 1 minute.');
+  });
+
+  it('counts every IP address apart', async () => {
+    const middleware = limitRequests('test', { limit: 1, windowMs: 60 * 1000 });
+    await run(middleware, createRequest());
+
+    expect((await run(middleware, createRequest({ ip: '203.0.113.2' }))).passed).to.equal(true);
+  });
+
+  it('counts by the given key and skips requests without one', async () => {
+    const middleware = limitRequests('test', { limit: 1, windowMs: 60 * 1000, key: byAccount });
+    await run(middleware, createRequest({ body: { email: 'User@Example.com' } }));
+
+    const limited = await run(middleware, createRequest({ body: { email: 'user@example.com' } }));
+    const anonymous = await run(middleware, createRequest());
+
+    expect(limited.passed).to.equal(false);
+    expect(anonymous.passed).to.equal(true);
+  });
+
+  it('answers limited requests with the given handler', async () => {
+    const onLimited = sinon.spy((req, res) => res.status(429));
+    const middleware = limitRequests('test', { limit: 0, windowMs: 60 * 1000, onLimited });
+
+    await run(middleware, createRequest());
+
+    expect(onLimited.calledOnce).to.equal(true);
+    expect(onLimited.firstCall.args[2]).to.equal(60);
+  });
+
+  it('records the first limited request of a window in the audit log', async () => {
+    const middleware = limitRequests('test', { limit: 1, windowMs: 60 * 1000 });
+
+    await run(middleware, createRequest());
+    await run(middleware, createRequest());
+    await run(middleware, createRequest());
+
+    expect(auditEvents.calledOnce).to.equal(true);
+    expect(auditEvents.firstCall.args[0]).to.deep.include({
+      event: 'rate_limited', ip: '203.0.113.1', details: { limit: 'test' },
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+  createMemoryStore,
+  setRateLimitStore,
+  consume,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require('../src/services/rateLimiter');
+
+describe('rateLimiter', () => {
+  let clock;
+
+  beforeEach(async () => {
+    clock = sinon.useFakeTimers({ toFake: ['Date', 'setInterval', 'clearInterval'] });
+    await setRateLimitStore(createMemoryStore());
+  });
+
+  afterEach(() => {
+    clock.restore();
+    sinon.restore();
+  });
+
+  describe('createMemoryStore', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createMemoryStore();
+    });
+
+    afterEach(async () => {
+      await store.close();
+    });
+
+    it('counts within a window', async () => {
+      await store.increment('key', 1000);
+      const counter = await store.increment('key', 1000);
+
+      expect(counter).to.deep.equal({ count: 2, resetAt: Date.now() + 1000 });
+      expect(await store.get('key')).to.deep.equal(counter);
+    });
+
+    it('starts counting again once the window is over', async () => {
+      await store.increment('key', 1000);
+      clock.tick(1000);
+
+      expect(await store.get('key')).to.equal(null);
+      expect((await store.increment('key', 1000)).count).to.equal(1);
+    });
+
+    it('keeps counters apart by key', async () => {
+      await store.increment('one', 1000);
+
+      expect(await store.get('two')).to.equal(null);
+    });
+
+    it('forgets a counter on reset', async () => {
+      await store.increment('key', 1000);
+      await store.reset('key');
+
+      expect(await store.get('key')).to.equal(null);
+    });
+  });
+
+  describe('consume', () => {
+    const limit = { limit: 2, windowMs: 60 * 1000 };
+
+    it('allows attempts up to the limit', async () => {
+      expect(await consume('test', limit)).to.deep.equal({ allowed: true, count: 1, retryAfter: 0 });
+      expect(await consume('test', limit)).to.deep.equal({ allowed: true, count: 2, retryAfter: 0 });
+    });
+
+    it('refuses attempts over the limit until the window is over', async () => {
+      await consume('test', limit);
+      await consume('test', limit);
+      clock.tick(15 * 1000);
+
+      expect(await consume('test', limit)).to.deep.equal({ allowed: false, count: 3, retryAfter: 45 });
+      clock.tick(45 * 1000);
+      expect((await consume('test', limit)).allowed).to.equal(true);
+    });
+
+    it('lets attempts through when the store fails', async () => {
+      sinon.stub(console, 'error');
+      await setRateLimitStore({
+        increment: sinon.stub().rejects(new Error('unreachable')),
+        close: async () => {},
+      });
+
+      expect((await consume('test', limit)).allowed).to.equal(true);
+    });
+  });
+
+  describe('login lockout', () => {
+    /**
+     * Records failed logins to an account.
+     * @param {number} count - The number of failed logins.
+     * @returns {Promise<Object>} - The result of the last one.
+     */
+    const failLogins = (count) => Array.from({ length: count }).reduce(
+      (previous) => previous.then(() => recordLoginFailure('user@example.com')),
+      Promise.resolve(),
+    );
+
+    it('locks an account after five failed logins in a row', async () => {
+      expect(await failLogins(4)).to.deep.equal({ failures: 4, lockedFor: 0 });
+      expect(await getLoginLockout('user@example.com')).to.equal(0);
+
+      expect(await failLogins(1)).to.deep.equal({ failures: 5, lockedFor: 60 });
+      expect(await getLoginLockout('User@Example.com ')).to.equal(60);
+    });
+
+    it('lifts the lock once it is over', async () => {
+      await failLogins(5);
+      clock.tick(60 * 1000);
+
+      expect(await getLoginLockout('user@example.com')).to.equal(0);
+    });
+
+    it('doubles the lock with every further failure', async () => {
+      await failLogins(5);
+      clock.tick(60 * 1000);
+      expect(await failLogins(1)).to.deep.equal({ failures: 6, lockedFor: 120 });
+      clock.tick(120 * 1000);
+      expect(await failLogins(1)).to.deep.equal({ failures: 7, lockedFor: 240 });
+    });
+
+    it('locks an account for an hour at most', async () => {
+      expect(await failLogins(12)).to.deep.equal({ failures: 12, lockedFor: 3600 });
+    });
+
+    it('forgets the failures and lifts the lock after a successful login', async () => {
+      await failLogins(5);
+      await clearLoginFailures('user@example.com');
+
+      expect(await getLoginLockout('user@example.com')).to.equal(0);
+      expect(await failLogins(1)).to.deep.equal({ failures: 1, lockedFor: 0 });
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const { restoreRevision } = require('../src/controllers/revisionController');
+const Note = require('../src/models/Note');
+const NoteRevision = require('../src/models/NoteRevision');
+const { NOTE_EVENTS, createEventBus } = require('../src/services/eventBus');
+
+/**
+ * Builds a response recording what the controller answers.
+ * @returns {Object} - The response.
+ */
+const createResponse = () => {
+  const res = {};
+  res.status = (statusCode) => Object.assign(res, { statusCode });
+  res.json = (body) => Object.assign(res, { body });
+  return res;
+};
+
+describe('revisionController', () => {
+  describe('restoreRevision', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const note = { _id: new mongoose.Types.ObjectId(), user: userId, collaborators: [] };
+    const revision = { _id: 'revision-id', title: 'Old title', content: 'Old content' };
+    let req;
+    let published;
+
+    beforeEach(() => {
+      const eventBus = createEventBus();
+      published = sinon.spy();
+      eventBus.on(NOTE_EVENTS.UPDATED, published);
+      req = {
+        session: { user: { id: userId } },
+        params: { id: String(note._id), revisionId: 'revision-id' },
+        get: () => undefined,
+        app: { get: () => eventBus },
+      };
+      sinon.stub(Note, 'findOne').resolves(note);
+      sinon.stub(NoteRevision, 'findOne').resolves(revision);
+      sinon.stub(NoteRevision, 'create').resolves({});
+      sinon.stub(NoteRevision, 'find').returns({
+        sort: () => ({ skip: () => ({ select: sinon.stub().resolves([]) }) }),
+      });
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('restores the title and content of the revision and records the restore', async () => {
+      const restoredNote = { ...note, ...revision, version: 4 };
+      const update = sinon.stub(Note, 'findOneAndUpdate').resolves(restoredNote);
+      const res = createResponse();
+
+      await restoreRevision(req, res);
+
+      expect(res.body).to.equal(restoredNote);
+      expect(update.firstCall.args[1]).to.deep.include({ title: 'Old title', content: 'Old content' });
+      expect(NoteRevision.create.calledOnce).to.equal(true);
+      expect(published.calledOnce).to.equal(true);
+    });
+
+    it('answers 404 without recording a revision when the note is gone before the update', async () => {
+      sinon.stub(Note, 'findOneAndUpdate').resolves(null);
+      const res = createResponse();
+
+      await restoreRevision(req, res);
+
+      expect(res.statusCode).to.equal(404);
+      expect(res.body).to.deep.equal({ error: 'Note not found' });
+      expect(NoteRevision.create.called).to.equal(false);
+      expect(published.called).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const NoteRevision = require('../src/models/NoteRevision');
+const { recordRevision, diffRevisions } = require('../src/services/revisionService');
+
+describe('revisionService', () => {
+  const note = {
+    _id: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    title: 'Trip',
+    content: 'Pack the bags',
+    version: 7,
+  };
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('recordRevision', () => {
+    let skip;
+    let deleteMany;
+
+    /**
+     * Makes the latest revision of the note one started some minutes ago.
+     * @param {number|null} minutesAgo - When the latest revision started, or null for none.
+     * @returns {Object|null} - The latest revision.
+     */
+    const stubLatestRevision = (minutesAgo) => {
+      const latest = minutesAgo === null ? null : {
+        createdAt: new Date(Date.now() - minutesAgo * 60 * 1000),
+        set: sinon.spy(),
+        save: sinon.stub().resolvesThis(),
+      };
+      sinon.stub(NoteRevision, 'findOne').returns({ sort: sinon.stub().resolves(latest) });
+      return latest;
+    };
+
+    /**
+     * Makes the note have revisions beyond the cap, with the given IDs.
+     * @param {string[]} staleIds - The IDs of the revisions beyond the cap.
+     */
+    const stubStaleRevisions = (staleIds) => {
+      skip = sinon.stub().returns({
+        select: sinon.stub().resolves(staleIds.map((_id) => ({ _id }))),
+      });
+      sinon.stub(NoteRevision, 'find').returns({ sort: () => ({ skip }) });
+    };
+
+    beforeEach(() => {
+      sinon.stub(NoteRevision, 'create').callsFake(async (fields) => fields);
+      deleteMany = sinon.stub(NoteRevision, 'deleteMany').resolves({});
+      stubStaleRevisions([]);
+    });
+
+    it('coalesces updates within the window into the latest revision', async () => {
+      const latest = stubLatestRevision(2);
+
+      expect(await recordRevision(note)).to.equal(latest);
+      expect(latest.set.calledOnceWith({ title: 'Trip', content: 'Pack the bags', version: 7 }))
+        .to.equal(true);
+      expect(NoteRevision.create.called).to.equal(false);
+    });
+
+    it('starts a new revision once the window has passed', async () => {
+      stubLatestRevision(6);
+
+      const revision = await recordRevision(note);
+
+      expect(revision).to.deep.equal({
+        title: 'Trip', content: 'Pack the bags', version: 7, note: note._id, user: note.user,
+      });
+    });
+
+    it('starts a new revision when asked not to coalesce', async () => {
+      stubLatestRevision(0);
+
+      await recordRevision(note, { coalesce: false });
+
+      expect(NoteRevision.findOne.called).to.equal(false);
+      expect(NoteRevision.create.calledOnce).to.equal(true);
+    });
+
+    it('keeps only the 100 latest revisions', async () => {
+      stubLatestRevision(null);
+      NoteRevision.find.restore();
+      stubStaleRevisions(['oldest', 'older']);
+
+      await recordRevision(note);
+
+      expect(skip.calledOnceWith(100)).to.equal(true);
+      expect(deleteMany.calledOnceWith({ _id: { $in: ['oldest', 'older'] } })).to.equal(true);
+    });
+
+    it('deletes nothing below the cap', async () => {
+      stubLatestRevision(null);
+
+      await recordRevision(note);
+
+      expect(deleteMany.called).to.equal(false);
+    });
+  });
+
+  describe('diffRevisions', () => {
+    it('compares titles word by word and contents line by line', () => {
+      const changes = diffRevisions(
+        { title: 'Summer trip', content: 'Pack\nBook hotel\n' },
+        { title: 'Winter trip', content: 'Pack\nBook chalet\n' },
+      );
+
+      expect(changes.title).to.deep.equal([
+        { value: 'Summer', added: false, removed: true },
+        { value: 'Winter', added: true, removed: false },
+        { value: ' trip', added: false, removed: false },
+      ]);
+      expect(changes.content).to.deep.equal([
+        { value: 'Pack\n', added: false, removed: false },
+        { value: 'Book hotel\n', added: false, removed: true },
+        { value: 'Book chalet\n', added: true, removed: false },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const Note = require('../src/models/Note');
+const { searchNotes } = require('../src/services/searchService');
+
+describe('searchService', () => {
+  describe('searchNotes', () => {
+    const userId = new mongoose.Types.ObjectId();
+    let limit;
+
+    /**
+     * Makes the text search find the given notes.
+     * @param {Object[]} notes - The fields of the notes found.
+     */
+    const stubSearch = (notes) => {
+      const found = notes.map((fields) => ({ ...fields, get: () => 1.5 }));
+      limit = sinon.stub().returns({ select: sinon.stub().resolves(found) });
+      sinon.stub(Note, 'find').returns({ sort: () => ({ limit }) });
+    };
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('searches the notes of the user by relevance', async () => {
+      stubSearch([]);
+
+      await searchNotes(userId, 'trip', { limit: 5 });
+
+      expect(Note.find.firstCall.args).to.deep.equal([
+        { user: userId, $text: { $search: 'trip' } },
+        { score: { $meta: 'textScore' } },
+      ]);
+      expect(limit.calledOnceWith(5)).to.equal(true);
+    });
+
+    it('highlights the terms of the query in the title and a snippet of the content', async () => {
+      stubSearch([{
+        _id: 'note-id',
+        title: 'Summer Trip',
+        content: `${'Before. '.repeat(20)}Book the trip\n\nto <Rome> & more.${' After.'.repeat(30)}`,
+      }]);
+
+      const [result] = await searchNotes(userId, 'trip "rome" -paris');
+
+      expect(result.score).to.equal(1.5);
+      expect(result.titleHtml).to.equal('Summer <mark>Trip</mark>');
+      expect(result.snippet).to.match(/^\.\.\..* Book the <mark>trip<\/mark> to &lt;<mark>Rome<\/mark>&gt; &amp; more\..*\.\.\.$/);
+      expect(result.snippet).not.to.include('paris');
+    });
+
+    it('escapes notes without a match in their text', async () => {
+      stubSearch([{ _id: 'note-id', title: '', content: '<b>short</b>' }]);
+
+      const [result] = await searchNotes(userId, '-draft');
+
+      expect(result.titleHtml).to.equal('Untitled');
+      expect(result.snippet).to.equal('&lt;b&gt;short&lt;/b&gt;');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const Note = require('../src/models/Note');
+const ShareLink = require('../src/models/ShareLink');
+const { createShareLink, findSharedNote } = require('../src/services/shareService');
+
+/**
+ * Runs the pre hooks of the ShareLink schema for an operation.
+ * @param {string} name - The name of the operation, such as `save`.
+ * @param {Object} context - The document the hooks run on.
+ * @returns {Promise<void>} - Resolves once the hooks ran.
+ */
+const runPreHooks = (name, context) => new Promise((resolve, reject) => {
+  ShareLink.schema.s.hooks
+    .execPre(name, context, [{}], (error) => (error ? reject(error) : resolve()));
+});
+
+describe('shareService', () => {
+  const note = { _id: new mongoose.Types.ObjectId(), user: new mongoose.Types.ObjectId() };
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('createShareLink', () => {
+    beforeEach(() => {
+      sinon.stub(ShareLink.prototype, 'save').resolvesThis();
+    });
+
+    it('shares the note with an unguessable token', async () => {
+      const [first, second] = await Promise.all([createShareLink(note), createShareLink(note)]);
+
+      expect(first.token).to.match(/^[\w-]{32}$/);
+      expect(first.token).not.to.equal(second.token);
+      expect(first).to.deep.include({ note: note._id, user: note.user, expiresAt: null });
+    });
+
+    it('refuses expiry dates in the past', async () => {
+      const error = await createShareLink(note, { expiresAt: '2000-01-01' }).catch((caught) => caught);
+
+      expect(error.message).to.equal('The expiry date must be in the future');
+    });
+
+    it('keeps only a hash of the password', async () => {
+      const shareLink = await createShareLink(note, { password: 'open sesame' });
+
+      await runPreHooks('save', shareLink);
+
+      expect(shareLink.password).not.to.equal('open sesame');
+      expect(await shareLink.comparePassword('open sesame')).to.equal(true);
+      expect(await shareLink.comparePassword('sesame')).to.equal(false);
+    });
+  });
+
+  describe('findSharedNote', () => {
+    it('finds the note of a link that still works', async () => {
+      const expiresAt = new Date(Date.now() + 60000);
+      const shareLink = { note: note._id, user: note.user, expiresAt };
+      sinon.stub(ShareLink, 'findOne').resolves(shareLink);
+      sinon.stub(Note, 'findOne').resolves(note);
+
+      expect(await findSharedNote('token')).to.deep.equal({ shareLink, note });
+      expect(Note.findOne.firstCall.args[0]).to.deep.equal({ _id: note._id, user: note.user });
+    });
+
+    it('finds nothing for expired links', async () => {
+      sinon.stub(ShareLink, 'findOne').resolves({ note: note._id, expiresAt: new Date(Date.now() - 1) });
+      const findNote = sinon.stub(Note, 'findOne').resolves(note);
+
+      expect(await findSharedNote('token')).to.equal(null);
+      expect(findNote.called).to.equal(false);
+    });
+
+    it('finds nothing once the note is in the trash or deleted', async () => {
+      sinon.stub(ShareLink, 'findOne').resolves({ note: note._id, user: note.user, expiresAt: null });
+      sinon.stub(Note, 'findOne').resolves(null);
+
+      expect(await findSharedNote('token')).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const {
+  TOKEN_PURPOSES, createSignedToken, verifySignedToken,
+} = require('../src/services/signedTokenService');
+const User = require('../src/models/User');
+
+describe('signedTokenService', () => {
+  const previousSecret = process.env.TOKEN_SECRET;
+  let user;
+  let clock;
+
+  beforeEach(() => {
+    process.env.TOKEN_SECRET = 'test-secret';
+    clock = sinon.useFakeTimers({ toFake: ['Date'] });
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      email: 'user@example.com',
+      password: '$2b$10$abcdefghijklmnopqrstuv',
+    };
+    sinon.stub(User, 'findById').callsFake(async (id) => (String(id) === String(user._id) ? user : null));
+  });
+
+  afterEach(() => {
+    if (previousSecret === undefined) {
+      delete process.env.TOKEN_SECRET;
+    } else {
+      process.env.TOKEN_SECRET = previousSecret;
+    }
+    clock.restore();
+    sinon.restore();
+  });
+
+  it('finds the user a token was made for', async () => {
+    const token = createSignedToken(TOKEN_PURPOSES.VERIFY_EMAIL, user);
+
+    expect(await verifySignedToken(TOKEN_PURPOSES.VERIFY_EMAIL, token)).to.equal(user);
+  });
+
+  it('refuses a token made for another purpose', async () => {
+    const token = createSignedToken(TOKEN_PURPOSES.VERIFY_EMAIL, user);
+
+    expect(await verifySignedToken(TOKEN_PURPOSES.RESET_PASSWORD, token)).to.equal(null);
+  });
+
+  it('refuses a password reset token after an hour', async () => {
+    const token = createSignedToken(TOKEN_PURPOSES.RESET_PASSWORD, user);
+
+    clock.tick(60 * 60 * 1000 - 1);
+    expect(await verifySignedToken(TOKEN_PURPOSES.RESET_PASSWORD, token)).to.equal(user);
+    clock.tick(1);
+    expect(await verifySignedToken(TOKEN_PURPOSES.RESET_PASSWORD, token)).to.equal(null);
+  });
+
+  it('refuses an email verification token after a day', async () => {
+    const token = createSignedToken(TOKEN_PURPOSES.VERIFY_EMAIL, user);
+
+    clock.tick(24 * 60 * 60 * 1000);
+
+    expect(await verifySignedToken(TOKEN_PURPOSES.VERIFY_EMAIL, token)).to.equal(null);
+  });
+
+  it('refuses a password reset token once the password changed', async () => {
+    const token = createSignedToken(TOKEN_PURPOSES.RESET_PASSWORD, user);
+
+    user.password = '$2b$10$zyxwvutsrqponmlkjihgfe';
+
+    expect(await verifySignedToken(TOKEN_PURPOSES.RESET_PASSWORD, token)).to.equal(null);
+  });
+
+  it('refuses an email verification token once the email address changed', async () => {
+    const token = createSignedToken(TOKEN_PURPOSES.VERIFY_EMAIL, user);
+
+    user.email = 'other@example.com';
+
+    expect(await verifySignedToken(TOKEN_PURPOSES.VERIFY_EMAIL, token)).to.equal(null);
+  });
+
+  it('keeps an email verification token working when only the password changed', async () => {
+    const token = createSignedToken(TOKEN_PURPOSES.VERIFY_EMAIL, user);
+
+    user.password = '$2b$10$zyxwvutsrqponmlkjihgfe';
+
+    expect(await verifySignedToken(TOKEN_PURPOSES.VERIFY_EMAIL, token)).to.equal(user);
+  });
+
+  it('refuses a token whose payload was changed', async () => {
+    const token = createSignedToken(TOKEN_PURPOSES.VERIFY_EMAIL, user);
+    const [payload, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const forged = Buffer.from(JSON.stringify({ ...claims, e: claims.e * 2 })).toString('base64url');
+
+    expect(await verifySignedToken(TOKEN_PURPOSES.VERIFY_EMAIL, `${forged}.${signature}`))
+      .to.equal(null);
+  });
+
+  it('refuses a token signed with another secret', async () => {
+    const token = createSignedToken(TOKEN_PURPOSES.VERIFY_EMAIL, user);
+
+    process.env.TOKEN_SECRET = 'other-secret';
+
+    expect(await verifySignedToken(TOKEN_PURPOSES.VERIFY_EMAIL, token)).to.equal(null);
+  });
+
+  it('refuses malformed tokens', async () => {
+    const tokens = [undefined, '', 'no-signature', '.', 'a.b.c'];
+
+    const users = await Promise.all(tokens.map((token) => (
+      verifySignedToken(TOKEN_PURPOSES.VERIFY_EMAIL, token)
+    )));
+
+    expect(users).to.deep.equal([null, null, null, null, null]);
+  });
+});
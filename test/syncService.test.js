@@ -0,0 +1,146 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const Note = require('../src/models/Note');
+const Tombstone = require('../src/models/Tombstone');
+const {
+  SYNC_TOMBSTONE_RETENTION_DAYS, decodeSyncCursor, isSyncExpired, recordTombstones, listChanges,
+} = require('../src/services/syncService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('syncService', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const longAgo = new Date(Date.now() - DAY);
+
+  /**
+   * Builds a note of the user at a position in the sync sequence.
+   * @param {Object} fields - The fields of the note.
+   * @returns {Object} - The note.
+   */
+  const createNote = (fields) => new Note({
+    user: userId, createdAt: longAgo, updatedAt: longAgo, ...fields,
+  });
+
+  /**
+   * Makes the database answer the queries of `listChanges` with the given notes and tombstones.
+   * @param {Object[]} notes - The notes.
+   * @param {Object[]} [tombstones=[]] - The tombstones.
+   */
+  const stubChanges = (notes, tombstones = []) => {
+    sinon.stub(Note, 'find').returns({
+      setOptions: () => ({ sort: () => ({ limit: sinon.stub().resolves(notes) }) }),
+    });
+    sinon.stub(Tombstone, 'find').returns({
+      sort: () => ({ limit: () => ({ lean: sinon.stub().resolves(tombstones) }) }),
+    });
+  };
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('decodeSyncCursor', () => {
+    it('reads back the position of a cursor made by listChanges', async () => {
+      const note = createNote({ syncSeq: 4, createdSeq: 4 });
+      stubChanges([note]);
+
+      const { cursor } = await listChanges(userId, { limit: 10 });
+
+      expect(decodeSyncCursor(cursor)).to.deep.include({ seq: 4, id: note._id });
+    });
+
+    it('refuses cursors that were not made by the server', () => {
+      expect(decodeSyncCursor('not a cursor')).to.equal(null);
+      const cursor = Buffer.from(JSON.stringify([-1, null, new Date().toISOString()]))
+        .toString('base64url');
+      expect(decodeSyncCursor(cursor)).to.equal(null);
+    });
+  });
+
+  describe('isSyncExpired', () => {
+    it('expires syncs older than the tombstones', () => {
+      const retention = SYNC_TOMBSTONE_RETENTION_DAYS * DAY;
+      expect(isSyncExpired(new Date(Date.now() - retention - DAY))).to.equal(true);
+      expect(isSyncExpired(new Date(Date.now() - retention + DAY))).to.equal(false);
+    });
+  });
+
+  describe('recordTombstones', () => {
+    it('leaves a tombstone for everyone who had access to each note', async () => {
+      const collaboratorId = new mongoose.Types.ObjectId();
+      const note = createNote({ collaborators: [{ user: collaboratorId, role: 'viewer' }] });
+      const create = sinon.stub(Tombstone, 'create').resolves([]);
+
+      await recordTombstones([note]);
+
+      expect(create.firstCall.args[0]).to.deep.equal([
+        { note: note._id, users: [String(userId), String(collaboratorId)] },
+      ]);
+    });
+
+    it('records nothing without notes', async () => {
+      const create = sinon.stub(Tombstone, 'create').resolves([]);
+
+      await recordTombstones([]);
+
+      expect(create.called).to.equal(false);
+    });
+  });
+
+  describe('listChanges', () => {
+    it('lists notes by their latest change since the cursor', async () => {
+      const created = createNote({ syncSeq: 12, createdSeq: 11 });
+      const updated = createNote({ syncSeq: 13, createdSeq: 2 });
+      const trashed = createNote({ syncSeq: 14, createdSeq: 3, deletedAt: longAgo });
+      const deletedId = new mongoose.Types.ObjectId();
+      stubChanges([created, updated, trashed], [
+        { note: deletedId, syncSeq: 15, createdAt: longAgo },
+      ]);
+
+      const changes = await listChanges(userId, {
+        after: { seq: 10, id: null, at: longAgo }, limit: 10,
+      });
+
+      expect(changes.created.map((note) => note._id)).to.deep.equal([created._id]);
+      expect(changes.created[0].role).to.equal('owner');
+      expect(changes.updated.map((note) => note._id)).to.deep.equal([updated._id]);
+      expect(changes.deleted).to.deep.equal([String(trashed._id), String(deletedId)]);
+      expect(changes.hasMore).to.equal(false);
+    });
+
+    it('lists a note that was updated and then deleted as deleted only', async () => {
+      const note = createNote({ syncSeq: 3, createdSeq: 1 });
+      stubChanges([note], [{ note: note._id, syncSeq: 5, createdAt: longAgo }]);
+
+      const changes = await listChanges(userId, { limit: 10 });
+
+      expect(changes.updated).to.deep.equal([]);
+      expect(changes.deleted).to.deep.equal([String(note._id)]);
+    });
+
+    it('pages through the changes in the order of the sync sequence', async () => {
+      const first = createNote({ syncSeq: 1, createdSeq: 1 });
+      const second = createNote({ syncSeq: 2, createdSeq: 2 });
+      const third = createNote({ syncSeq: 3, createdSeq: 3 });
+      stubChanges([first, second, third]);
+
+      const changes = await listChanges(userId, { limit: 2 });
+
+      expect(changes.created.map((note) => note._id)).to.deep.equal([first._id, second._id]);
+      expect(changes.hasMore).to.equal(true);
+      expect(decodeSyncCursor(changes.cursor)).to.deep.include({ seq: 2, id: second._id });
+    });
+
+    it('keeps the cursor before changes that may still be overtaken', async () => {
+      const settled = createNote({ syncSeq: 1, createdSeq: 1 });
+      const recent = createNote({ syncSeq: 2, createdSeq: 2, updatedAt: new Date() });
+      stubChanges([settled, recent]);
+
+      const changes = await listChanges(userId, { limit: 10 });
+
+      expect(changes.created).to.have.length(2);
+      expect(decodeSyncCursor(changes.cursor)).to.deep.include({ seq: 1, id: settled._id });
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+  normalizeTags, extractHashtags, resolveManualTags, renameTag,
+} = require('../src/services/tagService');
+const Note = require('../src/models/Note');
+
+describe('tagService', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('normalizeTags', () => {
+    it('trims, lowercases and drops the `#` of tags, without empty or duplicate ones', () => {
+      expect(normalizeTags([' Work ', '#work', '', 'Ideas'])).to.deep.equal(['work', 'ideas']);
+    });
+
+    it('accepts comma-separated tags', () => {
+      expect(normalizeTags('work, ideas,')).to.deep.equal(['work', 'ideas']);
+      expect(normalizeTags(undefined)).to.deep.equal([]);
+    });
+  });
+
+  describe('extractHashtags', () => {
+    it('parses the hashtags of the content', () => {
+      expect(extractHashtags('#Work on the #ideas/new list\n#work')).to.deep.equal(['work', 'ideas/new']);
+    });
+
+    it('ignores headings, numbers, URL fragments and code', () => {
+      const content = '# Heading\nIssue #42 at https://example.com/#anchor\n`#inline`\n```\n#fenced\n```';
+
+      expect(extractHashtags(content)).to.deep.equal([]);
+    });
+  });
+
+  describe('resolveManualTags', () => {
+    it('leaves out the tags sent back that are hashtags of the content', () => {
+      expect(resolveManualTags(['travel', 'Trip'], 'Plan the #trip')).to.deep.equal(['travel']);
+    });
+  });
+
+  describe('renameTag', () => {
+    it('renames the manual tags and the hashtags of the notes carrying the tag', async () => {
+      const note = {
+        _id: 'note-id', version: 3, content: 'A #draft', tags: ['draft', 'todo'], manualTags: ['todo'],
+      };
+      sinon.stub(Note, 'find').resolves([note]);
+      const update = sinon.stub(Note, 'findOneAndUpdate').resolves({ _id: 'note-id' });
+
+      expect(await renameTag('user-id', 'Draft', 'todo')).to.deep.equal([{ _id: 'note-id' }]);
+
+      expect(Note.find.firstCall.args[0]).to.deep.equal({ user: 'user-id', tags: 'draft' });
+      expect(update.firstCall.args[0]).to.deep.equal({ _id: 'note-id', user: 'user-id', version: 3 });
+      expect(update.firstCall.args[1]).to.deep.include({ manualTags: ['todo'], content: 'A #todo' });
+    });
+
+    it('leaves out the notes that changed while they were being renamed', async () => {
+      sinon.stub(Note, 'find').resolves([{
+        _id: 'note-id', version: 3, content: '', tags: ['draft'], manualTags: ['draft'],
+      }]);
+      sinon.stub(Note, 'findOneAndUpdate').resolves(null);
+
+      expect(await renameTag('user-id', 'draft', 'final')).to.deep.equal([]);
+    });
+  });
+});
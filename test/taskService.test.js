@@ -0,0 +1,23 @@
+const { expect } = require('chai');
+const { setTaskDone } = require('../src/services/taskService');
+
+describe('taskService', () => {
+  describe('setTaskDone', () => {
+    it('checks and unchecks a task, leaving the rest of the content as is', () => {
+      const content = '# List\r\n\r\n- [ ] One\r\n* [x] Two';
+
+      expect(setTaskDone(content, 0, true)).to.equal('# List\r\n\r\n- [x] One\r\n* [x] Two');
+      expect(setTaskDone(content, 1, false)).to.equal('# List\r\n\r\n- [ ] One\r\n* [ ] Two');
+    });
+
+    it('counts the tasks the way they are rendered, skipping those in code', () => {
+      const content = '```\n- [ ] In code\n```\n> 1. [ ] Quoted';
+
+      expect(setTaskDone(content, 0, true)).to.equal('```\n- [ ] In code\n```\n> 1. [x] Quoted');
+    });
+
+    it('finds no task past the last one', () => {
+      expect(setTaskDone('- [ ] One', 1, true)).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const Note = require('../src/models/Note');
+const Notebook = require('../src/models/Notebook');
+const NoteRevision = require('../src/models/NoteRevision');
+const ShareLink = require('../src/models/ShareLink');
+const Tombstone = require('../src/models/Tombstone');
+const {
+  TRASH_RETENTION_DAYS, trashNote, listTrash, restoreNote, deleteNotePermanently,
+} = require('../src/services/trashService');
+
+describe('trashService', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const noteId = new mongoose.Types.ObjectId();
+  const notebookId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('trashNote', () => {
+    it('marks a note of the user as deleted without deleting it', async () => {
+      const update = sinon.stub(Note, 'findOneAndUpdate').resolves({ _id: noteId });
+
+      await trashNote(userId, noteId);
+
+      const [filter, changes] = update.firstCall.args;
+      expect(filter).to.deep.equal({ _id: noteId, user: userId });
+      expect(changes.deletedAt).to.be.instanceOf(Date);
+      expect(changes.$inc).to.deep.equal({ version: 1 });
+    });
+  });
+
+  describe('listTrash', () => {
+    it('tells when each trashed note will be purged', async () => {
+      const deletedAt = new Date('2024-05-01T00:00:00Z');
+      const lean = sinon.stub().resolves([{ _id: noteId, deletedAt }]);
+      sinon.stub(Note, 'find').returns({ sort: () => ({ select: () => ({ lean }) }) });
+
+      const [note] = await listTrash(userId);
+
+      expect(note.purgeAt).to.deep.equal(
+        new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+      );
+    });
+  });
+
+  describe('restoreNote', () => {
+    /**
+     * Makes the trash hold a note filed in the notebook, then restores it.
+     * @param {boolean} notebookExists - Whether the notebook still exists.
+     * @returns {Promise<Object>} - The update restoring the note.
+     */
+    const restoreFiledNote = async (notebookExists) => {
+      sinon.stub(Note, 'findOne').resolves({ _id: noteId, notebook: notebookId });
+      sinon.stub(Notebook, 'exists').resolves(notebookExists);
+      const update = sinon.stub(Note, 'findOneAndUpdate').resolves({ _id: noteId });
+      await restoreNote(userId, noteId);
+      return update.firstCall.args[1];
+    };
+
+    it('puts the note back in its notebook', async () => {
+      expect(await restoreFiledNote(true)).to.deep.equal({
+        deletedAt: null, notebook: notebookId, $inc: { version: 1 },
+      });
+    });
+
+    it('restores the note unfiled when its notebook was deleted', async () => {
+      expect((await restoreFiledNote(false)).notebook).to.equal(null);
+    });
+
+    it('restores nothing that is not in the trash of the user', async () => {
+      sinon.stub(Note, 'findOne').resolves(null);
+      const update = sinon.stub(Note, 'findOneAndUpdate');
+
+      expect(await restoreNote(userId, noteId)).to.equal(null);
+      expect(update.called).to.equal(false);
+    });
+  });
+
+  describe('deleteNotePermanently', () => {
+    it('deletes a trashed note of the user with its revisions and share links', async () => {
+      const note = { _id: noteId, user: userId, collaborators: [] };
+      const find = sinon.stub(Note, 'find').returns({ select: sinon.stub().resolves([note]) });
+      const deleteNotes = sinon.stub(Note, 'deleteMany').resolves({});
+      const tombstones = sinon.stub(Tombstone, 'create').resolves([]);
+      const revisions = sinon.stub(NoteRevision, 'deleteMany').resolves({});
+      const shareLinks = sinon.stub(ShareLink, 'deleteMany').resolves({});
+
+      expect(await deleteNotePermanently(userId, noteId)).to.equal(true);
+      expect(find.firstCall.args[0]).to.deep.equal({
+        _id: noteId, user: userId, deletedAt: { $ne: null },
+      });
+      expect(deleteNotes.calledOnceWith({ _id: { $in: [noteId] }, deletedAt: { $ne: null } }))
+        .to.equal(true);
+      expect(tombstones.calledOnce).to.equal(true);
+      expect(revisions.calledOnceWith({ note: { $in: [noteId] } })).to.equal(true);
+      expect(shareLinks.calledOnceWith({ note: { $in: [noteId] } })).to.equal(true);
+    });
+  });
+});
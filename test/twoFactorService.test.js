@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const sinon = require('sinon');
+const { authenticator } = require('otplib');
+const User = require('../src/models/User');
+const {
+  createTwoFactorSetup, enableTwoFactor, disableTwoFactor, verifyTwoFactorCode,
+} = require('../src/services/twoFactorService');
+
+describe('twoFactorService', () => {
+  const secret = authenticator.generateSecret();
+
+  /**
+   * Builds a user whose changes are recorded instead of saved.
+   * @param {Object} [fields={}] - The fields of the user.
+   * @returns {Object} - The user.
+   */
+  const createUser = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    email: 'ada@example.com',
+    save: sinon.stub().resolves(),
+    ...fields,
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('createTwoFactorSetup', () => {
+    it('gives a new secret with the URL and QR code apps import it from', async () => {
+      const setup = await createTwoFactorSetup(createUser());
+
+      expect(setup.otpauthUrl).to.equal(
+        `otpauth://totp/Anchor:ada%40example.com?secret=${setup.secret}&period=30&digits=6&algorithm=SHA1&issuer=Anchor`,
+      );
+      expect(setup.qrCode).to.match(/^data:image\/png;base64,/);
+    });
+  });
+
+  describe('enableTwoFactor', () => {
+    it('enables two-factor authentication with a valid code and gives recovery codes', async () => {
+      const user = createUser();
+
+      const recoveryCodes = await enableTwoFactor(user, secret, authenticator.generate(secret));
+
+      expect(recoveryCodes).to.have.length(10);
+      recoveryCodes.forEach((code) => expect(code).to.match(/^[\da-f]{5}-[\da-f]{5}$/));
+      expect(user).to.include({ twoFactorEnabled: true, twoFactorSecret: secret });
+      expect(user.twoFactorRecoveryCodes).not.to.include(recoveryCodes[0]);
+      expect(user.save.calledOnce).to.equal(true);
+    });
+
+    it('leaves the user as is with a code that is not valid', async () => {
+      const user = createUser();
+
+      expect(await enableTwoFactor(user, secret, '000000x')).to.equal(null);
+      expect(user.save.called).to.equal(false);
+    });
+  });
+
+  describe('disableTwoFactor', () => {
+    it('forgets the secret and the recovery codes', async () => {
+      const user = createUser({ twoFactorEnabled: true, twoFactorSecret: secret });
+
+      await disableTwoFactor(user);
+
+      expect(user).to.deep.include({
+        twoFactorEnabled: false, twoFactorSecret: null, twoFactorRecoveryCodes: [],
+      });
+    });
+  });
+
+  describe('verifyTwoFactorCode', () => {
+    const user = createUser({ twoFactorEnabled: true, twoFactorSecret: secret });
+
+    it('accepts a TOTP code once per time step', async () => {
+      const updateOne = sinon.stub(User, 'updateOne').resolves({ modifiedCount: 1 });
+
+      const result = await verifyTwoFactorCode(user, authenticator.generate(secret));
+
+      expect(result).to.deep.equal({ method: 'totp' });
+      const step = Math.floor(Date.now() / 1000 / 30);
+      const { $lt: usedStep } = updateOne.firstCall.args[0].$or[1].twoFactorLastUsedStep;
+      expect(usedStep).to.be.within(step - 1, step);
+      updateOne.resolves({ modifiedCount: 0 });
+      expect(await verifyTwoFactorCode(user, authenticator.generate(secret))).to.equal(null);
+    });
+
+    it('uses up a recovery code, whatever its case and dashes', async () => {
+      const hash = crypto.createHash('sha256').update('a1b2c3d4e5').digest('hex');
+      const findOneAndUpdate = sinon.stub(User, 'findOneAndUpdate')
+        .resolves({ twoFactorRecoveryCodes: ['other'] });
+
+      const result = await verifyTwoFactorCode(user, ' A1B2C-3D4E5 ');
+
+      expect(result).to.deep.equal({ method: 'recovery', remaining: 1 });
+      expect(findOneAndUpdate.firstCall.args[1]).to.deep.equal({
+        $pull: { twoFactorRecoveryCodes: hash },
+      });
+    });
+
+    it('refuses codes of users without two-factor authentication', async () => {
+      const findOneAndUpdate = sinon.stub(User, 'findOneAndUpdate').resolves(null);
+
+      expect(await verifyTwoFactorCode(createUser(), 'a1b2c-3d4e5')).to.equal(null);
+      expect(findOneAndUpdate.called).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { validateRequest } = require('../src/middleware/validate');
+const openApiSpec = require('../src/docs/openapi');
+
+/**
+ * Builds a request as Express passes it to the middleware.
+ * @param {Object} [fields={}] - The `params`, `query` and `body` of the request.
+ * @returns {Object} - The request.
+ */
+const createRequest = (fields = {}) => ({
+  params: {}, query: {}, body: {}, ...fields,
+});
+
+/**
+ * Builds a response recording what the middleware answers.
+ * @returns {Object} - The response.
+ */
+const createResponse = () => {
+  const res = {};
+  res.status = (statusCode) => Object.assign(res, { statusCode });
+  res.json = (body) => Object.assign(res, { body });
+  return res;
+};
+
+describe('validate middleware', () => {
+  it('converts query parameters to their types and gives them their defaults', () => {
+    const req = createRequest({ query: { limit: '20' } });
+    const next = sinon.spy();
+
+    validateRequest('getNotes')(req, createResponse(), next);
+
+    expect(next.calledOnce).to.equal(true);
+    expect(req.query).to.deep.equal({ page: 1, limit: 20 });
+  });
+
+  it('answers invalid requests with a 400 listing every problem', () => {
+    const res = createResponse();
+    const next = sinon.spy();
+
+    validateRequest('getNotes')(createRequest({ query: { page: '0', limit: 'all' } }), res, next);
+
+    expect(next.called).to.equal(false);
+    expect(res.statusCode).to.equal(400);
+    expect(res.body).to.deep.equal({
+      error: 'page must be >= 1',
+      details: [
+        { location: 'query', field: 'page', message: 'page must be >= 1' },
+        { location: 'query', field: 'limit', message: 'limit must be integer' },
+      ],
+    });
+  });
+
+  it('checks the path parameters and the body', () => {
+    const res = createResponse();
+
+    validateRequest('updateNote')(createRequest({
+      params: { id: 'not-an-id' },
+      body: { title: 'a'.repeat(201) },
+    }), res, sinon.spy());
+
+    expect(res.body.details.map(({ location, field }) => [location, field])).to.deep.equal([
+      ['path', 'id'],
+      ['body', 'title'],
+    ]);
+  });
+
+  it('names the missing fields of forms', () => {
+    const res = createResponse();
+
+    validateRequest('postRegister')(createRequest(), res, sinon.spy());
+
+    expect(res.body.details.map((detail) => detail.message)).to.deep.equal([
+      'username is required', 'email is required', 'password is required',
+    ]);
+  });
+
+  it('lets the route answer invalid requests its own way', () => {
+    const onInvalid = sinon.spy();
+    const req = createRequest({ params: { id: 'not-an-id' } });
+    const res = createResponse();
+
+    validateRequest('getNote', { onInvalid })(req, res, sinon.spy());
+
+    expect(onInvalid.calledOnceWith(req, res)).to.equal(true);
+    expect(onInvalid.firstCall.args[2][0].field).to.equal('id');
+  });
+
+  it('compiles every operation of the OpenAPI document', () => {
+    const operationIds = Object.values(openApiSpec.paths)
+      .flatMap((pathItem) => Object.values(pathItem))
+      .map((operation) => Object(operation).operationId)
+      .filter(Boolean);
+
+    expect(operationIds).to.include('apiUpdateNote');
+    operationIds.forEach((operationId) => {
+      expect(() => validateRequest(operationId)).not.to.throw();
+    });
+  });
+
+  it('refuses operations the OpenAPI document does not have', () => {
+    expect(() => validateRequest('missingOperation')).to.throw(/No operation missingOperation/);
+  });
+});
@@ -0,0 +1,127 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+  resolveWikiLinks, replaceWikiLinks, renameWikiLinks,
+} = require('../src/services/wikiLinkService');
+const Note = require('../src/models/Note');
+
+describe('wikiLinkService', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('replaceWikiLinks', () => {
+    it('rewrites the links to a title, whatever their case and spacing, and keeps their labels', () => {
+      const content = 'See [[Trip Plan]], [[ trip  plan |the plan]] and [[Other]].';
+
+      expect(replaceWikiLinks(content, 'trip plan', 'Travel'))
+        .to.equal('See [[Travel]], [[Travel|the plan]] and [[Other]].');
+    });
+
+    it('leaves links in code blocks and inline code as they are', () => {
+      const content = [
+        'Use `[[Trip]]` to link, like [[Trip]].',
+        '',
+        '```',
+        '[[Trip]]',
+        '```',
+        '',
+        '    [[Trip]]',
+      ].join('\n');
+
+      expect(replaceWikiLinks(content, 'trip', 'Travel')).to.equal([
+        'Use `[[Trip]]` to link, like [[Travel]].',
+        '',
+        '```',
+        '[[Trip]]',
+        '```',
+        '',
+        '    [[Trip]]',
+      ].join('\n'));
+    });
+
+    it('rewrites the links in headings, quotes, lists, tasks and tables', () => {
+      const content = [
+        '## About [[Trip]] ##',
+        '',
+        '> Quoted [[Trip]]',
+        '> and [[Trip]] again',
+        '',
+        '- [ ] Book [[Trip]]',
+        '  - nested [[Trip|it]]',
+        '',
+        '| Plan | Notes |',
+        '| --- | --- |',
+        '| [[Trip]] | [[Trip]] |',
+      ].join('\r\n');
+
+      expect(replaceWikiLinks(content, 'trip', 'Travel')).to.equal(content.replace(/\[\[Trip/g, '[[Travel'));
+    });
+
+    it('inserts the new title as it is', () => {
+      expect(replaceWikiLinks('[[Trip]]', 'trip', 'Costs in $&')).to.equal('[[Costs in $&]]');
+    });
+  });
+
+  describe('resolveWikiLinks', () => {
+    it('resolves titles to the most recently updated note with that title', async () => {
+      const select = sinon.stub().resolves([
+        { _id: 'newer', title: 'Trip  plan' },
+        { _id: 'older', title: 'trip plan' },
+      ]);
+      sinon.stub(Note, 'find').returns({ sort: () => ({ select }) });
+
+      const wikiLinks = await resolveWikiLinks('user-id', ['trip plan']);
+
+      expect([...wikiLinks]).to.deep.equal([['trip plan', 'newer']]);
+    });
+
+    it('looks nothing up without titles', async () => {
+      const find = sinon.stub(Note, 'find');
+
+      expect((await resolveWikiLinks('user-id', [])).size).to.equal(0);
+      expect(find.called).to.equal(false);
+    });
+  });
+
+  describe('renameWikiLinks', () => {
+    const note = { _id: 'renamed', title: 'Travel' };
+    const linkingNote = {
+      _id: 'linking', version: 2, content: '[[Trip]] and `[[Trip]]`',
+    };
+
+    beforeEach(() => {
+      sinon.stub(Note, 'exists').resolves(null);
+      sinon.stub(Note, 'find').resolves([linkingNote]);
+    });
+
+    it('rewrites the links to the old title in the notes linking to it', async () => {
+      const update = sinon.stub(Note, 'findOneAndUpdate').resolves({ _id: 'linking', version: 3 });
+
+      expect(await renameWikiLinks('user-id', note, 'Trip')).to.deep.equal([{ _id: 'linking', version: 3 }]);
+
+      expect(Note.find.firstCall.args[0]).to.deep.include({ links: 'trip' });
+      expect(update.firstCall.args[0]).to.deep.equal({ _id: 'linking', version: 2 });
+      expect(update.firstCall.args[1].content).to.equal('[[Travel]] and `[[Trip]]`');
+    });
+
+    it('leaves the links alone while another note still has the old title', async () => {
+      Note.exists.resolves({ _id: 'namesake' });
+
+      expect(await renameWikiLinks('user-id', note, 'Trip')).to.deep.equal([]);
+      expect(Note.find.called).to.equal(false);
+    });
+
+    it('leaves the links alone when the title only changed case or the new one cannot be linked to', async () => {
+      expect(await renameWikiLinks('user-id', { _id: 'renamed', title: 'TRIP' }, 'Trip')).to.deep.equal([]);
+      expect(await renameWikiLinks('user-id', { _id: 'renamed', title: 'a|b' }, 'Trip')).to.deep.equal([]);
+      expect(Note.exists.called).to.equal(false);
+    });
+
+    it('leaves out the notes that changed while their links were rewritten', async () => {
+      sinon.stub(Note, 'findOneAndUpdate').resolves(null);
+
+      expect(await renameWikiLinks('user-id', note, 'Trip')).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,31 @@
+const connectDB = require('./src/config/database');
+const { getQueue, JOB_TYPES } = require('./src/services/queue');
+const { registerJobProcessors, scheduleRecurringJobs } = require('./src/jobs');
+
+/**
+ * Starts the background worker.
+ * Connects to the database, processes the jobs the app adds to the job queue, and schedules
+ * the trash purge on the `TRASH_PURGE_CRON` schedule (daily at 03:00 by default).
+ * Started with `--rebuild-search-index`, it also queues a rebuild of the search index.
+ * Failed jobs are retried with an exponential backoff, as configured in the queue module.
+ * @returns {Promise<Object>} An object containing the job queue.
+ */
+async function startWorker() {
+  await connectDB();
+
+  const queue = registerJobProcessors(getQueue());
+
+  await scheduleRecurringJobs(queue);
+  if (process.argv.includes('--rebuild-search-index')) {
+    await queue.add(JOB_TYPES.REBUILD_SEARCH_INDEX, {}, { jobId: JOB_TYPES.REBUILD_SEARCH_INDEX });
+  }
+
+  console.log('Worker started');
+  return { queue };
+}
+
+if (require.main === module) {
+  startWorker();
+}
+
+module.exports = startWorker;